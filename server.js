@@ -16,11 +16,21 @@ import taskRoutes from './src/routes/taskRoutes.js';
 import clientRoutes from './src/routes/clientRoutes.js';
 import plantRoutes from './src/routes/plantRoutes.js';
 import inventoryRoutes from './src/routes/inventoryRoutes.js';
+import supplierRoutes from './src/routes/supplierRoutes.js';
+import purchaseOrderRoutes from './src/routes/purchaseOrderRoutes.js';
 import invoiceRoutes from './src/routes/invoiceRoutes.js';
+import paymentRoutes from './src/routes/paymentRoutes.js';
+import creditNoteRoutes from './src/routes/creditNoteRoutes.js';
+import quoteRoutes from './src/routes/quoteRoutes.js';
+import contractRoutes from './src/routes/contractRoutes.js';
 import reportRoutes from './src/routes/reportRoutes.js';
 import notificationRoutes from './src/routes/notificationRoutes.js';
 import uploadRoutes from './src/routes/uploadRoutes.js';
 import siteRoutes from './src/routes/siteRoutes.js';
+import scheduleRoutes from './src/routes/scheduleRoutes.js';
+import branchRoutes from './src/routes/branchRoutes.js';
+import portalRoutes from './src/routes/portalRoutes.js';
+import { startScheduler, stopScheduler } from './src/jobs/scheduler.js';
 
 // Load environment variables
 dotenv.config();
@@ -108,14 +118,23 @@ const API_VERSION = process.env.API_VERSION || 'v1';
 
 app.use(`/api/${API_VERSION}/auth`, authRoutes);
 app.use(`/api/${API_VERSION}/users`, userRoutes);
+app.use(`/api/${API_VERSION}/branches`, branchRoutes);
 app.use(`/api/${API_VERSION}/tasks`, taskRoutes);
 app.use(`/api/${API_VERSION}/clients`, clientRoutes);
 app.use(`/api/${API_VERSION}/sites`, siteRoutes);
+app.use(`/api/${API_VERSION}/schedules`, scheduleRoutes);
 app.use(`/api/${API_VERSION}/plants`, plantRoutes);
 app.use(`/api/${API_VERSION}/inventory`, inventoryRoutes);
+app.use(`/api/${API_VERSION}/suppliers`, supplierRoutes);
+app.use(`/api/${API_VERSION}/purchase-orders`, purchaseOrderRoutes);
 app.use(`/api/${API_VERSION}/invoices`, invoiceRoutes);
+app.use(`/api/${API_VERSION}/payments`, paymentRoutes);
+app.use(`/api/${API_VERSION}/credit-notes`, creditNoteRoutes);
+app.use(`/api/${API_VERSION}/quotes`, quoteRoutes);
+app.use(`/api/${API_VERSION}/contracts`, contractRoutes);
 app.use(`/api/${API_VERSION}/reports`, reportRoutes);
 app.use(`/api/${API_VERSION}/notifications`, notificationRoutes);
+app.use(`/api/${API_VERSION}/portal`, portalRoutes);
 app.use(`/api/${API_VERSION}/uploads`, uploadRoutes); // ✅ هنا المسار المهم
 
 
@@ -171,6 +190,8 @@ if (process.env.NODE_ENV !== 'production') {
     `);
   });
 
+  const jobHandles = startScheduler();
+
   process.on('unhandledRejection', (err) => {
     console.error(`❌ Unhandled Rejection: ${err.message}`);
     server.close(() => process.exit(1));
@@ -178,6 +199,7 @@ if (process.env.NODE_ENV !== 'production') {
 
   process.on('SIGTERM', () => {
     console.log('👋 SIGTERM received. Shutting down gracefully...');
+    stopScheduler(jobHandles);
     server.close(() => console.log('✅ Process terminated'));
   });
 }
@@ -0,0 +1,441 @@
+import Branch, { ACTIVE_TASK_STATUSES } from '../models/Branch.js';
+import User from '../models/User.js';
+import Client from '../models/Client.js';
+import Task from '../models/Task.js';
+import Inventory from '../models/Inventory.js';
+import { canAccessBranch } from '../middleware/auth.js';
+
+const denyBranchAccess = (res) => res.status(403).json({
+  success: false,
+  message: 'Not authorized to access this branch'
+});
+
+/**
+ * @desc    Get all branches
+ * @route   GET /api/v1/branches
+ * @access  Private
+ */
+export const getBranches = async (req, res) => {
+  try {
+    const { isActive, search } = req.query;
+
+    const query = {};
+
+    // Branch-scoped users only see their own branches
+    if (req.branchScope) query._id = { $in: req.branchScope };
+
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } },
+        { 'address.city': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const branches = await Branch.find(query)
+      .populate('manager', 'name email phone')
+      .sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: branches.length,
+      data: branches
+    });
+  } catch (error) {
+    console.error('Get branches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch branches',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single branch
+ * @route   GET /api/v1/branches/:id
+ * @access  Private
+ */
+export const getBranch = async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id)
+      .populate('manager', 'name email phone role');
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    if (!canAccessBranch(req, branch._id)) {
+      return denyBranchAccess(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: branch
+    });
+  } catch (error) {
+    console.error('Get branch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch branch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create branch
+ * @route   POST /api/v1/branches
+ * @access  Private (Admin)
+ */
+export const createBranch = async (req, res) => {
+  try {
+    // Counters are derived from related documents, never set by hand
+    const { totalWorkers, totalClients, activeTasks, manager, ...branchData } = req.body;
+
+    const branch = await Branch.create(branchData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Branch created successfully',
+      data: branch
+    });
+  } catch (error) {
+    console.error('Create branch error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: error.code === 11000 ? 'Branch name or code already exists' : 'Failed to create branch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update branch
+ * @route   PUT /api/v1/branches/:id
+ * @access  Private (Admin)
+ */
+export const updateBranch = async (req, res) => {
+  try {
+    const { totalWorkers, totalClients, activeTasks, manager, ...updateData } = req.body;
+
+    if (!canAccessBranch(req, req.params.id)) {
+      return denyBranchAccess(res);
+    }
+
+    const branch = await Branch.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    ).populate('manager', 'name email phone');
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Branch updated successfully',
+      data: branch
+    });
+  } catch (error) {
+    console.error('Update branch error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: error.code === 11000 ? 'Branch name or code already exists' : 'Failed to update branch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete branch (only when nothing is linked to it)
+ * @route   DELETE /api/v1/branches/:id
+ * @access  Private (Admin)
+ */
+export const deleteBranch = async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    if (!canAccessBranch(req, branch._id)) {
+      return denyBranchAccess(res);
+    }
+
+    const [users, clients, tasks, inventory] = await Promise.all([
+      User.countDocuments({ branch: branch._id }),
+      Client.countDocuments({ branch: branch._id }),
+      Task.countDocuments({ branch: branch._id }),
+      Inventory.countDocuments({ branch: branch._id })
+    ]);
+
+    if (users || clients || tasks || inventory) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch has related records. Deactivate it instead.',
+        data: { users, clients, tasks, inventory }
+      });
+    }
+
+    await branch.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Branch deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete branch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete branch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Assign (or remove) the branch manager
+ * @route   PUT /api/v1/branches/:id/manager
+ * @access  Private (Admin)
+ */
+export const assignManager = async (req, res) => {
+  try {
+    const { managerId } = req.body;
+
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    if (!canAccessBranch(req, branch._id)) {
+      return denyBranchAccess(res);
+    }
+
+    if (managerId) {
+      const manager = await User.findById(managerId);
+
+      if (!manager || !manager.isActive || manager.role === 'worker') {
+        return res.status(400).json({
+          success: false,
+          message: 'Manager must be an active admin user'
+        });
+      }
+
+      // A manager without a home branch belongs to the branch they manage
+      if (!manager.branch) {
+        manager.branch = branch._id;
+        await manager.save();
+      }
+    }
+
+    branch.manager = managerId || null;
+    await branch.save();
+    await branch.populate('manager', 'name email phone role');
+
+    res.status(200).json({
+      success: true,
+      message: managerId ? 'Manager assigned successfully' : 'Manager removed successfully',
+      data: branch
+    });
+  } catch (error) {
+    console.error('Assign manager error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign manager',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get branch workers
+ * @route   GET /api/v1/branches/:id/workers
+ * @access  Private (Admin)
+ */
+export const getBranchWorkers = async (req, res) => {
+  try {
+    if (!canAccessBranch(req, req.params.id)) {
+      return denyBranchAccess(res);
+    }
+
+    const { isActive } = req.query;
+
+    const query = { branch: req.params.id, role: 'worker' };
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const workers = await User.find(query)
+      .select('-password')
+      .sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: workers.length,
+      data: workers
+    });
+  } catch (error) {
+    console.error('Get branch workers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch branch workers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get branch clients
+ * @route   GET /api/v1/branches/:id/clients
+ * @access  Private (Admin)
+ */
+export const getBranchClients = async (req, res) => {
+  try {
+    if (!canAccessBranch(req, req.params.id)) {
+      return denyBranchAccess(res);
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { branch: req.params.id };
+    if (status) query.status = status;
+
+    const clients = await Client.find(query)
+      .sort('name')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await Client.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: clients.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: clients
+    });
+  } catch (error) {
+    console.error('Get branch clients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch branch clients',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get branch inventory
+ * @route   GET /api/v1/branches/:id/inventory
+ * @access  Private (Admin)
+ */
+export const getBranchInventory = async (req, res) => {
+  try {
+    if (!canAccessBranch(req, req.params.id)) {
+      return denyBranchAccess(res);
+    }
+
+    const { category, lowStock } = req.query;
+
+    const query = { branch: req.params.id };
+    if (category) query.category = category;
+    if (lowStock === 'true') {
+      query.$expr = { $lte: ['$quantity.current', '$quantity.minimum'] };
+    }
+
+    const items = await Inventory.find(query).sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    console.error('Get branch inventory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch branch inventory',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Recalculate branch counters from related records
+ * @route   POST /api/v1/branches/:id/recalculate
+ * @access  Private (Admin)
+ */
+export const recalculateBranchStats = async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    if (!canAccessBranch(req, branch._id)) {
+      return denyBranchAccess(res);
+    }
+
+    await Branch.refreshCounters(branch._id);
+
+    const [refreshed, tasksByStatus] = await Promise.all([
+      Branch.findById(branch._id),
+      Task.aggregate([
+        { $match: { branch: branch._id, status: { $in: ACTIVE_TASK_STATUSES } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Branch statistics recalculated',
+      data: {
+        totalWorkers: refreshed.totalWorkers,
+        totalClients: refreshed.totalClients,
+        activeTasks: refreshed.activeTasks,
+        activeTasksByStatus: tasksByStatus
+      }
+    });
+  } catch (error) {
+    console.error('Recalculate branch stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to recalculate branch statistics',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getBranches,
+  getBranch,
+  createBranch,
+  updateBranch,
+  deleteBranch,
+  assignManager,
+  getBranchWorkers,
+  getBranchClients,
+  getBranchInventory,
+  recalculateBranchStats
+};
@@ -1,8 +1,19 @@
-import Client from '../models/Client.js';
+import Client, { CLIENT_PROFILE_FIELDS } from '../models/Client.js';
 import Task from '../models/Task.js';
-import { generateToken } from '../utils/jwt.js';
+import { generateClientSessionToken } from '../utils/jwt.js';
 import crypto from 'crypto';
 import { notifyClientCredentials } from '../services/notificationService.js';
+import { branchFilter, canAccessBranch, isOwnPortalClient } from '../middleware/auth.js';
+
+/**
+ * Check whether the request may access a client record
+ * Active clients only see themselves through a portal session (not a task or quote link),
+ * users are limited to their branches
+ */
+const canAccessClient = (req, clientId, branchId) => {
+  if (req.userType === 'client') return isOwnPortalClient(req, clientId);
+  return canAccessBranch(req, branchId);
+};
 
 /**
  * @desc    Client login
@@ -46,8 +57,15 @@ export const clientLogin = async (req, res) => {
       });
     }
 
-    // Generate token (24 hours for clients)
-    const token = generateToken({ id: client._id, role: 'client' }, '24h');
+    if (client.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        message: 'Your account is not active'
+      });
+    }
+
+    // Generate portal session token (24 hours by default)
+    const token = generateClientSessionToken(client._id);
 
     // Get public profile
     const clientData = client.getPublicProfile();
@@ -87,13 +105,19 @@ export const getClients = async (req, res) => {
       sort = '-createdAt'
     } = req.query;
 
-    const query = {};
+    const query = { ...branchFilter(req) };
 
     if (status) {
       query.status = status;
     }
 
     if (branch) {
+      if (!canAccessBranch(req, branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this branch'
+        });
+      }
       query.branch = branch;
     }
 
@@ -149,6 +173,13 @@ export const getClient = async (req, res) => {
       });
     }
 
+    if (!canAccessClient(req, client._id, client.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this client'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: client
@@ -172,6 +203,18 @@ export const createClient = async (req, res) => {
   try {
     const clientData = req.body;
 
+    // Branch-scoped admins create clients in their own branch
+    if (!clientData.branch && req.branchScope?.length === 1) {
+      clientData.branch = req.branchScope[0];
+    }
+
+    if (!canAccessBranch(req, clientData.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create clients in this branch'
+      });
+    }
+
     // Generate temporary username if not provided
     if (!clientData.username) {
       const randomStr = crypto.randomBytes(4).toString('hex');
@@ -228,15 +271,23 @@ export const updateClient = async (req, res) => {
       });
     }
 
-    // If client is updating their own profile, restrict certain fields
-    if (req.user.role === 'client' && req.user.id !== req.params.id) {
+    let updateData = req.body;
+
+    if (!canAccessClient(req, client._id, client.branch)
+      || (updateData.branch && !canAccessBranch(req, updateData.branch))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this client'
       });
     }
 
-    const updateData = req.body;
+    // Clients updating their own profile may only change contact details
+    if (req.userType === 'client') {
+      updateData = Object.fromEntries(
+        CLIENT_PROFILE_FIELDS.filter(field => req.body[field] !== undefined)
+          .map(field => [field, req.body[field]])
+      );
+    }
 
     // If password is being updated, mark as not temporary
     if (updateData.password) {
@@ -283,6 +334,13 @@ export const deleteClient = async (req, res) => {
       });
     }
 
+    if (!canAccessBranch(req, client.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this client'
+      });
+    }
+
     await client.deleteOne();
 
     res.status(200).json({
@@ -306,7 +364,14 @@ export const deleteClient = async (req, res) => {
  */
 export const getClientTasks = async (req, res) => {
   try {
-    const tasks = await Task.find({ client: req.params.id })
+    if (req.userType === 'client' && !isOwnPortalClient(req, req.params.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view these tasks'
+      });
+    }
+
+    const tasks = await Task.find({ client: req.params.id, ...branchFilter(req) })
       .populate('worker', 'name email phone')
       .populate('branch', 'name')
       .sort('-createdAt');
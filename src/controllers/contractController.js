@@ -0,0 +1,464 @@
+import Contract from '../models/Contract.js';
+import Client from '../models/Client.js';
+import Settings from '../models/Settings.js';
+import {
+  RENEWAL_FIELDS,
+  validateContractSites,
+  assertNoOverlap,
+  buildVisitReport,
+  renewContract as renewExistingContract,
+  sendRenewalReminders
+} from '../services/contractService.js';
+import { branchFilter, canAccessBranch } from '../middleware/auth.js';
+import { pickFields } from '../utils/pick.js';
+
+// Terms an admin may change on an active contract
+const CONTRACT_FIELDS = ['title', 'sites', 'startDate', 'endDate', 'visitQuotas', 'monthlyFee', 'sla', 'notes'];
+
+/**
+ * Answer an error carrying a statusCode (validation of the contract), else a 500
+ */
+const sendContractError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Start and end of the current month
+ */
+const currentMonth = () => {
+  const now = new Date();
+  return {
+    from: new Date(now.getFullYear(), now.getMonth(), 1),
+    to: new Date(now.getFullYear(), now.getMonth() + 1, 1, 0, 0, 0, -1)
+  };
+};
+
+/**
+ * @desc    Get contracts
+ * @route   GET /api/v1/contracts
+ * @access  Private (Admin)
+ */
+export const getContracts = async (req, res) => {
+  try {
+    const {
+      client,
+      site,
+      branch,
+      status,
+      activeOn,
+      page = 1,
+      limit = 20,
+      sort = '-startDate'
+    } = req.query;
+
+    const query = { ...branchFilter(req) };
+
+    if (branch) {
+      if (!canAccessBranch(req, branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this branch'
+        });
+      }
+      query.branch = branch;
+    }
+
+    if (client) query.client = client;
+    if (site) query.sites = site;
+    if (status) query.status = status;
+
+    // Contracts in force on a day
+    if (activeOn) {
+      const day = new Date(activeOn);
+      query.status = 'active';
+      query.startDate = { $lte: day };
+      query.endDate = { $gte: new Date(day.getFullYear(), day.getMonth(), day.getDate()) };
+    }
+
+    const contracts = await Contract.find(query)
+      .populate('client', 'name email phone propertyType')
+      .populate('sites', 'name')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await Contract.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: contracts.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: contracts
+    });
+  } catch (error) {
+    console.error('Get contracts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contracts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single contract with this month's delivered vs. contracted visits
+ * @route   GET /api/v1/contracts/:id
+ * @access  Private (Admin)
+ */
+export const getContract = async (req, res) => {
+  try {
+    const contract = await Contract.findById(req.params.id);
+
+    if (!contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    if (!canAccessBranch(req, contract.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this contract'
+      });
+    }
+
+    const visits = await buildVisitReport(contract, currentMonth());
+
+    await contract.populate([
+      { path: 'client', select: 'name email phone propertyType' },
+      { path: 'sites', select: 'name location' },
+      { path: 'renewedFrom', select: 'contractNumber startDate endDate' },
+      { path: 'renewedTo', select: 'contractNumber startDate endDate' },
+      { path: 'createdBy', select: 'name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...contract.toObject(),
+        isActive: contract.isActiveOn(),
+        currentMonth: visits.months[0] || null
+      }
+    });
+  } catch (error) {
+    console.error('Get contract error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contract',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a maintenance contract for a client
+ * @route   POST /api/v1/contracts
+ * @access  Private (Admin)
+ */
+export const createContract = async (req, res) => {
+  try {
+    const client = await Client.findById(req.body.client).select('branch');
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Default to the client's branch
+    const branch = req.body.branch || client.branch;
+    if (!canAccessBranch(req, branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create contracts in this branch'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const contract = new Contract({
+      ...pickFields(req.body, CONTRACT_FIELDS),
+      client: client._id,
+      branch,
+      currency: settings.invoice.currency,
+      sites: await validateContractSites(client._id, req.body.sites),
+      createdBy: req.user._id
+    });
+
+    await contract.validate();
+    await assertNoOverlap(contract);
+    await contract.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Contract created successfully',
+      data: contract
+    });
+  } catch (error) {
+    console.error('Create contract error:', error);
+    sendContractError(res, error, 'Failed to create contract');
+  }
+};
+
+/**
+ * @desc    Update the terms of an active contract
+ * @route   PUT /api/v1/contracts/:id
+ * @access  Private (Admin)
+ */
+export const updateContract = async (req, res) => {
+  try {
+    const contract = await Contract.findById(req.params.id);
+
+    if (!contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    if (!canAccessBranch(req, contract.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this contract'
+      });
+    }
+
+    if (contract.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'A terminated contract can no longer be changed'
+      });
+    }
+
+    const updates = pickFields(req.body, CONTRACT_FIELDS);
+    if (updates.sites !== undefined) {
+      updates.sites = await validateContractSites(contract.client, updates.sites);
+    }
+
+    Object.assign(contract, updates);
+
+    await contract.validate();
+    await assertNoOverlap(contract);
+    await contract.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Contract updated successfully',
+      data: contract
+    });
+  } catch (error) {
+    console.error('Update contract error:', error);
+    sendContractError(res, error, 'Failed to update contract');
+  }
+};
+
+/**
+ * @desc    End a contract early; its tasks stop counting against it from now
+ * @route   POST /api/v1/contracts/:id/terminate
+ * @access  Private (Admin)
+ */
+export const terminateContract = async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    const contract = await Contract.findById(req.params.id);
+
+    if (!contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    if (!canAccessBranch(req, contract.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to terminate this contract'
+      });
+    }
+
+    if (contract.status === 'terminated') {
+      return res.status(400).json({
+        success: false,
+        message: 'Contract is already terminated'
+      });
+    }
+
+    contract.status = 'terminated';
+    contract.terminatedAt = new Date();
+    contract.terminatedBy = req.user._id;
+    contract.terminationReason = reason;
+    await contract.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Contract terminated',
+      data: contract
+    });
+  } catch (error) {
+    console.error('Terminate contract error:', error);
+    sendContractError(res, error, 'Failed to terminate contract');
+  }
+};
+
+/**
+ * @desc    Renew a contract from the day after it ends, with the same terms unless given
+ * @route   POST /api/v1/contracts/:id/renew
+ * @access  Private (Admin)
+ */
+export const renewContract = async (req, res) => {
+  try {
+    const existing = await Contract.findById(req.params.id).select('branch');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    if (!canAccessBranch(req, existing.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to renew this contract'
+      });
+    }
+
+    const { contract, previous } = await renewExistingContract(
+      req.params.id,
+      pickFields(req.body, RENEWAL_FIELDS),
+      { user: req.user }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Contract renewed as ${contract.contractNumber}`,
+      data: { contract, previous }
+    });
+  } catch (error) {
+    console.error('Renew contract error:', error);
+    sendContractError(res, error, 'Failed to renew contract');
+  }
+};
+
+/**
+ * @desc    Get the contract renewal reminder schedule
+ * @route   GET /api/v1/contracts/settings
+ * @access  Private (Admin)
+ */
+export const getContractSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings.contracts
+    });
+  } catch (error) {
+    console.error('Get contract settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contract settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update the renewal reminder schedule: days before a contract's end date
+ * @route   PUT /api/v1/contracts/settings
+ * @access  Private (Admin)
+ */
+export const updateContractSettings = async (req, res) => {
+  try {
+    const { enabled, days } = req.body.renewalReminders || {};
+
+    if (days !== undefined && (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'renewalReminders.days must be a list of whole days before the end date, e.g. [60, 30, 7]'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const { renewalReminders } = settings.contracts;
+    if (enabled !== undefined) renewalReminders.enabled = Boolean(enabled);
+    if (days !== undefined) renewalReminders.days = [...new Set(days)].sort((a, b) => b - a);
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Contract settings updated',
+      data: settings.contracts
+    });
+  } catch (error) {
+    console.error('Update contract settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update contract settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Send the contract renewal reminders due now (also run by the scheduler)
+ * @route   POST /api/v1/contracts/renewals/run
+ * @access  Private (Admin)
+ */
+export const runRenewalReminders = async (req, res) => {
+  try {
+    const result = await sendRenewalReminders({ filter: branchFilter(req) });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.sent} renewal reminder(s) sent`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Run renewal reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run renewal reminders',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getContracts,
+  getContract,
+  createContract,
+  updateContract,
+  terminateContract,
+  renewContract,
+  getContractSettings,
+  updateContractSettings,
+  runRenewalReminders
+};
@@ -0,0 +1,233 @@
+import CreditNote from '../models/CreditNote.js';
+import Invoice from '../models/Invoice.js';
+import { issueCreditNote, refreshCreditNotePDF } from '../services/creditNoteService.js';
+import { resolvePDFPath } from '../services/pdfService.js';
+import { branchFilter, canAccessBranch } from '../middleware/auth.js';
+
+/**
+ * Answer an error carrying a statusCode (validation of the credit note), else a 500
+ */
+const sendCreditNoteError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * @desc    Get credit notes
+ * @route   GET /api/v1/credit-notes
+ * @access  Private (Admin)
+ */
+export const getCreditNotes = async (req, res) => {
+  try {
+    const {
+      client,
+      invoice,
+      branch,
+      from,
+      to,
+      page = 1,
+      limit = 20,
+      sort = '-issuedDate'
+    } = req.query;
+
+    const query = { ...branchFilter(req) };
+
+    if (branch) {
+      if (!canAccessBranch(req, branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this branch'
+        });
+      }
+      query.branch = branch;
+    }
+
+    if (client) query.client = client;
+    if (invoice) query.invoice = invoice;
+
+    if (from || to) {
+      query.issuedDate = {};
+      if (from) query.issuedDate.$gte = new Date(from);
+      if (to) query.issuedDate.$lte = new Date(to);
+    }
+
+    const creditNotes = await CreditNote.find(query)
+      .populate('client', 'name email phone')
+      .populate('invoice', 'invoiceNumber total')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await CreditNote.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: creditNotes.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: creditNotes
+    });
+  } catch (error) {
+    console.error('Get credit notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credit notes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single credit note
+ * @route   GET /api/v1/credit-notes/:id
+ * @access  Private (Admin)
+ */
+export const getCreditNote = async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate('client', 'name email phone creditBalance')
+      .populate('invoice', 'invoiceNumber total creditedAmount paidAmount paymentStatus status')
+      .populate('issuedBy', 'name');
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    if (!canAccessBranch(req, creditNote.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this credit note'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: creditNote
+    });
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credit note',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Credit an issued invoice in full or by line; an invoice credited in full is cancelled
+ * @route   POST /api/v1/credit-notes
+ * @access  Private (Admin)
+ */
+export const createCreditNote = async (req, res) => {
+  try {
+    const { invoice: invoiceId, reason, items } = req.body;
+
+    if (items !== undefined && (!Array.isArray(items) || items.some(entry => !entry?.line))) {
+      return res.status(400).json({
+        success: false,
+        message: 'items must be a list of { line, quantity }'
+      });
+    }
+
+    const invoice = await Invoice.findById(invoiceId).select('branch');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!canAccessBranch(req, invoice.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this invoice'
+      });
+    }
+
+    const result = await issueCreditNote(invoiceId, { reason, items }, { user: req.user });
+
+    await refreshCreditNotePDF(result.creditNote);
+
+    res.status(201).json({
+      success: true,
+      message: 'Credit note issued successfully',
+      data: {
+        creditNote: result.creditNote,
+        invoice: {
+          _id: result.invoice._id,
+          invoiceNumber: result.invoice.invoiceNumber,
+          status: result.invoice.status,
+          total: result.invoice.total,
+          creditedAmount: result.invoice.creditedAmount,
+          paidAmount: result.invoice.paidAmount,
+          balanceDue: result.invoice.balanceDue(),
+          paymentStatus: result.invoice.paymentStatus
+        },
+        creditBalance: result.client?.creditBalance
+      }
+    });
+  } catch (error) {
+    console.error('Create credit note error:', error);
+    sendCreditNoteError(res, error, 'Failed to issue credit note');
+  }
+};
+
+/**
+ * @desc    Download a credit note as PDF
+ * @route   GET /api/v1/credit-notes/:id/pdf
+ * @access  Private (Admin)
+ */
+export const downloadCreditNotePDF = async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id);
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    if (!canAccessBranch(req, creditNote.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this credit note'
+      });
+    }
+
+    // Regenerate the PDF if it was never created or has been removed
+    const pdfPath = resolvePDFPath(creditNote.pdfUrl) || await refreshCreditNotePDF(creditNote);
+
+    res.download(pdfPath, `${creditNote.creditNoteNumber}.pdf`);
+  } catch (error) {
+    console.error('Download credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download credit note',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getCreditNotes,
+  getCreditNote,
+  createCreditNote,
+  downloadCreditNotePDF
+};
@@ -2,6 +2,14 @@ import Inventory from '../models/Inventory.js';
 import InventoryTransaction from '../models/InventoryTransaction.js';
 import User from '../models/User.js';
 import { notifyLowStock } from '../services/notificationService.js';
+import { restockItem, withdrawItem } from '../services/materialService.js';
+import {
+  DEFAULT_HISTORY_DAYS,
+  DEFAULT_HORIZON_DAYS,
+  buildReorderSuggestions,
+  createReorderPurchaseOrders as draftReorderPurchaseOrders
+} from '../services/reorderService.js';
+import { ADMIN_ROLES, branchFilter, canAccessBranch } from '../middleware/auth.js';
 
 /**
  * @desc    Get all inventory items
@@ -20,9 +28,15 @@ export const getInventoryItems = async (req, res) => {
       sort = '-createdAt'
     } = req.query;
 
-    const query = {};
+    const query = { ...branchFilter(req) };
 
     if (branch) {
+      if (!canAccessBranch(req, branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this branch'
+        });
+      }
       query.branch = branch;
     }
 
@@ -45,6 +59,12 @@ export const getInventoryItems = async (req, res) => {
       .skip((page - 1) * limit)
       .lean();
 
+    // Lean results skip virtuals
+    items.forEach((item) => {
+      item.quantity.reserved = item.quantity.reserved || 0;
+      item.quantity.available = item.quantity.current - item.quantity.reserved;
+    });
+
     // Filter by stock status if provided
     if (stockStatus) {
       items = items.filter(item => {
@@ -88,7 +108,8 @@ export const getInventoryItems = async (req, res) => {
 export const getInventoryItem = async (req, res) => {
   try {
     const item = await Inventory.findById(req.params.id)
-      .populate('branch', 'name address phone');
+      .populate('branch', 'name address phone')
+      .populate('preferredSupplier', 'name contactName email phone leadTimeDays');
 
     if (!item) {
       return res.status(404).json({
@@ -97,6 +118,13 @@ export const getInventoryItem = async (req, res) => {
       });
     }
 
+    if (!canAccessBranch(req, item.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this inventory item'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: item
@@ -118,6 +146,16 @@ export const getInventoryItem = async (req, res) => {
  */
 export const createInventoryItem = async (req, res) => {
   try {
+    if (!canAccessBranch(req, req.body.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add inventory to this branch'
+      });
+    }
+
+    // Reservations only come from task assignments
+    delete req.body.quantity?.reserved;
+
     const item = await Inventory.create(req.body);
 
     res.status(201).json({
@@ -151,15 +189,65 @@ export const updateInventoryItem = async (req, res) => {
       });
     }
 
-    item = await Inventory.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    if (!canAccessBranch(req, item.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this inventory item'
+      });
+    }
+
+    if (req.body.branch && !canAccessBranch(req, req.body.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to move inventory to this branch'
+      });
+    }
+
+    // Update quantity fields one by one so task reservations are kept
+    const { quantity, ...updates } = req.body;
+    if (quantity) {
+      ['current', 'minimum', 'maximum'].forEach((field) => {
+        if (quantity[field] !== undefined) updates[`quantity.${field}`] = quantity[field];
+      });
+    }
+
+    // The stock on hand may not drop below what tasks have reserved, checked in the same update
+    const filter = { _id: req.params.id };
+    if (updates['quantity.current'] !== undefined) {
+      const current = Number(updates['quantity.current']);
+      if (!(current >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Current quantity must be a non-negative number'
+        });
+      }
+      updates['quantity.current'] = current;
+      filter.$expr = { $gte: [current, { $ifNull: ['$quantity.reserved', 0] }] };
+    }
+
+    item = await Inventory.findOneAndUpdate(
+      filter,
+      updates,
       {
         new: true,
         runValidators: true
       }
     );
 
+    if (!item) {
+      const stock = await Inventory.findById(req.params.id).select('quantity.reserved unit');
+      if (!stock) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inventory item not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Current quantity cannot be below the ${stock.quantity.reserved} ${stock.unit} reserved for tasks`
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Inventory item updated successfully',
@@ -191,6 +279,13 @@ export const deleteInventoryItem = async (req, res) => {
       });
     }
 
+    if (!canAccessBranch(req, item.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this inventory item'
+      });
+    }
+
     await item.deleteOne();
 
     res.status(200).json({
@@ -215,40 +310,27 @@ export const deleteInventoryItem = async (req, res) => {
 export const withdrawInventory = async (req, res) => {
   try {
     const { quantity, taskId, notes } = req.body;
-    const item = await Inventory.findById(req.params.id);
+    const existing = await Inventory.findById(req.params.id).select('branch');
 
-    if (!item) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'Inventory item not found'
       });
     }
 
-    if (item.quantity.current < quantity) {
-      return res.status(400).json({
+    if (!canAccessBranch(req, existing.branch)) {
+      return res.status(403).json({
         success: false,
-        message: 'Insufficient stock'
+        message: 'Not authorized to access this inventory item'
       });
     }
 
-    const previousQuantity = item.quantity.current;
-
-    // Deduct quantity
-    await item.deduct(quantity);
-
-    // Create transaction record
-    await InventoryTransaction.create({
-      inventory: item._id,
-      task: taskId || null,
-      worker: req.user.id,
-      type: 'withdrawal',
-      quantity,
-      unit: item.unit,
-      previousQuantity,
-      newQuantity: item.quantity.current,
-      notes,
-      confirmedBy: req.user.id,
-      confirmedAt: new Date()
+    // Stock reserved for assigned tasks cannot be withdrawn
+    const item = await withdrawItem(existing._id, Number(quantity), {
+      task: taskId,
+      user: req.user,
+      notes
     });
 
     // Check if low stock alert should be sent
@@ -258,7 +340,7 @@ export const withdrawInventory = async (req, res) => {
 
       // Send alert only once per day
       if (!lastAlert || (now - lastAlert) > 24 * 60 * 60 * 1000) {
-        const admin = await User.findOne({ role: 'admin', isActive: true });
+        const admin = await User.findOne({ role: { $in: ADMIN_ROLES }, isActive: true });
         if (admin) {
           await notifyLowStock(admin, item);
           item.lowStockAlert.lastAlertSent = now;
@@ -274,6 +356,12 @@ export const withdrawInventory = async (req, res) => {
     });
   } catch (error) {
     console.error('Withdraw inventory error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to withdraw inventory',
@@ -289,33 +377,28 @@ export const withdrawInventory = async (req, res) => {
  */
 export const restockInventory = async (req, res) => {
   try {
-    const { quantity, notes } = req.body;
-    const item = await Inventory.findById(req.params.id);
+    const { quantity, unitCost, notes } = req.body;
+    const existing = await Inventory.findById(req.params.id).select('branch');
 
-    if (!item) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'Inventory item not found'
       });
     }
 
-    const previousQuantity = item.quantity.current;
-
-    // Add quantity
-    await item.restock(quantity);
-
-    // Create transaction record
-    await InventoryTransaction.create({
-      inventory: item._id,
-      worker: req.user.id,
-      type: 'restock',
-      quantity,
-      unit: item.unit,
-      previousQuantity,
-      newQuantity: item.quantity.current,
-      notes,
-      confirmedBy: req.user.id,
-      confirmedAt: new Date()
+    if (!canAccessBranch(req, existing.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this inventory item'
+      });
+    }
+
+    // Add quantity (and average the cost price when the delivery's cost is given)
+    const item = await restockItem(existing._id, Number(quantity), {
+      unitCost: unitCost === undefined ? undefined : Number(unitCost),
+      user: req.user,
+      notes
     });
 
     res.status(200).json({
@@ -325,6 +408,12 @@ export const restockInventory = async (req, res) => {
     });
   } catch (error) {
     console.error('Restock inventory error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to restock inventory',
@@ -340,6 +429,22 @@ export const restockInventory = async (req, res) => {
  */
 export const getInventoryTransactions = async (req, res) => {
   try {
+    const item = await Inventory.findById(req.params.id).select('branch');
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory item not found'
+      });
+    }
+
+    if (!canAccessBranch(req, item.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this inventory item'
+      });
+    }
+
     const transactions = await InventoryTransaction.find({ inventory: req.params.id })
       .populate('worker', 'name email')
       .populate('task', 'title status')
@@ -361,6 +466,118 @@ export const getInventoryTransactions = async (req, res) => {
   }
 };
 
+/**
+ * Read the options of a reorder suggestion request (query string or body)
+ * @returns {object} - { error, status } or { filter, historyDays, horizonDays }
+ */
+const parseReorderOptions = (req, { branch, category, historyDays, horizonDays }) => {
+  const options = {
+    historyDays: historyDays === undefined ? DEFAULT_HISTORY_DAYS : Number(historyDays),
+    horizonDays: horizonDays === undefined ? DEFAULT_HORIZON_DAYS : Number(horizonDays)
+  };
+
+  if (![options.historyDays, options.horizonDays].every(days => Number.isInteger(days) && days > 0 && days <= 365)) {
+    return { error: 'historyDays and horizonDays must be whole days between 1 and 365' };
+  }
+
+  options.filter = { ...branchFilter(req) };
+  if (branch) {
+    if (!canAccessBranch(req, branch)) {
+      return { error: 'Not authorized to access this branch', status: 403 };
+    }
+    options.filter.branch = branch;
+  }
+  if (category) options.filter.category = category;
+
+  return options;
+};
+
+/**
+ * @desc    Reorder suggestions from consumption history, scheduled tasks and open purchase orders
+ * @route   GET /api/v1/inventory/reorder-suggestions
+ * @access  Private (Admin only)
+ */
+export const getReorderSuggestions = async (req, res) => {
+  try {
+    const { error, status = 400, ...options } = parseReorderOptions(req, req.query);
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const suggestions = await buildReorderSuggestions({ ...options, includeAll: req.query.all === 'true' });
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: {
+        historyDays: options.historyDays,
+        horizonDays: options.horizonDays,
+        estimatedCost: Math.round(suggestions.reduce((sum, item) => sum + item.estimatedCost, 0) * 100) / 100,
+        suggestions
+      }
+    });
+  } catch (error) {
+    console.error('Get reorder suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reorder suggestions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Draft purchase orders from the reorder suggestions, one per branch and preferred supplier
+ * @route   POST /api/v1/inventory/reorder-suggestions/purchase-orders
+ * @access  Private (Admin only)
+ */
+export const createReorderPurchaseOrders = async (req, res) => {
+  try {
+    const { error, status = 400, ...options } = parseReorderOptions(req, req.body);
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Optionally only some of the suggested items
+    const { inventory } = req.body;
+    if (inventory !== undefined && !Array.isArray(inventory)) {
+      return res.status(400).json({
+        success: false,
+        message: 'inventory must be a list of inventory item ids'
+      });
+    }
+
+    let suggestions = await buildReorderSuggestions(options);
+    if (inventory) {
+      const selected = inventory.map(String);
+      suggestions = suggestions.filter(suggestion => selected.includes(suggestion.inventory._id.toString()));
+    }
+
+    const { purchaseOrders, skipped } = await draftReorderPurchaseOrders(suggestions, { user: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: `${purchaseOrders.length} draft purchase order(s) created`,
+      data: { purchaseOrders, skipped }
+    });
+  } catch (error) {
+    console.error('Create reorder purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create purchase orders',
+      error: error.message
+    });
+  }
+};
+
 export default {
   getInventoryItems,
   getInventoryItem,
@@ -369,6 +586,8 @@ export default {
   deleteInventoryItem,
   withdrawInventory,
   restockInventory,
-  getInventoryTransactions
+  getInventoryTransactions,
+  getReorderSuggestions,
+  createReorderPurchaseOrders
 };
 
@@ -1,7 +1,85 @@
 import Invoice from '../models/Invoice.js';
 import Task from '../models/Task.js';
 import Client from '../models/Client.js';
+import Settings from '../models/Settings.js';
+import CreditNote from '../models/CreditNote.js';
 import { generateInvoicePDF } from '../services/pdfService.js';
+import {
+  BILLING_GROUPS,
+  buildInvoiceItems,
+  buildConsolidatedItems,
+  billableTaskQuery,
+  groupBillableTasks,
+  createBilledInvoice,
+  invoiceDefaults
+} from '../services/invoiceService.js';
+import { recordPayment, refreshReceiptPDF } from '../services/paymentService.js';
+import { runDunning } from '../services/dunningService.js';
+import { cancelInvoice as cancelInvoiceWithCredit, refreshCreditNotePDF } from '../services/creditNoteService.js';
+import { runInTransaction } from '../services/materialService.js';
+import { sellerFromSettings, sealInvoice, buildInvoiceXML, verifyInvoice } from '../services/zatcaService.js';
+import { branchFilter, canAccessBranch } from '../middleware/auth.js';
+import { addDays, parseDateKey } from '../utils/recurrence.js';
+import { formatDocumentNumber, isValidNumberFormat } from '../utils/numbering.js';
+import { pickFields } from '../utils/pick.js';
+
+// Fields an admin may change on a draft invoice
+const DRAFT_FIELDS = ['items', 'discount', 'dueDate', 'notes'];
+
+/**
+ * Regenerate an invoice's PDF and store its path
+ */
+const refreshInvoicePDF = async (invoice, selectedImages = []) => {
+  // Consolidated invoices have no single task; their lines name each task
+  const task = invoice.task ? await Task.findById(invoice.task._id || invoice.task) : null;
+  const client = invoice.client?.name ? invoice.client : await Client.findById(invoice.client);
+
+  const pdfPath = await generateInvoicePDF(invoice, task, client, selectedImages);
+  invoice.pdfUrl = pdfPath.replace(/\\/g, '/').split('uploads/')[1];
+  await invoice.save();
+  return pdfPath;
+};
+
+/**
+ * Read a billing run request and load its billable tasks grouped into invoices
+ * @returns {Promise<object>} - { error } or { groups, period, groupBy }
+ */
+const loadBillingRun = async (req) => {
+  const { from, to, groupBy = 'client', branch, client } = req.body;
+  const start = parseDateKey(from);
+  const end = parseDateKey(to);
+
+  if (!start || !end || end < start) {
+    return { error: 'from and to must be dates (YYYY-MM-DD) with from not after to' };
+  }
+  if (!BILLING_GROUPS.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${BILLING_GROUPS.join(', ')}` };
+  }
+
+  const query = { ...billableTaskQuery(start, addDays(end, 1)), ...branchFilter(req) };
+
+  if (branch) {
+    if (!canAccessBranch(req, branch)) {
+      return { error: 'Not authorized to access this branch', status: 403 };
+    }
+    query.branch = branch;
+  }
+
+  if (client) {
+    query.client = client;
+  }
+
+  const tasks = await Task.find(query)
+    .populate('client', 'name email phone address')
+    .populate('site', 'name')
+    .sort('completedAt');
+
+  return {
+    groups: groupBillableTasks(tasks, groupBy),
+    period: { from: start, to: end },
+    groupBy
+  };
+};
 
 /**
  * @desc    Get all invoices
@@ -12,6 +90,7 @@ export const getInvoices = async (req, res) => {
   try {
     const {
       client,
+      branch,
       status,
       paymentStatus,
       page = 1,
@@ -19,7 +98,17 @@ export const getInvoices = async (req, res) => {
       sort = '-createdAt'
     } = req.query;
 
-    const query = {};
+    const query = { ...branchFilter(req) };
+
+    if (branch) {
+      if (!canAccessBranch(req, branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this branch'
+        });
+      }
+      query.branch = branch;
+    }
 
     if (client) {
       query.client = client;
@@ -64,13 +153,14 @@ export const getInvoices = async (req, res) => {
 /**
  * @desc    Get single invoice
  * @route   GET /api/v1/invoices/:id
- * @access  Private
+ * @access  Private (Admin)
  */
 export const getInvoice = async (req, res) => {
   try {
     const invoice = await Invoice.findById(req.params.id)
       .populate('client', 'name email phone address')
-      .populate('task', 'title description category status cost images');
+      .populate('task', 'title description category status cost images')
+      .populate('tasks', 'title scheduledDate completedAt');
 
     if (!invoice) {
       return res.status(404).json({
@@ -79,9 +169,20 @@ export const getInvoice = async (req, res) => {
       });
     }
 
+    if (!canAccessBranch(req, invoice.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this invoice'
+      });
+    }
+
+    const creditNotes = await CreditNote.find({ invoice: invoice._id })
+      .select('creditNoteNumber reason total appliedAmount creditAmount issuedDate cancellation')
+      .sort('issuedDate');
+
     res.status(200).json({
       success: true,
-      data: invoice
+      data: { ...invoice.toObject(), creditNotes }
     });
   } catch (error) {
     console.error('Get invoice error:', error);
@@ -113,33 +214,41 @@ export const createInvoice = async (req, res) => {
       });
     }
 
-    const count = await Invoice.countDocuments();
-    const invoiceNumber = `INV-${Date.now()}-${count + 1}`;
-
-    const totalAmount = task.cost?.total || 0;
-
-    const invoiceData = {
-      ...req.body,
-      invoiceNumber,
-      client: task.client._id,
-      task: taskId,
-      totalAmount
-    };
+    if (!canAccessBranch(req, task.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to invoice this task'
+      });
+    }
 
-    const invoice = await Invoice.create(invoiceData);
+    // Only work approved by an admin can be billed
+    if (task.status !== 'completed' || task.adminReview?.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved tasks can be invoiced'
+      });
+    }
 
-    const pdfPath = await generateInvoicePDF(
-      invoice,
-      task,
-      task.client,
-      selectedImages || []
-    );
+    if (task.invoice) {
+      return res.status(400).json({
+        success: false,
+        message: 'This task has already been invoiced'
+      });
+    }
 
-    invoice.pdfUrl = pdfPath.replace(/\\/g, '/').split('uploads/')[1];
-    await invoice.save();
+    // Lines come from the task's cost; the invoice starts as an editable draft
+    const invoice = await createBilledInvoice({
+      ...(await invoiceDefaults()),
+      ...pickFields(req.body, ['dueDate', 'discount', 'notes']),
+      status: 'draft',
+      client: task.client._id,
+      branch: task.branch,
+      task: task._id,
+      items: buildInvoiceItems(task)
+    }, [task._id]);
 
-    task.invoice = invoice._id;
-    await task.save();
+    invoice.client = task.client;
+    await refreshInvoicePDF(invoice, selectedImages || []);
 
     res.status(201).json({
       success: true,
@@ -147,6 +256,12 @@ export const createInvoice = async (req, res) => {
       data: invoice
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Create invoice error:', error);
     res.status(500).json({
       success: false,
@@ -163,7 +278,7 @@ export const createInvoice = async (req, res) => {
  */
 export const updateInvoice = async (req, res) => {
   try {
-    let invoice = await Invoice.findById(req.params.id)
+    const invoice = await Invoice.findById(req.params.id)
       .populate('task')
       .populate('client');
 
@@ -174,29 +289,46 @@ export const updateInvoice = async (req, res) => {
       });
     }
 
-    const { selectedImages, regeneratePDF } = req.body;
+    if (!canAccessBranch(req, invoice.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this invoice'
+      });
+    }
 
-    invoice = await Invoice.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate('task').populate('client');
+    const { selectedImages, regeneratePDF, rebuildItems } = req.body;
+    const changes = pickFields(req.body, DRAFT_FIELDS);
 
-    if (regeneratePDF) {
-      const task = await Task.findById(invoice.task._id);
-      
-      const pdfPath = await generateInvoicePDF(
-        invoice,
-        task,
-        invoice.client,
-        selectedImages || []
-      );
+    // Only notes can change once an invoice is issued; amounts are corrected with credit notes
+    if (invoice.status !== 'draft' && (rebuildItems || Object.keys(changes).some(field => field !== 'notes'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Issued invoices can no longer be edited; issue a credit note instead'
+      });
+    }
 
-      invoice.pdfUrl = pdfPath.replace(/\\/g, '/').split('uploads/')[1];
-      await invoice.save();
+    invoice.set(changes);
+
+    // Start the lines again from the current cost of the billed task(s)
+    if (rebuildItems) {
+      invoice.items = invoice.task
+        ? buildInvoiceItems(invoice.task)
+        : buildConsolidatedItems(await Task.find({ _id: { $in: invoice.tasks } }));
+    }
+
+    const subtotal = invoice.items.reduce((sum, item) => sum + (item.quantity || 0) * (item.unitPrice || 0), 0);
+    if (invoice.discount > subtotal) {
+      return res.status(400).json({
+        success: false,
+        message: 'Discount cannot be larger than the subtotal'
+      });
+    }
+
+    await invoice.save();
+
+    const amountsChanged = rebuildItems || ['items', 'discount', 'dueDate'].some(field => changes[field] !== undefined);
+    if (regeneratePDF || amountsChanged) {
+      await refreshInvoicePDF(invoice, selectedImages || []);
     }
 
     res.status(200).json({
@@ -205,6 +337,12 @@ export const updateInvoice = async (req, res) => {
       data: invoice
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update invoice error:', error);
     res.status(500).json({
       success: false,
@@ -215,11 +353,89 @@ export const updateInvoice = async (req, res) => {
 };
 
 /**
- * @desc    Delete invoice
- * @route   DELETE /api/v1/invoices/:id
+ * @desc    Finalize a draft invoice so it can be sent and paid
+ * @route   POST /api/v1/invoices/:id/finalize
  * @access  Private (Admin)
  */
-export const deleteInvoice = async (req, res) => {
+export const finalizeInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id).populate('client');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!canAccessBranch(req, invoice.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this invoice'
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: invoice.status === 'cancelled' ? 'Invoice is cancelled' : 'Invoice is already issued'
+      });
+    }
+
+    if (invoice.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invoice needs at least one line'
+      });
+    }
+
+    // A tax invoice needs the seller's VAT number
+    const seller = sellerFromSettings(await Settings.getSettings());
+    if (!seller.vatNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set the seller VAT number in the e-invoicing settings before issuing invoices'
+      });
+    }
+
+    // Issuing takes the next place in the hash chain
+    await runInTransaction(async (session) => {
+      invoice.status = 'issued';
+      invoice.issuedDate = new Date();
+      invoice.issuedBy = req.user._id;
+      await sealInvoice(invoice, seller, invoice.client, { session });
+      await invoice.save({ session });
+    });
+
+    await refreshInvoicePDF(invoice, req.body.selectedImages || []);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice issued',
+      data: invoice
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another invoice was issued at the same time, please try again'
+      });
+    }
+    console.error('Finalize invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to finalize invoice',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download an issued invoice as UBL 2.1 XML (Saudi e-invoicing)
+ * @route   GET /api/v1/invoices/:id/xml
+ * @access  Private (Admin)
+ */
+export const downloadInvoiceXML = async (req, res) => {
   try {
     const invoice = await Invoice.findById(req.params.id);
 
@@ -230,30 +446,509 @@ export const deleteInvoice = async (req, res) => {
       });
     }
 
-    await invoice.deleteOne();
+    if (!canAccessBranch(req, invoice.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this invoice'
+      });
+    }
+
+    if (!invoice.zatca?.invoiceHash) {
+      return res.status(400).json({
+        success: false,
+        message: invoice.status === 'draft'
+          ? 'Finalize the invoice to produce its e-invoice'
+          : 'This invoice was issued before e-invoicing was enabled'
+      });
+    }
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.xml"`);
+    res.status(200).send(buildInvoiceXML(invoice));
+  } catch (error) {
+    console.error('Download invoice XML error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export invoice XML',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    E-invoice details of an issued invoice with a check of its hash, signature and chain link
+ * @route   GET /api/v1/invoices/:id/einvoice
+ * @access  Private (Admin)
+ */
+export const getEInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!canAccessBranch(req, invoice.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this invoice'
+      });
+    }
+
+    if (!invoice.zatca?.invoiceHash) {
+      return res.status(400).json({
+        success: false,
+        message: 'This invoice has no e-invoice yet'
+      });
+    }
+
+    const previous = invoice.zatca.counter > 1
+      ? await Invoice.findOne({ 'zatca.counter': invoice.zatca.counter - 1 }).select('invoiceNumber zatca.invoiceHash')
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...invoice.zatca.toObject(),
+        previousInvoice: previous?.invoiceNumber || null,
+        verification: {
+          ...verifyInvoice(invoice),
+          chainValid: invoice.zatca.counter > 1
+            ? previous?.zatca?.invoiceHash === invoice.zatca.previousHash
+            : true
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get e-invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch e-invoice',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the seller details used for e-invoicing
+ * @route   GET /api/v1/invoices/einvoice/settings
+ * @access  Private (Admin)
+ */
+export const getEInvoiceSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...settings.einvoice.toObject(),
+        signingKeyConfigured: Boolean(process.env.ZATCA_PRIVATE_KEY || process.env.ZATCA_PRIVATE_KEY_PATH)
+      }
+    });
+  } catch (error) {
+    console.error('Get e-invoice settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch e-invoicing settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update the seller details used for e-invoicing (issued invoices keep the details they were sealed with)
+ * @route   PUT /api/v1/invoices/einvoice/settings
+ * @access  Private (Admin)
+ */
+export const updateEInvoiceSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    ['sellerName', 'vatNumber', 'commercialRegistration'].forEach((field) => {
+      if (req.body[field] !== undefined) settings.einvoice[field] = req.body[field];
+    });
+    if (req.body.address) {
+      Object.entries(req.body.address).forEach(([field, value]) => {
+        settings.set(`einvoice.address.${field}`, value);
+      });
+    }
+    await settings.save();
 
     res.status(200).json({
       success: true,
-      message: 'Invoice deleted successfully'
+      message: 'E-invoicing settings updated',
+      data: settings.einvoice
     });
   } catch (error) {
-    console.error('Delete invoice error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update e-invoice settings error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete invoice',
+      message: 'Failed to update e-invoicing settings',
       error: error.message
     });
   }
 };
 
 /**
- * @desc    Update payment status
+ * @desc    Cancel an invoice, keeping it with the reason; an issued invoice is credited for what is left
+ * @route   POST /api/v1/invoices/:id/cancel (also DELETE /api/v1/invoices/:id)
+ * @access  Private (Admin)
+ */
+export const cancelInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id).select('branch status');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!canAccessBranch(req, invoice.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this invoice'
+      });
+    }
+
+    if (invoice.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is already cancelled'
+      });
+    }
+
+    const result = await cancelInvoiceWithCredit(req.params.id, { reason: req.body?.reason }, { user: req.user });
+
+    if (result.creditNote) {
+      await refreshCreditNotePDF(result.creditNote);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice cancelled',
+      data: {
+        invoice: result.invoice,
+        creditNote: result.creditNote,
+        creditBalance: result.client?.creditBalance
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Cancel invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel invoice',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Preview a billing run: the invoices it would create, without saving anything
+ * @route   POST /api/v1/invoices/billing-run/preview
+ * @access  Private (Admin)
+ */
+export const previewBillingRun = async (req, res) => {
+  try {
+    const run = await loadBillingRun(req);
+
+    if (run.error) {
+      return res.status(run.status || 400).json({
+        success: false,
+        message: run.error
+      });
+    }
+
+    const { tax, currency } = await invoiceDefaults();
+
+    const invoices = run.groups.map((group) => {
+      const items = buildConsolidatedItems(group.tasks);
+      const totals = Invoice.calculateTotals(items, { taxRate: tax.rate });
+
+      return {
+        client: { _id: group.client._id, name: group.client.name },
+        site: group.site ? { _id: group.site._id, name: group.site.name } : null,
+        branch: group.branch,
+        tasks: group.tasks.map(task => ({
+          _id: task._id,
+          title: task.title,
+          completedAt: task.completedAt,
+          cost: task.cost?.total || 0
+        })),
+        items: items.map((item, index) => ({ ...item, total: totals.lineTotals[index] })),
+        subtotal: totals.subtotal,
+        tax: { rate: tax.rate, amount: totals.taxAmount },
+        total: totals.total,
+        currency
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: run.period,
+        groupBy: run.groupBy,
+        invoiceCount: invoices.length,
+        taskCount: invoices.reduce((sum, invoice) => sum + invoice.tasks.length, 0),
+        total: invoices.reduce((sum, invoice) => sum + invoice.total, 0),
+        invoices
+      }
+    });
+  } catch (error) {
+    console.error('Preview billing run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview billing run',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Run billing: one draft invoice per client (or site) for the period's approved, uninvoiced tasks
+ * @route   POST /api/v1/invoices/billing-run
+ * @access  Private (Admin)
+ */
+export const runBilling = async (req, res) => {
+  try {
+    const run = await loadBillingRun(req);
+
+    if (run.error) {
+      return res.status(run.status || 400).json({
+        success: false,
+        message: run.error
+      });
+    }
+
+    const defaults = await invoiceDefaults();
+    const created = [];
+    const skipped = [];
+
+    // Each invoice is committed on its own: a task billed meanwhile only skips its own group
+    for (const group of run.groups) {
+      const taskIds = group.tasks.map(task => task._id);
+
+      try {
+        const invoice = await createBilledInvoice({
+          ...defaults,
+          ...pickFields(req.body, ['dueDate', 'notes']),
+          status: 'draft',
+          client: group.client._id,
+          branch: group.branch,
+          site: group.site?._id || null,
+          period: run.period,
+          items: buildConsolidatedItems(group.tasks)
+        }, taskIds);
+
+        invoice.client = group.client;
+        await refreshInvoicePDF(invoice);
+        created.push(invoice);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        skipped.push({ client: group.client._id, site: group.site?._id || null, tasks: taskIds, reason: error.message });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${created.length} draft invoice(s)`,
+      count: created.length,
+      data: { invoices: created, skipped }
+    });
+  } catch (error) {
+    console.error('Billing run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run billing',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the payment reminder (dunning) schedule
+ * @route   GET /api/v1/invoices/reminders/settings
+ * @access  Private (Admin)
+ */
+export const getReminderSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings.invoice.reminders
+    });
+  } catch (error) {
+    console.error('Get reminder settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reminder settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update the payment reminder schedule: days relative to the due date (negative = before)
+ * @route   PUT /api/v1/invoices/reminders/settings
+ * @access  Private (Admin)
+ */
+export const updateReminderSettings = async (req, res) => {
+  try {
+    const { enabled, days } = req.body;
+
+    if (days !== undefined && (!Array.isArray(days) || days.some(day => !Number.isInteger(day)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be a list of whole days relative to the due date, e.g. [-3, 0, 7, 30]'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    if (enabled !== undefined) settings.invoice.reminders.enabled = Boolean(enabled);
+    if (days !== undefined) settings.invoice.reminders.days = [...new Set(days)].sort((a, b) => a - b);
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reminder settings updated',
+      data: settings.invoice.reminders
+    });
+  } catch (error) {
+    console.error('Update reminder settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reminder settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the invoice number prefix and format
+ * @route   GET /api/v1/invoices/numbering/settings
+ * @access  Private (Admin)
+ */
+export const getNumberingSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const { prefix, format } = settings.invoice.numbering;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        prefix,
+        format,
+        example: formatDocumentNumber(format, { prefix, branch: 'BR', seq: 1 })
+      }
+    });
+  } catch (error) {
+    console.error('Get numbering settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch numbering settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update the invoice number prefix and format (applies to invoices created afterwards)
+ * @route   PUT /api/v1/invoices/numbering/settings
+ * @access  Private (Admin)
+ */
+export const updateNumberingSettings = async (req, res) => {
+  try {
+    const { prefix, format } = req.body;
+
+    if (format !== undefined && !isValidNumberFormat(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format needs {seq} (or {seq:N}), {branch} and {year} (or {yy}), e.g. {prefix}-{branch}-{year}-{seq:5}'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    if (prefix !== undefined) settings.invoice.numbering.prefix = prefix;
+    if (format !== undefined) settings.invoice.numbering.format = format;
+    await settings.save();
+
+    const { numbering } = settings.invoice;
+    res.status(200).json({
+      success: true,
+      message: 'Numbering settings updated',
+      data: {
+        prefix: numbering.prefix,
+        format: numbering.format,
+        example: formatDocumentNumber(numbering.format, { prefix: numbering.prefix, branch: 'BR', seq: 1 })
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update numbering settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update numbering settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Mark overdue invoices and send the reminders due now (also run by the scheduler)
+ * @route   POST /api/v1/invoices/reminders/run
+ * @access  Private (Admin)
+ */
+export const runInvoiceReminders = async (req, res) => {
+  try {
+    const result = await runDunning({ filter: branchFilter(req) });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.markedOverdue} invoice(s) marked overdue, ${result.remindersSent} reminder(s) sent`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Run invoice reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run payment reminders',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record a payment through the older payment-status call
+ * paidAmount is the new total paid; the difference is recorded as a payment.
+ * The payment status itself is derived from the payments.
  * @route   PUT /api/v1/invoices/:id/payment-status
  * @access  Private (Admin)
  */
 export const updatePaymentStatus = async (req, res) => {
   try {
-    const { paymentStatus, paymentMethod, paidAmount, paymentDate } = req.body;
+    const { paymentMethod, paidAmount, paymentDate, reference } = req.body;
 
     const invoice = await Invoice.findById(req.params.id);
 
@@ -264,37 +959,52 @@ export const updatePaymentStatus = async (req, res) => {
       });
     }
 
-    invoice.paymentStatus = paymentStatus;
-    
-    if (paymentMethod) {
-      invoice.paymentMethod = paymentMethod;
+    if (!canAccessBranch(req, invoice.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this invoice'
+      });
     }
 
-    if (paidAmount !== undefined) {
-      invoice.paidAmount = paidAmount;
+    if (invoice.status === 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Finalize the invoice before recording payments'
+      });
     }
 
-    if (paymentDate) {
-      invoice.paidAt = paymentDate;
+    const amount = Math.round((Number(paidAmount) - invoice.paidAmount) * 100) / 100;
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'paidAmount must be more than what is already paid; void a payment to reduce it'
+      });
     }
 
-    if (paymentStatus === 'paid') {
-      const client = await Client.findById(invoice.client);
-      if (client) {
-        client.paymentStatus = 'paid';
-        client.lastPaymentDate = new Date();
-        await client.save();
-      }
-    }
+    const { payment, invoices } = await recordPayment({
+      client: invoice.client,
+      amount,
+      method: paymentMethod || 'other',
+      reference,
+      paidAt: paymentDate,
+      invoices: [{ invoice: invoice._id, amount }]
+    }, { user: req.user });
 
-    await invoice.save();
+    await refreshReceiptPDF(payment);
 
     res.status(200).json({
       success: true,
-      message: 'Payment status updated successfully',
-      data: invoice
+      message: 'Payment recorded successfully',
+      data: invoices[0],
+      payment
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update payment status error:', error);
     res.status(500).json({
       success: false,
@@ -309,6 +1019,18 @@ export default {
   getInvoice,
   createInvoice,
   updateInvoice,
-  deleteInvoice,
+  finalizeInvoice,
+  downloadInvoiceXML,
+  getEInvoice,
+  getEInvoiceSettings,
+  updateEInvoiceSettings,
+  cancelInvoice,
+  previewBillingRun,
+  runBilling,
+  getReminderSettings,
+  updateReminderSettings,
+  getNumberingSettings,
+  updateNumberingSettings,
+  runInvoiceReminders,
   updatePaymentStatus
 };
\ No newline at end of file
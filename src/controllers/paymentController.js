@@ -0,0 +1,289 @@
+import Payment, { PAYMENT_METHODS } from '../models/Payment.js';
+import Client from '../models/Client.js';
+import { recordPayment, reversePayment, refreshReceiptPDF } from '../services/paymentService.js';
+import { resolvePDFPath } from '../services/pdfService.js';
+import { branchFilter, canAccessBranch } from '../middleware/auth.js';
+
+/**
+ * Answer an error carrying a statusCode (validation of the payment), else a 500
+ */
+const sendPaymentError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * @desc    Get payments
+ * @route   GET /api/v1/payments
+ * @access  Private (Admin)
+ */
+export const getPayments = async (req, res) => {
+  try {
+    const {
+      client,
+      invoice,
+      branch,
+      status,
+      method,
+      from,
+      to,
+      page = 1,
+      limit = 20,
+      sort = '-paidAt'
+    } = req.query;
+
+    const query = { ...branchFilter(req) };
+
+    if (branch) {
+      if (!canAccessBranch(req, branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this branch'
+        });
+      }
+      query.branch = branch;
+    }
+
+    if (client) query.client = client;
+    if (invoice) query['allocations.invoice'] = invoice;
+    if (status) query.status = status;
+    if (method) query.method = method;
+
+    if (from || to) {
+      query.paidAt = {};
+      if (from) query.paidAt.$gte = new Date(from);
+      if (to) query.paidAt.$lte = new Date(to);
+    }
+
+    const payments = await Payment.find(query)
+      .populate('client', 'name email phone')
+      .populate('allocations.invoice', 'invoiceNumber total')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await Payment.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: payments
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single payment
+ * @route   GET /api/v1/payments/:id
+ * @access  Private (Admin)
+ */
+export const getPayment = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('client', 'name email phone creditBalance')
+      .populate('allocations.invoice', 'invoiceNumber total paidAmount paymentStatus dueDate')
+      .populate('recordedBy', 'name')
+      .populate('voidedBy', 'name');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!canAccessBranch(req, payment.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this payment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record a payment against one or more invoices; any overpayment becomes client credit
+ * @route   POST /api/v1/payments
+ * @access  Private (Admin)
+ */
+export const createPayment = async (req, res) => {
+  try {
+    const { client: clientId, amount, method, reference, paidAt, invoices, notes } = req.body;
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `method must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    if (invoices !== undefined && (!Array.isArray(invoices) || invoices.some(entry => !entry?.invoice))) {
+      return res.status(400).json({
+        success: false,
+        message: 'invoices must be a list of { invoice, amount }'
+      });
+    }
+
+    const client = await Client.findById(clientId).select('branch');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    if (!canAccessBranch(req, client.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to record payments for this client'
+      });
+    }
+
+    const result = await recordPayment(
+      { client: clientId, amount, method, reference, paidAt, invoices, notes },
+      { user: req.user }
+    );
+
+    await refreshReceiptPDF(result.payment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        payment: result.payment,
+        invoices: result.invoices.map(invoice => ({
+          _id: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          total: invoice.total,
+          paidAmount: invoice.paidAmount,
+          balanceDue: invoice.balanceDue(),
+          paymentStatus: invoice.paymentStatus
+        })),
+        creditBalance: result.client.creditBalance
+      }
+    });
+  } catch (error) {
+    console.error('Create payment error:', error);
+    sendPaymentError(res, error, 'Failed to record payment');
+  }
+};
+
+/**
+ * @desc    Void a payment; its invoices and the client's credit are restored
+ * @route   POST /api/v1/payments/:id/void
+ * @access  Private (Admin)
+ */
+export const voidPayment = async (req, res) => {
+  try {
+    const existing = await Payment.findById(req.params.id).select('branch');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!canAccessBranch(req, existing.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this payment'
+      });
+    }
+
+    const { payment, client } = await reversePayment(req.params.id, { user: req.user, reason: req.body.reason });
+
+    // The receipt is reissued marked as void
+    await refreshReceiptPDF(payment);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment voided',
+      data: {
+        payment,
+        creditBalance: client.creditBalance
+      }
+    });
+  } catch (error) {
+    console.error('Void payment error:', error);
+    sendPaymentError(res, error, 'Failed to void payment');
+  }
+};
+
+/**
+ * @desc    Download a payment receipt as PDF
+ * @route   GET /api/v1/payments/:id/receipt
+ * @access  Private (Admin)
+ */
+export const downloadReceipt = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!canAccessBranch(req, payment.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this payment'
+      });
+    }
+
+    // Regenerate the PDF if it was never created or has been removed
+    const pdfPath = resolvePDFPath(payment.receiptUrl) || await refreshReceiptPDF(payment);
+
+    res.download(pdfPath, `${payment.paymentNumber}.pdf`);
+  } catch (error) {
+    console.error('Download receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download receipt',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getPayments,
+  getPayment,
+  createPayment,
+  voidPayment,
+  downloadReceipt
+};
@@ -0,0 +1,803 @@
+import Client, { CLIENT_PROFILE_FIELDS } from '../models/Client.js';
+import Site from '../models/Site.js';
+import Task from '../models/Task.js';
+import Invoice, { ISSUED_INVOICE_QUERY } from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import CreditNote from '../models/CreditNote.js';
+import Quote from '../models/Quote.js';
+import { ACTIVE_TASK_STATUSES } from '../models/Branch.js';
+import { generateInvoicePDF, resolvePDFPath } from '../services/pdfService.js';
+import { submitTaskFeedback } from '../services/feedbackService.js';
+import { refreshReceiptPDF } from '../services/paymentService.js';
+import { buildInvoiceXML } from '../services/zatcaService.js';
+import { refreshCreditNotePDF } from '../services/creditNoteService.js';
+import { expireQuotes, respondToQuote, refreshQuotePDF } from '../services/quoteService.js';
+
+// Task fields a client is allowed to see (no costs, GPS or review notes)
+const CLIENT_TASK_FIELDS = 'title description site section status priority category scheduledDate '
+  + 'estimatedDuration startedAt completedAt images invoice worker '
+  + 'feedback.rating feedback.comment feedback.submittedAt';
+
+// Quote fields a client is allowed to see (not who prepared or converted it, nor its tasks)
+const CLIENT_QUOTE_FIELDS = 'quoteNumber site branch title description category status items visits subtotal '
+  + 'tax discount total currency validFrom validUntil sentAt respondedAt responseNote notes';
+
+/**
+ * Shape a task for the client: section name and client-visible images only
+ */
+const toClientTask = (task) => {
+  const { site, images = {}, ...rest } = task;
+  const section = site?.sections?.find(s => s._id.toString() === task.section?.toString());
+  const visible = (list = []) => list
+    .filter(image => image.isVisibleToClient)
+    .map(({ uploadedBy, ...image }) => image);
+
+  return {
+    ...rest,
+    site: site ? { _id: site._id, name: site.name, location: site.location } : null,
+    section: section ? { _id: section._id, name: section.name } : null,
+    images: {
+      before: visible(images.before),
+      after: visible(images.after)
+    }
+  };
+};
+
+/**
+ * @desc    Get own profile
+ * @route   GET /api/v1/portal/profile
+ * @access  Private (Client)
+ */
+export const getProfile = async (req, res) => {
+  try {
+    const client = await Client.findById(req.client._id)
+      .populate('branch', 'name phone email address');
+
+    res.status(200).json({
+      success: true,
+      data: client.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Portal get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update own contact details
+ * @route   PUT /api/v1/portal/profile
+ * @access  Private (Client)
+ */
+export const updateProfile = async (req, res) => {
+  try {
+    const client = await Client.findById(req.client._id);
+
+    CLIENT_PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) client[field] = req.body[field];
+    });
+
+    await client.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: client.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Portal update profile error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to update profile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Change own password
+ * @route   PUT /api/v1/portal/password
+ * @access  Private (Client)
+ */
+export const updatePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 6 characters'
+      });
+    }
+
+    const client = await Client.findById(req.client._id).select('+password');
+
+    const isMatch = await client.comparePassword(currentPassword || '');
+
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    client.password = newPassword;
+    client.isPasswordTemporary = false;
+    await client.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+  } catch (error) {
+    console.error('Portal update password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update password',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get own sites with their sections
+ * @route   GET /api/v1/portal/sites
+ * @access  Private (Client)
+ */
+export const getSites = async (req, res) => {
+  try {
+    const sites = await Site.find({ client: req.client._id, isActive: true })
+      .select('-notes -sections.notes')
+      .sort('name')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: sites.length,
+      data: sites
+    });
+  } catch (error) {
+    console.error('Portal get sites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sites',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get one of own sites
+ * @route   GET /api/v1/portal/sites/:id
+ * @access  Private (Client)
+ */
+export const getSite = async (req, res) => {
+  try {
+    const site = await Site.findOne({ _id: req.params.id, client: req.client._id, isActive: true })
+      .select('-notes -sections.notes')
+      .lean();
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: site
+    });
+  } catch (error) {
+    console.error('Portal get site error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch site',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get own tasks (view=upcoming|completed)
+ * @route   GET /api/v1/portal/tasks
+ * @access  Private (Client)
+ */
+export const getTasks = async (req, res) => {
+  try {
+    const { view = 'upcoming', site, page = 1, limit = 20 } = req.query;
+
+    const query = { client: req.client._id };
+    let sort;
+
+    if (view === 'completed') {
+      query.status = 'completed';
+      sort = '-completedAt';
+    } else if (view === 'upcoming') {
+      query.status = { $in: ACTIVE_TASK_STATUSES };
+      sort = 'scheduledDate';
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'view must be upcoming or completed'
+      });
+    }
+
+    if (site) query.site = site;
+
+    const tasks = await Task.find(query)
+      .select(CLIENT_TASK_FIELDS)
+      .populate('site', 'name location sections._id sections.name')
+      .populate('worker', 'name')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await Task.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: tasks.map(toClientTask)
+    });
+  } catch (error) {
+    console.error('Portal get tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tasks',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get one of own tasks
+ * @route   GET /api/v1/portal/tasks/:id
+ * @access  Private (Client or single-task feedback link)
+ */
+export const getTask = async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, client: req.client._id })
+      .select(CLIENT_TASK_FIELDS)
+      .populate('site', 'name location sections._id sections.name')
+      .populate('worker', 'name')
+      .lean();
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toClientTask(task)
+    });
+  } catch (error) {
+    console.error('Portal get task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch task',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Rate a completed task (once)
+ * @route   POST /api/v1/portal/tasks/:id/feedback
+ * @access  Private (Client or single-task feedback link)
+ */
+export const submitFeedback = async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+
+    const task = await submitTaskFeedback(req.params.id, req.client, { rating, comment });
+
+    if (!task) {
+      const existing = await Task.findOne({ _id: req.params.id, client: req.client._id })
+        .select('status feedback.submittedAt');
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: existing.feedback?.submittedAt
+          ? 'Feedback has already been submitted for this task'
+          : 'Only completed tasks can be rated'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you for your feedback',
+      data: {
+        rating: task.feedback.rating,
+        comment: task.feedback.comment,
+        submittedAt: task.feedback.submittedAt
+      }
+    });
+  } catch (error) {
+    console.error('Portal submit feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit feedback',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get own invoices
+ * @route   GET /api/v1/portal/invoices
+ * @access  Private (Client)
+ */
+export const getInvoices = async (req, res) => {
+  try {
+    const { paymentStatus, page = 1, limit = 20 } = req.query;
+
+    // Drafts stay internal until they are issued
+    const query = { client: req.client._id, ...ISSUED_INVOICE_QUERY };
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+
+    const invoices = await Invoice.find(query)
+      .select('-sentToClient')
+      .populate('task', 'title scheduledDate completedAt')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await Invoice.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: invoices
+    });
+  } catch (error) {
+    console.error('Portal get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoices',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get one of own invoices
+ * @route   GET /api/v1/portal/invoices/:id
+ * @access  Private (Client)
+ */
+export const getInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.id, client: req.client._id, ...ISSUED_INVOICE_QUERY })
+      .select('-sentToClient')
+      .populate('task', 'title scheduledDate completedAt')
+      .populate('branch', 'name phone email address')
+      .lean();
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Portal get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download one of own invoices as PDF
+ * @route   GET /api/v1/portal/invoices/:id/pdf
+ * @access  Private (Client)
+ */
+export const downloadInvoicePDF = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.id, client: req.client._id, ...ISSUED_INVOICE_QUERY });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    let pdfPath = resolvePDFPath(invoice.pdfUrl);
+
+    // Regenerate the PDF if it was never created or has been removed
+    if (!pdfPath) {
+      const task = await Task.findById(invoice.task);
+      pdfPath = await generateInvoicePDF(invoice, task, req.client, []);
+
+      invoice.pdfUrl = pdfPath.replace(/\\/g, '/').split('uploads/')[1];
+      await invoice.save();
+    }
+
+    res.download(pdfPath, `${invoice.invoiceNumber}.pdf`);
+  } catch (error) {
+    console.error('Portal download invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download invoice',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download one of own issued invoices as e-invoice XML
+ * @route   GET /api/v1/portal/invoices/:id/xml
+ * @access  Private (Client)
+ */
+export const downloadInvoiceXML = async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      client: req.client._id,
+      'zatca.invoiceHash': { $exists: true }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.xml"`);
+    res.status(200).send(buildInvoiceXML(invoice));
+  } catch (error) {
+    console.error('Portal download invoice XML error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export invoice XML',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get own payments
+ * @route   GET /api/v1/portal/payments
+ * @access  Private (Client)
+ */
+export const getPayments = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { client: req.client._id };
+
+    const payments = await Payment.find(query)
+      .select('paymentNumber amount method reference paidAt allocations creditAmount status voidedAt')
+      .populate('allocations.invoice', 'invoiceNumber total')
+      .sort('-paidAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await Payment.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      creditBalance: req.client.creditBalance || 0,
+      data: payments
+    });
+  } catch (error) {
+    console.error('Portal get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download the receipt of one of own payments
+ * @route   GET /api/v1/portal/payments/:id/receipt
+ * @access  Private (Client)
+ */
+export const downloadReceiptPDF = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ _id: req.params.id, client: req.client._id });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Regenerate the PDF if it was never created or has been removed
+    const pdfPath = resolvePDFPath(payment.receiptUrl) || await refreshReceiptPDF(payment);
+
+    res.download(pdfPath, `${payment.paymentNumber}.pdf`);
+  } catch (error) {
+    console.error('Portal download receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download receipt',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get own credit notes
+ * @route   GET /api/v1/portal/credit-notes
+ * @access  Private (Client)
+ */
+export const getCreditNotes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { client: req.client._id };
+
+    const creditNotes = await CreditNote.find(query)
+      .select('creditNoteNumber invoice reason items subtotal discount tax total currency creditAmount issuedDate')
+      .populate('invoice', 'invoiceNumber total')
+      .sort('-issuedDate')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await CreditNote.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: creditNotes.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: creditNotes
+    });
+  } catch (error) {
+    console.error('Portal get credit notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credit notes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download one of own credit notes as PDF
+ * @route   GET /api/v1/portal/credit-notes/:id/pdf
+ * @access  Private (Client)
+ */
+export const downloadCreditNotePDF = async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findOne({ _id: req.params.id, client: req.client._id });
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    // Regenerate the PDF if it was never created or has been removed
+    const pdfPath = resolvePDFPath(creditNote.pdfUrl) || await refreshCreditNotePDF(creditNote);
+
+    res.download(pdfPath, `${creditNote.creditNoteNumber}.pdf`);
+  } catch (error) {
+    console.error('Portal download credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download credit note',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get quotes sent to the client
+ * @route   GET /api/v1/portal/quotes
+ * @access  Private (Client)
+ */
+export const getQuotes = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    await expireQuotes();
+
+    // Drafts stay internal until they are sent
+    const query = { client: req.client._id, status: { $ne: 'draft' } };
+    if (status && status !== 'draft') query.status = status;
+
+    const quotes = await Quote.find(query)
+      .select(CLIENT_QUOTE_FIELDS)
+      .populate('site', 'name')
+      .sort('-sentAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await Quote.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: quotes.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: quotes
+    });
+  } catch (error) {
+    console.error('Portal get quotes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get one of own quotes
+ * @route   GET /api/v1/portal/quotes/:id
+ * @access  Private (Client or single-quote link)
+ */
+export const getQuote = async (req, res) => {
+  try {
+    const quote = await Quote.findOne({ _id: req.params.id, client: req.client._id, status: { $ne: 'draft' } })
+      .select(CLIENT_QUOTE_FIELDS)
+      .populate('site', 'name location sections._id sections.name')
+      .populate('branch', 'name phone email address');
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...quote.toObject(), expired: quote.isExpired() }
+    });
+  } catch (error) {
+    console.error('Portal get quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quote',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download one of own quotes as PDF
+ * @route   GET /api/v1/portal/quotes/:id/pdf
+ * @access  Private (Client or single-quote link)
+ */
+export const downloadQuotePDF = async (req, res) => {
+  try {
+    const quote = await Quote.findOne({ _id: req.params.id, client: req.client._id, status: { $ne: 'draft' } });
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    // Regenerate the PDF if it was never created or has been removed
+    const pdfPath = resolvePDFPath(quote.pdfUrl) || await refreshQuotePDF(quote);
+
+    res.download(pdfPath, `${quote.quoteNumber}.pdf`);
+  } catch (error) {
+    console.error('Portal download quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download quote',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record the client's answer to a quote
+ */
+const answerQuote = (accept) => async (req, res) => {
+  try {
+    const quote = await respondToQuote(req.params.id, req.client, { accept, note: req.body.note });
+
+    res.status(200).json({
+      success: true,
+      message: accept
+        ? 'Thank you, the quote is accepted; we will be in touch to confirm the visits'
+        : 'The quote has been rejected',
+      data: {
+        _id: quote._id,
+        quoteNumber: quote.quoteNumber,
+        status: quote.status,
+        respondedAt: quote.respondedAt
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error(`Portal ${accept ? 'accept' : 'reject'} quote error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${accept ? 'accept' : 'reject'} quote`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Accept a sent quote while it is valid
+ * @route   POST /api/v1/portal/quotes/:id/accept
+ * @access  Private (Client or single-quote link)
+ */
+export const acceptQuote = answerQuote(true);
+
+/**
+ * @desc    Reject a sent quote, optionally with a note
+ * @route   POST /api/v1/portal/quotes/:id/reject
+ * @access  Private (Client or single-quote link)
+ */
+export const rejectQuote = answerQuote(false);
+
+export default {
+  getProfile,
+  updateProfile,
+  updatePassword,
+  getSites,
+  getSite,
+  getTasks,
+  getTask,
+  submitFeedback,
+  getInvoices,
+  getInvoice,
+  downloadInvoicePDF,
+  downloadInvoiceXML,
+  getPayments,
+  downloadReceiptPDF,
+  getCreditNotes,
+  downloadCreditNotePDF,
+  getQuotes,
+  getQuote,
+  downloadQuotePDF,
+  acceptQuote,
+  rejectQuote
+};
@@ -0,0 +1,440 @@
+import PurchaseOrder, { RECEIVABLE_PO_STATUSES } from '../models/PurchaseOrder.js';
+import Branch from '../models/Branch.js';
+import {
+  purchaseOrderDefaults,
+  findActiveSupplier,
+  buildPurchaseOrderItems,
+  receivePurchaseOrder as receiveDelivery,
+  refreshPurchaseOrderPDF
+} from '../services/purchaseOrderService.js';
+import { sendPurchaseOrderEmail } from '../services/emailService.js';
+import { resolvePDFPath } from '../services/pdfService.js';
+import { branchFilter, canAccessBranch } from '../middleware/auth.js';
+import { pickFields } from '../utils/pick.js';
+
+// Fields an admin may set on a draft purchase order
+const PURCHASE_ORDER_FIELDS = ['expectedDate', 'notes'];
+
+/**
+ * Answer an error carrying a statusCode (validation of the order), else a 500
+ */
+const sendPurchaseOrderError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Load a purchase order of a branch the user can access
+ * @returns {Promise<object>} - { purchaseOrder } or { status, message }
+ */
+const findPurchaseOrder = async (req, action = 'access') => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return { status: 404, message: 'Purchase order not found' };
+  }
+
+  if (!canAccessBranch(req, purchaseOrder.branch)) {
+    return { status: 403, message: `Not authorized to ${action} this purchase order` };
+  }
+
+  return { purchaseOrder };
+};
+
+/**
+ * @desc    Get purchase orders
+ * @route   GET /api/v1/purchase-orders
+ * @access  Private (Admin)
+ */
+export const getPurchaseOrders = async (req, res) => {
+  try {
+    const {
+      status,
+      supplier,
+      branch,
+      inventory,
+      from,
+      to,
+      page = 1,
+      limit = 20,
+      sort = '-createdAt'
+    } = req.query;
+
+    const query = { ...branchFilter(req) };
+
+    if (branch) {
+      if (!canAccessBranch(req, branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this branch'
+        });
+      }
+      query.branch = branch;
+    }
+
+    if (status) query.status = status;
+    if (supplier) query.supplier = supplier;
+    if (inventory) query['items.inventory'] = inventory;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name email phone')
+      .populate('branch', 'name code')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await PurchaseOrder.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: purchaseOrders.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: purchaseOrders
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase orders',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single purchase order with its deliveries
+ * @route   GET /api/v1/purchase-orders/:id
+ * @access  Private (Admin)
+ */
+export const getPurchaseOrder = async (req, res) => {
+  try {
+    const { purchaseOrder, status, message } = await findPurchaseOrder(req);
+    if (!purchaseOrder) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    await purchaseOrder.populate([
+      { path: 'supplier', select: 'name contactName email phone paymentTermsDays leadTimeDays' },
+      { path: 'branch', select: 'name code' },
+      { path: 'items.inventory', select: 'name sku unit quantity price.cost' },
+      { path: 'receipts.receivedBy', select: 'name' },
+      { path: 'createdBy', select: 'name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a draft purchase order; lines default to the items' current cost price
+ * @route   POST /api/v1/purchase-orders
+ * @access  Private (Admin)
+ */
+export const createPurchaseOrder = async (req, res) => {
+  try {
+    const { branch, items = [] } = req.body;
+
+    if (!branch || !canAccessBranch(req, branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to order for this branch'
+      });
+    }
+
+    const supplier = await findActiveSupplier(req.body.supplier);
+
+    const purchaseOrder = new PurchaseOrder({
+      ...(await purchaseOrderDefaults()),
+      ...pickFields(req.body, PURCHASE_ORDER_FIELDS),
+      status: 'draft',
+      supplier: supplier._id,
+      branch,
+      items: await buildPurchaseOrderItems(items, { branch }),
+      createdBy: req.user._id
+    });
+
+    await purchaseOrder.save();
+    await refreshPurchaseOrderPDF(purchaseOrder);
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    sendPurchaseOrderError(res, error, 'Failed to create purchase order');
+  }
+};
+
+/**
+ * @desc    Update a draft purchase order
+ * @route   PUT /api/v1/purchase-orders/:id
+ * @access  Private (Admin)
+ */
+export const updatePurchaseOrder = async (req, res) => {
+  try {
+    const { purchaseOrder, status, message } = await findPurchaseOrder(req, 'update');
+    if (!purchaseOrder) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `A purchase order that is ${purchaseOrder.status} can no longer be changed`
+      });
+    }
+
+    if (req.body.supplier !== undefined) {
+      purchaseOrder.supplier = (await findActiveSupplier(req.body.supplier))._id;
+    }
+    if (req.body.items !== undefined) {
+      purchaseOrder.items = await buildPurchaseOrderItems(req.body.items, { branch: purchaseOrder.branch });
+    }
+    if (req.body.tax?.rate !== undefined) {
+      purchaseOrder.tax.rate = req.body.tax.rate;
+    }
+
+    Object.assign(purchaseOrder, pickFields(req.body, PURCHASE_ORDER_FIELDS));
+
+    await purchaseOrder.save();
+    await refreshPurchaseOrderPDF(purchaseOrder);
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    sendPurchaseOrderError(res, error, 'Failed to update purchase order');
+  }
+};
+
+/**
+ * @desc    Send a draft purchase order to the supplier (email with the PDF unless notify is false)
+ * @route   POST /api/v1/purchase-orders/:id/send
+ * @access  Private (Admin)
+ */
+export const sendPurchaseOrder = async (req, res) => {
+  try {
+    const { notify = true } = req.body;
+
+    const { purchaseOrder, status, message } = await findPurchaseOrder(req, 'send');
+    if (!purchaseOrder) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `A purchase order that is ${purchaseOrder.status} cannot be sent`
+      });
+    }
+
+    if (purchaseOrder.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add at least one line before sending the purchase order'
+      });
+    }
+
+    const supplier = await findActiveSupplier(purchaseOrder.supplier);
+
+    purchaseOrder.status = 'sent';
+    purchaseOrder.sentAt = new Date();
+    await purchaseOrder.save();
+
+    const pdfPath = await refreshPurchaseOrderPDF(purchaseOrder);
+
+    let emailed = false;
+    if (notify && supplier.email) {
+      const branch = await Branch.findById(purchaseOrder.branch).select('name');
+      emailed = await sendPurchaseOrderEmail(supplier, purchaseOrder, branch, pdfPath);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order sent successfully',
+      data: { purchaseOrder, emailed }
+    });
+  } catch (error) {
+    console.error('Send purchase order error:', error);
+    sendPurchaseOrderError(res, error, 'Failed to send purchase order');
+  }
+};
+
+/**
+ * @desc    Receive delivered goods against a sent purchase order; restocks the items at the delivered cost
+ * @route   POST /api/v1/purchase-orders/:id/receive
+ * @access  Private (Admin)
+ */
+export const receivePurchaseOrder = async (req, res) => {
+  try {
+    const { purchaseOrder: existing, status, message } = await findPurchaseOrder(req, 'receive');
+    if (!existing) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const { purchaseOrder, inventory } = await receiveDelivery(
+      existing._id,
+      { items: req.body.items, notes: req.body.notes },
+      { user: req.user }
+    );
+
+    await refreshPurchaseOrderPDF(purchaseOrder);
+
+    res.status(200).json({
+      success: true,
+      message: purchaseOrder.status === 'received'
+        ? 'Purchase order received in full'
+        : 'Delivery received; the purchase order is partially received',
+      data: { purchaseOrder, inventory }
+    });
+  } catch (error) {
+    console.error('Receive purchase order error:', error);
+    sendPurchaseOrderError(res, error, 'Failed to receive purchase order');
+  }
+};
+
+/**
+ * @desc    Cancel a purchase order nothing has been received against
+ * @route   POST /api/v1/purchase-orders/:id/cancel
+ * @access  Private (Admin)
+ */
+export const cancelPurchaseOrder = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    const { purchaseOrder, status, message } = await findPurchaseOrder(req, 'cancel');
+    if (!purchaseOrder) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft' && !RECEIVABLE_PO_STATUSES.includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A purchase order that is ${purchaseOrder.status} cannot be cancelled`
+      });
+    }
+
+    if (purchaseOrder.receipts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Goods have been received against this purchase order; it can no longer be cancelled'
+      });
+    }
+
+    purchaseOrder.status = 'cancelled';
+    purchaseOrder.cancelledAt = new Date();
+    purchaseOrder.cancelledBy = req.user._id;
+    purchaseOrder.cancelReason = reason;
+    await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order cancelled',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    sendPurchaseOrderError(res, error, 'Failed to cancel purchase order');
+  }
+};
+
+/**
+ * @desc    Download a purchase order as PDF
+ * @route   GET /api/v1/purchase-orders/:id/pdf
+ * @access  Private (Admin)
+ */
+export const downloadPurchaseOrderPDF = async (req, res) => {
+  try {
+    const { purchaseOrder, status, message } = await findPurchaseOrder(req);
+    if (!purchaseOrder) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    // Regenerate the PDF if it was never created or has been removed
+    const pdfPath = resolvePDFPath(purchaseOrder.pdfUrl) || await refreshPurchaseOrderPDF(purchaseOrder);
+
+    res.download(pdfPath, `${purchaseOrder.poNumber}.pdf`);
+  } catch (error) {
+    console.error('Download purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download purchase order',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  downloadPurchaseOrderPDF
+};
@@ -0,0 +1,444 @@
+import Quote from '../models/Quote.js';
+import Client from '../models/Client.js';
+import Site from '../models/Site.js';
+import {
+  quoteDefaults,
+  buildQuoteItems,
+  validateVisits,
+  expireQuotes,
+  convertQuote as convertAcceptedQuote,
+  refreshQuotePDF
+} from '../services/quoteService.js';
+import { notifyQuote } from '../services/notificationService.js';
+import { resolvePDFPath } from '../services/pdfService.js';
+import { branchFilter, canAccessBranch } from '../middleware/auth.js';
+import { generateQuoteToken } from '../utils/jwt.js';
+import { pickFields } from '../utils/pick.js';
+
+// Fields an admin may set on a quote before the client has answered
+const QUOTE_FIELDS = ['title', 'description', 'category', 'discount', 'validFrom', 'validUntil', 'notes'];
+
+// Quotes that can still be edited (a sent quote goes back to draft and has to be sent again)
+const EDITABLE_STATUSES = ['draft', 'sent'];
+
+/**
+ * Answer an error carrying a statusCode (validation of the quote), else a 500
+ */
+const sendQuoteError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * @desc    Get quotes
+ * @route   GET /api/v1/quotes
+ * @access  Private (Admin)
+ */
+export const getQuotes = async (req, res) => {
+  try {
+    const {
+      status,
+      client,
+      site,
+      branch,
+      from,
+      to,
+      page = 1,
+      limit = 20,
+      sort = '-createdAt'
+    } = req.query;
+
+    await expireQuotes();
+
+    const query = { ...branchFilter(req) };
+
+    if (branch) {
+      if (!canAccessBranch(req, branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this branch'
+        });
+      }
+      query.branch = branch;
+    }
+
+    if (status) query.status = status;
+    if (client) query.client = client;
+    if (site) query.site = site;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const quotes = await Quote.find(query)
+      .populate('client', 'name email phone')
+      .populate('site', 'name')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const count = await Quote.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: quotes.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: quotes
+    });
+  } catch (error) {
+    console.error('Get quotes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single quote
+ * @route   GET /api/v1/quotes/:id
+ * @access  Private (Admin)
+ */
+export const getQuote = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id)
+      .populate('client', 'name email phone')
+      .populate('site', 'name location sections._id sections.name')
+      .populate('items.plant', 'name price unit')
+      .populate('items.inventory', 'name sku unit price.selling')
+      .populate('tasks', 'title status scheduledDate worker')
+      .populate('invoice', 'invoiceNumber status total')
+      .populate('createdBy', 'name');
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!canAccessBranch(req, quote.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this quote'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...quote.toObject(), expired: quote.isExpired() }
+    });
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quote',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a quote for a client site; plant and material lines are priced from the catalog and inventory
+ * @route   POST /api/v1/quotes
+ * @access  Private (Admin)
+ */
+export const createQuote = async (req, res) => {
+  try {
+    const { client: clientId, site: siteId, items = [], visits = [] } = req.body;
+
+    const client = await Client.findById(clientId).select('branch');
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const site = await Site.findOne({ _id: siteId, client: client._id }).select('_id');
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site not found for this client'
+      });
+    }
+
+    // Default to the client's branch
+    const branch = req.body.branch || client.branch;
+    if (!canAccessBranch(req, branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create quotes in this branch'
+      });
+    }
+
+    await validateVisits(site._id, visits);
+
+    const quote = new Quote({
+      ...(await quoteDefaults()),
+      ...pickFields(req.body, QUOTE_FIELDS),
+      status: 'draft',
+      client: client._id,
+      site: site._id,
+      branch,
+      visits,
+      items: await buildQuoteItems(items, { branch, visitCount: visits.length }),
+      createdBy: req.user._id
+    });
+
+    await quote.save();
+    await refreshQuotePDF(quote);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote created successfully',
+      data: quote
+    });
+  } catch (error) {
+    console.error('Create quote error:', error);
+    sendQuoteError(res, error, 'Failed to create quote');
+  }
+};
+
+/**
+ * @desc    Update a quote the client has not answered yet
+ * @route   PUT /api/v1/quotes/:id
+ * @access  Private (Admin)
+ */
+export const updateQuote = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!canAccessBranch(req, quote.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this quote'
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A quote that is ${quote.status} can no longer be changed; create a new one instead`
+      });
+    }
+
+    const visits = req.body.visits ?? quote.visits;
+    if (req.body.visits !== undefined) {
+      await validateVisits(quote.site, visits);
+    }
+
+    // Lines are priced again only when they are sent; otherwise they must still fit the visits
+    if (req.body.items !== undefined) {
+      quote.items = await buildQuoteItems(req.body.items, { branch: quote.branch, visitCount: visits.length });
+    } else if (quote.items.some(item => item.visit >= Math.max(visits.length, 1))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some lines are planned for a visit that is no longer on the quote'
+      });
+    }
+
+    Object.assign(quote, pickFields(req.body, QUOTE_FIELDS));
+    quote.visits = visits;
+
+    // The client answers the version they were sent
+    const wasSent = quote.status === 'sent';
+    quote.status = 'draft';
+
+    await quote.save();
+    await refreshQuotePDF(quote);
+
+    res.status(200).json({
+      success: true,
+      message: wasSent
+        ? 'Quote updated; it is a draft again and has to be sent again'
+        : 'Quote updated successfully',
+      data: quote
+    });
+  } catch (error) {
+    console.error('Update quote error:', error);
+    sendQuoteError(res, error, 'Failed to update quote');
+  }
+};
+
+/**
+ * @desc    Send a quote to the client with a link to accept or reject it
+ * @route   POST /api/v1/quotes/:id/send
+ * @access  Private (Admin)
+ */
+export const sendQuote = async (req, res) => {
+  try {
+    const { notify = true } = req.body;
+
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!canAccessBranch(req, quote.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to send this quote'
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(quote.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A quote that is ${quote.status} cannot be sent`
+      });
+    }
+
+    if (quote.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add at least one line before sending the quote'
+      });
+    }
+
+    if (quote.validUntil < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The quote is no longer valid; move validUntil forward before sending it'
+      });
+    }
+
+    quote.status = 'sent';
+    quote.sentAt = new Date();
+    await quote.save();
+
+    const pdfPath = await refreshQuotePDF(quote);
+    const token = generateQuoteToken(quote.client, quote._id, quote.validUntil);
+    const url = `${process.env.FRONTEND_URL}/client/quotes/${quote._id}?token=${token}`;
+
+    let notified = null;
+    if (notify) {
+      const client = await Client.findById(quote.client);
+      notified = await notifyQuote(client, quote, url, pdfPath);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote sent successfully',
+      data: { quote, token, url, notified }
+    });
+  } catch (error) {
+    console.error('Send quote error:', error);
+    sendQuoteError(res, error, 'Failed to send quote');
+  }
+};
+
+/**
+ * @desc    Convert an accepted quote into scheduled tasks and a draft invoice at the quoted prices
+ * @route   POST /api/v1/quotes/:id/convert
+ * @access  Private (Admin)
+ */
+export const convertQuote = async (req, res) => {
+  try {
+    const existing = await Quote.findById(req.params.id).select('branch');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!canAccessBranch(req, existing.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to convert this quote'
+      });
+    }
+
+    const { quote, tasks, invoice } = await convertAcceptedQuote(req.params.id, { user: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: `Quote converted into ${tasks.length} task(s) and draft invoice ${invoice.invoiceNumber}`,
+      data: { quote, tasks, invoice }
+    });
+  } catch (error) {
+    console.error('Convert quote error:', error);
+    sendQuoteError(res, error, 'Failed to convert quote');
+  }
+};
+
+/**
+ * @desc    Download a quote as PDF
+ * @route   GET /api/v1/quotes/:id/pdf
+ * @access  Private (Admin)
+ */
+export const downloadQuotePDF = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!canAccessBranch(req, quote.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this quote'
+      });
+    }
+
+    // Regenerate the PDF if it was never created or has been removed
+    const pdfPath = resolvePDFPath(quote.pdfUrl) || await refreshQuotePDF(quote);
+
+    res.download(pdfPath, `${quote.quoteNumber}.pdf`);
+  } catch (error) {
+    console.error('Download quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download quote',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getQuotes,
+  getQuote,
+  createQuote,
+  updateQuote,
+  sendQuote,
+  convertQuote,
+  downloadQuotePDF
+};
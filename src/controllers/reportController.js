@@ -1,9 +1,18 @@
 import Task from '../models/Task.js';
 import Client from '../models/Client.js';
 import User from '../models/User.js';
-import Invoice from '../models/Invoice.js';
+import Invoice, { ISSUED_INVOICE_QUERY } from '../models/Invoice.js';
+import CreditNote from '../models/CreditNote.js';
 import InventoryTransaction from '../models/InventoryTransaction.js';
 import Inventory from '../models/Inventory.js';
+import Branch from '../models/Branch.js';
+import Settings from '../models/Settings.js';
+import Contract from '../models/Contract.js';
+import { buildAgingReport, agingReportCSV } from '../services/receivablesService.js';
+import { buildVisitReport, buildSlaReport, findUpcomingRenewals } from '../services/contractService.js';
+import { generateAgingReportPDF } from '../services/pdfService.js';
+import { branchFilter, canAccessBranch } from '../middleware/auth.js';
+import { addDays, startOfDay, parseDateKey, toDateKey } from '../utils/recurrence.js';
 
 /**
  * @desc    Get dashboard statistics
@@ -14,7 +23,8 @@ export const getDashboardStats = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
-    const dateFilter = {};
+    // Reports only cover the branches the user can access
+    const dateFilter = { ...branchFilter(req) };
     if (startDate && endDate) {
       dateFilter.createdAt = {
         $gte: new Date(startDate),
@@ -49,19 +59,39 @@ export const getDashboardStats = async (req, res) => {
       Invoice.countDocuments({ ...dateFilter, paymentStatus: 'pending' })
     ]);
 
-    // Get revenue
-    const revenueData = await Invoice.aggregate([
-      { $match: { paymentStatus: 'paid', ...dateFilter } },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$totalAmount' },
-          paidAmount: { $sum: '$paidAmount' }
+    // Get revenue: issued invoices, net of the credit notes issued in the same period
+    const creditFilter = { ...branchFilter(req) };
+    if (dateFilter.createdAt) {
+      creditFilter.issuedDate = dateFilter.createdAt;
+    }
+
+    const [revenueData, creditData] = await Promise.all([
+      Invoice.aggregate([
+        { $match: { ...dateFilter, ...ISSUED_INVOICE_QUERY } },
+        {
+          $group: {
+            _id: null,
+            totalRevenue: { $sum: '$total' },
+            paidAmount: { $sum: '$paidAmount' }
+          }
         }
-      }
+      ]),
+      CreditNote.aggregate([
+        { $match: creditFilter },
+        {
+          $group: {
+            _id: null,
+            credited: { $sum: '$total' },
+            // Credit notes on paid amounts went to client credit rather than reducing what is owed
+            toClientCredit: { $sum: '$creditAmount' }
+          }
+        }
+      ])
     ]);
 
     const revenue = revenueData[0] || { totalRevenue: 0, paidAmount: 0 };
+    const credits = creditData[0] || { credited: 0, toClientCredit: 0 };
+    const netRevenue = revenue.totalRevenue - credits.credited;
 
     res.status(200).json({
       success: true,
@@ -87,9 +117,11 @@ export const getDashboardStats = async (req, res) => {
           pending: pendingInvoices
         },
         revenue: {
-          total: revenue.totalRevenue,
+          invoiced: revenue.totalRevenue,
+          credited: credits.credited,
+          total: netRevenue,
           paid: revenue.paidAmount,
-          pending: revenue.totalRevenue - revenue.paidAmount
+          pending: Math.max(0, netRevenue - revenue.paidAmount + credits.toClientCredit)
         }
       }
     });
@@ -113,7 +145,9 @@ export const getWeeklyReport = async (req, res) => {
     const today = new Date();
     const weekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
 
+    const scope = branchFilter(req);
     const dateFilter = {
+      ...scope,
       createdAt: { $gte: weekAgo, $lte: today }
     };
 
@@ -128,10 +162,15 @@ export const getWeeklyReport = async (req, res) => {
       .lean();
 
     // Inventory withdrawals this week
-    const inventoryWithdrawals = await InventoryTransaction.find({
-      ...dateFilter,
+    const withdrawalFilter = {
+      createdAt: dateFilter.createdAt,
       type: 'withdrawal'
-    })
+    };
+    if (req.branchScope) {
+      withdrawalFilter.inventory = { $in: await Inventory.find(scope).distinct('_id') };
+    }
+
+    const inventoryWithdrawals = await InventoryTransaction.find(withdrawalFilter)
       .populate('inventory', 'name unit')
       .populate('worker', 'name')
       .populate('task', 'title')
@@ -141,6 +180,7 @@ export const getWeeklyReport = async (req, res) => {
     const workerPerformance = await Task.aggregate([
       {
         $match: {
+          ...scope,
           status: 'completed',
           completedAt: { $gte: weekAgo, $lte: today }
         }
@@ -177,6 +217,7 @@ export const getWeeklyReport = async (req, res) => {
 
     // Payment status
     const paymentStatus = await Client.aggregate([
+      { $match: scope },
       {
         $group: {
           _id: '$paymentStatus',
@@ -224,7 +265,9 @@ export const getMonthlyReport = async (req, res) => {
     const today = new Date();
     const monthAgo = new Date(today.getFullYear(), today.getMonth() - 1, today.getDate());
 
+    const scope = branchFilter(req);
     const dateFilter = {
+      ...scope,
       createdAt: { $gte: monthAgo, $lte: today }
     };
 
@@ -243,6 +286,7 @@ export const getMonthlyReport = async (req, res) => {
     const revenueByCategory = await Task.aggregate([
       {
         $match: {
+          ...scope,
           status: 'completed',
           completedAt: { $gte: monthAgo, $lte: today }
         }
@@ -263,6 +307,7 @@ export const getMonthlyReport = async (req, res) => {
     const topClients = await Task.aggregate([
       {
         $match: {
+          ...scope,
           completedAt: { $gte: monthAgo, $lte: today }
         }
       },
@@ -302,6 +347,7 @@ export const getMonthlyReport = async (req, res) => {
 
     // Inventory status
     const lowStockItems = await Inventory.find({
+      ...scope,
       $expr: { $lte: ['$quantity.current', '$quantity.minimum'] }
     })
       .select('name category quantity unit')
@@ -342,7 +388,7 @@ export const getWorkerPerformanceReport = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
-    const dateFilter = {};
+    const dateFilter = { ...branchFilter(req) };
     if (startDate && endDate) {
       dateFilter.completedAt = {
         $gte: new Date(startDate),
@@ -405,10 +451,353 @@ export const getWorkerPerformanceReport = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get tasks started or completed outside the site geofence
+ * @route   GET /api/v1/reports/geofence
+ * @access  Private (Admin)
+ */
+export const getGeofenceReport = async (req, res) => {
+  try {
+    const { startDate, endDate, worker } = req.query;
+
+    const query = {
+      ...branchFilter(req),
+      $or: [
+        { 'startLocation.withinGeofence': false },
+        { 'endLocation.withinGeofence': false }
+      ]
+    };
+
+    if (startDate && endDate) {
+      query.startedAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+    if (worker) query.worker = worker;
+
+    const tasks = await Task.find(query)
+      .select('title status scheduledDate startedAt completedAt startLocation endLocation worker client site branch')
+      .populate('worker', 'name phone')
+      .populate('client', 'name')
+      .populate('site', 'name location')
+      .populate('branch', 'name code')
+      .sort('-startedAt')
+      .lean();
+
+    const byWorker = {};
+    tasks.forEach(task => {
+      const key = task.worker?._id?.toString() || 'unassigned';
+      byWorker[key] = byWorker[key] || { worker: task.worker || null, offSiteTasks: 0 };
+      byWorker[key].offSiteTasks += 1;
+    });
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      data: {
+        summary: {
+          offSiteStarts: tasks.filter(task => task.startLocation?.withinGeofence === false).length,
+          offSiteCompletions: tasks.filter(task => task.endLocation?.withinGeofence === false).length,
+          byWorker: Object.values(byWorker).sort((a, b) => b.offSiteTasks - a.offSiteTasks)
+        },
+        tasks
+      }
+    });
+  } catch (error) {
+    console.error('Get geofence report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch geofence report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Accounts receivable aging: outstanding balances per client by days overdue
+ * @route   GET /api/v1/reports/receivables?branch&client&asOf&details=true&format=json|csv|pdf
+ * @access  Private (Admin)
+ */
+export const getReceivablesReport = async (req, res) => {
+  try {
+    const { branch, client, asOf, details, format = 'json' } = req.query;
+
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be json, csv or pdf'
+      });
+    }
+
+    // A date without a time covers the whole day
+    const asOfDay = parseDateKey(asOf);
+    const asOfDate = asOfDay ? new Date(addDays(asOfDay, 1) - 1) : asOf ? new Date(asOf) : new Date();
+    if (Number.isNaN(asOfDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'asOf must be a valid date'
+      });
+    }
+
+    const filter = { ...branchFilter(req) };
+    if (branch) {
+      if (!canAccessBranch(req, branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this branch'
+        });
+      }
+      filter.branch = branch;
+    }
+    if (client) filter.client = client;
+
+    const report = await buildAgingReport({ filter, asOf: asOfDate, includeInvoices: details === 'true' });
+    const filename = `receivables-${toDateKey(asOfDate)}`;
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(agingReportCSV(report));
+    }
+
+    if (format === 'pdf') {
+      const settings = await Settings.getSettings();
+      const branchDoc = branch ? await Branch.findById(branch).select('name') : null;
+      const pdf = await generateAgingReportPDF(report, {
+        currency: settings.invoice.currency,
+        branchName: branchDoc?.name
+      });
+
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.status(200).send(pdf);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: report.clients.length,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get receivables report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receivables report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Read a contract report request and load the contracts in force during its period
+ * from and to are days (YYYY-MM-DD), both included; either may be left to its default.
+ * @returns {Promise<object>} - { error, status } or { contracts, from, to }
+ */
+const loadReportContracts = async (req, defaults) => {
+  const { from, to, branch, client, contract } = req.query;
+  const start = from ? parseDateKey(from) : defaults.from;
+  const lastDay = to ? parseDateKey(to) : defaults.to;
+
+  if (!start || !lastDay || lastDay < start) {
+    return { error: 'from and to must be dates (YYYY-MM-DD) with from not after to' };
+  }
+  const end = new Date(addDays(lastDay, 1) - 1);
+
+  const query = {
+    ...branchFilter(req),
+    startDate: { $lte: end },
+    endDate: { $gte: start }
+  };
+
+  if (branch) {
+    if (!canAccessBranch(req, branch)) {
+      return { error: 'Not authorized to access this branch', status: 403 };
+    }
+    query.branch = branch;
+  }
+  if (client) query.client = client;
+  if (contract) query._id = contract;
+
+  // Terminated contracts still count for the time they were in force
+  const contracts = await Contract.find(query)
+    .populate('client', 'name')
+    .sort('contractNumber');
+
+  return { contracts, from: start, to: end };
+};
+
+/**
+ * Contract fields shown on each report row
+ */
+const contractSummary = (contract) => ({
+  _id: contract._id,
+  contractNumber: contract.contractNumber,
+  title: contract.title,
+  client: contract.client,
+  branch: contract.branch,
+  status: contract.status,
+  startDate: contract.startDate,
+  endDate: contract.endDate
+});
+
+/**
+ * @desc    Delivered vs. contracted visits per contract, month and category (defaults to the current month)
+ * @route   GET /api/v1/reports/contracts/visits
+ * @access  Private (Admin)
+ */
+export const getContractVisitsReport = async (req, res) => {
+  try {
+    const today = startOfDay(new Date());
+    const { error, status = 400, contracts, from, to } = await loadReportContracts(req, {
+      from: new Date(today.getFullYear(), today.getMonth(), 1),
+      to: new Date(today.getFullYear(), today.getMonth() + 1, 0)
+    });
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const totals = { contracted: 0, delivered: 0, open: 0, shortfall: 0, unscheduled: 0 };
+    const rows = [];
+
+    for (const contract of contracts) {
+      const report = await buildVisitReport(contract, { from, to });
+      Object.keys(totals).forEach((key) => { totals[key] += report.totals[key]; });
+      rows.push({ contract: contractSummary(contract), ...report });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        period: { from, to },
+        contracts: rows,
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Get contract visits report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contract visits report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    SLA response compliance and breaches per contract (defaults to the last 30 days)
+ * @route   GET /api/v1/reports/contracts/sla
+ * @access  Private (Admin)
+ */
+export const getSlaReport = async (req, res) => {
+  try {
+    const today = startOfDay(new Date());
+    const { error, status = 400, contracts, from, to } = await loadReportContracts(req, {
+      from: addDays(today, -29),
+      to: today
+    });
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const totals = { tasks: 0, met: 0, breached: 0, open: 0, complianceRate: null };
+    const rows = [];
+
+    for (const contract of contracts) {
+      const report = await buildSlaReport(contract, { from, to });
+      totals.tasks += report.tasks;
+      totals.met += report.met;
+      totals.breached += report.breached;
+      totals.open += report.open;
+      rows.push({ contract: contractSummary(contract), sla: contract.sla, ...report });
+    }
+
+    const decided = totals.met + totals.breached;
+    totals.complianceRate = decided > 0 ? Math.round((totals.met / decided) * 10000) / 100 : null;
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        period: { from, to },
+        contracts: rows,
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Get SLA report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Active contracts ending within the next days (default 60) that have not been renewed
+ * @route   GET /api/v1/reports/contracts/renewals
+ * @access  Private (Admin)
+ */
+export const getContractRenewalsReport = async (req, res) => {
+  try {
+    const { branch, client } = req.query;
+    const days = req.query.days === undefined ? 60 : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be a whole number of days'
+      });
+    }
+
+    const filter = { ...branchFilter(req) };
+    if (branch) {
+      if (!canAccessBranch(req, branch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to access this branch'
+        });
+      }
+      filter.branch = branch;
+    }
+    if (client) filter.client = client;
+
+    const contracts = await findUpcomingRenewals({ filter, days });
+
+    res.status(200).json({
+      success: true,
+      count: contracts.length,
+      data: contracts
+    });
+  } catch (error) {
+    console.error('Get contract renewals report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contract renewals report',
+      error: error.message
+    });
+  }
+};
+
 export default {
   getDashboardStats,
   getWeeklyReport,
   getMonthlyReport,
-  getWorkerPerformanceReport
+  getWorkerPerformanceReport,
+  getGeofenceReport,
+  getReceivablesReport,
+  getContractVisitsReport,
+  getSlaReport,
+  getContractRenewalsReport
 };
 
@@ -0,0 +1,822 @@
+// backend/src/controllers/scheduleController.js
+import MaintenanceSchedule from '../models/MaintenanceSchedule.js';
+import Task from '../models/Task.js';
+import Site from '../models/Site.js';
+import Client from '../models/Client.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import {
+  NOT_STARTED_STATUSES,
+  getHolidayKeys,
+  getScheduleOccurrences,
+  createOccurrenceTask,
+  generateScheduleTasks,
+  generateAllScheduleTasks,
+  removeUnstartedTasks,
+  splitSchedule,
+  clearHolidayTasks
+} from '../services/scheduleService.js';
+import { parseRRule, parseDateKey, startOfDay, addDays } from '../utils/recurrence.js';
+import { branchFilter, canAccessBranch } from '../middleware/auth.js';
+import { transitionTask } from '../utils/taskLifecycle.js';
+import { checkAssignment } from '../services/availabilityService.js';
+import {
+  runInTransaction,
+  reservationChanges,
+  reserveTaskMaterials,
+  releaseTaskMaterials
+} from '../services/materialService.js';
+import { pickFields } from '../utils/pick.js';
+
+// Fields copied from the schedule onto every generated task
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'section',
+  'category',
+  'priority',
+  'defaultWorker',
+  'estimatedDuration',
+  'materials',
+  'startTime',
+  'skipHolidays',
+  'horizonDays',
+  'notes'
+];
+
+// Fields that can be changed on a single occurrence
+const OCCURRENCE_FIELDS = [
+  'title',
+  'description',
+  'worker',
+  'priority',
+  'scheduledDate',
+  'estimatedDuration',
+  'materials',
+  'notes'
+];
+
+/**
+ * Pick template and recurrence changes from a request body
+ * Accepts either an RRULE string (`rrule`) or a `recurrence` object
+ */
+const pickScheduleChanges = (body, fields = TEMPLATE_FIELDS) => {
+  const changes = pickFields(body, fields);
+
+  if (body.rrule) {
+    changes.recurrence = parseRRule(body.rrule);
+  } else if (body.recurrence) {
+    changes.recurrence = body.recurrence;
+  }
+
+  return changes;
+};
+
+/**
+ * @desc    Get all maintenance schedules
+ * @route   GET /api/v1/schedules
+ * @access  Private (Admin)
+ */
+export const getSchedules = async (req, res) => {
+  try {
+    const { site, client, branch, category, defaultWorker, isActive } = req.query;
+
+    const query = { ...branchFilter(req) };
+
+    if (branch && !canAccessBranch(req, branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this branch'
+      });
+    }
+
+    if (site) query.site = site;
+    if (client) query.client = client;
+    if (branch) query.branch = branch;
+    if (category) query.category = category;
+    if (defaultWorker) query.defaultWorker = defaultWorker;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const schedules = await MaintenanceSchedule.find(query)
+      .populate('site', 'name')
+      .populate('client', 'name email phone')
+      .populate('branch', 'name code')
+      .populate('defaultWorker', 'name email')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: schedules.length,
+      data: schedules
+    });
+  } catch (error) {
+    console.error('Get schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schedules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single schedule with its upcoming tasks
+ * @route   GET /api/v1/schedules/:id
+ * @access  Private (Admin)
+ */
+export const getSchedule = async (req, res) => {
+  try {
+    const schedule = await MaintenanceSchedule.findById(req.params.id)
+      .populate('site', 'name sections')
+      .populate('client', 'name email phone')
+      .populate('branch', 'name code')
+      .populate('defaultWorker', 'name email phone')
+      .populate('materials.item', 'name sku unit');
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (!canAccessBranch(req, schedule.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this schedule'
+      });
+    }
+
+    const upcomingTasks = await Task.find({
+      schedule: schedule._id,
+      occurrenceDate: { $gte: startOfDay(new Date()) }
+    })
+      .populate('worker', 'name email')
+      .select('title status worker scheduledDate occurrenceDate')
+      .sort('occurrenceDate');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...schedule.toObject(),
+        upcomingTasks
+      }
+    });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create schedule and generate its upcoming tasks
+ * @route   POST /api/v1/schedules
+ * @access  Private (Admin)
+ */
+export const createSchedule = async (req, res) => {
+  try {
+    let changes;
+    try {
+      changes = pickScheduleChanges(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!changes.recurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence (rrule or recurrence) is required'
+      });
+    }
+
+    const site = await Site.findById(req.body.site);
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site not found'
+      });
+    }
+
+    if (!site.sections.id(req.body.section)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found in this site'
+      });
+    }
+
+    const client = await Client.findById(site.client);
+    const branch = req.body.branch || client?.branch;
+
+    if (!branch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch is required'
+      });
+    }
+
+    if (!canAccessBranch(req, branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create schedules in this branch'
+      });
+    }
+
+    const schedule = await MaintenanceSchedule.create({
+      ...changes,
+      site: site._id,
+      client: site.client,
+      branch,
+      startDate: req.body.startDate || startOfDay(new Date()),
+      createdBy: req.user.id
+    });
+
+    const tasks = await generateScheduleTasks(schedule);
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created successfully',
+      data: schedule,
+      generatedTasks: tasks.length
+    });
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update the whole series (regenerates tasks that haven't started)
+ * @route   PUT /api/v1/schedules/:id
+ * @access  Private (Admin)
+ */
+export const updateSchedule = async (req, res) => {
+  try {
+    const schedule = await MaintenanceSchedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (!canAccessBranch(req, schedule.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this schedule'
+      });
+    }
+
+    let changes;
+    try {
+      changes = pickScheduleChanges(req.body, [...TEMPLATE_FIELDS, 'startDate']);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (changes.section) {
+      const site = await Site.findById(schedule.site);
+      if (!site || !site.sections.id(changes.section)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Section not found in this site'
+        });
+      }
+    }
+
+    schedule.set(changes);
+    await schedule.save();
+
+    const removed = await removeUnstartedTasks(schedule, new Date());
+    const tasks = await generateScheduleTasks(schedule);
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule updated successfully',
+      data: schedule,
+      removedTasks: removed,
+      generatedTasks: tasks.length
+    });
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Deactivate schedule and remove its tasks that haven't started
+ * @route   DELETE /api/v1/schedules/:id
+ * @access  Private (Admin)
+ */
+export const deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await MaintenanceSchedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (!canAccessBranch(req, schedule.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this schedule'
+      });
+    }
+
+    schedule.isActive = false;
+    await schedule.save();
+
+    const removed = await removeUnstartedTasks(schedule, new Date());
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule deactivated successfully',
+      removedTasks: removed
+    });
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Generate upcoming tasks for all active schedules
+ * @route   POST /api/v1/schedules/generate
+ * @access  Private (Admin)
+ */
+export const generateAllSchedules = async (req, res) => {
+  try {
+    const horizonDays = parseInt(req.body.horizonDays) || undefined;
+    const result = await generateAllScheduleTasks({ horizonDays, filter: branchFilter(req) });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.tasksCreated} task(s) generated`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Generate schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate scheduled tasks',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Generate upcoming tasks for one schedule
+ * @route   POST /api/v1/schedules/:id/generate
+ * @access  Private (Admin)
+ */
+export const generateSchedule = async (req, res) => {
+  try {
+    const schedule = await MaintenanceSchedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (!canAccessBranch(req, schedule.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this schedule'
+      });
+    }
+
+    if (!schedule.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule is not active'
+      });
+    }
+
+    const horizonDays = parseInt(req.body.horizonDays) || undefined;
+    const tasks = await generateScheduleTasks(schedule, { horizonDays });
+
+    res.status(200).json({
+      success: true,
+      message: `${tasks.length} task(s) generated`,
+      count: tasks.length,
+      data: tasks
+    });
+  } catch (error) {
+    console.error('Generate schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate scheduled tasks',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Edit one occurrence (scope=this) or it and all future ones (scope=future)
+ * @route   PUT /api/v1/schedules/:id/occurrences/:date
+ * @access  Private (Admin)
+ */
+export const updateOccurrence = async (req, res) => {
+  try {
+    const { scope = 'this' } = req.body;
+    const date = parseDateKey(req.params.date);
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (!['this', 'future'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scope. Must be: this or future'
+      });
+    }
+
+    const schedule = await MaintenanceSchedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (!canAccessBranch(req, schedule.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this schedule'
+      });
+    }
+
+    if (scope === 'future') {
+      let changes;
+      try {
+        changes = pickScheduleChanges(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // Editing from the first occurrence on is the same as editing the series
+      if (date <= startOfDay(schedule.startDate)) {
+        schedule.set(changes);
+        await schedule.save();
+        await removeUnstartedTasks(schedule, date);
+        await generateScheduleTasks(schedule);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Schedule updated successfully',
+          data: schedule
+        });
+      }
+
+      const successor = await splitSchedule(schedule, date, changes);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Future occurrences updated successfully',
+        data: successor
+      });
+    }
+
+    let task = await Task.findOne({ schedule: schedule._id, occurrenceDate: date });
+
+    if (!task) {
+      const holidayKeys = await getHolidayKeys();
+      const [occurrence] = getScheduleOccurrences(schedule, date, date, holidayKeys);
+
+      if (!occurrence) {
+        return res.status(404).json({
+          success: false,
+          message: 'No occurrence on this date'
+        });
+      }
+
+      task = await createOccurrenceTask(schedule, occurrence)
+        || await Task.findOne({ schedule: schedule._id, occurrenceDate: date });
+    }
+
+    if (!NOT_STARTED_STATUSES.includes(task.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Occurrence is already ${task.status} and can no longer be edited`
+      });
+    }
+
+    const changes = pickFields(req.body, OCCURRENCE_FIELDS);
+    let nextStatus = task.status;
+    if (changes.worker !== undefined) {
+      nextStatus = changes.worker ? 'assigned' : 'pending';
+    }
+
+    // Check availability when an assigned occurrence changes worker, day or duration
+    const workerId = changes.worker === undefined ? task.worker : changes.worker;
+    const rescheduled = (changes.worker !== undefined && String(changes.worker) !== String(task.worker))
+      || changes.scheduledDate !== undefined
+      || changes.estimatedDuration !== undefined;
+    let availability = null;
+    if (workerId && nextStatus === 'assigned' && rescheduled) {
+      const worker = await User.findById(workerId);
+      if (!worker || worker.role !== 'worker') {
+        return res.status(404).json({
+          success: false,
+          message: 'Worker not found'
+        });
+      }
+
+      availability = await checkAssignment(worker, {
+        _id: task._id,
+        scheduledDate: changes.scheduledDate || task.scheduledDate,
+        estimatedDuration: changes.estimatedDuration ?? task.estimatedDuration
+      });
+      if (availability.blocked) {
+        return res.status(409).json({
+          success: false,
+          message: 'Worker is not available for this occurrence',
+          errors: availability.warnings,
+          data: availability.day
+        });
+      }
+    }
+
+    const { release, reserve } = reservationChanges(task, nextStatus, changes.materials !== undefined);
+
+    const applyChanges = async (session) => {
+      if (release) {
+        await releaseTaskMaterials(task, { user: req.user, session, notes: 'Occurrence edited' });
+      }
+      task.set(changes);
+      if (nextStatus !== task.status) transitionTask(task, nextStatus, { user: req.user });
+      if (reserve) {
+        await reserveTaskMaterials(task, { user: req.user, session });
+      }
+      await task.save({ session });
+    };
+
+    if (release || reserve) {
+      await runInTransaction(applyChanges);
+    } else {
+      await applyChanges();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence updated successfully',
+      warnings: availability?.warnings.length ? availability.warnings : undefined,
+      data: task
+    });
+  } catch (error) {
+    console.error('Update occurrence error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update occurrence',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cancel one occurrence (scope=this) or it and all future ones (scope=future)
+ * @route   DELETE /api/v1/schedules/:id/occurrences/:date
+ * @access  Private (Admin)
+ */
+export const cancelOccurrence = async (req, res) => {
+  try {
+    const scope = req.query.scope || req.body.scope || 'this';
+    const reason = req.query.reason || req.body.reason;
+    const date = parseDateKey(req.params.date);
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (!['this', 'future'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scope. Must be: this or future'
+      });
+    }
+
+    const schedule = await MaintenanceSchedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (!canAccessBranch(req, schedule.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this schedule'
+      });
+    }
+
+    if (scope === 'future') {
+      if (date <= startOfDay(schedule.startDate)) {
+        schedule.isActive = false;
+      } else {
+        schedule.recurrence.until = addDays(date, -1);
+      }
+      await schedule.save();
+
+      const removed = await removeUnstartedTasks(schedule, date);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Future occurrences cancelled successfully',
+        removedTasks: removed
+      });
+    }
+
+    const task = await Task.findOne({ schedule: schedule._id, occurrenceDate: date });
+
+    if (task && !NOT_STARTED_STATUSES.includes(task.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Occurrence is already ${task.status} and cannot be cancelled`
+      });
+    }
+
+    schedule.exceptions.push({
+      date,
+      reason,
+      cancelledBy: req.user.id,
+      cancelledAt: new Date()
+    });
+    await schedule.save();
+
+    const removed = await removeUnstartedTasks(schedule, date, date);
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence cancelled successfully',
+      removedTasks: removed
+    });
+  } catch (error) {
+    console.error('Cancel occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel occurrence',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get holidays skipped by schedules
+ * @route   GET /api/v1/schedules/holidays
+ * @access  Private (Admin)
+ */
+export const getHolidays = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const holidays = [...settings.scheduling.holidays].sort((a, b) => a.date - b.date);
+
+    res.status(200).json({
+      success: true,
+      count: holidays.length,
+      data: holidays
+    });
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch holidays',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add holiday (removes generated tasks on that day)
+ * @route   POST /api/v1/schedules/holidays
+ * @access  Private (Admin)
+ */
+export const addHoliday = async (req, res) => {
+  try {
+    const date = parseDateKey(req.body.date);
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    settings.scheduling.holidays.push({ date, name: req.body.name });
+    await settings.save();
+
+    const removed = await clearHolidayTasks(date);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: settings.scheduling.holidays,
+      removedTasks: removed
+    });
+  } catch (error) {
+    console.error('Add holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add holiday',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove holiday (regenerates tasks for that day)
+ * @route   DELETE /api/v1/schedules/holidays/:holidayId
+ * @access  Private (Admin)
+ */
+export const removeHoliday = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const holiday = settings.scheduling.holidays.id(req.params.holidayId);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    settings.scheduling.holidays.pull(holiday._id);
+    await settings.save();
+
+    const result = await generateAllScheduleTasks();
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday removed successfully',
+      generatedTasks: result.tasksCreated
+    });
+  } catch (error) {
+    console.error('Remove holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove holiday',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  generateAllSchedules,
+  generateSchedule,
+  updateOccurrence,
+  cancelOccurrence,
+  getHolidays,
+  addHoliday,
+  removeHoliday
+};
@@ -1,6 +1,23 @@
 import Site from '../models/Site.js';
 import Client from '../models/Client.js';
 import { v2 as cloudinary } from 'cloudinary';
+import { branchFilter, canAccessBranch } from '../middleware/auth.js';
+
+/**
+ * Check whether the current user may access a site
+ * Sites belong to a branch through their client
+ */
+const canAccessSite = async (req, site) => {
+  if (!req.branchScope) return true;
+
+  const client = await Client.findById(site.client?._id || site.client).select('branch');
+  return Boolean(client) && canAccessBranch(req, client.branch);
+};
+
+const denySiteAccess = (res) => res.status(403).json({
+  success: false,
+  message: 'Not authorized to access this site'
+});
 
 /**
  * @desc    Get all sites
@@ -13,8 +30,17 @@ export const getAllSites = async (req, res) => {
 
     const query = {};
 
+    // Limit to clients in the user's branches
+    if (req.branchScope) {
+      const clientIds = await Client.find(branchFilter(req)).distinct('_id');
+      query.client = { $in: clientIds };
+    }
+
     // Filter by client if provided
     if (client) {
+      if (query.client && !query.client.$in.some(id => id.toString() === client)) {
+        return denySiteAccess(res);
+      }
       query.client = client;
     }
 
@@ -70,6 +96,10 @@ export const getSiteById = async (req, res) => {
       });
     }
 
+    if (!(await canAccessSite(req, site))) {
+      return denySiteAccess(res);
+    }
+
     res.status(200).json({
       success: true,
       data: site
@@ -93,6 +123,10 @@ export const createSite = async (req, res) => {
   try {
     const siteData = req.body;
 
+    if (!(await canAccessSite(req, siteData))) {
+      return denySiteAccess(res);
+    }
+
     // Handle cover image from Cloudinary
     if (req.file && req.file.cloudinaryUrl) {
       siteData.coverImage = {
@@ -146,8 +180,16 @@ export const updateSite = async (req, res) => {
       });
     }
 
+    if (!(await canAccessSite(req, site))) {
+      return denySiteAccess(res);
+    }
+
     const updateData = req.body;
 
+    if (updateData.client && !(await canAccessSite(req, updateData))) {
+      return denySiteAccess(res);
+    }
+
     // Handle new cover image
     if (req.file && req.file.cloudinaryUrl) {
       // Delete old image from Cloudinary
@@ -204,6 +246,10 @@ export const deleteSite = async (req, res) => {
       });
     }
 
+    if (!(await canAccessSite(req, site))) {
+      return denySiteAccess(res);
+    }
+
     // Delete cover image from Cloudinary
     if (site.coverImage?.cloudinaryId) {
       try {
@@ -270,6 +316,10 @@ export const addSection = async (req, res) => {
       });
     }
 
+    if (!(await canAccessSite(req, site))) {
+      return denySiteAccess(res);
+    }
+
     const sectionData = req.body;
 
     // Handle reference images from Cloudinary
@@ -314,6 +364,10 @@ export const updateSection = async (req, res) => {
       });
     }
 
+    if (!(await canAccessSite(req, site))) {
+      return denySiteAccess(res);
+    }
+
     const updateData = req.body;
 
     // Handle new reference images
@@ -366,6 +420,10 @@ export const deleteSection = async (req, res) => {
       });
     }
 
+    if (!(await canAccessSite(req, site))) {
+      return denySiteAccess(res);
+    }
+
     // Get section to delete its images
     const section = site.sections.id(req.params.sectionId);
     
@@ -415,6 +473,10 @@ export const deleteReferenceImage = async (req, res) => {
       });
     }
 
+    if (!(await canAccessSite(req, site))) {
+      return denySiteAccess(res);
+    }
+
     const section = site.sections.id(req.params.sectionId);
     
     if (!section) {
@@ -0,0 +1,203 @@
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Inventory from '../models/Inventory.js';
+import { branchFilter } from '../middleware/auth.js';
+import { pickFields } from '../utils/pick.js';
+
+// Fields an admin may set on a supplier
+const SUPPLIER_FIELDS = ['name', 'contactName', 'email', 'phone', 'address', 'vatNumber', 'paymentTermsDays', 'leadTimeDays', 'notes', 'isActive'];
+
+/**
+ * Answer a validation error with a 400, else a 500
+ */
+const sendSupplierError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * @desc    Get suppliers
+ * @route   GET /api/v1/suppliers
+ * @access  Private (Admin)
+ */
+export const getSuppliers = async (req, res) => {
+  try {
+    const { isActive, search } = req.query;
+
+    const query = {};
+
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { contactName: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const suppliers = await Supplier.find(query).sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suppliers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single supplier with the items it supplies by default
+ * @route   GET /api/v1/suppliers/:id
+ * @access  Private (Admin)
+ */
+export const getSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const items = await Inventory.find({ preferredSupplier: supplier._id, ...branchFilter(req) })
+      .select('name sku unit branch quantity price.cost')
+      .sort('name');
+
+    res.status(200).json({
+      success: true,
+      data: { ...supplier.toObject(), items }
+    });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch supplier',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create supplier
+ * @route   POST /api/v1/suppliers
+ * @access  Private (Admin)
+ */
+export const createSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.create({
+      ...pickFields(req.body, SUPPLIER_FIELDS),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: supplier
+    });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    sendSupplierError(res, error, 'Failed to create supplier');
+  }
+};
+
+/**
+ * @desc    Update supplier
+ * @route   PUT /api/v1/suppliers/:id
+ * @access  Private (Admin)
+ */
+export const updateSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      pickFields(req.body, SUPPLIER_FIELDS),
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: supplier
+    });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    sendSupplierError(res, error, 'Failed to update supplier');
+  }
+};
+
+/**
+ * @desc    Delete a supplier that has no purchase orders
+ * @route   DELETE /api/v1/suppliers/:id
+ * @access  Private (Admin)
+ */
+export const deleteSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const purchaseOrders = await PurchaseOrder.countDocuments({ supplier: supplier._id });
+    if (purchaseOrders) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier has purchase orders. Deactivate it instead.',
+        data: { purchaseOrders }
+      });
+    }
+
+    await Inventory.updateMany({ preferredSupplier: supplier._id }, { $set: { preferredSupplier: null } });
+    await supplier.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete supplier',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier
+};
@@ -3,10 +3,135 @@ import Task from '../models/Task.js';
 import User from '../models/User.js';
 import Client from '../models/Client.js';
 import Site from '../models/Site.js';
-import Inventory from '../models/Inventory.js';
-import { notifyTaskAssignment, notifyTaskCompletion } from '../services/notificationService.js';
+import MaintenanceSchedule from '../models/MaintenanceSchedule.js';
+import Settings from '../models/Settings.js';
+import { notifyTaskAssignment, notifyTaskCompletion, notifyTaskRejected } from '../services/notificationService.js';
+import { isAdmin, branchFilter, canAccessBranch } from '../middleware/auth.js';
+import { generateClientToken } from '../utils/jwt.js';
+import { checkGeofence } from '../services/geofenceService.js';
+import { checkAssignment } from '../services/availabilityService.js';
+import { SCORE_WEIGHTS, loadAssignmentContext, bookTask, rankWorkers } from '../services/assignmentService.js';
+import {
+  runInTransaction,
+  reservationChanges,
+  reserveTaskMaterials,
+  releaseTaskMaterials,
+  consumeTaskMaterials
+} from '../services/materialService.js';
+import { removeTaskFromInvoice } from '../services/invoiceService.js';
+import { parseDateKey, addDays, toDateKey } from '../utils/recurrence.js';
+import {
+  WORKFLOW_STATUSES,
+  canTransition,
+  transitionError,
+  historyEntry,
+  transitionTask
+} from '../utils/taskLifecycle.js';
+import { pickFields } from '../utils/pick.js';
 import mongoose from 'mongoose';
 
+// Fields each role may change through PUT /tasks/:id. The rest is kept up by the system: the worker by
+// /assign, the workflow by its endpoints, check-ins, route order, feedback, billing and the schedule or
+// quote a task came from.
+const TASK_UPDATE_FIELDS = {
+  admin: ['title', 'description', 'site', 'section', 'client', 'branch', 'status', 'priority', 'category',
+    'scheduledDate', 'estimatedDuration', 'location', 'materials', 'cost', 'notes'],
+  worker: ['notes']
+};
+
+// Fields an admin sets on a new task; it starts pending, or assigned when given a worker
+const TASK_CREATE_FIELDS = ['title', 'description', 'site', 'section', 'client', 'branch', 'worker', 'priority',
+  'category', 'scheduledDate', 'estimatedDuration', 'location', 'materials', 'cost', 'notes'];
+
+// Material line fields set by hand; reserved, used and confirmed quantities follow the workflow
+const MATERIAL_LINE_FIELDS = ['item', 'name', 'quantity', 'unit'];
+
+/**
+ * Pick the task fields given from a request body, with material lines and cost limited to what is set by hand
+ * Admins fix a price with `cost: { override: true, labor, materials }` and go back to automatic
+ * costing with `cost: { override: false }`; the other cost fields are calculated.
+ */
+const pickTaskInput = (body, fields) => {
+  const input = pickFields(body, fields);
+
+  if (Array.isArray(input.materials)) {
+    input.materials = input.materials.map(line => pickFields(line, MATERIAL_LINE_FIELDS));
+  }
+
+  if (input.cost !== undefined) {
+    input.cost = input.cost?.override
+      ? { override: true, labor: Number(input.cost.labor) || 0, materials: Number(input.cost.materials) || 0 }
+      : { override: false };
+  }
+
+  return input;
+};
+
+/**
+ * Changes the current user may make to a task
+ */
+const pickTaskUpdates = (req) => pickTaskInput(req.body, TASK_UPDATE_FIELDS[isAdmin(req.user) ? 'admin' : 'worker']);
+
+/**
+ * Check whether the current user may access a task
+ * Admins are limited to their branches, workers to their own tasks
+ */
+const canAccessTask = (req, task) => {
+  if (isAdmin(req.user)) {
+    return canAccessBranch(req, task.branch);
+  }
+  return Boolean(task.worker) && (task.worker._id || task.worker).toString() === req.user.id;
+};
+
+/**
+ * Answer an assignment refused by the availability check
+ */
+const refuseUnavailable = (res, availability) => res.status(409).json({
+  success: false,
+  message: 'Worker is not available for this task',
+  errors: availability.warnings,
+  data: availability.day
+});
+
+/**
+ * Answer a request that failed on stock (409) or otherwise (500)
+ */
+const sendStockAwareError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Update client, worker and site statistics for an approved task
+ */
+const recordTaskCompletion = async (task) => {
+  await Client.findByIdAndUpdate(task.client._id || task.client, {
+    $inc: { completedTasks: 1 }
+  });
+
+  if (task.worker) {
+    await User.findByIdAndUpdate(task.worker._id || task.worker, {
+      $inc: { 'workerDetails.completedTasks': 1 }
+    });
+  }
+
+  if (task.site) {
+    await Site.findByIdAndUpdate(task.site._id || task.site, {
+      $inc: { completedTasks: 1 },
+      lastVisit: task.completedAt || new Date()
+    });
+  }
+};
+
 /**
  * @desc    Get all tasks
  * @route   GET /api/v1/tasks
@@ -20,10 +145,19 @@ export const getTasks = async (req, res) => {
     
     if (req.user.role === 'worker') {
       query.worker = req.user.id;
+    } else {
+      query = { ...branchFilter(req) };
+    }
+
+    if (branch && !canAccessBranch(req, branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this branch'
+      });
     }
     
     if (status) query.status = status;
-    if (worker) query.worker = worker;
+    if (worker && req.user.role !== 'worker') query.worker = worker;
     if (client) query.client = client;
     if (site) query.site = site;
     if (section) query.section = section; // ✅ Added
@@ -82,13 +216,11 @@ export const getTask = async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role !== 'admin') {
-      if (!task.worker || task.worker._id.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to view this task'
-        });
-      }
+    if (!canAccessTask(req, task)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this task'
+      });
     }
 
     // ✅ Get reference images from the specific section
@@ -127,8 +259,8 @@ export const getTask = async (req, res) => {
  */
 export const createTask = async (req, res) => {
   try {
-    const taskData = req.body;
-    
+    const taskData = pickTaskInput(req.body, TASK_CREATE_FIELDS);
+
     // ✅ Validation: Site is required
     if (!taskData.site) {
       return res.status(400).json({
@@ -176,7 +308,50 @@ export const createTask = async (req, res) => {
       });
     }
 
-    const task = await Task.create(taskData);
+    // Default to the client's branch
+    if (!taskData.branch) {
+      const client = await Client.findById(taskData.client).select('branch');
+      taskData.branch = client?.branch;
+    }
+
+    if (!canAccessBranch(req, taskData.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create tasks in this branch'
+      });
+    }
+
+    let availability = null;
+    if (taskData.worker) {
+      const worker = await User.findById(taskData.worker);
+      if (!worker || worker.role !== 'worker') {
+        return res.status(404).json({
+          success: false,
+          message: 'Worker not found'
+        });
+      }
+
+      availability = await checkAssignment(worker, taskData);
+      if (availability.blocked) {
+        return refuseUnavailable(res, availability);
+      }
+    }
+
+    // New tasks start in the lifecycle, not at an arbitrary status
+    taskData.status = taskData.worker ? 'assigned' : 'pending';
+    taskData.statusHistory = [historyEntry(null, taskData.status, { user: req.user })];
+
+    const task = new Task(taskData);
+
+    // Materials are held in stock from the moment someone is assigned
+    if (task.status === 'assigned') {
+      await runInTransaction(async (session) => {
+        await reserveTaskMaterials(task, { user: req.user, session });
+        await task.save({ session });
+      });
+    } else {
+      await task.save();
+    }
 
     // ✅ Populate full data
     const populatedTask = await Task.findById(task._id)
@@ -200,15 +375,12 @@ export const createTask = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
+      warnings: availability?.warnings.length ? availability.warnings : undefined,
       data: populatedTask
     });
   } catch (error) {
     console.error('Create task error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create task',
-      error: error.message
-    });
+    sendStockAwareError(res, error, 'Failed to create task');
   }
 };
 
@@ -229,58 +401,105 @@ export const updateTask = async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role === 'worker' && task.worker?.toString() !== req.user.id) {
+    if (!canAccessTask(req, task)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this task'
       });
     }
 
-    // If assigning worker, deduct materials
-    if (req.body.worker && !task.worker) {
-      if (task.materials && task.materials.length > 0) {
-        for (const material of task.materials) {
-          if (material.item) {
-            const inventoryItem = await Inventory.findById(material.item);
-            if (inventoryItem) {
-              await inventoryItem.deduct(material.quantity);
-            }
-          }
-        }
-      }
-      req.body.status = 'assigned';
-    }
+    // Status changes follow the task lifecycle
+    const { status, ...updateData } = pickTaskUpdates(req);
 
-    // If marking as completed
-    if (req.body.status === 'completed' && task.status !== 'completed') {
-      req.body.completedAt = new Date();
-      
-      // Update client completed tasks
-      await Client.findByIdAndUpdate(task.client, {
-        $inc: { completedTasks: 1 }
+    if (updateData.branch && !canAccessBranch(req, updateData.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to move tasks to this branch'
       });
+    }
 
-      // Update worker completed tasks
-      if (task.worker) {
-        await User.findByIdAndUpdate(task.worker, {
-          $inc: { 'workerDetails.completedTasks': 1 }
+    const nextStatus = status || task.status;
+    let statusChange = null;
+
+    if (nextStatus !== task.status) {
+      if (WORKFLOW_STATUSES.includes(nextStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: `Use the start, complete, review and cancel endpoints to move a task to '${nextStatus}'`
+        });
+      }
+
+      if (!canTransition(task.status, nextStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: transitionError(task.status, nextStatus)
+        });
+      }
+
+      // A worker is only given through the assign endpoint, which checks their availability
+      if (nextStatus === 'assigned' && !task.worker) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use the assign endpoint to give this task a worker'
+        });
+      }
+
+      updateData.status = nextStatus;
+      statusChange = historyEntry(task.status, nextStatus, { user: req.user });
+
+      // Back to pending means unassigned
+      if (nextStatus === 'pending') updateData.worker = null;
+    }
+
+    // Re-check availability when an assigned task changes day or duration
+    const rescheduled = (updateData.scheduledDate !== undefined
+        && new Date(updateData.scheduledDate).getTime() !== task.scheduledDate?.getTime())
+      || (updateData.estimatedDuration !== undefined && updateData.estimatedDuration !== task.estimatedDuration);
+    let availability = null;
+    if (task.worker && nextStatus === 'assigned' && rescheduled) {
+      const worker = await User.findById(task.worker);
+      if (!worker || worker.role !== 'worker') {
+        return res.status(404).json({
+          success: false,
+          message: 'Worker not found'
         });
       }
 
-      // ✅ Update site completed tasks
-      if (task.site) {
-        await Site.findByIdAndUpdate(task.site, {
-          $inc: { completedTasks: 1 },
-          lastVisit: new Date()
+      availability = await checkAssignment(worker, {
+        _id: task._id,
+        scheduledDate: updateData.scheduledDate || task.scheduledDate,
+        estimatedDuration: updateData.estimatedDuration ?? task.estimatedDuration
+      });
+      if (availability.blocked) {
+        return refuseUnavailable(res, availability);
+      }
+    }
+
+    const { release, reserve } = reservationChanges(task, nextStatus, updateData.materials !== undefined);
+
+    const applyUpdate = async (session) => {
+      if (release) {
+        await releaseTaskMaterials(task, {
+          user: req.user,
+          session,
+          notes: nextStatus === 'pending' ? 'Task unassigned' : 'Task materials changed'
         });
       }
+      task.set(updateData);
+      if (statusChange) task.statusHistory.push(statusChange);
+      if (reserve) {
+        await reserveTaskMaterials(task, { user: req.user, session });
+      }
+      await task.save({ session });
+    };
+
+    if (release || reserve) {
+      await runInTransaction(applyUpdate);
+    } else {
+      await applyUpdate();
     }
 
-    task = await Task.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    )
+    task = await Task.findById(task._id)
       .populate('client', 'name email phone')
       .populate('worker', 'name email phone')
       .populate('branch', 'name code')
@@ -289,14 +508,11 @@ export const updateTask = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Task updated successfully',
+      warnings: availability?.warnings.length ? availability.warnings : undefined,
       data: task
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message
-    });
+    sendStockAwareError(res, error, 'Server error');
   }
 };
 
@@ -316,18 +532,46 @@ export const deleteTask = async (req, res) => {
       });
     }
 
-    await task.deleteOne();
+    if (!canAccessBranch(req, task.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this task'
+      });
+    }
+
+    // Deleting a task gives its reserved materials back and takes it off a draft invoice
+    if (task.materialsReservation?.status === 'reserved' || task.invoice) {
+      await runInTransaction(async (session) => {
+        if (task.materialsReservation?.status === 'reserved') {
+          await releaseTaskMaterials(task, { user: req.user, session, notes: 'Task deleted' });
+        }
+        await removeTaskFromInvoice(task, { reason: 'Task deleted', user: req.user, session });
+        await task.deleteOne({ session });
+      });
+    } else {
+      await task.deleteOne();
+    }
+
+    // Don't let the schedule generator bring a deleted occurrence back
+    if (task.schedule && task.occurrenceDate) {
+      await MaintenanceSchedule.findByIdAndUpdate(task.schedule, {
+        $push: {
+          exceptions: {
+            date: task.occurrenceDate,
+            reason: 'Task deleted',
+            cancelledBy: req.user.id,
+            cancelledAt: new Date()
+          }
+        }
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Task deleted successfully'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message
-    });
+    sendStockAwareError(res, error, 'Server error');
   }
 };
 
@@ -349,18 +593,38 @@ export const startTask = async (req, res) => {
       });
     }
 
-    if (task.worker.toString() !== req.user.id) {
+    if (task.worker?.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
       });
     }
 
-    task.status = 'in-progress';
-    task.startedAt = new Date();
+    // Rejected tasks are started again for rework
+    if (!canTransition(task.status, 'in-progress')) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError(task.status, 'in-progress')
+      });
+    }
+
+    const geofence = await checkGeofence(task, { latitude, longitude });
+
+    if (geofence.blocked) {
+      return res.status(403).json({
+        success: false,
+        message: geofence.message,
+        data: geofence.check
+      });
+    }
+
+    // startedAt stays the first start (the SLA response); rework sessions count through the history
+    transitionTask(task, 'in-progress', { user: req.user, latitude, longitude });
+    task.startedAt = task.startedAt || new Date();
     task.startLocation = {
       coordinates: { latitude, longitude },
-      timestamp: new Date()
+      timestamp: new Date(),
+      ...geofence.check
     };
 
     await task.save();
@@ -368,6 +632,7 @@ export const startTask = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Task started successfully',
+      warning: geofence.check.withinGeofence === false ? geofence.message : undefined,
       data: task
     });
   } catch (error) {
@@ -386,7 +651,14 @@ export const startTask = async (req, res) => {
  */
 export const completeTask = async (req, res) => {
   try {
-    const { latitude, longitude } = req.body;
+    const { latitude, longitude, materialsUsed = [] } = req.body;
+
+    if (!Array.isArray(materialsUsed)) {
+      return res.status(400).json({
+        success: false,
+        message: 'materialsUsed must be an array of { item, quantity }'
+      });
+    }
 
     const task = await Task.findById(req.params.id);
 
@@ -397,31 +669,141 @@ export const completeTask = async (req, res) => {
       });
     }
 
-    if (task.worker.toString() !== req.user.id) {
+    if (task.worker?.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
       });
     }
 
-    task.status = 'completed';
+    if (!canTransition(task.status, 'review')) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError(task.status, 'review')
+      });
+    }
+
+    const geofence = await checkGeofence(task, { latitude, longitude });
+
+    if (geofence.blocked) {
+      return res.status(403).json({
+        success: false,
+        message: geofence.message,
+        data: geofence.check
+      });
+    }
+
+    // Completed work waits for admin review
+    transitionTask(task, 'review', { user: req.user, latitude, longitude });
     task.completedAt = new Date();
     task.endLocation = {
       coordinates: { latitude, longitude },
-      timestamp: new Date()
+      timestamp: new Date(),
+      ...geofence.check
     };
+    task.adminReview = { status: 'pending' };
+
+    // Reserved materials are taken out of stock with the quantities actually used
+    if (task.materialsReservation?.status === 'reserved') {
+      await runInTransaction(async (session) => {
+        await consumeTaskMaterials(task, materialsUsed, { user: req.user, session });
+        await task.save({ session });
+      });
+    } else {
+      await task.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Task submitted for review',
+      warning: geofence.check.withinGeofence === false ? geofence.message : undefined,
+      data: task
+    });
+  } catch (error) {
+    sendStockAwareError(res, error, 'Server error');
+  }
+};
+
+/**
+ * @desc    Approve or reject a task waiting for review
+ * @route   POST /api/v1/tasks/:id/review
+ * @access  Private (Admin)
+ */
+export const reviewTask = async (req, res) => {
+  try {
+    const { decision, comments } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "Decision must be 'approve' or 'reject'"
+      });
+    }
+
+    if (decision === 'reject' && !comments?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comments are required when rejecting a task'
+      });
+    }
+
+    const task = await Task.findById(req.params.id)
+      .populate('client', 'name email phone whatsapp')
+      .populate('worker', 'name email phone');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!canAccessBranch(req, task.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this task'
+      });
+    }
 
+    const approved = decision === 'approve';
+    const nextStatus = approved ? 'completed' : 'rejected';
+
+    if (!canTransition(task.status, nextStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError(task.status, nextStatus)
+      });
+    }
+
+    transitionTask(task, nextStatus, { user: req.user, note: comments });
+    task.adminReview = {
+      status: approved ? 'approved' : 'rejected',
+      comments,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    };
     await task.save();
 
+    if (approved) {
+      await recordTaskCompletion(task);
+      if (task.worker) {
+        await notifyTaskCompletion(task.client, task, task.worker);
+      }
+    } else if (task.worker) {
+      // Back to the worker for rework
+      await notifyTaskRejected(task.worker, task, comments);
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Task completed successfully',
+      message: approved ? 'Task approved' : 'Task rejected and sent back to the worker',
       data: task
     });
   } catch (error) {
+    console.error('Review task error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error',
+      message: 'Failed to review task',
       error: error.message
     });
   }
@@ -444,7 +826,7 @@ export const uploadTaskImages = async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role === 'worker' && task.worker?.toString() !== req.user.id) {
+    if (!canAccessTask(req, task)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to upload images for this task'
@@ -521,7 +903,7 @@ export const deleteTaskImage = async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role === 'worker' && task.worker?.toString() !== req.user.id) {
+    if (!canAccessTask(req, task)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -598,6 +980,21 @@ export const assignTask = async (req, res) => {
       });
     }
 
+    if (!canAccessBranch(req, task.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to assign this task'
+      });
+    }
+
+    // Reassigning keeps the task 'assigned'; started work cannot change hands here
+    if (task.status !== 'assigned' && !canTransition(task.status, 'assigned')) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError(task.status, 'assigned')
+      });
+    }
+
     const worker = await User.findById(workerId);
 
     if (!worker || worker.role !== 'worker') {
@@ -607,9 +1004,30 @@ export const assignTask = async (req, res) => {
       });
     }
 
+    if (!canAccessBranch(req, worker.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Worker belongs to a branch you cannot access'
+      });
+    }
+
+    const availability = await checkAssignment(worker, task);
+    if (availability.blocked) {
+      return refuseUnavailable(res, availability);
+    }
+
     task.worker = workerId;
-    task.status = 'assigned';
-    await task.save();
+    if (task.status === 'assigned') {
+      // Reassigning keeps the existing reservation
+      task.statusHistory.push(historyEntry('assigned', 'assigned', { user: req.user, note: 'Reassigned' }));
+      await task.save();
+    } else {
+      transitionTask(task, 'assigned', { user: req.user });
+      await runInTransaction(async (session) => {
+        await reserveTaskMaterials(task, { user: req.user, session });
+        await task.save({ session });
+      });
+    }
 
     // Send notification
     await notifyTaskAssignment(worker, task, task.client);
@@ -617,13 +1035,498 @@ export const assignTask = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Task assigned successfully',
+      warnings: availability.warnings.length ? availability.warnings : undefined,
       data: task
     });
   } catch (error) {
     console.error('Assign task error:', error);
+    sendStockAwareError(res, error, 'Failed to assign task');
+  }
+};
+
+/**
+ * @desc    Cancel a task and give its reserved materials back
+ * @route   POST /api/v1/tasks/:id/cancel
+ * @access  Private (Admin)
+ */
+export const cancelTask = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cancellation reason is required'
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!canAccessBranch(req, task.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this task'
+      });
+    }
+
+    if (!canTransition(task.status, 'cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError(task.status, 'cancelled')
+      });
+    }
+
+    await runInTransaction(async (session) => {
+      if (task.materialsReservation?.status === 'reserved') {
+        await releaseTaskMaterials(task, { user: req.user, session, notes: `Task cancelled: ${reason}` });
+      }
+      // Tasks converted from a quote are billed in advance; their lines leave the draft invoice
+      await removeTaskFromInvoice(task, { reason: `Task cancelled: ${reason}`, user: req.user, session });
+      transitionTask(task, 'cancelled', { user: req.user, note: reason });
+      task.cancellation = {
+        reason,
+        cancelledBy: req.user._id,
+        cancelledAt: new Date()
+      };
+      await task.save({ session });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task cancelled',
+      data: task
+    });
+  } catch (error) {
+    console.error('Cancel task error:', error);
+    sendStockAwareError(res, error, 'Failed to cancel task');
+  }
+};
+
+/**
+ * @desc    Get labor rates used for automatic task costing
+ * @route   GET /api/v1/tasks/costing/rates
+ * @access  Private (Admin)
+ */
+export const getCostingRates = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings.costing
+    });
+  } catch (error) {
+    console.error('Get costing rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch costing rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update the default and per-category labor rates
+ * @route   PUT /api/v1/tasks/costing/rates
+ * @access  Private (Admin)
+ */
+export const updateCostingRates = async (req, res) => {
+  try {
+    const { defaultHourlyRate, categoryRates } = req.body;
+    const categories = Task.schema.path('category').enumValues;
+
+    if (categoryRates !== undefined) {
+      const invalid = !Array.isArray(categoryRates)
+        || categoryRates.some(entry => !categories.includes(entry.category));
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: `categoryRates must be [{ category, hourlyRate }] with category one of: ${categories.join(', ')}`
+        });
+      }
+    }
+
+    const settings = await Settings.getSettings();
+    if (defaultHourlyRate !== undefined) settings.costing.defaultHourlyRate = defaultHourlyRate;
+    if (categoryRates !== undefined) settings.costing.categoryRates = categoryRates;
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Costing rates updated; they apply the next time a task is priced',
+      data: settings.costing
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update costing rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update costing rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Rank workers for a task (specialization, branch, day load, distance, rating)
+ * @route   GET /api/v1/tasks/:id/suggested-workers?limit=10
+ * @access  Private (Admin)
+ */
+export const getSuggestedWorkers = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const task = await Task.findById(req.params.id)
+      .select('title status category branch scheduledDate estimatedDuration location site worker')
+      .populate('site', 'name location');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!canAccessBranch(req, task.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    if (!['pending', 'assigned'].includes(task.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A task in '${task.status}' cannot be reassigned`
+      });
+    }
+
+    const workers = await User.find({ role: 'worker', isActive: true, ...branchFilter(req) })
+      .select('name branch workerDetails')
+      .lean();
+
+    const context = await loadAssignmentContext(workers, task.scheduledDate, { excludeTaskId: task._id });
+    const candidates = rankWorkers(workers, task, context);
+
+    res.status(200).json({
+      success: true,
+      date: toDateKey(context.day),
+      weights: SCORE_WEIGHTS,
+      count: Math.min(candidates.length, limit),
+      data: candidates.slice(0, limit)
+    });
+  } catch (error) {
+    console.error('Suggest workers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suggest workers',
+      error: error.message
+    });
+  }
+};
+
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+/**
+ * @desc    Assign every pending task of a day to the best available worker
+ * @route   POST /api/v1/tasks/auto-assign
+ * @access  Private (Admin)
+ */
+export const autoAssignTasks = async (req, res) => {
+  try {
+    const { date, branch, dryRun = false } = req.body;
+
+    const day = parseDateKey(date);
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'A YYYY-MM-DD date is required'
+      });
+    }
+
+    if (branch && !canAccessBranch(req, branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this branch'
+      });
+    }
+
+    const query = {
+      status: 'pending',
+      scheduledDate: { $gte: day, $lt: addDays(day, 1) },
+      ...branchFilter(req)
+    };
+    if (branch) query.branch = branch;
+
+    const [tasks, workers] = await Promise.all([
+      Task.find(query)
+        .populate('site', 'name location')
+        .populate('client', 'name email phone'),
+      User.find({ role: 'worker', isActive: true, ...branchFilter(req) })
+        .select('name email phone branch workerDetails')
+        .lean()
+    ]);
+
+    // Most urgent and longest jobs get first pick of workers
+    tasks.sort((a, b) => (PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority])
+      || ((b.estimatedDuration ?? 2) - (a.estimatedDuration ?? 2)));
+
+    const context = await loadAssignmentContext(workers, day);
+    const assigned = [];
+    const unassigned = [];
+
+    for (const task of tasks) {
+      const best = rankWorkers(workers, task, context).find(candidate => candidate.fits);
+
+      if (!best) {
+        unassigned.push({
+          task: { _id: task._id, title: task.title },
+          reason: 'No available worker with enough capacity'
+        });
+        continue;
+      }
+
+      if (!dryRun) {
+        try {
+          await runInTransaction(async (session) => {
+            task.worker = best.worker._id;
+            transitionTask(task, 'assigned', { user: req.user, note: 'Auto-assigned' });
+            await reserveTaskMaterials(task, { user: req.user, session });
+            await task.save({ session });
+          });
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          unassigned.push({ task: { _id: task._id, title: task.title }, reason: error.message });
+          continue;
+        }
+
+        const worker = workers.find(candidate => candidate._id.equals(best.worker._id));
+        await notifyTaskAssignment(worker, task, task.client);
+      }
+
+      bookTask(context, best.worker._id, task);
+      assigned.push({
+        task: { _id: task._id, title: task.title },
+        worker: { _id: best.worker._id, name: best.worker.name },
+        score: best.score,
+        breakdown: best.breakdown
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${assigned.length} of ${tasks.length} tasks can be assigned`
+        : `${assigned.length} of ${tasks.length} tasks assigned`,
+      data: { date: toDateKey(day), dryRun, assigned, unassigned }
+    });
+  } catch (error) {
+    console.error('Auto-assign tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to auto-assign tasks',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get task status history
+ * @route   GET /api/v1/tasks/:id/history
+ * @access  Private
+ */
+export const getTaskHistory = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id)
+      .select('title status worker branch statusHistory')
+      .populate('statusHistory.changedBy', 'name role');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!canAccessTask(req, task)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this task'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        task: task._id,
+        title: task.title,
+        status: task.status,
+        history: task.statusHistory
+      }
+    });
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch task history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a feedback link the client can use without logging in
+ * @route   POST /api/v1/tasks/:id/feedback-link
+ * @access  Private (Admin)
+ */
+export const createFeedbackLink = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).select('client branch status feedback');
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!canAccessBranch(req, task.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    if (task.status !== 'completed' || task.feedback?.submittedAt) {
+      return res.status(400).json({
+        success: false,
+        message: task.feedback?.submittedAt
+          ? 'Feedback has already been submitted for this task'
+          : 'Only completed tasks can be rated'
+      });
+    }
+
+    const token = generateClientToken(task.client, task._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        url: `${process.env.FRONTEND_URL}/client/feedback/${task._id}?token=${token}`
+      }
+    });
+  } catch (error) {
+    console.error('Create feedback link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create feedback link',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get low-rated tasks waiting for follow-up
+ * @route   GET /api/v1/tasks/feedback/follow-ups
+ * @access  Private (Admin)
+ */
+export const getFeedbackFollowUps = async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const query = { ...branchFilter(req), 'feedback.followUp.status': status };
+
+    const tasks = await Task.find(query)
+      .select('title status category completedAt feedback client worker site branch')
+      .populate('client', 'name email phone')
+      .populate('worker', 'name phone')
+      .populate('site', 'name')
+      .populate('branch', 'name code')
+      .populate('feedback.followUp.resolvedBy', 'name')
+      .sort(status === 'pending' ? 'feedback.submittedAt' : '-feedback.followUp.resolvedAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Task.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: tasks
+    });
+  } catch (error) {
+    console.error('Get feedback follow-ups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch feedback follow-ups',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Mark a low-rating follow-up as resolved
+ * @route   PUT /api/v1/tasks/:id/feedback/follow-up
+ * @access  Private (Admin)
+ */
+export const resolveFeedbackFollowUp = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!canAccessBranch(req, task.branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task'
+      });
+    }
+
+    if (task.feedback?.followUp?.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This task has no pending follow-up'
+      });
+    }
+
+    task.feedback.followUp = {
+      status: 'resolved',
+      notes: req.body.notes,
+      resolvedBy: req.user._id,
+      resolvedAt: new Date()
+    };
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Follow-up resolved',
+      data: task.feedback
+    });
+  } catch (error) {
+    console.error('Resolve feedback follow-up error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to assign task',
+      message: 'Failed to resolve follow-up',
       error: error.message
     });
   }
@@ -637,7 +1540,17 @@ export default {
   deleteTask,
   startTask,
   completeTask,
+  reviewTask,
   uploadTaskImages,
   deleteTaskImage,
-  assignTask
+  assignTask,
+  cancelTask,
+  getCostingRates,
+  updateCostingRates,
+  getSuggestedWorkers,
+  autoAssignTasks,
+  getTaskHistory,
+  createFeedbackLink,
+  getFeedbackFollowUps,
+  resolveFeedbackFollowUp
 };
\ No newline at end of file
@@ -1,5 +1,69 @@
 import User from '../models/User.js';
-import Branch from '../models/Branch.js';
+import { branchFilter, canAccessBranch } from '../middleware/auth.js';
+import { buildItinerary, resequenceItinerary } from '../services/itineraryService.js';
+import { getAvailabilityGrid } from '../services/availabilityService.js';
+import { parseDateKey, startOfDay, addDays, toDateKey } from '../utils/recurrence.js';
+
+const MAX_GRID_DAYS = 31;
+
+/**
+ * Day requested with ?date=YYYY-MM-DD (defaults to today)
+ * @returns {Date|null} - Local midnight, or null if the date is invalid
+ */
+const parseItineraryDate = (date) => (date ? parseDateKey(date) : startOfDay(new Date()));
+
+/**
+ * Load a worker an admin may plan routes and availability for
+ * @returns {Promise<object>} - { worker } or { status, message }
+ */
+const findManagedWorker = async (req, fields = 'name role branch') => {
+  const worker = await User.findById(req.params.id).select(fields);
+
+  if (!worker || worker.role !== 'worker') {
+    return { status: 404, message: 'Worker not found' };
+  }
+
+  if (!canAccessBranch(req, worker.branch)) {
+    return { status: 403, message: 'Not authorized to access this worker' };
+  }
+
+  return { worker };
+};
+
+/**
+ * Check whether the request's user may give another user this role and branches.
+ * Only super-admins create super-admins; branch-scoped users cannot grant
+ * organisation-wide roles or branches outside their scope.
+ * @returns {string|null} - Reason for refusal, or null when allowed
+ */
+const checkUserGrant = (req, { role, branch, branches }) => {
+  if (role === 'super-admin' && req.user.role !== 'super-admin') {
+    return 'Only a super-admin can grant the super-admin role';
+  }
+
+  if (req.branchScope) {
+    if (role === 'admin' || role === 'super-admin') {
+      return 'Branch-scoped users can only manage branch managers and workers';
+    }
+
+    const requested = [branch, ...(branches || [])].filter(Boolean);
+    if (requested.some(id => !canAccessBranch(req, id))) {
+      return 'Not authorized to assign users to this branch';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether the request's user may manage an existing user
+ */
+const canManageUser = (req, user) => {
+  if (user.role === 'super-admin' && req.user.role !== 'super-admin') return false;
+  if (!req.branchScope) return true;
+  if (user.role === 'admin') return false;
+  return canAccessBranch(req, user.branch);
+};
 
 /**
  * @desc    Get all users
@@ -10,7 +74,14 @@ export const getUsers = async (req, res) => {
   try {
     const { role, branch, isActive, search } = req.query;
     
-    let query = {};
+    if (branch && !canAccessBranch(req, branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this branch'
+      });
+    }
+
+    let query = { ...branchFilter(req) };
     
     if (role) query.role = role;
     if (branch) query.branch = branch;
@@ -59,6 +130,13 @@ export const getUser = async (req, res) => {
       });
     }
 
+    if (!canManageUser(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this user'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: user
@@ -79,15 +157,22 @@ export const getUser = async (req, res) => {
  */
 export const createUser = async (req, res) => {
   try {
-    const user = await User.create(req.body);
+    // Scoped users create users in their own branch by default
+    if (!req.body.branch && req.branchScope?.length === 1) {
+      req.body.branch = req.branchScope[0];
+    }
 
-    // Update branch worker count if worker
-    if (user.role === 'worker' && user.branch) {
-      await Branch.findByIdAndUpdate(user.branch, {
-        $inc: { totalWorkers: 1 }
+    const refusal = checkUserGrant(req, req.body);
+    if (refusal) {
+      return res.status(403).json({
+        success: false,
+        message: refusal
       });
     }
 
+    // Branch worker counts are kept in sync by the User model
+    const user = await User.create(req.body);
+
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -112,19 +197,31 @@ export const updateUser = async (req, res) => {
     // Don't allow password update through this route
     delete req.body.password;
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).select('-password');
+    const existing = await User.findById(req.params.id);
 
-    if (!user) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    const refusal = canManageUser(req, existing)
+      ? checkUserGrant(req, req.body)
+      : 'Not authorized to access this user';
+    if (refusal) {
+      return res.status(403).json({
+        success: false,
+        message: refusal
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    ).select('-password');
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -155,10 +252,10 @@ export const deleteUser = async (req, res) => {
       });
     }
 
-    // Update branch worker count if worker
-    if (user.role === 'worker' && user.branch) {
-      await Branch.findByIdAndUpdate(user.branch, {
-        $inc: { totalWorkers: -1 }
+    if (!canManageUser(req, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this user'
       });
     }
 
@@ -177,6 +274,368 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get own ordered itinerary for a day
+ * @route   GET /api/v1/users/me/itinerary?date=YYYY-MM-DD&latitude=&longitude=
+ * @access  Private
+ */
+export const getMyItinerary = async (req, res) => {
+  try {
+    const { date, latitude, longitude } = req.query;
+
+    const day = parseItineraryDate(date);
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    // Start from the worker's current position when it is sent
+    const itinerary = await buildItinerary(req.user._id, day, {
+      start: { latitude, longitude }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { date: toDateKey(day), ...itinerary }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a worker's ordered itinerary for a day
+ * @route   GET /api/v1/users/:id/itinerary?date=YYYY-MM-DD
+ * @access  Private/Admin
+ */
+export const getWorkerItinerary = async (req, res) => {
+  try {
+    const day = parseItineraryDate(req.query.date);
+    if (!day) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const { worker, status, message } = await findManagedWorker(req);
+    if (!worker) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const itinerary = await buildItinerary(worker._id, day);
+
+    res.status(200).json({
+      success: true,
+      data: { date: toDateKey(day), worker, ...itinerary }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Re-sequence a worker's route manually (empty taskIds restores automatic planning)
+ * @route   PUT /api/v1/users/:id/itinerary
+ * @access  Private/Admin
+ */
+export const updateWorkerItinerary = async (req, res) => {
+  try {
+    const { date, taskIds = [] } = req.body;
+
+    const day = parseDateKey(date);
+    if (!day || !Array.isArray(taskIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A YYYY-MM-DD date and a taskIds array are required'
+      });
+    }
+
+    const { worker, status, message } = await findManagedWorker(req);
+    if (!worker) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const error = await resequenceItinerary(worker._id, day, taskIds);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const itinerary = await buildItinerary(worker._id, day);
+
+    res.status(200).json({
+      success: true,
+      message: taskIds.length ? 'Route re-sequenced' : 'Route reset to automatic planning',
+      data: { date: toDateKey(day), worker, ...itinerary }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the availability grid of workers (shifts, leave, booked hours)
+ * @route   GET /api/v1/users/availability?from=YYYY-MM-DD&to=YYYY-MM-DD&branch=
+ * @access  Private/Admin
+ */
+export const getAvailability = async (req, res) => {
+  try {
+    const { branch } = req.query;
+
+    const from = parseItineraryDate(req.query.from);
+    const to = req.query.to ? parseDateKey(req.query.to) : addDays(from || new Date(), 6);
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dates must be in YYYY-MM-DD format'
+      });
+    }
+
+    const days = Math.round((to - from) / 86400000) + 1;
+    if (days < 1 || days > MAX_GRID_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `The range must cover 1 to ${MAX_GRID_DAYS} days`
+      });
+    }
+
+    if (branch && !canAccessBranch(req, branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this branch'
+      });
+    }
+
+    const query = { role: 'worker', isActive: true, ...branchFilter(req) };
+    if (branch) query.branch = branch;
+
+    const workers = await User.find(query)
+      .select('name branch workerDetails')
+      .sort('name')
+      .lean();
+
+    const grid = await getAvailabilityGrid(workers, from, days);
+
+    res.status(200).json({
+      success: true,
+      from: toDateKey(from),
+      to: toDateKey(to),
+      count: grid.length,
+      data: grid
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set a worker's weekly shifts and daily capacity
+ * @route   PUT /api/v1/users/:id/availability
+ * @access  Private/Admin
+ */
+export const updateWorkerAvailability = async (req, res) => {
+  try {
+    const { shifts, dailyCapacity } = req.body;
+
+    if (shifts !== undefined && !Array.isArray(shifts)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shifts must be an array of { day, start, end }'
+      });
+    }
+
+    const { worker, status, message } = await findManagedWorker(req, 'name role branch workerDetails');
+    if (!worker) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (shifts !== undefined) {
+      const invalid = shifts.find(shift => !shift.start || !shift.end || shift.start >= shift.end);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each shift needs a start before its end'
+        });
+      }
+      worker.workerDetails.shifts = shifts;
+    }
+
+    if (dailyCapacity !== undefined) {
+      worker.workerDetails.dailyCapacity = dailyCapacity;
+    }
+
+    await worker.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability updated',
+      data: {
+        shifts: worker.workerDetails.shifts,
+        dailyCapacity: worker.workerDetails.dailyCapacity
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set a worker's hourly labor rate (null falls back to the category rate)
+ * @route   PUT /api/v1/users/:id/labor-rate
+ * @access  Private/Admin
+ */
+export const updateWorkerLaborRate = async (req, res) => {
+  try {
+    const { hourlyRate } = req.body;
+
+    if (hourlyRate !== null && !(Number(hourlyRate) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'hourlyRate must be a positive number or null'
+      });
+    }
+
+    const { worker, status, message } = await findManagedWorker(req, 'name role branch workerDetails');
+    if (!worker) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    worker.workerDetails.hourlyRate = hourlyRate === null ? null : Number(hourlyRate);
+    await worker.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Labor rate updated',
+      data: { hourlyRate: worker.workerDetails.hourlyRate }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record leave for a worker
+ * @route   POST /api/v1/users/:id/leave
+ * @access  Private/Admin
+ */
+export const addWorkerLeave = async (req, res) => {
+  try {
+    const { startDate, endDate, type, reason } = req.body;
+
+    const start = parseDateKey(startDate);
+    const end = endDate ? parseDateKey(endDate) : start;
+    if (!start || !end || end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'A YYYY-MM-DD startDate (and an endDate not before it) are required'
+      });
+    }
+
+    const { worker, status, message } = await findManagedWorker(req, 'name role branch workerDetails');
+    if (!worker) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    worker.workerDetails.leave.push({
+      startDate: start,
+      endDate: end,
+      type,
+      reason,
+      createdBy: req.user._id
+    });
+    await worker.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave recorded',
+      data: worker.workerDetails.leave[worker.workerDetails.leave.length - 1]
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove a worker's leave entry
+ * @route   DELETE /api/v1/users/:id/leave/:leaveId
+ * @access  Private/Admin
+ */
+export const deleteWorkerLeave = async (req, res) => {
+  try {
+    const { worker, status, message } = await findManagedWorker(req, 'name role branch workerDetails');
+    if (!worker) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const leave = worker.workerDetails.leave.id(req.params.leaveId);
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave entry not found'
+      });
+    }
+
+    leave.deleteOne();
+    await worker.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get workers
  * @route   GET /api/v1/users/workers
@@ -185,8 +644,15 @@ export const deleteUser = async (req, res) => {
 export const getWorkers = async (req, res) => {
   try {
     const { branch } = req.query;
+
+    if (branch && !canAccessBranch(req, branch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this branch'
+      });
+    }
     
-    let query = { role: 'worker', isActive: true };
+    let query = { role: 'worker', isActive: true, ...branchFilter(req) };
     if (branch) query.branch = branch;
 
     const workers = await User.find(query)
@@ -0,0 +1,71 @@
+// backend/src/jobs/scheduler.js
+import { generateAllScheduleTasks } from '../services/scheduleService.js';
+import { runDunning } from '../services/dunningService.js';
+import { expireQuotes } from '../services/quoteService.js';
+import { sendRenewalReminders } from '../services/contractService.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Background jobs run in-process when ENABLE_SCHEDULER=true.
+// On serverless deployments, call the matching admin endpoints from a cron instead.
+const jobs = [
+  {
+    name: 'generate-scheduled-tasks',
+    interval: 6 * HOUR,
+    run: () => generateAllScheduleTasks()
+  },
+  {
+    // Each dunning step is sent once, so running more than daily is harmless
+    name: 'invoice-dunning',
+    interval: 6 * HOUR,
+    run: () => runDunning()
+  },
+  {
+    name: 'expire-quotes',
+    interval: 6 * HOUR,
+    run: () => expireQuotes()
+  },
+  {
+    // Each renewal step is sent once per contract
+    name: 'contract-renewal-reminders',
+    interval: 6 * HOUR,
+    run: () => sendRenewalReminders()
+  }
+];
+
+const runJob = async (job) => {
+  try {
+    const result = await job.run();
+    console.log(`⏱️  Job ${job.name} finished`, result ?? '');
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error);
+  }
+};
+
+/**
+ * Start all background jobs
+ * @returns {Array} - Interval handles
+ */
+export const startScheduler = () => {
+  if (process.env.ENABLE_SCHEDULER !== 'true') {
+    console.log('Background jobs are disabled');
+    return [];
+  }
+
+  return jobs.map((job) => {
+    runJob(job);
+    return setInterval(() => runJob(job), job.interval);
+  });
+};
+
+/**
+ * Stop background jobs
+ */
+export const stopScheduler = (handles = []) => {
+  handles.forEach(handle => clearInterval(handle));
+};
+
+export default {
+  startScheduler,
+  stopScheduler
+};
@@ -1,6 +1,62 @@
 import { verifyToken } from '../utils/jwt.js';
 import User from '../models/User.js';
 import Client from '../models/Client.js';
+import Branch from '../models/Branch.js';
+
+// Roles with admin permissions (scoped to their branches unless super-admin)
+export const ADMIN_ROLES = ['super-admin', 'admin', 'branch-manager'];
+
+// Roles that also satisfy another role in authorize()
+const ROLE_GRANTS = {
+  'super-admin': ['super-admin', 'admin', 'branch-manager'],
+  admin: ['admin', 'branch-manager'],
+  'branch-manager': ['branch-manager', 'admin'],
+  worker: ['worker']
+};
+
+/**
+ * Check whether a user has admin permissions
+ */
+export const isAdmin = (user) => Boolean(user && ADMIN_ROLES.includes(user.role));
+
+/**
+ * Resolve the branches a user may access
+ * @returns {Promise<Array|null>} - Branch ObjectIds, or null for access to every branch
+ */
+export const resolveBranchScope = async (user) => {
+  if (user.role === 'super-admin') return null;
+
+  const managed = await Branch.find({ manager: user._id }).select('_id').lean();
+  const ids = [user.branch, ...(user.branches || []), ...managed.map(branch => branch._id)]
+    .filter(Boolean);
+
+  // Admins not tied to any branch keep organisation-wide access
+  if (ids.length === 0 && user.role === 'admin') return null;
+
+  const unique = new Map(ids.map(id => [id.toString(), id]));
+  return [...unique.values()];
+};
+
+/**
+ * Mongo filter limiting a query to the request's branch scope
+ * @param {object} req - Express request (after protect)
+ * @param {string} field - Branch field name on the queried model
+ */
+export const branchFilter = (req, field = 'branch') => {
+  if (!req.branchScope) return {};
+  return { [field]: { $in: req.branchScope } };
+};
+
+/**
+ * Check whether the request's user may access a branch
+ */
+export const canAccessBranch = (req, branchId) => {
+  if (!req.branchScope) return true;
+  if (!branchId) return false;
+
+  const id = (branchId._id || branchId).toString();
+  return req.branchScope.some(scopeId => scopeId.toString() === id);
+};
 
 /**
  * Protect routes - verify JWT token
@@ -29,7 +85,15 @@ export const protect = async (req, res, next) => {
       if (decoded.type === 'client') {
         req.client = await Client.findById(decoded.clientId);
         req.taskId = decoded.taskId;
+        req.quoteId = decoded.quoteId;
         req.userType = 'client';
+
+        if (!req.client) {
+          return res.status(401).json({
+            success: false,
+            message: 'Client not found'
+          });
+        }
       } else {
         // Regular user token
         req.user = await User.findById(decoded.id).select('-password');
@@ -48,6 +112,8 @@ export const protect = async (req, res, next) => {
             message: 'User account is deactivated'
           });
         }
+
+        req.branchScope = await resolveBranchScope(req.user);
       }
 
       next();
@@ -77,7 +143,9 @@ export const authorize = (...roles) => {
       });
     }
 
-    if (!req.user || !roles.includes(req.user.role)) {
+    const grants = ROLE_GRANTS[req.user?.role] || [];
+
+    if (!req.user || !roles.some(role => grants.includes(role))) {
       return res.status(403).json({
         success: false,
         message: `User role '${req.user?.role}' is not authorized to access this route`
@@ -87,6 +155,131 @@ export const authorize = (...roles) => {
   };
 };
 
+/**
+ * Require access to every branch (super-admin or an admin not tied to a branch)
+ */
+export const requireGlobalAccess = (req, res, next) => {
+  if (!req.user || !isAdmin(req.user) || req.branchScope) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action requires organisation-wide access'
+    });
+  }
+  next();
+};
+
+/**
+ * Reject client tokens on staff-only routes
+ */
+export const requireUser = (req, res, next) => {
+  if (req.userType !== 'user') {
+    return res.status(403).json({
+      success: false,
+      message: 'Clients are not authorized for this action'
+    });
+  }
+  next();
+};
+
+/**
+ * Allow only client portal sessions (not single-task links)
+ */
+export const requireClient = (req, res, next) => {
+  if (req.userType !== 'client') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only clients can access the portal'
+    });
+  }
+
+  if (req.taskId || req.quoteId) {
+    return res.status(403).json({
+      success: false,
+      message: req.taskId
+        ? 'This link only gives access to a single task'
+        : 'This link only gives access to a single quote'
+    });
+  }
+
+  if (req.client.status !== 'active') {
+    return res.status(403).json({
+      success: false,
+      message: 'Your account is not active'
+    });
+  }
+  next();
+};
+
+/**
+ * Allow client sessions, or a single-task link for the task in req.params.id
+ */
+export const requireClientTask = (req, res, next) => {
+  if (req.userType !== 'client') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only clients can access this route'
+    });
+  }
+
+  if (req.quoteId || (req.taskId && req.taskId.toString() !== req.params.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This link is for a different task'
+    });
+  }
+
+  if (req.client.status !== 'active') {
+    return res.status(403).json({
+      success: false,
+      message: 'Your account is not active'
+    });
+  }
+  next();
+};
+
+/**
+ * Allow client sessions, or a single-quote link for the quote in req.params.id
+ */
+export const requireClientQuote = (req, res, next) => {
+  if (req.userType !== 'client') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only clients can access this route'
+    });
+  }
+
+  if (req.taskId || (req.quoteId && req.quoteId.toString() !== req.params.id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This link is for a different quote'
+    });
+  }
+
+  if (req.client.status !== 'active') {
+    return res.status(403).json({
+      success: false,
+      message: 'Your account is not active'
+    });
+  }
+  next();
+};
+
+/**
+ * Check whether a client token belongs to the given client
+ */
+export const isOwnClient = (req, clientId) => {
+  if (req.userType !== 'client' || !clientId) return false;
+  return (clientId._id || clientId).toString() === req.client._id.toString();
+};
+
+/**
+ * Check whether a client portal session (not a single-task or quote link) of an active client
+ * belongs to the given client; the check requireClient makes, for routes shared with users
+ */
+export const isOwnPortalClient = (req, clientId) => isOwnClient(req, clientId)
+  && !req.taskId && !req.quoteId
+  && req.client.status === 'active';
+
 /**
  * Optional authentication - doesn't fail if no token
  */
@@ -31,7 +31,7 @@ export const createUserValidation = [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['admin', 'worker']).withMessage('Invalid role'),
+  body('role').isIn(['super-admin', 'admin', 'branch-manager', 'worker']).withMessage('Invalid role'),
   validate
 ];
 
@@ -69,6 +69,25 @@ export const createInventoryValidation = [
   validate
 ];
 
+/**
+ * Branch creation validation
+ */
+export const createBranchValidation = [
+  body('name').trim().notEmpty().withMessage('Branch name is required'),
+  body('code').trim().notEmpty().withMessage('Branch code is required'),
+  body('email').optional().isEmail().withMessage('Please provide a valid email'),
+  validate
+];
+
+/**
+ * Task feedback validation
+ */
+export const feedbackValidation = [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5').toInt(),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters'),
+  validate
+];
+
 /**
  * MongoDB ID validation
  */
@@ -58,6 +58,27 @@ const branchSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Task statuses that count towards activeTasks
+export const ACTIVE_TASK_STATUSES = ['pending', 'assigned', 'in-progress', 'review', 'rejected'];
+
+// Recount statistics from the related collections
+branchSchema.statics.refreshCounters = async function(...branchIds) {
+  const ids = [...new Set(branchIds.filter(Boolean).map(id => id.toString()))];
+
+  for (const id of ids) {
+    const [totalWorkers, totalClients, activeTasks] = await Promise.all([
+      mongoose.model('User').countDocuments({ branch: id, role: 'worker' }),
+      mongoose.model('Client').countDocuments({ branch: id }),
+      mongoose.model('Task').countDocuments({ branch: id, status: { $in: ACTIVE_TASK_STATUSES } })
+    ]);
+
+    await this.updateOne({ _id: id }, { totalWorkers, totalClients, activeTasks });
+  }
+};
+
+// Indexes
+branchSchema.index({ isActive: 1 });
+
 const Branch = mongoose.model('Branch', branchSchema);
 
 export default Branch;
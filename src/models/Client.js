@@ -1,6 +1,10 @@
 import mongoose from 'mongoose';
+import { trackBranchCounters } from '../utils/branchCounters.js';
 import bcrypt from 'bcryptjs';
 
+// Fields clients may change on their own account
+export const CLIENT_PROFILE_FIELDS = ['name', 'phone', 'whatsapp', 'address', 'vatNumber'];
+
 const clientSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -53,6 +57,13 @@ const clientSchema = new mongoose.Schema({
       longitude: Number
     }
   },
+  // Buyer VAT number shown on tax invoices
+  vatNumber: {
+    type: String,
+    trim: true,
+    default: null,
+    match: [/^3\d{13}3$/, 'VAT number must be 15 digits starting and ending with 3']
+  },
   propertyType: {
     type: String,
     enum: ['residential', 'commercial', 'industrial', 'public'],
@@ -109,6 +120,12 @@ const clientSchema = new mongoose.Schema({
   lastPaymentDate: {
     type: Date,
     default: null
+  },
+  // Overpayments kept for future invoices
+  creditBalance: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true
@@ -150,6 +167,9 @@ clientSchema.index({ username: 1 });
 clientSchema.index({ phone: 1 });
 clientSchema.index({ branch: 1 });
 
+// Keep branch statistics up to date
+clientSchema.plugin(trackBranchCounters);
+
 const Client = mongoose.model('Client', clientSchema);
 
 export default Client;
@@ -0,0 +1,194 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import Branch from './Branch.js';
+import { formatDocumentNumber } from '../utils/numbering.js';
+
+const CONTRACT_NUMBER_FORMAT = '{prefix}-{branch}-{year}-{seq:4}';
+
+export const TASK_CATEGORIES = ['lawn-mowing', 'tree-trimming', 'landscaping', 'irrigation', 'pest-control', 'other'];
+export const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const contractSchema = new mongoose.Schema({
+  contractNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Contract title is required'],
+    trim: true
+  },
+  // Client sites the contract covers
+  sites: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Site'
+    }],
+    validate: [sites => sites.length > 0, 'A contract covers at least one site']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // Last day covered
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // In force between its dates unless terminated early
+  status: {
+    type: String,
+    enum: ['active', 'terminated'],
+    default: 'active'
+  },
+  // Visits included each calendar month, per task category
+  visitQuotas: [{
+    category: {
+      type: String,
+      enum: TASK_CATEGORIES,
+      required: true
+    },
+    visitsPerMonth: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  monthlyFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'SAR'
+  },
+  // Hours from when a task is due (its scheduled time, or its creation if later) until work starts
+  sla: [{
+    priority: {
+      type: String,
+      enum: TASK_PRIORITIES,
+      required: true
+    },
+    responseHours: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // Renewal reminders sent, one per step (days before the end date)
+  renewalReminders: [{
+    daysBefore: Number,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    },
+    email: {
+      type: Boolean,
+      default: false
+    },
+    whatsapp: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  renewedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    default: null
+  },
+  renewedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    default: null
+  },
+  terminatedAt: Date,
+  terminatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  terminationReason: {
+    type: String,
+    maxlength: 500
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Whether the contract covers a day (its end date is included)
+ */
+contractSchema.methods.isActiveOn = function(date = new Date()) {
+  if (this.status !== 'active') return false;
+
+  const endOfLastDay = new Date(this.endDate);
+  endOfLastDay.setHours(23, 59, 59, 999);
+  return this.startDate <= date && date <= endOfLastDay;
+};
+
+/**
+ * Contracted response hours for a task priority, or null when the contract sets none
+ */
+contractSchema.methods.responseHoursFor = function(priority) {
+  const entry = this.sla.find(item => item.priority === priority);
+  return entry ? entry.responseHours : null;
+};
+
+// Generate contract number from the branch's sequence for the year
+contractSchema.pre('validate', async function(next) {
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before the start date');
+  }
+
+  const duplicate = (values) => values.find((value, index) => values.indexOf(value) !== index);
+  const category = duplicate(this.visitQuotas.map(quota => quota.category));
+  if (category) {
+    this.invalidate('visitQuotas', `Category ${category} has more than one visit quota`);
+  }
+  const priority = duplicate(this.sla.map(entry => entry.priority));
+  if (priority) {
+    this.invalidate('sla', `Priority ${priority} has more than one response time`);
+  }
+
+  if (this.contractNumber || !this.branch) return next();
+
+  try {
+    const session = this.$session();
+    const date = new Date();
+    const branch = await Branch.findById(this.branch).select('code').session(session);
+    const seq = await Counter.next(`contract:${this.branch}:${date.getFullYear()}`, { session });
+
+    this.contractNumber = formatDocumentNumber(CONTRACT_NUMBER_FORMAT, { prefix: 'CT', branch: branch?.code, date, seq });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Indexes
+contractSchema.index({ client: 1, startDate: -1 });
+contractSchema.index({ branch: 1, status: 1, endDate: 1 });
+contractSchema.index({ sites: 1 });
+
+const Contract = mongoose.model('Contract', contractSchema);
+
+export default Contract;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Named sequences (e.g. invoice numbers per branch and year), incremented atomically
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Take the next value of a sequence, creating it at 1
+ * Inside a transaction the increment is rolled back with it, so aborted work leaves no gap;
+ * concurrent callers are serialized by the single counter document.
+ * @param {string} key - Sequence name
+ * @param {object} options - { session }
+ * @returns {Promise<number>} - Next value
+ */
+counterSchema.statics.next = async function(key, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session: session || null }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import Branch from './Branch.js';
+import { formatDocumentNumber } from '../utils/numbering.js';
+
+const CREDIT_NOTE_NUMBER_FORMAT = '{prefix}-{branch}-{year}-{seq:5}';
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Issued invoice the credit note corrects
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    maxlength: 500
+  },
+  // Credited quantities of the invoice lines, at the invoice prices
+  items: [{
+    invoiceLine: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['labor', 'material', 'other'],
+      default: 'other'
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null
+    },
+    description: String,
+    quantity: {
+      type: Number,
+      min: 0
+    },
+    unit: String,
+    unitPrice: Number,
+    total: Number
+  }],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  // Share of the invoice discount on the credited lines
+  discount: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    rate: Number,
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'SAR'
+  },
+  // Part of the total taken off the invoice balance, and the part already paid that went to client credit
+  appliedAmount: {
+    type: Number,
+    default: 0
+  },
+  creditAmount: {
+    type: Number,
+    default: 0
+  },
+  // Issued as part of cancelling the invoice
+  cancellation: {
+    type: Boolean,
+    default: false
+  },
+  issuedDate: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pdfUrl: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Number from the branch's yearly counter, taken in the credit note's transaction
+creditNoteSchema.pre('validate', async function(next) {
+  if (this.creditNoteNumber || !this.branch) return next();
+
+  try {
+    const session = this.$session();
+    const date = new Date();
+    const branch = await Branch.findById(this.branch).select('code').session(session);
+    const seq = await Counter.next(`credit-note:${this.branch}:${date.getFullYear()}`, { session });
+
+    this.creditNoteNumber = formatDocumentNumber(CREDIT_NOTE_NUMBER_FORMAT, { prefix: 'CN', branch: branch?.code, date, seq });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Indexes
+creditNoteSchema.index({ invoice: 1 });
+creditNoteSchema.index({ client: 1, issuedDate: -1 });
+creditNoteSchema.index({ branch: 1, issuedDate: -1 });
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
+export default CreditNote;
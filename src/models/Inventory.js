@@ -47,6 +47,12 @@ const inventorySchema = new mongoose.Schema({
     maximum: {
       type: Number,
       default: 1000
+    },
+    // Held for assigned tasks; still in stock but not available to others
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0
     }
   },
   price: {
@@ -59,6 +65,13 @@ const inventorySchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Supplier purchase orders and reorder suggestions default to
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    default: null
+  },
+  // Free-text supplier contact from before suppliers were managed; kept for reference
   supplier: {
     name: String,
     contact: String,
@@ -85,7 +98,14 @@ const inventorySchema = new mongoose.Schema({
     lastAlertSent: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Stock not held by any task
+inventorySchema.virtual('quantity.available').get(function() {
+  return this.quantity.current - (this.quantity.reserved || 0);
 });
 
 // Virtual for stock status
@@ -98,7 +118,7 @@ inventorySchema.virtual('stockStatus').get(function() {
 
 // Method to deduct quantity
 inventorySchema.methods.deduct = async function(amount) {
-  if (this.quantity.current < amount) {
+  if (this.quantity.available < amount) {
     throw new Error('Insufficient stock');
   }
   this.quantity.current -= amount;
@@ -11,6 +11,12 @@ const inventoryTransactionSchema = new mongoose.Schema({
     ref: 'Task',
     default: null
   },
+  // Purchase order a restock was received against
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  },
   worker: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -18,7 +24,8 @@ const inventoryTransactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['withdrawal', 'return', 'restock', 'adjustment'],
+    // reservation/release move stock in and out of quantity.reserved; consumption uses reserved stock
+    enum: ['withdrawal', 'return', 'restock', 'adjustment', 'reservation', 'release', 'consumption'],
     required: true
   },
   quantity: {
@@ -37,6 +44,10 @@ const inventoryTransactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Cost price paid per unit for a restock
+  unitCost: Number,
+  previousReserved: Number,
+  newReserved: Number,
   notes: {
     type: String,
     maxlength: 500
@@ -58,6 +69,7 @@ inventoryTransactionSchema.index({ inventory: 1, createdAt: -1 });
 inventoryTransactionSchema.index({ worker: 1, createdAt: -1 });
 inventoryTransactionSchema.index({ task: 1 });
 inventoryTransactionSchema.index({ type: 1 });
+inventoryTransactionSchema.index({ purchaseOrder: 1 });
 
 const InventoryTransaction = mongoose.model('InventoryTransaction', inventoryTransactionSchema);
 
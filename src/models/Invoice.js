@@ -1,4 +1,10 @@
 import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import Branch from './Branch.js';
+import Settings from './Settings.js';
+import { formatDocumentNumber } from '../utils/numbering.js';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
 
 const invoiceSchema = new mongoose.Schema({
   invoiceNumber: {
@@ -6,11 +12,16 @@ const invoiceSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Single-task invoices keep the task here; every billed task is listed in tasks
   task: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Task',
-    required: true
+    default: null
   },
+  tasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
   client: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Client',
@@ -21,12 +32,74 @@ const invoiceSchema = new mongoose.Schema({
     ref: 'Branch',
     required: true
   },
+  // Consolidated invoices: the site (when billed per site) and the period covered
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site',
+    default: null
+  },
+  period: {
+    from: Date,
+    to: Date
+  },
+  // Accepted quote the invoice was converted from
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
+  // Drafts can still be edited; issued invoices are final and only corrected by credit notes
+  // (invoices from before drafts have no status). Cancelled invoices are kept with their reason.
+  status: {
+    type: String,
+    enum: ['draft', 'issued', 'cancelled']
+  },
+  issuedDate: Date,
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: 500
+  },
   // Invoice Details
   items: [{
-    description: String,
-    quantity: Number,
+    type: {
+      type: String,
+      enum: ['labor', 'material', 'other'],
+      default: 'other'
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null
+    },
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      default: null
+    },
+    description: {
+      type: String,
+      required: [true, 'Line description is required']
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
     unit: String,
-    unitPrice: Number,
+    unitPrice: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     total: Number
   }],
   subtotal: {
@@ -44,9 +117,11 @@ const invoiceSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Amount taken off the subtotal before VAT
   discount: {
     type: Number,
-    default: 0
+    default: 0,
+    min: 0
   },
   total: {
     type: Number,
@@ -65,15 +140,37 @@ const invoiceSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'bank-transfer', 'online', 'other'],
+    enum: ['cash', 'card', 'bank-transfer', 'online', 'other', 'credit'],
     default: null
   },
   paidAmount: {
     type: Number,
     default: 0
   },
+  // Sum of the credit notes issued against the invoice
+  creditedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   paidAt: Date,
   dueDate: Date,
+  // Payment reminders sent, one per dunning step (days relative to the due date)
+  reminders: [{
+    offsetDays: Number,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    },
+    email: {
+      type: Boolean,
+      default: false
+    },
+    whatsapp: {
+      type: Boolean,
+      default: false
+    }
+  }],
   // PDF
   pdfUrl: {
     type: String,
@@ -99,32 +196,164 @@ const invoiceSchema = new mongoose.Schema({
   notes: {
     type: String,
     maxlength: 500
+  },
+  // Saudi e-invoicing (ZATCA), sealed when the invoice is issued: position in the hash chain,
+  // the hashes, QR payload and the seller/buyer details the hash covers
+  zatca: {
+    uuid: String,
+    counter: Number,
+    invoiceHash: String,
+    previousHash: String,
+    signature: String,
+    qrCode: String,
+    issuedAt: Date,
+    seller: {
+      name: String,
+      vatNumber: String,
+      commercialRegistration: String,
+      address: {
+        street: String,
+        buildingNumber: String,
+        district: String,
+        city: String,
+        postalCode: String,
+        countryCode: String
+      }
+    },
+    buyer: {
+      name: String,
+      vatNumber: String,
+      address: {
+        street: String,
+        city: String,
+        postalCode: String
+      }
+    }
   }
 }, {
   timestamps: true
 });
 
-// Generate invoice number
-invoiceSchema.pre('save', async function(next) {
-  if (!this.invoiceNumber) {
-    const count = await mongoose.model('Invoice').countDocuments();
-    const year = new Date().getFullYear();
-    const month = String(new Date().getMonth() + 1).padStart(2, '0');
-    this.invoiceNumber = `INV-${year}${month}-${String(count + 1).padStart(5, '0')}`;
+/**
+ * Line totals, subtotal, VAT and total for a set of lines; VAT is charged on the discounted amount
+ * @param {Array} items - Invoice lines ({ quantity, unitPrice })
+ * @param {object} options - { taxRate, discount }
+ * @returns {object} - { lineTotals, subtotal, taxAmount, total }
+ */
+invoiceSchema.statics.calculateTotals = function(items, { taxRate = 0, discount = 0 } = {}) {
+  const lineTotals = items.map(item => roundAmount((item.quantity || 0) * (item.unitPrice || 0)));
+  const subtotal = roundAmount(lineTotals.reduce((sum, total) => sum + total, 0));
+  const taxable = Math.max(0, subtotal - (discount || 0));
+  const taxAmount = roundAmount((taxable * taxRate) / 100);
+
+  return { lineTotals, subtotal, taxAmount, total: roundAmount(taxable + taxAmount) };
+};
+
+/**
+ * Total less the credit notes issued against the invoice
+ */
+invoiceSchema.methods.netTotal = function() {
+  return Math.max(0, roundAmount((this.total || 0) - (this.creditedAmount || 0)));
+};
+
+/**
+ * Amount still to be paid
+ */
+invoiceSchema.methods.balanceDue = function() {
+  return Math.max(0, roundAmount(this.netTotal() - (this.paidAmount || 0)));
+};
+
+/**
+ * Whether the invoice was ever issued (cancelled drafts were not; legacy invoices have no status)
+ */
+invoiceSchema.methods.wasIssued = function() {
+  if (this.status === 'cancelled') return Boolean(this.issuedDate);
+  return this.status !== 'draft';
+};
+
+/**
+ * Set the amount paid so far and derive the payment status from it
+ * Cancelled invoices keep their status; unpaid overdue invoices stay overdue.
+ */
+invoiceSchema.methods.setPaidAmount = function(paidAmount, paidAt = new Date()) {
+  this.paidAmount = Math.max(0, roundAmount(paidAmount));
+
+  if (this.paymentStatus === 'cancelled') return this;
+
+  const due = this.netTotal();
+  if (due > 0 && this.paidAmount >= due) {
+    this.paymentStatus = 'paid';
+    this.paidAt = paidAt;
+  } else {
+    this.paidAt = null;
+    if (this.paymentStatus !== 'overdue') {
+      this.paymentStatus = this.paidAmount > 0 ? 'partially-paid' : 'pending';
+    }
+  }
+  return this;
+};
+
+// Generate invoice number (before validation, which requires it) from the branch's sequence for the year.
+// Invoices are created in a transaction, so the number is given back if the creation fails.
+invoiceSchema.pre('validate', async function(next) {
+  if (this.invoiceNumber || !this.branch) return next();
+
+  try {
+    const session = this.$session();
+    const date = new Date();
+    const [settings, branch] = await Promise.all([
+      Settings.getSettings(),
+      Branch.findById(this.branch).select('code').session(session)
+    ]);
+    const { prefix, format } = settings.invoice.numbering;
+    const seq = await Counter.next(`invoice:${this.branch}:${date.getFullYear()}`, { session });
+
+    this.invoiceNumber = formatDocumentNumber(format, { prefix, branch: branch?.code, date, seq });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+invoiceSchema.pre('save', function(next) {
+  // Issued invoices are immutable; corrections go through credit notes
+  if (!this.isNew && this.status !== 'draft' && this.isModified('items discount tax')) {
+    return next(new Error('Issued invoices cannot be changed; issue a credit note instead'));
   }
-  
-  // Calculate totals
-  this.tax.amount = (this.subtotal * this.tax.rate) / 100;
-  this.total = this.subtotal + this.tax.amount - this.discount;
+
+  // Legacy invoices have totals but no lines; keep their amounts
+  if (this.items.length === 0 && !this.isModified('items')) return next();
+
+  // Calculate totals from the lines
+  const totals = this.constructor.calculateTotals(this.items, { taxRate: this.tax.rate, discount: this.discount });
+  this.items.forEach((item, index) => {
+    item.total = totals.lineTotals[index];
+  });
+  this.subtotal = totals.subtotal;
+  this.tax.amount = totals.taxAmount;
+  this.total = totals.total;
   
   next();
 });
 
 // Indexes
-invoiceSchema.index({ invoiceNumber: 1 });
 invoiceSchema.index({ client: 1 });
 invoiceSchema.index({ task: 1 });
+invoiceSchema.index({ tasks: 1 });
 invoiceSchema.index({ paymentStatus: 1 });
+invoiceSchema.index({ status: 1 });
+invoiceSchema.index({ paymentStatus: 1, dueDate: 1 });
+invoiceSchema.index({ 'zatca.counter': 1 }, { unique: true, sparse: true });
+
+// Invoices that were issued: legacy invoices without a status, and cancelled ones that had been issued
+// (their credit notes net them out)
+export const ISSUED_INVOICE_QUERY = {
+  $or: [
+    { status: 'issued' },
+    { status: { $exists: false } },
+    { status: 'cancelled', issuedDate: { $ne: null } }
+  ]
+};
 
 const Invoice = mongoose.model('Invoice', invoiceSchema);
 
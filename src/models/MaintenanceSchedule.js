@@ -0,0 +1,177 @@
+// backend/src/models/MaintenanceSchedule.js
+import mongoose from 'mongoose';
+import { WEEKDAYS, FREQUENCIES, formatRRule, expandOccurrences } from '../utils/recurrence.js';
+
+const maintenanceScheduleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Schedule title is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+
+  // Where the work happens
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site',
+    required: [true, 'Site is required']
+  },
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Section is required']
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+
+  // Template for generated tasks
+  category: {
+    type: String,
+    enum: ['lawn-mowing', 'tree-trimming', 'landscaping', 'irrigation', 'pest-control', 'other'],
+    default: 'other'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  defaultWorker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  estimatedDuration: {
+    type: Number, // in hours
+    default: 2
+  },
+  materials: [{
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory'
+    },
+    name: String,
+    quantity: Number,
+    unit: String
+  }],
+
+  // Recurrence (RRULE subset)
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: [true, 'Recurrence frequency is required']
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    byWeekday: [{
+      type: String,
+      enum: WEEKDAYS
+    }],
+    byMonthDay: [{
+      type: Number,
+      min: -31,
+      max: 31
+    }],
+    until: Date,
+    count: {
+      type: Number,
+      min: 1
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  startTime: {
+    type: String,
+    default: '08:00',
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be HH:mm']
+  },
+
+  // Generation
+  horizonDays: {
+    type: Number, // falls back to Settings.scheduling.horizonDays
+    min: 1,
+    max: 365,
+    default: null
+  },
+  skipHolidays: {
+    type: Boolean,
+    default: true
+  },
+  exceptions: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastGeneratedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Set when a "this and future" edit splits the series
+  parentSchedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceSchedule',
+    default: null
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// RRULE representation of the recurrence
+maintenanceScheduleSchema.virtual('rrule').get(function() {
+  return formatRRule(this.recurrence);
+});
+
+// Occurrence dates between two dates (before exceptions and holidays)
+maintenanceScheduleSchema.methods.getOccurrences = function(from, to) {
+  return expandOccurrences(this.recurrence, this.startDate, from, to);
+};
+
+// Indexes
+maintenanceScheduleSchema.index({ site: 1, section: 1 });
+maintenanceScheduleSchema.index({ client: 1 });
+maintenanceScheduleSchema.index({ branch: 1, isActive: 1 });
+
+const MaintenanceSchedule = mongoose.model('MaintenanceSchedule', maintenanceScheduleSchema);
+
+export default MaintenanceSchedule;
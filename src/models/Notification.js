@@ -15,7 +15,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['task-assigned', 'task-completed', 'feedback-received', 'low-stock', 'invoice-generated', 'other'],
+    enum: ['task-assigned', 'task-completed', 'task-rejected', 'feedback-received', 'low-stock', 'invoice-generated', 'payment-reminder', 'quote-sent', 'contract-renewal', 'other'],
     required: true
   },
   channel: {
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// 'credit' pays invoices from the client's credit balance
+export const PAYMENT_METHODS = ['cash', 'card', 'bank-transfer', 'online', 'other', 'credit'];
+
+const paymentSchema = new mongoose.Schema({
+  paymentNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be positive']
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  // How the amount was applied to invoices
+  allocations: [{
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // Part of the amount left over after the invoices, added to the client's credit
+  creditAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Voided payments are kept for the history; their allocations and credit are reversed
+  status: {
+    type: String,
+    enum: ['completed', 'voided'],
+    default: 'completed'
+  },
+  voidReason: String,
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receiptUrl: {
+    type: String,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Receipt number from the yearly counter, taken in the payment's transaction
+// (payments without a branch exist, so the sequence is shared by all branches)
+paymentSchema.pre('validate', async function(next) {
+  if (this.paymentNumber) return next();
+
+  try {
+    const date = new Date();
+    const seq = await Counter.next(`payment:${date.getFullYear()}`, { session: this.$session() });
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    this.paymentNumber = `RCPT-${date.getFullYear()}${month}-${String(seq).padStart(5, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Indexes
+paymentSchema.index({ client: 1, paidAt: -1 });
+paymentSchema.index({ branch: 1, paidAt: -1 });
+paymentSchema.index({ 'allocations.invoice': 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,184 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import Branch from './Branch.js';
+import Invoice from './Invoice.js';
+import { formatDocumentNumber } from '../utils/numbering.js';
+
+const PURCHASE_ORDER_NUMBER_FORMAT = '{prefix}-{branch}-{year}-{seq:5}';
+
+// Orders the supplier is delivering; goods can be received against them
+export const RECEIVABLE_PO_STATUSES = ['sent', 'partially-received'];
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  // Branch the goods are delivered to and stocked in
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  // Drafts are edited internally; sent orders are received in one or more deliveries
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially-received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  // One line per inventory item of the branch, at the agreed cost price
+  items: [{
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      required: [true, 'Inventory item is required']
+    },
+    description: {
+      type: String,
+      required: [true, 'Line description is required']
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0.001, 'Quantity must be positive']
+    },
+    unit: String,
+    unitCost: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    total: Number,
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    rate: {
+      type: Number,
+      default: 15
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'SAR'
+  },
+  expectedDate: Date,
+  sentAt: Date,
+  // Deliveries received against the order
+  receipts: [{
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    items: [{
+      line: mongoose.Schema.Types.ObjectId,
+      inventory: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory'
+      },
+      quantity: Number,
+      unitCost: Number
+    }],
+    notes: {
+      type: String,
+      maxlength: 500
+    }
+  }],
+  receivedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelReason: {
+    type: String,
+    maxlength: 500
+  },
+  pdfUrl: {
+    type: String,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Quantity of a line still to be delivered
+ */
+purchaseOrderSchema.methods.outstandingQuantity = function(line) {
+  return Math.max(0, line.quantity - (line.receivedQuantity || 0));
+};
+
+// Generate the order number from the branch's sequence for the year
+purchaseOrderSchema.pre('validate', async function(next) {
+  if (this.poNumber || !this.branch) return next();
+
+  try {
+    const session = this.$session();
+    const date = new Date();
+    const branch = await Branch.findById(this.branch).select('code').session(session);
+    const seq = await Counter.next(`purchase-order:${this.branch}:${date.getFullYear()}`, { session });
+
+    this.poNumber = formatDocumentNumber(PURCHASE_ORDER_NUMBER_FORMAT, { prefix: 'PO', branch: branch?.code, date, seq });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+purchaseOrderSchema.pre('save', function(next) {
+  const totals = Invoice.calculateTotals(
+    this.items.map(item => ({ quantity: item.quantity, unitPrice: item.unitCost })),
+    { taxRate: this.tax.rate }
+  );
+  this.items.forEach((item, index) => {
+    item.total = totals.lineTotals[index];
+  });
+  this.subtotal = totals.subtotal;
+  this.tax.amount = totals.taxAmount;
+  this.total = totals.total;
+
+  next();
+});
+
+// Indexes
+purchaseOrderSchema.index({ branch: 1, status: 1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'items.inventory': 1, status: 1 });
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+export default PurchaseOrder;
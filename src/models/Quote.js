@@ -0,0 +1,230 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+import Branch from './Branch.js';
+import Invoice from './Invoice.js';
+import { formatDocumentNumber } from '../utils/numbering.js';
+
+const QUOTE_NUMBER_FORMAT = '{prefix}-{branch}-{year}-{seq:5}';
+
+// Quotes the client can still answer
+export const OPEN_QUOTE_STATUSES = ['sent'];
+
+const quoteSchema = new mongoose.Schema({
+  quoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site',
+    required: [true, 'Site is required']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Quote title is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  // Category of the tasks the quote turns into
+  category: {
+    type: String,
+    enum: ['lawn-mowing', 'tree-trimming', 'landscaping', 'irrigation', 'pest-control', 'other'],
+    default: 'other'
+  },
+  // Drafts are edited internally; sent quotes wait for the client's answer until validUntil.
+  // Accepted quotes are converted into tasks and a draft invoice.
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'accepted', 'rejected', 'expired', 'converted'],
+    default: 'draft'
+  },
+  // Priced lines; plants come from the catalog and materials from inventory, at their prices when quoted
+  items: [{
+    type: {
+      type: String,
+      enum: ['labor', 'plant', 'material', 'other'],
+      default: 'other'
+    },
+    plant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plant',
+      default: null
+    },
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      default: null
+    },
+    description: {
+      type: String,
+      required: [true, 'Line description is required']
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    unit: String,
+    unitPrice: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    total: Number,
+    // Index of the visit the line is done on
+    visit: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+  // Planned visits; each becomes a scheduled task on conversion
+  visits: [{
+    title: String,
+    section: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Section is required']
+    },
+    scheduledDate: {
+      type: Date,
+      required: [true, 'Visit date is required']
+    },
+    estimatedDuration: {
+      type: Number, // in hours
+      default: 2
+    }
+  }],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    rate: {
+      type: Number,
+      default: 15
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Amount taken off the subtotal before VAT
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'SAR'
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  sentAt: Date,
+  // Client's answer
+  respondedAt: Date,
+  responseNote: {
+    type: String,
+    maxlength: 1000
+  },
+  // Conversion
+  convertedAt: Date,
+  convertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  tasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  pdfUrl: {
+    type: String,
+    default: null
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Whether the quote can no longer be accepted because its validity has passed
+ */
+quoteSchema.methods.isExpired = function(now = new Date()) {
+  return this.status === 'expired'
+    || (OPEN_QUOTE_STATUSES.includes(this.status) && this.validUntil < now);
+};
+
+// Generate quote number from the branch's sequence for the year
+quoteSchema.pre('validate', async function(next) {
+  if (this.quoteNumber || !this.branch) return next();
+
+  try {
+    const session = this.$session();
+    const date = new Date();
+    const branch = await Branch.findById(this.branch).select('code').session(session);
+    const seq = await Counter.next(`quote:${this.branch}:${date.getFullYear()}`, { session });
+
+    this.quoteNumber = formatDocumentNumber(QUOTE_NUMBER_FORMAT, { prefix: 'QT', branch: branch?.code, date, seq });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+quoteSchema.pre('save', function(next) {
+  // Totals are worked out like an invoice's, so the converted invoice comes to the same amount
+  const totals = Invoice.calculateTotals(this.items, { taxRate: this.tax.rate, discount: this.discount });
+  this.items.forEach((item, index) => {
+    item.total = totals.lineTotals[index];
+  });
+  this.subtotal = totals.subtotal;
+  this.tax.amount = totals.taxAmount;
+  this.total = totals.total;
+
+  next();
+});
+
+// Indexes
+quoteSchema.index({ client: 1, createdAt: -1 });
+quoteSchema.index({ branch: 1, status: 1 });
+quoteSchema.index({ status: 1, validUntil: 1 });
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+export default Quote;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { DEFAULT_INVOICE_NUMBER_FORMAT, isValidNumberFormat } from '../utils/numbering.js';
 
 const settingsSchema = new mongoose.Schema({
   // There should only be one settings document
@@ -81,11 +82,70 @@ const settingsSchema = new mongoose.Schema({
       type: String,
       default: 'Payment due within 30 days'
     },
+    // Days from invoice creation to the due date
+    dueDays: {
+      type: Number,
+      default: 30,
+      min: 0
+    },
+    // Invoice numbers: a gap-free sequence per branch and year, laid out by the format
+    numbering: {
+      prefix: {
+        type: String,
+        default: 'INV',
+        trim: true,
+        maxlength: 10
+      },
+      format: {
+        type: String,
+        default: DEFAULT_INVOICE_NUMBER_FORMAT,
+        validate: {
+          validator: isValidNumberFormat,
+          message: 'Number format needs {seq}, {branch} and {year} (or {yy})'
+        }
+      }
+    },
+    // Payment reminders, in days relative to the due date (negative = before it)
+    reminders: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      days: {
+        type: [Number],
+        default: [-3, 0, 7, 30]
+      }
+    },
     footer: {
       type: String,
       default: 'Thank you for your business!'
     }
   },
+  // Saudi e-invoicing (ZATCA) seller details printed on and hashed into issued invoices
+  einvoice: {
+    // Falls back to branding.companyName
+    sellerName: {
+      type: String,
+      default: ''
+    },
+    vatNumber: {
+      type: String,
+      default: '',
+      match: [/^(3\d{13}3)?$/, 'VAT number must be 15 digits starting and ending with 3']
+    },
+    commercialRegistration: {
+      type: String,
+      default: ''
+    },
+    address: {
+      street: { type: String, default: '' },
+      buildingNumber: { type: String, default: '' },
+      district: { type: String, default: '' },
+      city: { type: String, default: '' },
+      postalCode: { type: String, default: '' },
+      countryCode: { type: String, default: 'SA' }
+    }
+  },
   // Language
   defaultLanguage: {
     type: String,
@@ -103,11 +163,106 @@ const settingsSchema = new mongoose.Schema({
       enum: ['daily', 'weekly', 'immediate'],
       default: 'immediate'
     }
+  },
+  // Client Feedback
+  feedback: {
+    // Ratings at or below this value are queued for follow-up
+    lowRatingThreshold: {
+      type: Number,
+      default: 2,
+      min: 1,
+      max: 5
+    }
+  },
+  // GPS Geofence for task start/completion
+  geofence: {
+    // off: not checked, flag: recorded for the report, block: refused
+    mode: {
+      type: String,
+      enum: ['off', 'flag', 'block'],
+      default: 'flag'
+    },
+    defaultRadius: {
+      type: Number,
+      default: 150, // meters
+      min: 1
+    }
+  },
+  // Worker availability checks on assignment
+  availability: {
+    // warn: assign and report problems, block: refuse the assignment
+    mode: {
+      type: String,
+      enum: ['warn', 'block'],
+      default: 'warn'
+    }
+  },
+  // Automatic task costing
+  costing: {
+    // Used when neither the worker nor the category has a rate
+    defaultHourlyRate: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    categoryRates: [{
+      category: {
+        type: String,
+        required: true
+      },
+      hourlyRate: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }]
+  },
+  // Maintenance contracts
+  contracts: {
+    // Renewal reminders, in days before a contract's end date
+    renewalReminders: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      days: {
+        type: [Number],
+        default: [60, 30, 7]
+      }
+    }
+  },
+  // Maintenance Scheduling
+  scheduling: {
+    horizonDays: {
+      type: Number,
+      default: 30,
+      min: 1,
+      max: 365
+    },
+    holidays: [{
+      date: {
+        type: Date,
+        required: true
+      },
+      name: {
+        type: String,
+        trim: true
+      }
+    }]
   }
 }, {
   timestamps: true
 });
 
+// Get the settings document, creating it with defaults on first use
+settingsSchema.statics.getSettings = async function() {
+  return await this.findByIdAndUpdate(
+    'app-settings',
+    {},
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
 const Settings = mongoose.model('Settings', settingsSchema);
 
 export default Settings;
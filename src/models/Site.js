@@ -50,6 +50,12 @@ const siteSchema = new mongoose.Schema({
     coordinates: {
       latitude: Number,
       longitude: Number
+    },
+    // Check-ins farther than this (meters) are off-site; null uses the default from settings
+    geofenceRadius: {
+      type: Number,
+      min: 1,
+      default: null
     }
   },
   totalArea: {
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true
+  },
+  contactName: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  phone: String,
+  address: String,
+  vatNumber: {
+    type: String,
+    trim: true
+  },
+  // Days the supplier gives us to pay
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  // Usual days from ordering to delivery
+  leadTimeDays: {
+    type: Number,
+    default: 7,
+    min: 0
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  // Suppliers with purchase orders are deactivated instead of deleted
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+supplierSchema.index({ name: 1 });
+supplierSchema.index({ isActive: 1 });
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+export default Supplier;
@@ -1,5 +1,21 @@
 // backend/src/models/Task.js - ✅ UPDATED
 import mongoose from 'mongoose';
+import { trackBranchCounters } from '../utils/branchCounters.js';
+import { applyTaskCost } from '../services/costingService.js';
+import { workedHours } from '../utils/taskLifecycle.js';
+
+// Fields the automatic cost depends on
+const COST_INPUTS = ['materials', 'actualDuration', 'estimatedDuration', 'worker', 'category', 'cost'];
+
+// Geofence check result stored with each check-in
+const geofenceFields = {
+  distanceFromSite: Number, // meters
+  geofenceRadius: Number,
+  withinGeofence: {
+    type: Boolean,
+    default: null // null when the check could not be made
+  }
+};
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -42,9 +58,31 @@ const taskSchema = new mongoose.Schema({
   
   status: {
     type: String,
-    enum: ['pending', 'assigned', 'in-progress', 'completed', 'review', 'rejected'],
+    enum: ['pending', 'assigned', 'in-progress', 'completed', 'review', 'rejected', 'cancelled'],
     default: 'pending'
   },
+  // Every status change: who, when and from where
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
+    note: String
+  }],
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -64,6 +102,11 @@ const taskSchema = new mongoose.Schema({
     type: Number, // in hours
     default: 2
   },
+  // Manual position in the worker's day route (null = planned automatically)
+  routeOrder: {
+    type: Number,
+    default: null
+  },
   actualDuration: {
     type: Number,
     default: 0
@@ -82,14 +125,16 @@ const taskSchema = new mongoose.Schema({
       latitude: Number,
       longitude: Number
     },
-    timestamp: Date
+    timestamp: Date,
+    ...geofenceFields
   },
   endLocation: {
     coordinates: {
       latitude: Number,
       longitude: Number
     },
-    timestamp: Date
+    timestamp: Date,
+    ...geofenceFields
   },
   
   // ✅ IMAGES: Before/After only (reference images come from Section)
@@ -142,6 +187,15 @@ const taskSchema = new mongoose.Schema({
     name: String,
     quantity: Number,
     unit: String,
+    // Held in stock since assignment
+    reservedQuantity: {
+      type: Number,
+      default: 0
+    },
+    // Actually used, recorded on completion
+    usedQuantity: Number,
+    // Selling price per unit when the cost was calculated
+    unitPrice: Number,
     confirmed: {
       type: Boolean,
       default: false
@@ -152,8 +206,26 @@ const taskSchema = new mongoose.Schema({
       ref: 'User'
     }
   }],
+  materialsReservation: {
+    status: {
+      type: String,
+      enum: ['none', 'reserved', 'consumed', 'released'],
+      default: 'none'
+    },
+    reservedAt: Date,
+    consumedAt: Date,
+    releasedAt: Date
+  },
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
   
-  // Cost
+  // Cost: calculated from labor rates and confirmed materials unless override is set
   cost: {
     labor: {
       type: Number,
@@ -166,7 +238,18 @@ const taskSchema = new mongoose.Schema({
     total: {
       type: Number,
       default: 0
-    }
+    },
+    override: {
+      type: Boolean,
+      default: false
+    },
+    laborHours: Number,
+    laborRate: Number,
+    laborRateSource: {
+      type: String,
+      enum: ['worker', 'category', 'default']
+    },
+    calculatedAt: Date
   },
   
   // Timeline
@@ -196,14 +279,47 @@ const taskSchema = new mongoose.Schema({
       max: 5
     },
     comment: String,
-    submittedAt: Date
+    submittedAt: Date,
+    // Low ratings are followed up by an admin
+    followUp: {
+      status: {
+        type: String,
+        enum: ['not-needed', 'pending', 'resolved'],
+        default: 'not-needed'
+      },
+      notes: String,
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      resolvedAt: Date
+    }
   },
   
-  // Invoice
+  // Invoice (set once the task is billed, so it cannot be invoiced twice)
   invoice: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Invoice'
   },
+  billedAt: Date,
+  
+  // Recurring schedule that generated this task
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaintenanceSchedule',
+    default: null
+  },
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
+  
+  // Accepted quote this task was converted from
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
   
   notes: {
     type: String,
@@ -219,21 +335,44 @@ taskSchema.index({ worker: 1, status: 1 });
 taskSchema.index({ site: 1, section: 1 }); // ✅ New index
 taskSchema.index({ branch: 1, status: 1 });
 taskSchema.index({ scheduledDate: 1 });
+taskSchema.index({ worker: 1, scheduledDate: 1 });
 taskSchema.index({ status: 1, priority: 1 });
+taskSchema.index({ client: 1, status: 1, completedAt: 1 });
+taskSchema.index({ 'feedback.followUp.status': 1, branch: 1 });
+taskSchema.index({ 'startLocation.withinGeofence': 1 });
+taskSchema.index({ 'endLocation.withinGeofence': 1 });
+taskSchema.index(
+  { schedule: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { schedule: { $type: 'objectId' } } }
+);
 
 // Calculate actual duration when task is completed
-taskSchema.pre('save', function(next) {
+taskSchema.pre('save', async function() {
+  // Start the history with the initial status
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status });
+  }
+
+  // Add up the work sessions, so rework after a rejected review counts too; tasks from before the
+  // status history only have their start and completion
   if (this.startedAt && this.completedAt) {
-    const duration = (this.completedAt - this.startedAt) / (1000 * 60 * 60);
+    const worked = workedHours(this.statusHistory);
+    const duration = worked ?? (this.completedAt - this.startedAt) / (1000 * 60 * 60);
     this.actualDuration = Math.round(duration * 100) / 100;
   }
   
+  // Price the work again when anything it depends on changed
+  if (this.isNew || COST_INPUTS.some(path => this.isModified(path))) {
+    await applyTaskCost(this, { session: this.$session() });
+  }
+
   // Calculate total cost
   this.cost.total = this.cost.labor + this.cost.materials;
-  
-  next();
 });
 
+// Keep branch statistics up to date
+taskSchema.plugin(trackBranchCounters, { fields: ['branch', 'status'] });
+
 const Task = mongoose.model('Task', taskSchema);
 
 export default Task;
\ No newline at end of file
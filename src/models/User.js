@@ -1,6 +1,10 @@
 import mongoose from 'mongoose';
+import { trackBranchCounters } from '../utils/branchCounters.js';
+import { WEEKDAYS } from '../utils/recurrence.js';
 import bcrypt from 'bcryptjs';
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -24,7 +28,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'worker'],
+    enum: ['super-admin', 'admin', 'branch-manager', 'worker'],
     default: 'worker'
   },
   phone: {
@@ -40,6 +44,11 @@ const userSchema = new mongoose.Schema({
     ref: 'Branch',
     default: null
   },
+  // Extra branches a branch manager or admin is responsible for
+  branches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -62,7 +71,58 @@ const userSchema = new mongoose.Schema({
     completedTasks: {
       type: Number,
       default: 0
-    }
+    },
+    // Weekly shift pattern (no shifts = available every day)
+    shifts: [{
+      day: {
+        type: String,
+        enum: WEEKDAYS,
+        required: true
+      },
+      start: {
+        type: String,
+        match: [TIME_PATTERN, 'Shift start must be HH:mm'],
+        required: true
+      },
+      end: {
+        type: String,
+        match: [TIME_PATTERN, 'Shift end must be HH:mm'],
+        required: true
+      }
+    }],
+    // Labor rate per hour; takes precedence over the category rate in Settings.costing
+    hourlyRate: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Hours of work a worker can take on per day
+    dailyCapacity: {
+      type: Number,
+      default: 8,
+      min: 0,
+      max: 24
+    },
+    leave: [{
+      startDate: {
+        type: Date,
+        required: true
+      },
+      endDate: {
+        type: Date,
+        required: true
+      },
+      type: {
+        type: String,
+        enum: ['annual', 'sick', 'holiday', 'other'],
+        default: 'annual'
+      },
+      reason: String,
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }]
   }
 }, {
   timestamps: true
@@ -91,6 +151,9 @@ userSchema.methods.getPublicProfile = function() {
   return user;
 };
 
+// Keep branch statistics up to date
+userSchema.plugin(trackBranchCounters, { fields: ['branch', 'role'] });
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
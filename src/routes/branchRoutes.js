@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  getBranches,
+  getBranch,
+  createBranch,
+  updateBranch,
+  deleteBranch,
+  assignManager,
+  getBranchWorkers,
+  getBranchClients,
+  getBranchInventory,
+  recalculateBranchStats
+} from '../controllers/branchController.js';
+import { protect, authorize, requireGlobalAccess } from '../middleware/auth.js';
+import { createBranchValidation, mongoIdValidation } from '../middleware/validator.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getBranches)
+  .post(authorize('admin'), requireGlobalAccess, createBranchValidation, createBranch);
+
+router
+  .route('/:id')
+  .get(mongoIdValidation, getBranch)
+  .put(authorize('admin'), mongoIdValidation, updateBranch)
+  .delete(authorize('admin'), requireGlobalAccess, mongoIdValidation, deleteBranch);
+
+router.put('/:id/manager', authorize('admin'), requireGlobalAccess, mongoIdValidation, assignManager);
+router.get('/:id/workers', authorize('admin'), mongoIdValidation, getBranchWorkers);
+router.get('/:id/clients', authorize('admin'), mongoIdValidation, getBranchClients);
+router.get('/:id/inventory', authorize('admin'), mongoIdValidation, getBranchInventory);
+router.post('/:id/recalculate', authorize('admin'), mongoIdValidation, recalculateBranchStats);
+
+export default router;
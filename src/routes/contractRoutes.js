@@ -0,0 +1,40 @@
+import express from 'express';
+import {
+  getContracts,
+  getContract,
+  createContract,
+  updateContract,
+  terminateContract,
+  renewContract,
+  getContractSettings,
+  updateContractSettings,
+  runRenewalReminders
+} from '../controllers/contractController.js';
+import { protect, authorize, requireGlobalAccess } from '../middleware/auth.js';
+import { mongoIdValidation } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, authorize('admin'));
+
+router
+  .route('/settings')
+  .get(getContractSettings)
+  .put(requireGlobalAccess, updateContractSettings);
+router.post('/renewals/run', runRenewalReminders);
+
+router
+  .route('/')
+  .get(getContracts)
+  .post(createContract);
+
+router
+  .route('/:id')
+  .get(mongoIdValidation, getContract)
+  .put(mongoIdValidation, updateContract);
+
+router.post('/:id/terminate', mongoIdValidation, terminateContract);
+router.post('/:id/renew', mongoIdValidation, renewContract);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getCreditNotes,
+  getCreditNote,
+  createCreditNote,
+  downloadCreditNotePDF
+} from '../controllers/creditNoteController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { mongoIdValidation } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// Admin only routes
+router.use(protect, authorize('admin'));
+
+router
+  .route('/')
+  .get(getCreditNotes)
+  .post(createCreditNote);
+
+router.get('/:id', mongoIdValidation, getCreditNote);
+router.get('/:id/pdf', mongoIdValidation, downloadCreditNotePDF);
+
+export default router;
@@ -7,16 +7,20 @@ import {
   deleteInventoryItem,
   withdrawInventory,
   restockInventory,
-  getInventoryTransactions
+  getInventoryTransactions,
+  getReorderSuggestions,
+  createReorderPurchaseOrders
 } from '../controllers/inventoryController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, authorize, requireUser } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Protected routes
-router.get('/', protect, getInventoryItems);
-router.get('/:id', protect, getInventoryItem);
-router.get('/:id/transactions', protect, getInventoryTransactions);
+router.get('/', protect, requireUser, getInventoryItems);
+router.get('/reorder-suggestions', protect, authorize('admin'), getReorderSuggestions);
+router.post('/reorder-suggestions/purchase-orders', protect, authorize('admin'), createReorderPurchaseOrders);
+router.get('/:id', protect, requireUser, getInventoryItem);
+router.get('/:id/transactions', protect, requireUser, getInventoryTransactions);
 
 // Worker and Admin routes
 router.post('/:id/withdraw', protect, authorize('admin', 'worker'), withdrawInventory);
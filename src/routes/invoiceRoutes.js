@@ -4,21 +4,53 @@ import {
   getInvoice,
   createInvoice,
   updateInvoice,
-  deleteInvoice,
+  finalizeInvoice,
+  downloadInvoiceXML,
+  getEInvoice,
+  getEInvoiceSettings,
+  updateEInvoiceSettings,
+  cancelInvoice,
+  previewBillingRun,
+  runBilling,
+  getReminderSettings,
+  updateReminderSettings,
+  getNumberingSettings,
+  updateNumberingSettings,
+  runInvoiceReminders,
   updatePaymentStatus
 } from '../controllers/invoiceController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, authorize, requireGlobalAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Protected routes
 router.get('/', protect, authorize('admin'), getInvoices);
-router.get('/:id', protect, getInvoice);
+router
+  .route('/reminders/settings')
+  .get(protect, authorize('admin'), getReminderSettings)
+  .put(protect, authorize('admin'), requireGlobalAccess, updateReminderSettings);
+router.post('/reminders/run', protect, authorize('admin'), runInvoiceReminders);
+router
+  .route('/numbering/settings')
+  .get(protect, authorize('admin'), getNumberingSettings)
+  .put(protect, authorize('admin'), requireGlobalAccess, updateNumberingSettings);
+router
+  .route('/einvoice/settings')
+  .get(protect, authorize('admin'), getEInvoiceSettings)
+  .put(protect, authorize('admin'), requireGlobalAccess, updateEInvoiceSettings);
+router.get('/:id', protect, authorize('admin'), getInvoice);
+router.get('/:id/xml', protect, authorize('admin'), downloadInvoiceXML);
+router.get('/:id/einvoice', protect, authorize('admin'), getEInvoice);
 
 // Admin only routes
 router.post('/', protect, authorize('admin'), createInvoice);
+router.post('/billing-run/preview', protect, authorize('admin'), previewBillingRun);
+router.post('/billing-run', protect, authorize('admin'), runBilling);
 router.put('/:id', protect, authorize('admin'), updateInvoice);
-router.delete('/:id', protect, authorize('admin'), deleteInvoice);
+router.post('/:id/finalize', protect, authorize('admin'), finalizeInvoice);
+router.post('/:id/cancel', protect, authorize('admin'), cancelInvoice);
+// Older call kept for compatibility: invoices are cancelled, never deleted
+router.delete('/:id', protect, authorize('admin'), cancelInvoice);
 router.put('/:id/payment-status', protect, authorize('admin'), updatePaymentStatus);
 
 export default router;
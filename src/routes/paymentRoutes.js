@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getPayments,
+  getPayment,
+  createPayment,
+  voidPayment,
+  downloadReceipt
+} from '../controllers/paymentController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { mongoIdValidation } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// Admin only routes
+router.use(protect, authorize('admin'));
+
+router
+  .route('/')
+  .get(getPayments)
+  .post(createPayment);
+
+router.get('/:id', mongoIdValidation, getPayment);
+router.get('/:id/receipt', mongoIdValidation, downloadReceipt);
+router.post('/:id/void', mongoIdValidation, voidPayment);
+
+export default router;
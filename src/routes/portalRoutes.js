@@ -0,0 +1,69 @@
+import express from 'express';
+import {
+  getProfile,
+  updateProfile,
+  updatePassword,
+  getSites,
+  getSite,
+  getTasks,
+  getTask,
+  submitFeedback,
+  getInvoices,
+  getInvoice,
+  downloadInvoicePDF,
+  downloadInvoiceXML,
+  getPayments,
+  downloadReceiptPDF,
+  getCreditNotes,
+  downloadCreditNotePDF,
+  getQuotes,
+  getQuote,
+  downloadQuotePDF,
+  acceptQuote,
+  rejectQuote
+} from '../controllers/portalController.js';
+import { protect, requireClient, requireClientTask, requireClientQuote } from '../middleware/auth.js';
+import { feedbackValidation, mongoIdValidation } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// Client portal: every route is limited to the logged-in client's own records
+router.use(protect);
+
+// Also reachable through the single-task feedback link
+router.get('/tasks/:id', mongoIdValidation, requireClientTask, getTask);
+router.post('/tasks/:id/feedback', mongoIdValidation, requireClientTask, feedbackValidation, submitFeedback);
+
+// Also reachable through the single-quote link sent with the quote
+router.get('/quotes/:id', mongoIdValidation, requireClientQuote, getQuote);
+router.get('/quotes/:id/pdf', mongoIdValidation, requireClientQuote, downloadQuotePDF);
+router.post('/quotes/:id/accept', mongoIdValidation, requireClientQuote, acceptQuote);
+router.post('/quotes/:id/reject', mongoIdValidation, requireClientQuote, rejectQuote);
+
+router.use(requireClient);
+
+router
+  .route('/profile')
+  .get(getProfile)
+  .put(updateProfile);
+router.put('/password', updatePassword);
+
+router.get('/sites', getSites);
+router.get('/sites/:id', mongoIdValidation, getSite);
+
+router.get('/tasks', getTasks);
+
+router.get('/invoices', getInvoices);
+router.get('/invoices/:id', mongoIdValidation, getInvoice);
+router.get('/invoices/:id/pdf', mongoIdValidation, downloadInvoicePDF);
+router.get('/invoices/:id/xml', mongoIdValidation, downloadInvoiceXML);
+
+router.get('/payments', getPayments);
+router.get('/payments/:id/receipt', mongoIdValidation, downloadReceiptPDF);
+
+router.get('/credit-notes', getCreditNotes);
+router.get('/credit-notes/:id/pdf', mongoIdValidation, downloadCreditNotePDF);
+
+router.get('/quotes', getQuotes);
+
+export default router;
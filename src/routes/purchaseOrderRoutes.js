@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  downloadPurchaseOrderPDF
+} from '../controllers/purchaseOrderController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { mongoIdValidation } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, authorize('admin'));
+
+router
+  .route('/')
+  .get(getPurchaseOrders)
+  .post(createPurchaseOrder);
+
+router
+  .route('/:id')
+  .get(mongoIdValidation, getPurchaseOrder)
+  .put(mongoIdValidation, updatePurchaseOrder);
+
+router.get('/:id/pdf', mongoIdValidation, downloadPurchaseOrderPDF);
+router.post('/:id/send', mongoIdValidation, sendPurchaseOrder);
+router.post('/:id/receive', mongoIdValidation, receivePurchaseOrder);
+router.post('/:id/cancel', mongoIdValidation, cancelPurchaseOrder);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getQuotes,
+  getQuote,
+  createQuote,
+  updateQuote,
+  sendQuote,
+  convertQuote,
+  downloadQuotePDF
+} from '../controllers/quoteController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { mongoIdValidation } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// Admin only routes; clients answer quotes through the portal
+router.use(protect, authorize('admin'));
+
+router
+  .route('/')
+  .get(getQuotes)
+  .post(createQuote);
+
+router
+  .route('/:id')
+  .get(mongoIdValidation, getQuote)
+  .put(mongoIdValidation, updateQuote);
+
+router.get('/:id/pdf', mongoIdValidation, downloadQuotePDF);
+router.post('/:id/send', mongoIdValidation, sendQuote);
+router.post('/:id/convert', mongoIdValidation, convertQuote);
+
+export default router;
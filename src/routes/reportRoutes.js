@@ -3,7 +3,12 @@ import {
   getDashboardStats,
   getWeeklyReport,
   getMonthlyReport,
-  getWorkerPerformanceReport
+  getWorkerPerformanceReport,
+  getGeofenceReport,
+  getReceivablesReport,
+  getContractVisitsReport,
+  getSlaReport,
+  getContractRenewalsReport
 } from '../controllers/reportController.js';
 import { protect, authorize } from '../middleware/auth.js';
 
@@ -14,6 +19,11 @@ router.get('/dashboard', protect, authorize('admin'), getDashboardStats);
 router.get('/weekly', protect, authorize('admin'), getWeeklyReport);
 router.get('/monthly', protect, authorize('admin'), getMonthlyReport);
 router.get('/workers', protect, authorize('admin'), getWorkerPerformanceReport);
+router.get('/geofence', protect, authorize('admin'), getGeofenceReport);
+router.get('/receivables', protect, authorize('admin'), getReceivablesReport);
+router.get('/contracts/visits', protect, authorize('admin'), getContractVisitsReport);
+router.get('/contracts/sla', protect, authorize('admin'), getSlaReport);
+router.get('/contracts/renewals', protect, authorize('admin'), getContractRenewalsReport);
 
 export default router;
 
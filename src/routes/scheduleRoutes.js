@@ -0,0 +1,54 @@
+// backend/src/routes/scheduleRoutes.js
+import express from 'express';
+import {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  generateAllSchedules,
+  generateSchedule,
+  updateOccurrence,
+  cancelOccurrence,
+  getHolidays,
+  addHoliday,
+  removeHoliday
+} from '../controllers/scheduleController.js';
+import { protect, authorize, requireGlobalAccess } from '../middleware/auth.js';
+import { mongoIdValidation } from '../middleware/validator.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin'));
+
+// Holidays skipped by the generator
+router
+  .route('/holidays')
+  .get(getHolidays)
+  .post(requireGlobalAccess, addHoliday);
+router.delete('/holidays/:holidayId', requireGlobalAccess, removeHoliday);
+
+// Run the generator for every active schedule (also used by cron)
+router.post('/generate', generateAllSchedules);
+
+router
+  .route('/')
+  .get(getSchedules)
+  .post(createSchedule);
+
+router
+  .route('/:id')
+  .get(mongoIdValidation, getSchedule)
+  .put(mongoIdValidation, updateSchedule)
+  .delete(mongoIdValidation, deleteSchedule);
+
+router.post('/:id/generate', mongoIdValidation, generateSchedule);
+
+// Single occurrence (scope=this) or this and future ones (scope=future)
+router
+  .route('/:id/occurrences/:date')
+  .put(mongoIdValidation, updateOccurrence)
+  .delete(mongoIdValidation, cancelOccurrence);
+
+export default router;
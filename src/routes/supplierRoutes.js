@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier
+} from '../controllers/supplierController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { mongoIdValidation } from '../middleware/validator.js';
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, authorize('admin'));
+
+router
+  .route('/')
+  .get(getSuppliers)
+  .post(createSupplier);
+
+router
+  .route('/:id')
+  .get(mongoIdValidation, getSupplier)
+  .put(mongoIdValidation, updateSupplier)
+  .delete(mongoIdValidation, deleteSupplier);
+
+export default router;
@@ -8,31 +8,55 @@ import {
   deleteTask,
   startTask,
   completeTask,
+  reviewTask,
   uploadTaskImages,
   deleteTaskImage,
-  assignTask
+  assignTask,
+  cancelTask,
+  getCostingRates,
+  updateCostingRates,
+  getSuggestedWorkers,
+  autoAssignTasks,
+  getTaskHistory,
+  createFeedbackLink,
+  getFeedbackFollowUps,
+  resolveFeedbackFollowUp
 } from '../controllers/taskController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, authorize, requireUser, requireGlobalAccess } from '../middleware/auth.js';
 import { uploadMultiple, handleUploadError } from '../middleware/upload.js';
 
 const router = express.Router();
 
-router.use(protect);
+router.use(protect, requireUser);
 
 router
   .route('/')
   .get(getTasks)
   .post(authorize('admin'), createTask);
 
+router.get('/feedback/follow-ups', authorize('admin'), getFeedbackFollowUps);
+router.post('/auto-assign', authorize('admin'), autoAssignTasks);
+
+router
+  .route('/costing/rates')
+  .get(authorize('admin'), getCostingRates)
+  .put(authorize('admin'), requireGlobalAccess, updateCostingRates);
+
 router
   .route('/:id')
   .get(getTask)
   .put(updateTask)
   .delete(authorize('admin'), deleteTask);
 
+router.get('/:id/history', getTaskHistory);
 router.post('/:id/start', startTask);
 router.post('/:id/complete', completeTask);
+router.post('/:id/review', authorize('admin'), reviewTask);
 router.post('/:id/assign', authorize('admin'), assignTask);
+router.post('/:id/cancel', authorize('admin'), cancelTask);
+router.get('/:id/suggested-workers', authorize('admin'), getSuggestedWorkers);
+router.post('/:id/feedback-link', authorize('admin'), createFeedbackLink);
+router.put('/:id/feedback/follow-up', authorize('admin'), resolveFeedbackFollowUp);
 
 // ✅ Image upload routes with Cloudinary (up to 50 images)
 router.post(
@@ -5,16 +5,26 @@ import {
   createUser,
   updateUser,
   deleteUser,
-  getWorkers
+  getWorkers,
+  getMyItinerary,
+  getWorkerItinerary,
+  updateWorkerItinerary,
+  getAvailability,
+  updateWorkerAvailability,
+  updateWorkerLaborRate,
+  addWorkerLeave,
+  deleteWorkerLeave
 } from '../controllers/userController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, authorize, requireUser } from '../middleware/auth.js';
 import { createUserValidation, mongoIdValidation } from '../middleware/validator.js';
 
 const router = express.Router();
 
-router.use(protect);
+router.use(protect, requireUser);
 
 router.get('/workers', getWorkers);
+router.get('/me/itinerary', getMyItinerary);
+router.get('/availability', authorize('admin'), getAvailability);
 
 router
   .route('/')
@@ -27,5 +37,15 @@ router
   .put(authorize('admin'), mongoIdValidation, updateUser)
   .delete(authorize('admin'), mongoIdValidation, deleteUser);
 
+router
+  .route('/:id/itinerary')
+  .get(authorize('admin'), mongoIdValidation, getWorkerItinerary)
+  .put(authorize('admin'), mongoIdValidation, updateWorkerItinerary);
+
+router.put('/:id/availability', authorize('admin'), mongoIdValidation, updateWorkerAvailability);
+router.put('/:id/labor-rate', authorize('admin'), mongoIdValidation, updateWorkerLaborRate);
+router.post('/:id/leave', authorize('admin'), mongoIdValidation, addWorkerLeave);
+router.delete('/:id/leave/:leaveId', authorize('admin'), mongoIdValidation, deleteWorkerLeave);
+
 export default router;
 
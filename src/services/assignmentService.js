@@ -0,0 +1,136 @@
+import Task from '../models/Task.js';
+import { getHolidayKeys } from './scheduleService.js';
+import { BOOKED_STATUSES, getDayStatus } from './availabilityService.js';
+import { taskCoordinates } from './itineraryService.js';
+import { startOfDay, addDays } from '../utils/recurrence.js';
+import { haversineDistance } from '../utils/geo.js';
+
+// Maximum points per criterion; a perfect candidate scores 100
+export const SCORE_WEIGHTS = {
+  specialization: 30,
+  branch: 20,
+  load: 20,
+  distance: 20,
+  rating: 10
+};
+
+// Beyond this distance from the worker's other stops a candidate gets no distance points
+const DISTANCE_LIMIT_KM = 30;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Load what ranking needs to know about a group of workers on one day
+ * @param {Array} workers - Users with workerDetails
+ * @param {Date} date - Any time on the day
+ * @param {object} options - { excludeTaskId } task being (re)assigned
+ * @returns {Promise<object>} - { day, holidayKeys, booked: Map workerId -> { hours, points } }
+ */
+export const loadAssignmentContext = async (workers, date, { excludeTaskId } = {}) => {
+  const day = startOfDay(date);
+  const query = {
+    worker: { $in: workers.map(worker => worker._id) },
+    scheduledDate: { $gte: day, $lt: addDays(day, 1) },
+    status: { $in: BOOKED_STATUSES }
+  };
+  if (excludeTaskId) query._id = { $ne: excludeTaskId };
+
+  const [holidayKeys, tasks] = await Promise.all([
+    getHolidayKeys(),
+    Task.find(query)
+      .select('worker estimatedDuration location site')
+      .populate('site', 'location')
+      .lean()
+  ]);
+
+  const booked = new Map(workers.map(worker => [worker._id.toString(), { hours: 0, points: [] }]));
+  tasks.forEach(task => bookTask({ booked }, task.worker, task));
+
+  return { day, holidayKeys, booked };
+};
+
+/**
+ * Count a task against a worker's day (used while auto-assigning several tasks)
+ */
+export const bookTask = (context, workerId, task) => {
+  const entry = context.booked.get(workerId.toString());
+  if (!entry) return;
+
+  entry.hours += task.estimatedDuration ?? 2;
+  const coordinates = taskCoordinates(task);
+  if (coordinates) entry.points.push(coordinates);
+};
+
+/**
+ * Score one worker for a task
+ * @param {object} worker - User with workerDetails
+ * @param {object} task - Task with site location populated
+ * @param {object} context - From loadAssignmentContext
+ * @returns {object} - Candidate with availability and score breakdown
+ */
+export const scoreWorker = (worker, task, context) => {
+  const details = worker.workerDetails || {};
+  const status = getDayStatus(worker, context.day, context.holidayKeys);
+  const bookedDay = context.booked.get(worker._id.toString()) || { hours: 0, points: [] };
+  const duration = task.estimatedDuration ?? 2;
+  const remaining = status.capacity - bookedDay.hours;
+  const fits = status.available && remaining >= duration;
+
+  // Closest stop the worker already has that day
+  const target = taskCoordinates(task);
+  const distances = target ? bookedDay.points.map(point => haversineDistance(point, target) / 1000) : [];
+  const distanceKm = distances.length ? Math.min(...distances) : null;
+
+  const breakdown = {
+    specialization: (details.specialization || []).includes(task.category) ? SCORE_WEIGHTS.specialization : 0,
+    branch: worker.branch && task.branch && worker.branch.toString() === (task.branch._id || task.branch).toString()
+      ? SCORE_WEIGHTS.branch
+      : 0,
+    load: status.capacity > 0
+      ? SCORE_WEIGHTS.load * Math.max(0, remaining - duration) / status.capacity
+      : 0,
+    // Nothing to compare with yet: half the points
+    distance: distanceKm === null
+      ? SCORE_WEIGHTS.distance / 2
+      : SCORE_WEIGHTS.distance * Math.max(0, 1 - distanceKm / DISTANCE_LIMIT_KM),
+    rating: SCORE_WEIGHTS.rating * (details.rating || 0) / 5
+  };
+
+  Object.keys(breakdown).forEach(key => {
+    breakdown[key] = round(breakdown[key], 1);
+  });
+
+  return {
+    worker: {
+      _id: worker._id,
+      name: worker.name,
+      branch: worker.branch,
+      specialization: details.specialization || [],
+      rating: details.rating || 0
+    },
+    available: status.available,
+    reason: status.reason,
+    capacity: status.capacity,
+    booked: round(bookedDay.hours),
+    remaining: round(Math.max(0, remaining)),
+    fits,
+    distanceKm: distanceKm === null ? null : round(distanceKm),
+    score: round(Object.values(breakdown).reduce((sum, value) => sum + value, 0), 1),
+    breakdown
+  };
+};
+
+/**
+ * Rank workers for a task: those who can fit it in first, then by score
+ */
+export const rankWorkers = (workers, task, context) => workers
+  .map(worker => scoreWorker(worker, task, context))
+  .sort((a, b) => (b.fits - a.fits) || (b.score - a.score));
+
+export default {
+  SCORE_WEIGHTS,
+  loadAssignmentContext,
+  bookTask,
+  scoreWorker,
+  rankWorkers
+};
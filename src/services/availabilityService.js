@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Settings from '../models/Settings.js';
+import { getHolidayKeys } from './scheduleService.js';
+import { WEEKDAYS, startOfDay, addDays, toDateKey } from '../utils/recurrence.js';
+
+// Task statuses that take up a worker's time on their scheduled day
+export const BOOKED_STATUSES = ['assigned', 'in-progress', 'rejected', 'review', 'completed'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether a worker works on a day and for how many hours
+ * @param {object} worker - User with workerDetails
+ * @param {Date} day - Local midnight
+ * @param {Set} holidayKeys - Company holidays (YYYY-MM-DD)
+ * @returns {object} - { available, reason, capacity, shifts, leave }
+ */
+export const getDayStatus = (worker, day, holidayKeys = new Set()) => {
+  const details = worker.workerDetails || {};
+  const dailyCapacity = details.dailyCapacity ?? 8;
+
+  const leave = (details.leave || []).find(entry =>
+    startOfDay(entry.startDate) <= day && day <= startOfDay(entry.endDate));
+
+  if (leave) {
+    return { available: false, reason: 'leave', capacity: 0, leave };
+  }
+
+  if (holidayKeys.has(toDateKey(day))) {
+    return { available: false, reason: 'holiday', capacity: 0 };
+  }
+
+  const shifts = details.shifts || [];
+  if (shifts.length === 0) {
+    return { available: true, capacity: dailyCapacity };
+  }
+
+  const todays = shifts.filter(shift => shift.day === WEEKDAYS[day.getDay()]);
+  if (todays.length === 0) {
+    return { available: false, reason: 'off-shift', capacity: 0 };
+  }
+
+  const shiftHours = todays.reduce((sum, shift) =>
+    sum + Math.max(0, toMinutes(shift.end) - toMinutes(shift.start)) / 60, 0);
+
+  return {
+    available: true,
+    capacity: round(Math.min(dailyCapacity, shiftHours)),
+    shifts: todays.map(({ start, end }) => ({ start, end }))
+  };
+};
+
+/**
+ * Hours already booked per worker and day
+ * @returns {Promise<Map>} - "workerId|YYYY-MM-DD" -> { hours, tasks }
+ */
+export const getBookedHours = async (workerIds, from, to, { excludeTaskId } = {}) => {
+  const query = {
+    worker: { $in: workerIds },
+    scheduledDate: { $gte: from, $lt: to },
+    status: { $in: BOOKED_STATUSES }
+  };
+  if (excludeTaskId) {
+    query._id = { $ne: new mongoose.Types.ObjectId(excludeTaskId.toString()) };
+  }
+
+  const tasks = await Task.find(query).select('worker scheduledDate estimatedDuration').lean();
+
+  const booked = new Map();
+  tasks.forEach(task => {
+    const key = `${task.worker}|${toDateKey(task.scheduledDate)}`;
+    const entry = booked.get(key) || { hours: 0, tasks: 0 };
+    entry.hours += task.estimatedDuration || 0;
+    entry.tasks += 1;
+    booked.set(key, entry);
+  });
+
+  return booked;
+};
+
+/**
+ * Check whether a worker can take a task on its scheduled day
+ * Settings.availability.mode decides whether problems only warn or block the assignment.
+ * @param {object} worker - User with workerDetails
+ * @param {object} task - { _id, scheduledDate, estimatedDuration }
+ * @returns {Promise<object>} - { blocked, warnings, day }
+ */
+export const checkAssignment = async (worker, task) => {
+  const day = startOfDay(task.scheduledDate);
+  const [settings, holidayKeys, booked] = await Promise.all([
+    Settings.getSettings(),
+    getHolidayKeys(),
+    getBookedHours([worker._id], day, addDays(day, 1), { excludeTaskId: task._id })
+  ]);
+
+  const status = getDayStatus(worker, day, holidayKeys);
+  const bookedHours = booked.get(`${worker._id}|${toDateKey(day)}`)?.hours || 0;
+  const duration = task.estimatedDuration ?? 2;
+  const warnings = [];
+
+  if (status.reason === 'leave') {
+    warnings.push(`${worker.name} is on ${status.leave.type} leave on ${toDateKey(day)}`);
+  } else if (status.reason === 'holiday') {
+    warnings.push(`${toDateKey(day)} is a company holiday`);
+  } else if (status.reason === 'off-shift') {
+    warnings.push(`${worker.name} has no shift on ${toDateKey(day)}`);
+  } else if (bookedHours + duration > status.capacity) {
+    warnings.push(`${worker.name} would be booked ${round(bookedHours + duration)}h of ${status.capacity}h on ${toDateKey(day)}`);
+  }
+
+  return {
+    blocked: warnings.length > 0 && settings.availability.mode === 'block',
+    warnings,
+    day: {
+      date: toDateKey(day),
+      ...status,
+      booked: round(bookedHours),
+      remaining: round(Math.max(0, status.capacity - bookedHours))
+    }
+  };
+};
+
+/**
+ * Availability of several workers over a range of days
+ * @param {Array} workers - Users with workerDetails
+ * @param {Date} from - First day (local midnight)
+ * @param {number} days - Number of days
+ * @returns {Promise<Array>} - One row per worker with a cell per day
+ */
+export const getAvailabilityGrid = async (workers, from, days) => {
+  const to = addDays(from, days);
+  const [holidayKeys, booked] = await Promise.all([
+    getHolidayKeys(),
+    getBookedHours(workers.map(worker => worker._id), from, to)
+  ]);
+
+  return workers.map(worker => ({
+    worker: { _id: worker._id, name: worker.name, branch: worker.branch },
+    days: Array.from({ length: days }, (_, offset) => {
+      const day = addDays(from, offset);
+      const key = toDateKey(day);
+      const status = getDayStatus(worker, day, holidayKeys);
+      const bookedDay = booked.get(`${worker._id}|${key}`) || { hours: 0, tasks: 0 };
+
+      return {
+        date: key,
+        available: status.available,
+        reason: status.reason,
+        leaveType: status.leave?.type,
+        shifts: status.shifts,
+        capacity: status.capacity,
+        booked: round(bookedDay.hours),
+        tasks: bookedDay.tasks,
+        remaining: round(status.capacity - bookedDay.hours),
+        overbooked: bookedDay.hours > status.capacity
+      };
+    })
+  }));
+};
+
+export default {
+  BOOKED_STATUSES,
+  getDayStatus,
+  getBookedHours,
+  checkAssignment,
+  getAvailabilityGrid
+};
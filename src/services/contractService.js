@@ -0,0 +1,389 @@
+import Contract from '../models/Contract.js';
+import Task from '../models/Task.js';
+import Site from '../models/Site.js';
+import Settings from '../models/Settings.js';
+import { runInTransaction } from './materialService.js';
+import { getBranchAdmins } from './feedbackService.js';
+import { notifyContractRenewal } from './notificationService.js';
+import { startOfDay, addDays } from '../utils/recurrence.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Error for a contract that cannot be saved or renewed; controllers answer it with its statusCode
+ */
+const contractError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+const addMonths = (date, months) => new Date(date.getFullYear(), date.getMonth() + months, date.getDate());
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Last moment a contract covers: the end of its last day, or when it was terminated
+ */
+export const coverageEnd = (contract) => {
+  const end = new Date(addDays(startOfDay(contract.endDate), 1) - 1);
+  return contract.status === 'terminated' && contract.terminatedAt && contract.terminatedAt < end
+    ? contract.terminatedAt
+    : end;
+};
+
+/**
+ * Query for the tasks that count against a contract: its client's tasks at the covered sites,
+ * apart from work sold separately on a quote
+ */
+export const contractTaskQuery = (contract) => ({
+  client: contract.client._id || contract.client,
+  site: { $in: contract.sites },
+  quote: null,
+  status: { $ne: 'cancelled' }
+});
+
+/**
+ * Check that every site belongs to the client
+ * @returns {Promise<Array>} - Site ids without duplicates
+ */
+export const validateContractSites = async (clientId, sites) => {
+  if (!Array.isArray(sites) || sites.length === 0) {
+    throw contractError('A contract covers at least one site');
+  }
+
+  const unique = [...new Set(sites.map(String))];
+  const found = await Site.countDocuments({ _id: { $in: unique }, client: clientId });
+  if (found !== unique.length) {
+    throw contractError('Every site must belong to the contract\'s client');
+  }
+  return unique;
+};
+
+/**
+ * Refuse a contract whose sites are already covered by another active contract over the same dates,
+ * since their tasks would count against both
+ * @param {object} contract - { _id?, sites, startDate, endDate }
+ */
+export const assertNoOverlap = async (contract, { session } = {}) => {
+  const overlapping = await Contract.findOne({
+    _id: { $ne: contract._id },
+    status: 'active',
+    sites: { $in: contract.sites },
+    startDate: { $lte: contract.endDate },
+    endDate: { $gte: contract.startDate }
+  }).select('contractNumber').session(session || null);
+
+  if (overlapping) {
+    throw contractError(`Contract ${overlapping.contractNumber} already covers these sites over these dates`, 409);
+  }
+};
+
+/**
+ * Delivered vs. contracted visits per month and category over a period
+ * Delivered visits are completed tasks (by completion date); open visits are scheduled in the month and not done.
+ * Months are whole calendar months; a contract starting or ending mid-month still has its full quota there.
+ * @param {object} contract - Contract document
+ * @param {object} period - { from, to }
+ * @returns {Promise<object>} - { months: [{ month, categories: [...] }], totals }
+ */
+export const buildVisitReport = async (contract, { from, to }) => {
+  const start = new Date(Math.max(from, contract.startDate));
+  const end = new Date(Math.min(to, coverageEnd(contract)));
+  const totals = { contracted: 0, delivered: 0, open: 0, shortfall: 0, unscheduled: 0 };
+
+  if (start > end) return { months: [], totals };
+
+  const tasks = await Task.find({
+    ...contractTaskQuery(contract),
+    $or: [
+      { completedAt: { $gte: start, $lte: end } },
+      { scheduledDate: { $gte: start, $lte: end } }
+    ]
+  }).select('category status scheduledDate completedAt').lean();
+
+  const quotas = new Map(contract.visitQuotas.map(quota => [quota.category, quota.visitsPerMonth]));
+  const months = [];
+
+  for (let month = startOfMonth(start); month <= end; month = addMonths(month, 1)) {
+    const key = monthKey(month);
+    const counts = new Map([...quotas.keys()].map(category => [category, { delivered: 0, open: 0 }]));
+    const countFor = (category) => {
+      if (!counts.has(category)) counts.set(category, { delivered: 0, open: 0 });
+      return counts.get(category);
+    };
+
+    tasks.forEach((task) => {
+      if (task.status === 'completed' && task.completedAt && monthKey(task.completedAt) === key) {
+        countFor(task.category).delivered += 1;
+      } else if (task.status !== 'completed' && monthKey(task.scheduledDate) === key) {
+        countFor(task.category).open += 1;
+      }
+    });
+
+    const categories = [...counts.entries()].map(([category, { delivered, open }]) => {
+      const contracted = quotas.get(category) || 0;
+      return {
+        category,
+        contracted,
+        delivered,
+        open,
+        // Contracted visits not done, and those not even planned yet
+        shortfall: Math.max(0, contracted - delivered),
+        unscheduled: Math.max(0, contracted - delivered - open),
+        extra: Math.max(0, delivered - contracted)
+      };
+    });
+
+    categories.forEach((row) => {
+      totals.contracted += row.contracted;
+      totals.delivered += row.delivered;
+      totals.open += row.open;
+      totals.shortfall += row.shortfall;
+      totals.unscheduled += row.unscheduled;
+    });
+
+    months.push({ month: key, categories });
+  }
+
+  return { months, totals };
+};
+
+/**
+ * When a task has to be started under the contract's SLA: its response hours counted from
+ * when the task is due, i.e. its scheduled time, or its creation when it was created later
+ */
+export const responseDeadline = (task, responseHours) =>
+  new Date(Math.max(new Date(task.createdAt), new Date(task.scheduledDate)) + responseHours * HOUR);
+
+/**
+ * SLA compliance of a contract's tasks scheduled in a period
+ * A task meets the SLA when work started by its deadline; one not started is open until the deadline passes.
+ * Tasks of a priority the contract sets no response time for are not counted.
+ * @param {object} contract - Contract document (not lean)
+ * @param {object} period - { from, to, now }
+ * @returns {Promise<object>} - { tasks, met, breached, open, complianceRate, breaches }
+ */
+export const buildSlaReport = async (contract, { from, to, now = new Date() }) => {
+  const start = new Date(Math.max(from, contract.startDate));
+  const end = new Date(Math.min(to, coverageEnd(contract)));
+  const summary = { tasks: 0, met: 0, breached: 0, open: 0, complianceRate: null, breaches: [] };
+
+  if (start > end || contract.sla.length === 0) return summary;
+
+  const tasks = await Task.find({
+    ...contractTaskQuery(contract),
+    priority: { $in: contract.sla.map(entry => entry.priority) },
+    scheduledDate: { $gte: start, $lte: end }
+  })
+    .select('title category priority status site scheduledDate createdAt startedAt worker')
+    .populate('site', 'name')
+    .populate('worker', 'name')
+    .sort('scheduledDate')
+    .lean();
+
+  tasks.forEach((task) => {
+    const hours = contract.responseHoursFor(task.priority);
+    const deadline = responseDeadline(task, hours);
+    const respondedAt = task.startedAt ? new Date(task.startedAt) : null;
+
+    summary.tasks += 1;
+    if (respondedAt && respondedAt <= deadline) {
+      summary.met += 1;
+      return;
+    }
+    if (!respondedAt && now <= deadline) {
+      summary.open += 1;
+      return;
+    }
+
+    summary.breached += 1;
+    summary.breaches.push({
+      task: task._id,
+      title: task.title,
+      category: task.category,
+      priority: task.priority,
+      status: task.status,
+      site: task.site,
+      worker: task.worker,
+      scheduledDate: task.scheduledDate,
+      responseHours: hours,
+      deadline,
+      startedAt: task.startedAt || null,
+      hoursLate: round(((respondedAt || now) - deadline) / HOUR)
+    });
+  });
+
+  const decided = summary.met + summary.breached;
+  summary.complianceRate = decided > 0 ? round((summary.met / decided) * 100) : null;
+  return summary;
+};
+
+/**
+ * Whole days from a day to a contract's last day (negative once it has ended)
+ */
+export const daysUntilEnd = (contract, today = new Date()) =>
+  Math.round((startOfDay(contract.endDate) - startOfDay(today)) / DAY);
+
+/**
+ * Active contracts ending within a number of days that have not been renewed yet
+ * @param {object} options - { filter, days, today }
+ * @returns {Promise<Array>} - Contracts (lean) with daysLeft
+ */
+export const findUpcomingRenewals = async ({ filter = {}, days = 60, today = new Date() } = {}) => {
+  const contracts = await Contract.find({
+    ...filter,
+    status: 'active',
+    renewedTo: null,
+    endDate: { $gte: startOfDay(today), $lte: addDays(startOfDay(today), days) }
+  })
+    .populate('client', 'name email phone propertyType')
+    .populate('sites', 'name')
+    .sort('endDate')
+    .lean();
+
+  return contracts.map(contract => ({ ...contract, daysLeft: daysUntilEnd(contract, today) }));
+};
+
+/**
+ * Renewal step a contract has reached and not been reminded for yet
+ * Only the closest step reached is sent, so a missed run never sends a backlog of reminders.
+ * @param {Array} days - Reminder schedule in days before the end date
+ * @returns {number|null} - Step, or null if nothing is due
+ */
+export const pendingRenewalStep = (contract, days, today = new Date()) => {
+  const left = daysUntilEnd(contract, today);
+  if (left < 0) return null;
+
+  const reached = days.filter(day => left <= day);
+  if (reached.length === 0) return null;
+
+  const step = Math.min(...reached);
+  const alreadySent = (contract.renewalReminders || []).some(reminder => reminder.daysBefore <= step);
+  return alreadySent ? null : step;
+};
+
+/**
+ * Send the renewal reminders due today to the client and the branch admins, and log them on the contracts
+ * @param {object} options - { filter (e.g. a branch), today }
+ * @returns {Promise<object>} - { sent, failed (no channel delivered) }
+ */
+export const sendRenewalReminders = async ({ filter = {}, today = new Date() } = {}) => {
+  const settings = await Settings.getSettings();
+  const { enabled, days = [] } = settings.contracts?.renewalReminders || {};
+
+  if (!enabled || days.length === 0) {
+    return { sent: 0, failed: 0 };
+  }
+
+  const contracts = await Contract.find({
+    ...filter,
+    status: 'active',
+    renewedTo: null,
+    endDate: { $gte: startOfDay(today), $lte: addDays(startOfDay(today), Math.max(...days)) }
+  }).populate('client', 'name email phone whatsapp');
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const contract of contracts) {
+    const step = pendingRenewalStep(contract, days, today);
+    if (step === null || !contract.client) continue;
+
+    const admins = await getBranchAdmins(contract.branch);
+    const channels = await notifyContractRenewal(contract.client, admins, contract, daysUntilEnd(contract, today));
+    if (!channels) {
+      failed += 1;
+      continue;
+    }
+
+    // Logged even when no channel is configured, so the step is not retried on every run
+    await Contract.updateOne(
+      { _id: contract._id },
+      { $push: { renewalReminders: { daysBefore: step, sentAt: new Date(), ...channels } } }
+    );
+
+    if (channels.email || channels.whatsapp) {
+      sent += 1;
+    } else {
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+};
+
+// Terms a renewal may change; everything else is carried over
+export const RENEWAL_FIELDS = ['title', 'sites', 'visitQuotas', 'monthlyFee', 'sla', 'endDate', 'notes'];
+
+/**
+ * Renew a contract: a new contract starting the day after it ends, for the same length unless endDate is given
+ * @param {string} contractId - Contract id
+ * @param {object} changes - Any of RENEWAL_FIELDS
+ * @param {object} options - { user }
+ * @returns {Promise<object>} - { contract (the renewal), previous }
+ */
+export const renewContract = (contractId, changes = {}, { user } = {}) => runInTransaction(async (session) => {
+  const previous = await Contract.findById(contractId).session(session);
+  if (!previous) {
+    throw contractError('Contract not found', 404);
+  }
+  if (previous.renewedTo) {
+    throw contractError('This contract has already been renewed', 409);
+  }
+  if (previous.status !== 'active') {
+    throw contractError('A terminated contract cannot be renewed');
+  }
+
+  const startDate = addDays(startOfDay(previous.endDate), 1);
+  const previousStart = startOfDay(previous.startDate);
+  const termMonths = Math.max(1, (startDate.getFullYear() - previousStart.getFullYear()) * 12
+    + startDate.getMonth() - previousStart.getMonth());
+
+  const sites = changes.sites !== undefined
+    ? await validateContractSites(previous.client, changes.sites)
+    : previous.sites;
+
+  const endDate = changes.endDate ? new Date(changes.endDate) : addDays(addMonths(startDate, termMonths), -1);
+  await assertNoOverlap({ sites, startDate, endDate }, { session });
+
+  const [contract] = await Contract.create([{
+    client: previous.client,
+    branch: previous.branch,
+    title: changes.title ?? previous.title,
+    sites,
+    startDate,
+    endDate,
+    visitQuotas: changes.visitQuotas ?? previous.visitQuotas.map(({ category, visitsPerMonth }) => ({ category, visitsPerMonth })),
+    monthlyFee: changes.monthlyFee ?? previous.monthlyFee,
+    currency: previous.currency,
+    sla: changes.sla ?? previous.sla.map(({ priority, responseHours }) => ({ priority, responseHours })),
+    notes: changes.notes ?? previous.notes,
+    renewedFrom: previous._id,
+    createdBy: user?._id
+  }], { session });
+
+  previous.renewedTo = contract._id;
+  await previous.save({ session });
+
+  return { contract, previous };
+});
+
+export default {
+  RENEWAL_FIELDS,
+  coverageEnd,
+  contractTaskQuery,
+  validateContractSites,
+  assertNoOverlap,
+  buildVisitReport,
+  responseDeadline,
+  buildSlaReport,
+  daysUntilEnd,
+  findUpcomingRenewals,
+  pendingRenewalStep,
+  sendRenewalReminders,
+  renewContract
+};
@@ -0,0 +1,88 @@
+import User from '../models/User.js';
+import Inventory from '../models/Inventory.js';
+import Settings from '../models/Settings.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Hourly labor rate for a task: the worker's own rate, else the category rate, else the default
+ * @returns {Promise<object>} - { rate, source: 'worker'|'category'|'default' }
+ */
+export const resolveLaborRate = async (task, { session } = {}) => {
+  if (task.worker) {
+    const worker = await User.findById(task.worker._id || task.worker)
+      .select('workerDetails.hourlyRate')
+      .session(session || null);
+    const workerRate = worker?.workerDetails?.hourlyRate;
+    if (workerRate !== undefined && workerRate !== null) {
+      return { rate: workerRate, source: 'worker' };
+    }
+  }
+
+  const settings = await Settings.getSettings();
+  const categoryRate = (settings.costing?.categoryRates || [])
+    .find(entry => entry.category === task.category);
+  if (categoryRate) {
+    return { rate: categoryRate.hourlyRate, source: 'category' };
+  }
+
+  return { rate: settings.costing?.defaultHourlyRate || 0, source: 'default' };
+};
+
+/**
+ * Price a task: labor hours x rate, confirmed materials x selling price
+ * Actual duration is used once known, the estimate until then.
+ * Sets unitPrice on confirmed material lines.
+ * @param {object} task - Task document
+ * @param {object} options - { session }
+ * @returns {Promise<object>} - { labor, materials, laborHours, laborRate, laborRateSource }
+ */
+export const calculateTaskCost = async (task, { session } = {}) => {
+  const laborHours = task.actualDuration || task.estimatedDuration || 0;
+  const { rate, source } = await resolveLaborRate(task, { session });
+
+  const confirmed = task.materials.filter(material => material.confirmed && material.item);
+  const items = confirmed.length
+    ? await Inventory.find({ _id: { $in: confirmed.map(material => material.item) } })
+      .select('price.selling')
+      .session(session || null)
+    : [];
+  const prices = new Map(items.map(item => [item._id.toString(), item.price?.selling || 0]));
+
+  let materials = 0;
+  confirmed.forEach((material) => {
+    const unitPrice = prices.get(material.item.toString()) ?? material.unitPrice ?? 0;
+    material.unitPrice = unitPrice;
+    materials += (material.usedQuantity ?? material.quantity ?? 0) * unitPrice;
+  });
+
+  return {
+    labor: round(laborHours * rate),
+    materials: round(materials),
+    laborHours,
+    laborRate: rate,
+    laborRateSource: source
+  };
+};
+
+/**
+ * Recalculate a task's cost in place unless an admin fixed the price
+ */
+export const applyTaskCost = async (task, options = {}) => {
+  if (task.cost.override) return task;
+
+  const cost = await calculateTaskCost(task, options);
+  task.cost.labor = cost.labor;
+  task.cost.materials = cost.materials;
+  task.cost.laborHours = cost.laborHours;
+  task.cost.laborRate = cost.laborRate;
+  task.cost.laborRateSource = cost.laborRateSource;
+  task.cost.calculatedAt = new Date();
+  return task;
+};
+
+export default {
+  resolveLaborRate,
+  calculateTaskCost,
+  applyTaskCost
+};
@@ -0,0 +1,249 @@
+import CreditNote from '../models/CreditNote.js';
+import Invoice from '../models/Invoice.js';
+import Client from '../models/Client.js';
+import Task from '../models/Task.js';
+import { runInTransaction } from './materialService.js';
+import { clientPaymentStatus } from './paymentService.js';
+import { generateCreditNotePDF } from './pdfService.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Issuing loads everything it changes itself, so a write conflict with a concurrent credit note
+// (they share the branch's number counter) is retried
+const CREDIT_NOTE_TRANSACTION_RETRIES = 10;
+
+/**
+ * Error for a credit note that cannot be issued; controllers answer it with its statusCode
+ */
+const creditNoteError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Quantity of each invoice line not credited yet
+ * @returns {Map} - line id => remaining quantity
+ */
+const remainingQuantities = (invoice, notes) => {
+  const remaining = new Map(invoice.items.map(item => [item._id.toString(), item.quantity || 0]));
+
+  notes.forEach((note) => {
+    note.items.forEach((item) => {
+      const key = item.invoiceLine.toString();
+      if (remaining.has(key)) {
+        remaining.set(key, round(remaining.get(key) - item.quantity));
+      }
+    });
+  });
+  return remaining;
+};
+
+/**
+ * Credit note lines: every remaining quantity, or the requested lines
+ * @param {Array} requested - [{ line (invoice line id), quantity? (defaults to what is left) }] or undefined
+ */
+const buildCreditNoteItems = (invoice, remaining, requested) => {
+  const entries = requested?.length
+    ? requested.map((entry) => {
+      const line = invoice.items.find(item => item._id.toString() === String(entry.line));
+      if (!line) {
+        throw creditNoteError(`Line ${entry.line} is not on invoice ${invoice.invoiceNumber}`);
+      }
+      const left = remaining.get(line._id.toString());
+      const quantity = entry.quantity === undefined ? left : round(Number(entry.quantity));
+      if (!(quantity > 0)) {
+        throw creditNoteError(`Invalid quantity for "${line.description}"`);
+      }
+      if (quantity > left) {
+        throw creditNoteError(`Only ${left} of "${line.description}" is left to credit`);
+      }
+      return { line, quantity };
+    })
+    : invoice.items.map(line => ({ line, quantity: remaining.get(line._id.toString()) }));
+
+  return entries
+    .filter(entry => entry.quantity > 0)
+    .map(({ line, quantity }) => ({
+      invoiceLine: line._id,
+      type: line.type,
+      task: line.task,
+      description: line.description,
+      quantity,
+      unit: line.unit,
+      unitPrice: line.unitPrice
+    }));
+};
+
+/**
+ * Credit note totals at the invoice's VAT rate, with the discount shared in proportion
+ * The credit note that leaves nothing on the invoice takes exactly what is left, so rounding never strands cents.
+ */
+const creditNoteTotals = (invoice, items, notes, final) => {
+  const credited = notes.reduce((sum, note) => ({
+    discount: sum.discount + (note.discount || 0),
+    tax: sum.tax + (note.tax?.amount || 0),
+    total: sum.total + note.total
+  }), { discount: 0, tax: 0, total: 0 });
+
+  const subtotal = round(items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0));
+
+  if (final) {
+    return {
+      subtotal,
+      discount: round((invoice.discount || 0) - credited.discount),
+      taxAmount: round((invoice.tax?.amount || 0) - credited.tax),
+      total: round(invoice.total - credited.total)
+    };
+  }
+
+  const discount = invoice.subtotal > 0 ? round(((invoice.discount || 0) * subtotal) / invoice.subtotal) : 0;
+  const totals = Invoice.calculateTotals(items, { taxRate: invoice.tax?.rate || 0, discount });
+  return { subtotal, discount, taxAmount: totals.taxAmount, total: totals.total };
+};
+
+/**
+ * Mark an invoice cancelled and make its tasks billable again
+ */
+const markCancelled = async (invoice, { reason, user, session }) => {
+  invoice.status = 'cancelled';
+  invoice.paymentStatus = 'cancelled';
+  invoice.cancelledAt = new Date();
+  invoice.cancelledBy = user?._id;
+  invoice.cancellationReason = reason;
+  await invoice.save({ session });
+
+  await Task.updateMany({ invoice: invoice._id }, { $unset: { invoice: 1, billedAt: 1 } }, { session });
+};
+
+/**
+ * Issue a credit note against an issued invoice, in full or for some of its lines
+ * The credit first comes off what is still due on the invoice; whatever had already been paid goes to
+ * the client's credit balance. An invoice credited in full is cancelled.
+ * @param {string} invoiceId - Invoice id
+ * @param {object} data - { reason, items?: [{ line, quantity? }], cancel? }
+ * @param {object} options - { user }
+ * @returns {Promise<object>} - { creditNote, invoice, client }
+ */
+export const issueCreditNote = (invoiceId, data, { user } = {}) => runInTransaction(async (session) => {
+  const reason = data.reason?.trim();
+  if (!reason) {
+    throw creditNoteError('A reason is required');
+  }
+
+  const invoice = await Invoice.findById(invoiceId).session(session);
+  if (!invoice) {
+    throw creditNoteError('Invoice not found', 404);
+  }
+  if (invoice.status === 'draft') {
+    throw creditNoteError('Drafts are edited or cancelled, not credited');
+  }
+  if (invoice.status === 'cancelled' || invoice.paymentStatus === 'cancelled') {
+    throw creditNoteError('Invoice is cancelled');
+  }
+
+  const notes = await CreditNote.find({ invoice: invoice._id }).session(session);
+  const remaining = remainingQuantities(invoice, notes);
+  const items = buildCreditNoteItems(invoice, remaining, data.cancel ? undefined : data.items);
+
+  items.forEach((item) => {
+    remaining.set(item.invoiceLine.toString(), round(remaining.get(item.invoiceLine.toString()) - item.quantity));
+  });
+  const final = [...remaining.values()].every(quantity => quantity <= 0);
+
+  const totals = creditNoteTotals(invoice, items, notes, final);
+  if (!(totals.total > 0) && !data.cancel) {
+    throw creditNoteError('Nothing left to credit on this invoice');
+  }
+
+  const client = await Client.findById(invoice.client).session(session);
+  const applied = round(Math.min(totals.total, invoice.balanceDue()));
+  const credit = round(totals.total - applied);
+
+  let creditNote = null;
+  if (totals.total > 0) {
+    [creditNote] = await CreditNote.create([{
+      invoice: invoice._id,
+      client: invoice.client,
+      branch: invoice.branch,
+      reason,
+      items: items.map(item => ({ ...item, total: round(item.quantity * item.unitPrice) })),
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      tax: { rate: invoice.tax?.rate, amount: totals.taxAmount },
+      total: totals.total,
+      currency: invoice.currency,
+      appliedAmount: applied,
+      creditAmount: credit,
+      cancellation: Boolean(data.cancel),
+      issuedBy: user?._id
+    }], { session });
+
+    invoice.creditedAmount = round((invoice.creditedAmount || 0) + totals.total);
+  }
+
+  if (data.cancel || final) {
+    await markCancelled(invoice, { reason, user, session });
+  } else {
+    invoice.setPaidAmount(invoice.paidAmount, invoice.paidAt || new Date());
+    await invoice.save({ session });
+  }
+
+  if (client) {
+    client.creditBalance = round((client.creditBalance || 0) + credit);
+    client.paymentStatus = await clientPaymentStatus(client._id, session);
+    await client.save({ session });
+  }
+
+  return { creditNote, invoice, client };
+}, { retries: CREDIT_NOTE_TRANSACTION_RETRIES });
+
+/**
+ * Cancel an invoice, keeping it with the reason
+ * A draft is simply marked cancelled; an issued invoice is credited for whatever is not credited yet.
+ * Either way its tasks can be invoiced again.
+ * @returns {Promise<object>} - { invoice, creditNote (null for drafts), client }
+ */
+export const cancelInvoice = async (invoiceId, { reason } = {}, { user } = {}) => {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) {
+    throw creditNoteError('Invoice not found', 404);
+  }
+
+  if (invoice.status !== 'draft') {
+    return issueCreditNote(invoiceId, { reason, cancel: true }, { user });
+  }
+
+  if (!reason?.trim()) {
+    throw creditNoteError('A reason is required');
+  }
+
+  return runInTransaction(async (session) => {
+    const draft = await Invoice.findById(invoiceId).session(session);
+    if (draft.status !== 'draft') {
+      throw creditNoteError('Invoice was issued meanwhile, please try again', 409);
+    }
+    await markCancelled(draft, { reason: reason.trim(), user, session });
+    return { invoice: draft, creditNote: null, client: null };
+  });
+};
+
+/**
+ * Generate a credit note's PDF and store its path
+ * @returns {Promise<string>} - Path to the PDF
+ */
+export const refreshCreditNotePDF = async (creditNote) => {
+  const invoice = await Invoice.findById(creditNote.invoice);
+  const client = await Client.findById(creditNote.client);
+
+  const pdfPath = await generateCreditNotePDF(creditNote, invoice, client);
+  creditNote.pdfUrl = pdfPath.replace(/\\/g, '/').split('uploads/')[1];
+  await creditNote.save();
+  return pdfPath;
+};
+
+export default {
+  issueCreditNote,
+  cancelInvoice,
+  refreshCreditNotePDF
+};
@@ -0,0 +1,122 @@
+import Invoice from '../models/Invoice.js';
+import Settings from '../models/Settings.js';
+import { notifyPaymentReminder } from './notificationService.js';
+import { startOfDay, addDays } from '../utils/recurrence.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Issued invoices that still have something to pay (invoices from before drafts have no status)
+const UNPAID_QUERY = {
+  status: { $ne: 'draft' },
+  paymentStatus: { $in: ['pending', 'partially-paid', 'overdue'] }
+};
+
+/**
+ * Whole days from an invoice's due date to a day (negative before the due date)
+ */
+export const daysFromDue = (invoice, today = new Date()) =>
+  Math.round((startOfDay(today) - startOfDay(invoice.dueDate)) / DAY);
+
+/**
+ * Dunning step an invoice has reached and not been reminded for yet
+ * Only the latest step reached is sent, so a missed run never sends a backlog of reminders.
+ * @param {object} invoice - Invoice document
+ * @param {Array} days - Dunning schedule in days relative to the due date
+ * @returns {number|null} - Step (days relative to the due date), or null if nothing is due
+ */
+export const pendingReminderStep = (invoice, days, today = new Date()) => {
+  const elapsed = daysFromDue(invoice, today);
+  const reached = days.filter(day => day <= elapsed);
+  if (reached.length === 0) return null;
+
+  const step = Math.max(...reached);
+  const alreadySent = (invoice.reminders || []).some(reminder => reminder.offsetDays >= step);
+  return alreadySent ? null : step;
+};
+
+/**
+ * Mark unpaid invoices whose due date has passed as overdue
+ * @param {object} filter - Extra invoice filter (e.g. a branch)
+ * @returns {Promise<number>} - Invoices marked
+ */
+export const markOverdueInvoices = async ({ filter = {}, today = new Date() } = {}) => {
+  const result = await Invoice.updateMany(
+    {
+      ...filter,
+      status: { $ne: 'draft' },
+      paymentStatus: { $in: ['pending', 'partially-paid'] },
+      dueDate: { $lt: startOfDay(today) }
+    },
+    { $set: { paymentStatus: 'overdue' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Send the payment reminders due today on the dunning schedule and log them on the invoices
+ * Paid and cancelled invoices are never reminded.
+ * @param {object} filter - Extra invoice filter (e.g. a branch)
+ * @returns {Promise<object>} - { sent, failed (no channel delivered) }
+ */
+export const sendPaymentReminders = async ({ filter = {}, today = new Date() } = {}) => {
+  const settings = await Settings.getSettings();
+  const { enabled, days = [] } = settings.invoice.reminders || {};
+
+  if (!enabled || days.length === 0) {
+    return { sent: 0, failed: 0 };
+  }
+
+  // Invoices far enough along for the earliest step
+  const invoices = await Invoice.find({
+    ...filter,
+    ...UNPAID_QUERY,
+    dueDate: { $lte: addDays(startOfDay(today), -Math.min(...days)) }
+  }).populate('client', 'name email phone whatsapp');
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const invoice of invoices) {
+    const step = pendingReminderStep(invoice, days, today);
+    if (step === null || !invoice.client) continue;
+
+    const channels = await notifyPaymentReminder(invoice.client, invoice, daysFromDue(invoice, today));
+    if (!channels) {
+      failed += 1;
+      continue;
+    }
+
+    // Logged even when no channel is configured, so the step is not retried on every run
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      { $push: { reminders: { offsetDays: step, sentAt: new Date(), ...channels } } }
+    );
+
+    if (channels.email || channels.whatsapp) {
+      sent += 1;
+    } else {
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Daily dunning run: flag overdue invoices, then send reminders
+ * @returns {Promise<object>} - { markedOverdue, remindersSent, remindersFailed }
+ */
+export const runDunning = async (options = {}) => {
+  const markedOverdue = await markOverdueInvoices(options);
+  const { sent, failed } = await sendPaymentReminders(options);
+
+  return { markedOverdue, remindersSent: sent, remindersFailed: failed };
+};
+
+export default {
+  daysFromDue,
+  pendingReminderStep,
+  markOverdueInvoices,
+  sendPaymentReminders,
+  runDunning
+};
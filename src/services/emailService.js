@@ -120,6 +120,34 @@ export const sendTaskCompletionEmail = async (client, task, worker) => {
   });
 };
 
+/**
+ * Send task rejection (rework) notification
+ */
+export const sendTaskRejectedEmail = async (worker, task, comments) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #e53e3e;">Task Needs Rework</h2>
+      <p>Hello ${worker.name},</p>
+      <p>Your completed task was reviewed and sent back:</p>
+      
+      <div style="background-color: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0;">${task.title}</h3>
+        <p><strong>Reviewer comments:</strong> ${comments}</p>
+      </div>
+      
+      <p>Please log in to the system, fix the issues and complete the task again.</p>
+      
+      <p>Best regards,<br>Garden Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: worker.email,
+    subject: `Task Needs Rework: ${task.title}`,
+    html
+  });
+};
+
 /**
  * Send low stock alert
  */
@@ -162,8 +190,8 @@ export const sendInvoiceEmail = async (client, invoice, pdfPath) => {
       
       <div style="background-color: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
         <p><strong>Invoice Number:</strong> ${invoice.invoiceNumber}</p>
-        <p><strong>Date:</strong> ${new Date(invoice.issuedDate).toLocaleDateString()}</p>
-        <p><strong>Total Amount:</strong> $${invoice.totalAmount}</p>
+        <p><strong>Date:</strong> ${new Date(invoice.issuedDate || invoice.createdAt).toLocaleDateString()}</p>
+        <p><strong>Total Amount:</strong> ${invoice.currency} ${invoice.total.toFixed(2)}</p>
         <p><strong>Payment Status:</strong> ${invoice.paymentStatus}</p>
       </div>
       
@@ -190,6 +218,120 @@ export const sendInvoiceEmail = async (client, invoice, pdfPath) => {
   });
 };
 
+/**
+ * Send payment reminder
+ * @param {number} daysFromDue - Days past the due date (negative = days left)
+ */
+export const sendPaymentReminderEmail = async (client, invoice, daysFromDue) => {
+  const dueDate = new Date(invoice.dueDate).toLocaleDateString();
+  const when = daysFromDue < 0
+    ? `is due on ${dueDate}`
+    : daysFromDue === 0 ? 'is due today' : `was due on ${dueDate} and is now ${daysFromDue} day(s) overdue`;
+  const balance = invoice.balanceDue();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: ${daysFromDue > 0 ? '#e53e3e' : '#2d3748'};">Payment Reminder</h2>
+      <p>Hello ${client.name},</p>
+      <p>This is a reminder that invoice ${invoice.invoiceNumber} ${when}.</p>
+      
+      <div style="background-color: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Invoice Number:</strong> ${invoice.invoiceNumber}</p>
+        <p><strong>Total Amount:</strong> ${invoice.currency} ${invoice.total.toFixed(2)}</p>
+        <p><strong>Balance Due:</strong> ${invoice.currency} ${balance.toFixed(2)}</p>
+        <p><strong>Due Date:</strong> ${dueDate}</p>
+      </div>
+      
+      <p>If you have already paid, please ignore this message.</p>
+      
+      <p>Best regards,<br>Garden Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: client.email,
+    subject: `Payment Reminder: Invoice ${invoice.invoiceNumber}`,
+    html
+  });
+};
+
+/**
+ * Send a quote with the link to accept or reject it
+ */
+export const sendQuoteEmail = async (client, quote, url, pdfPath) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2d3748;">Quotation</h2>
+      <p>Hello ${client.name},</p>
+      <p>Please find attached our quotation for ${quote.title}:</p>
+      
+      <div style="background-color: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Quote Number:</strong> ${quote.quoteNumber}</p>
+        <p><strong>Total Amount:</strong> ${quote.currency} ${quote.total.toFixed(2)}</p>
+        <p><strong>Valid Until:</strong> ${new Date(quote.validUntil).toLocaleDateString()}</p>
+      </div>
+      
+      <p>You can accept or reject the quotation here: <a href="${url}">${url}</a></p>
+      
+      <p>Best regards,<br>Garden Management Team</p>
+    </div>
+  `;
+
+  const attachments = [];
+  if (pdfPath) {
+    attachments.push({
+      filename: `quote-${quote.quoteNumber}.pdf`,
+      path: pdfPath
+    });
+  }
+
+  return await sendEmail({
+    to: client.email,
+    subject: `Quotation ${quote.quoteNumber}`,
+    html,
+    attachments
+  });
+};
+
+/**
+ * Send a purchase order to the supplier with its PDF
+ */
+export const sendPurchaseOrderEmail = async (supplier, purchaseOrder, branch, pdfPath) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2d3748;">Purchase Order</h2>
+      <p>Hello ${supplier.contactName || supplier.name},</p>
+      <p>Please find attached our purchase order:</p>
+      
+      <div style="background-color: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>PO Number:</strong> ${purchaseOrder.poNumber}</p>
+        <p><strong>Total Amount:</strong> ${purchaseOrder.currency} ${purchaseOrder.total.toFixed(2)}</p>
+        ${purchaseOrder.expectedDate ? `<p><strong>Expected Delivery:</strong> ${new Date(purchaseOrder.expectedDate).toLocaleDateString()}</p>` : ''}
+        ${branch ? `<p><strong>Deliver To:</strong> ${branch.name}</p>` : ''}
+      </div>
+      
+      <p>Please quote the PO number on your delivery note and invoice.</p>
+      
+      <p>Best regards,<br>Garden Management Team</p>
+    </div>
+  `;
+
+  const attachments = [];
+  if (pdfPath) {
+    attachments.push({
+      filename: `po-${purchaseOrder.poNumber}.pdf`,
+      path: pdfPath
+    });
+  }
+
+  return await sendEmail({
+    to: supplier.email,
+    subject: `Purchase Order ${purchaseOrder.poNumber}`,
+    html,
+    attachments
+  });
+};
+
 /**
  * Send client credentials
  */
@@ -220,12 +362,105 @@ export const sendClientCredentials = async (client, username, temporaryPassword)
   });
 };
 
+/**
+ * Send client feedback notification to an admin
+ */
+export const sendFeedbackReceivedEmail = async (admin, task, client, isLowRating = false) => {
+  const { rating, comment } = task.feedback;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: ${isLowRating ? '#e53e3e' : '#2d3748'};">${isLowRating ? 'Low Rating - Follow-up Needed' : 'New Client Feedback'}</h2>
+      <p>Hello ${admin.name},</p>
+      <p>${client.name} rated a completed task:</p>
+      
+      <div style="background-color: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0;">${task.title}</h3>
+        <p><strong>Rating:</strong> ${rating}/5</p>
+        ${comment ? `<p><strong>Comment:</strong> ${comment}</p>` : ''}
+      </div>
+      
+      ${isLowRating ? '<p>Please contact the client and record the follow-up in the system.</p>' : ''}
+      
+      <p>Best regards,<br>Garden Management System</p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: admin.email,
+    subject: `${isLowRating ? 'Low Rating' : 'Feedback'}: ${task.title} (${rating}/5)`,
+    html
+  });
+};
+
+/**
+ * Remind a client that their maintenance contract is ending
+ */
+export const sendContractRenewalEmail = async (client, contract, daysLeft) => {
+  const endDate = new Date(contract.endDate).toLocaleDateString();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2d3748;">Contract Renewal</h2>
+      <p>Hello ${client.name},</p>
+      <p>Your maintenance contract ${contract.contractNumber} (${contract.title}) ends on ${endDate}, in ${daysLeft} day(s).</p>
+      
+      <p>To keep your visits going without interruption, please contact us to renew it.</p>
+      
+      <p>Thank you for your business!</p>
+      <p>Best regards,<br>Garden Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: client.email,
+    subject: `Contract ${contract.contractNumber} ends on ${endDate}`,
+    html
+  });
+};
+
+/**
+ * Tell an admin that a client's contract is up for renewal
+ */
+export const sendContractRenewalAdminEmail = async (admin, contract, client, daysLeft) => {
+  const endDate = new Date(contract.endDate).toLocaleDateString();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2d3748;">Contract Up for Renewal</h2>
+      <p>Hello ${admin.name},</p>
+      <p>The contract with ${client.name} ends in ${daysLeft} day(s) and has not been renewed:</p>
+      
+      <div style="background-color: #f7fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Contract:</strong> ${contract.contractNumber} - ${contract.title}</p>
+        <p><strong>End Date:</strong> ${endDate}</p>
+        <p><strong>Monthly Fee:</strong> ${contract.currency} ${(contract.monthlyFee || 0).toFixed(2)}</p>
+      </div>
+      
+      <p>Best regards,<br>Garden Management System</p>
+    </div>
+  `;
+
+  return await sendEmail({
+    to: admin.email,
+    subject: `Renewal due: ${client.name} (${contract.contractNumber})`,
+    html
+  });
+};
+
 export default {
   sendEmail,
   sendTaskAssignmentEmail,
   sendTaskCompletionEmail,
+  sendTaskRejectedEmail,
   sendLowStockAlert,
   sendInvoiceEmail,
-  sendClientCredentials
+  sendPaymentReminderEmail,
+  sendQuoteEmail,
+  sendPurchaseOrderEmail,
+  sendClientCredentials,
+  sendFeedbackReceivedEmail,
+  sendContractRenewalEmail,
+  sendContractRenewalAdminEmail
 };
 
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Client from '../models/Client.js';
+import Branch from '../models/Branch.js';
+import Settings from '../models/Settings.js';
+import { notifyFeedbackReceived } from './notificationService.js';
+
+/**
+ * Average rating over tasks matching a filter
+ * @returns {Promise<number>} - Rounded to 2 decimals, 0 when nothing is rated
+ */
+const averageRating = async (match) => {
+  const [result] = await Task.aggregate([
+    { $match: { ...match, 'feedback.rating': { $gte: 1 } } },
+    { $group: { _id: null, avg: { $avg: '$feedback.rating' } } }
+  ]);
+
+  return result ? Math.round(result.avg * 100) / 100 : 0;
+};
+
+/**
+ * Recompute a worker's rating from their rated tasks
+ */
+export const refreshWorkerRating = async (workerId) => {
+  if (!workerId) return;
+
+  const id = new mongoose.Types.ObjectId(workerId.toString());
+  const rating = await averageRating({ worker: id });
+  await User.updateOne({ _id: id }, { 'workerDetails.rating': rating });
+};
+
+/**
+ * Recompute the average rating a client has given
+ */
+export const refreshClientRating = async (clientId) => {
+  if (!clientId) return;
+
+  const id = new mongoose.Types.ObjectId(clientId.toString());
+  const rating = await averageRating({ client: id });
+  await Client.updateOne({ _id: id }, { averageRating: rating });
+};
+
+/**
+ * Admins responsible for a branch: its manager, branch admins and super-admins
+ */
+export const getBranchAdmins = async (branchId) => {
+  const branch = await Branch.findById(branchId).select('manager');
+
+  return await User.find({
+    isActive: true,
+    $or: [
+      { role: 'super-admin' },
+      { role: 'admin', branch: null },
+      { role: { $in: ['admin', 'branch-manager'] }, $or: [{ branch: branchId }, { branches: branchId }] },
+      ...(branch?.manager ? [{ _id: branch.manager }] : [])
+    ]
+  }).select('name email phone');
+};
+
+/**
+ * Record a client's rating for a completed task (only once)
+ * @param {string} taskId - Task being rated
+ * @param {object} client - Client submitting the feedback
+ * @param {object} feedback - { rating, comment }
+ * @returns {Promise<object|null>} - Updated task, or null if it cannot be rated
+ */
+export const submitTaskFeedback = async (taskId, client, { rating, comment }) => {
+  const settings = await Settings.getSettings();
+  const isLowRating = rating <= settings.feedback.lowRatingThreshold;
+
+  // Conditional update so a task can only be rated once, even on concurrent requests
+  const task = await Task.findOneAndUpdate(
+    { _id: taskId, client: client._id, status: 'completed', 'feedback.submittedAt': null },
+    {
+      $set: {
+        'feedback.rating': rating,
+        'feedback.comment': comment,
+        'feedback.submittedAt': new Date(),
+        'feedback.followUp.status': isLowRating ? 'pending' : 'not-needed'
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!task) return null;
+
+  await Promise.all([
+    refreshWorkerRating(task.worker),
+    refreshClientRating(task.client)
+  ]);
+
+  const admins = await getBranchAdmins(task.branch);
+  await notifyFeedbackReceived(admins, task, client, isLowRating);
+
+  return task;
+};
+
+export default {
+  getBranchAdmins,
+  refreshWorkerRating,
+  refreshClientRating,
+  submitTaskFeedback
+};
@@ -0,0 +1,50 @@
+import Site from '../models/Site.js';
+import Settings from '../models/Settings.js';
+import { isValidCoordinate, haversineDistance } from '../utils/geo.js';
+
+/**
+ * Compare a worker's check-in location with the task's site
+ * @param {object} task - Task being started or completed
+ * @param {object} point - { latitude, longitude } sent by the worker
+ * @returns {Promise<object>} - { blocked, message, check: { distanceFromSite, geofenceRadius, withinGeofence } }
+ */
+export const checkGeofence = async (task, point) => {
+  const settings = await Settings.getSettings();
+  const { mode, defaultRadius } = settings.geofence;
+
+  if (mode === 'off') {
+    return { blocked: false, check: { withinGeofence: null } };
+  }
+
+  if (!isValidCoordinate(point)) {
+    return {
+      blocked: mode === 'block',
+      message: 'Your current location is required to check in',
+      check: { withinGeofence: null }
+    };
+  }
+
+  const site = await Site.findById(task.site?._id || task.site).select('location');
+  const siteCoordinates = site?.location?.coordinates;
+  const geofenceRadius = site?.location?.geofenceRadius || defaultRadius;
+
+  // Sites without coordinates cannot be verified, so they are never blocked
+  if (!isValidCoordinate(siteCoordinates)) {
+    return { blocked: false, check: { geofenceRadius, withinGeofence: null } };
+  }
+
+  const distanceFromSite = Math.round(haversineDistance(point, siteCoordinates));
+  const withinGeofence = distanceFromSite <= geofenceRadius;
+
+  return {
+    blocked: mode === 'block' && !withinGeofence,
+    message: withinGeofence
+      ? undefined
+      : `You are ${distanceFromSite} m from the site (allowed: ${geofenceRadius} m)`,
+    check: { distanceFromSite, geofenceRadius, withinGeofence }
+  };
+};
+
+export default {
+  checkGeofence
+};
@@ -0,0 +1,226 @@
+import Invoice from '../models/Invoice.js';
+import Task from '../models/Task.js';
+import Settings from '../models/Settings.js';
+import { runInTransaction } from './materialService.js';
+import { addDays, toDateKey } from '../utils/recurrence.js';
+
+// How a billing run groups tasks into invoices
+export const BILLING_GROUPS = ['client', 'site'];
+
+/**
+ * Invoice lines for a task: one labor line plus one line per consumed material
+ * A fixed price (cost.override) is billed as a labor and a materials amount.
+ * @param {object} task - Task document
+ * @param {object} options - { perTask: label every line with the task and its date (consolidated invoices) }
+ * @returns {Array} - Invoice items
+ */
+export const buildInvoiceItems = (task, { perTask = false } = {}) => {
+  const cost = task.cost || {};
+  const label = perTask
+    ? `${task.title} (${toDateKey(task.completedAt || task.scheduledDate)})`
+    : task.title;
+  const materialLabel = (name) => (perTask ? `${label} - ${name}` : name);
+
+  if (cost.override) {
+    const items = [{
+      type: 'labor',
+      task: task._id,
+      description: `Labor: ${label}`,
+      quantity: 1,
+      unit: 'service',
+      unitPrice: cost.labor || 0
+    }];
+    if (cost.materials) {
+      items.push({
+        type: 'material',
+        task: task._id,
+        description: materialLabel('Materials'),
+        quantity: 1,
+        unit: 'lot',
+        unitPrice: cost.materials
+      });
+    }
+    return items;
+  }
+
+  const laborHours = cost.laborHours || task.actualDuration || task.estimatedDuration || 0;
+  const items = [{
+    type: 'labor',
+    task: task._id,
+    description: `Labor: ${label}`,
+    quantity: laborHours,
+    unit: 'hour',
+    unitPrice: cost.laborRate ?? (laborHours ? (cost.labor || 0) / laborHours : 0)
+  }];
+
+  task.materials
+    .filter(material => material.confirmed)
+    .forEach((material) => {
+      items.push({
+        type: 'material',
+        task: task._id,
+        inventory: material.item || null,
+        description: materialLabel(material.name || 'Material'),
+        quantity: material.usedQuantity ?? material.quantity ?? 0,
+        unit: material.unit,
+        unitPrice: material.unitPrice || 0
+      });
+    });
+
+  return items;
+};
+
+/**
+ * Defaults for a new invoice from the invoice settings
+ * @returns {Promise<object>} - { tax, currency, dueDate }
+ */
+export const invoiceDefaults = async () => {
+  const settings = await Settings.getSettings();
+
+  return {
+    tax: { rate: settings.invoice.taxRate },
+    currency: settings.invoice.currency,
+    dueDate: addDays(new Date(), settings.invoice.dueDays)
+  };
+};
+
+/**
+ * Lines for a consolidated invoice: every task's lines in the order the work was done
+ * @param {Array} tasks - Task documents
+ * @returns {Array} - Invoice items
+ */
+export const buildConsolidatedItems = (tasks) => [...tasks]
+  .sort((a, b) => new Date(a.completedAt || a.scheduledDate) - new Date(b.completedAt || b.scheduledDate))
+  .flatMap(task => buildInvoiceItems(task, { perTask: true }));
+
+/**
+ * Query for approved tasks completed in a period that have not been invoiced yet
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period (exclusive)
+ */
+export const billableTaskQuery = (from, to) => ({
+  status: 'completed',
+  'adminReview.status': 'approved',
+  invoice: null,
+  completedAt: { $gte: from, $lt: to }
+});
+
+/**
+ * Group billable tasks into one invoice each per client (or per client site) and branch
+ * @param {Array} tasks - Task documents
+ * @param {string} groupBy - 'client' or 'site'
+ * @returns {Array} - [{ client, site, branch, tasks }]
+ */
+export const groupBillableTasks = (tasks, groupBy = 'client') => {
+  const groups = new Map();
+  const idOf = (value) => (value?._id || value)?.toString();
+
+  tasks.forEach((task) => {
+    const key = [idOf(task.branch), idOf(task.client), groupBy === 'site' ? idOf(task.site) : '']
+      .join('|');
+    if (!groups.has(key)) {
+      groups.set(key, {
+        client: task.client,
+        site: groupBy === 'site' ? task.site : null,
+        branch: task.branch,
+        tasks: []
+      });
+    }
+    groups.get(key).tasks.push(task);
+  });
+
+  return [...groups.values()];
+};
+
+// Attempts after a write conflict with a concurrent invoice creation
+export const INVOICE_TRANSACTION_RETRIES = 10;
+
+/**
+ * Create an invoice and mark its tasks as billed in one transaction
+ * Fails with 409 when any task was invoiced meanwhile, so no task is billed twice. The invoice number
+ * is taken from the branch's counter in the same transaction; concurrent creations conflict on that
+ * counter and are retried, so numbers are never repeated or skipped.
+ * @param {object} data - Invoice fields
+ * @param {Array} taskIds - Tasks billed on the invoice
+ * @returns {Promise<object>} - Invoice document
+ */
+export const createBilledInvoice = (data, taskIds) => runInTransaction(async (session) => {
+  const [invoice] = await Invoice.create([{ ...data, tasks: taskIds }], { session });
+
+  const billed = await Task.updateMany(
+    { _id: { $in: taskIds }, invoice: null },
+    { $set: { invoice: invoice._id, billedAt: new Date() } },
+    { session }
+  );
+
+  if (billed.modifiedCount !== taskIds.length) {
+    const error = new Error(taskIds.length === 1
+      ? 'This task has already been invoiced'
+      : 'Some of these tasks have already been invoiced');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return invoice;
+}, { retries: INVOICE_TRANSACTION_RETRIES });
+
+/**
+ * Take a task that is cancelled or deleted off the invoice it was billed to in advance
+ * (tasks converted from a quote are billed to its draft invoice before the work is done).
+ * The task's lines leave the draft, and a draft left without lines is cancelled. Issued invoices never
+ * change, so a task billed on one is refused with 409 until the invoice is credited.
+ * @param {object} task - Task document; its billing fields are cleared, the caller saves it
+ * @param {object} options - { reason, user, session }
+ * @returns {Promise<object|null>} - The updated invoice, or null when there was none
+ */
+export const removeTaskFromInvoice = async (task, { reason, user, session } = {}) => {
+  if (!task.invoice) return null;
+
+  const invoice = await Invoice.findById(task.invoice).session(session || null);
+  const taskId = task._id.toString();
+
+  if (invoice && invoice.status !== 'draft' && invoice.status !== 'cancelled') {
+    const error = new Error(`This task is billed on invoice ${invoice.invoiceNumber}; issue a credit note first`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (invoice?.status === 'draft') {
+    const items = invoice.items.filter(item => item.task?.toString() !== taskId);
+    invoice.tasks = invoice.tasks.filter(id => id.toString() !== taskId);
+    if (invoice.task?.toString() === taskId) invoice.task = null;
+
+    if (items.length > 0) {
+      invoice.items = items;
+    } else {
+      // Nothing left to bill: cancel the draft like cancelInvoice and free any other task on it
+      invoice.status = 'cancelled';
+      invoice.paymentStatus = 'cancelled';
+      invoice.cancelledAt = new Date();
+      invoice.cancelledBy = user?._id;
+      invoice.cancellationReason = reason;
+      await Task.updateMany(
+        { invoice: invoice._id, _id: { $ne: task._id } },
+        { $unset: { invoice: 1, billedAt: 1 } },
+        { session }
+      );
+    }
+    await invoice.save({ session });
+  }
+
+  task.invoice = null;
+  task.billedAt = undefined;
+  return invoice;
+};
+
+export default {
+  BILLING_GROUPS,
+  INVOICE_TRANSACTION_RETRIES,
+  buildInvoiceItems,
+  buildConsolidatedItems,
+  billableTaskQuery,
+  groupBillableTasks,
+  createBilledInvoice,
+  removeTaskFromInvoice,
+  invoiceDefaults
+};
@@ -0,0 +1,142 @@
+import Task from '../models/Task.js';
+import { addDays } from '../utils/recurrence.js';
+import { isValidCoordinate, haversineDistance } from '../utils/geo.js';
+import { planRoute } from '../utils/routePlanner.js';
+
+// Tasks still to be visited on the day's route
+export const ROUTE_STATUSES = ['assigned', 'in-progress', 'rejected'];
+
+// Work already handed in for the day
+const FINISHED_STATUSES = ['review', 'completed'];
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Coordinates of the place a task is done at
+ */
+export const taskCoordinates = (task) => {
+  const siteCoordinates = task.site?.location?.coordinates;
+  if (isValidCoordinate(siteCoordinates)) return siteCoordinates;
+  if (isValidCoordinate(task.location?.coordinates)) return task.location.coordinates;
+  return null;
+};
+
+/**
+ * Order tasks: manual sequence first, then the planned route, then tasks without coordinates
+ */
+const orderTasks = (tasks, start) => {
+  const manual = tasks
+    .filter(task => task.routeOrder !== null && task.routeOrder !== undefined)
+    .sort((a, b) => a.routeOrder - b.routeOrder);
+  const rest = tasks.filter(task => !manual.includes(task));
+
+  const located = rest.filter(task => taskCoordinates(task));
+  const unlocated = rest
+    .filter(task => !taskCoordinates(task))
+    .sort((a, b) => a.scheduledDate - b.scheduledDate);
+
+  // Continue the automatic part from the last manually placed stop
+  const lastManual = [...manual].reverse().find(task => taskCoordinates(task));
+  const from = lastManual ? taskCoordinates(lastManual) : start;
+  const planned = planRoute(located.map(taskCoordinates), { start: from })
+    .map(index => located[index]);
+
+  return [...manual, ...planned, ...unlocated];
+};
+
+/**
+ * Build a worker's ordered itinerary for one day
+ * @param {string} workerId - Worker
+ * @param {Date} day - Start of the day
+ * @param {object} options - { start: { latitude, longitude } } current location of the worker
+ * @returns {Promise<object>} - { mode, stops, finished, totals }
+ */
+export const buildItinerary = async (workerId, day, { start = null } = {}) => {
+  const tasks = await Task.find({
+    worker: workerId,
+    scheduledDate: { $gte: day, $lt: addDays(day, 1) },
+    status: { $in: [...ROUTE_STATUSES, ...FINISHED_STATUSES] }
+  })
+    .select('title status priority category scheduledDate estimatedDuration routeOrder location site section client')
+    .populate('site', 'name location')
+    .populate('client', 'name phone')
+    .lean();
+
+  const open = tasks.filter(task => ROUTE_STATUSES.includes(task.status));
+  const finished = tasks.filter(task => FINISHED_STATUSES.includes(task.status));
+
+  const origin = isValidCoordinate(start) ? start : null;
+  let previous = origin;
+  let cumulativeDistance = 0;
+  let cumulativeDuration = 0;
+
+  const stops = orderTasks(open, origin).map((task, index) => {
+    const coordinates = taskCoordinates(task);
+    const travelDistance = previous && coordinates ? haversineDistance(previous, coordinates) / 1000 : null;
+
+    if (travelDistance !== null) cumulativeDistance += travelDistance;
+    cumulativeDuration += task.estimatedDuration || 0;
+    if (coordinates) previous = coordinates;
+
+    return {
+      sequence: index + 1,
+      task,
+      coordinates,
+      travelDistanceKm: travelDistance === null ? null : round(travelDistance),
+      cumulativeDistanceKm: round(cumulativeDistance),
+      estimatedDuration: task.estimatedDuration || 0,
+      cumulativeDuration: round(cumulativeDuration)
+    };
+  });
+
+  return {
+    mode: open.some(task => task.routeOrder !== null && task.routeOrder !== undefined) ? 'manual' : 'optimized',
+    start: origin,
+    stops,
+    finished,
+    totals: {
+      stops: stops.length,
+      distanceKm: round(cumulativeDistance),
+      estimatedDuration: round(cumulativeDuration)
+    }
+  };
+};
+
+/**
+ * Save a manual route order for a worker's day
+ * @param {string} workerId - Worker
+ * @param {Date} day - Start of the day
+ * @param {Array<string>} taskIds - Task ids in the wanted order (empty to go back to automatic)
+ * @returns {Promise<string|null>} - Error message, or null on success
+ */
+export const resequenceItinerary = async (workerId, day, taskIds = []) => {
+  const dayFilter = {
+    worker: workerId,
+    scheduledDate: { $gte: day, $lt: addDays(day, 1) },
+    status: { $in: ROUTE_STATUSES }
+  };
+
+  const tasks = await Task.find(dayFilter).select('_id');
+  const known = new Set(tasks.map(task => task._id.toString()));
+  const unknown = taskIds.filter(id => !known.has(id.toString()));
+
+  if (unknown.length) {
+    return `Tasks not on this worker's route for the day: ${unknown.join(', ')}`;
+  }
+
+  if (new Set(taskIds.map(id => id.toString())).size !== taskIds.length) {
+    return 'Each task can only appear once in the route';
+  }
+
+  await Task.updateMany(dayFilter, { routeOrder: null });
+  await Promise.all(taskIds.map((id, index) => Task.updateOne({ _id: id }, { routeOrder: index + 1 })));
+
+  return null;
+};
+
+export default {
+  ROUTE_STATUSES,
+  taskCoordinates,
+  buildItinerary,
+  resequenceItinerary
+};
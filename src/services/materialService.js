@@ -0,0 +1,324 @@
+import mongoose from 'mongoose';
+import Inventory from '../models/Inventory.js';
+import InventoryTransaction from '../models/InventoryTransaction.js';
+
+// Upper bound of the wait before the first retry of a transaction; it grows with each attempt
+const RETRY_DELAY_MS = 20;
+
+/**
+ * Run work inside a MongoDB transaction (needs a replica set or Atlas cluster)
+ * Not retried by default: the work usually also changes in-memory documents, which a retry would see
+ * half-applied. Work that only changes documents it creates or loads itself may pass `retries`, so a
+ * write conflict with a concurrent transaction (a transient error) runs it again, after a short random
+ * wait so that transactions conflicting on the same document (e.g. a number counter) do not collide again.
+ * @param {Function} work - async (session) => result
+ * @param {object} options - { retries }
+ */
+export const runInTransaction = async (work, { retries = 0 } = {}) => {
+  const session = await mongoose.startSession();
+  try {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        session.startTransaction();
+        const result = await work(session);
+        await session.commitTransaction();
+        return result;
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+        if (attempt >= retries || !error.hasErrorLabel?.('TransientTransactionError')) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.random() * RETRY_DELAY_MS * (attempt + 1)));
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Error for stock that cannot cover a task; controllers answer it with its statusCode
+ */
+const stockError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const availableQuantity = { $subtract: ['$quantity.current', { $ifNull: ['$quantity.reserved', 0] }] };
+
+/**
+ * Write the InventoryTransaction row for a change made to an item
+ * @param {object} item - Inventory document after the change
+ * @param {object} delta - { current, reserved } change applied to the item
+ */
+const recordTransaction = (item, delta, task, type, quantity, { user, session, notes }) =>
+  InventoryTransaction.create([{
+    inventory: item._id,
+    task: task._id,
+    worker: task.worker?._id || task.worker || user?._id,
+    type,
+    quantity,
+    unit: item.unit,
+    previousQuantity: item.quantity.current - delta.current,
+    newQuantity: item.quantity.current,
+    previousReserved: item.quantity.reserved - delta.reserved,
+    newReserved: item.quantity.reserved,
+    notes,
+    confirmedBy: user?._id,
+    confirmedAt: new Date()
+  }], { session });
+
+/**
+ * Explain why an item cannot cover a quantity
+ */
+const shortageError = async (material, quantity, session) => {
+  const item = await Inventory.findById(material.item).session(session);
+  if (!item) {
+    return stockError(`Inventory item for ${material.name || 'a material'} not found`);
+  }
+  return stockError(`Not enough ${item.name} in stock: ${item.quantity.available} ${item.unit} available, ${quantity} needed`);
+};
+
+/**
+ * How an edit affects a task's reservation: stock is held while a task is assigned,
+ * released when it goes back to pending and re-reserved when reserved materials change
+ * @returns {object} - { release, reserve }
+ */
+export const reservationChanges = (task, nextStatus, materialsChanged) => {
+  const release = task.materialsReservation?.status === 'reserved'
+    && (nextStatus === 'pending' || materialsChanged);
+  const reserve = (task.status === 'pending' && nextStatus === 'assigned')
+    || (release && nextStatus !== 'pending');
+  return { release, reserve };
+};
+
+/**
+ * Hold a task's materials in stock (on assignment)
+ * Changes the task document; the caller saves it in the same session.
+ * @param {object} task - Task document
+ * @param {object} options - { user, session }
+ */
+export const reserveTaskMaterials = async (task, { user, session } = {}) => {
+  for (const material of task.materials) {
+    if (!material.item || !(material.quantity > 0)) continue;
+
+    const item = await Inventory.findOneAndUpdate(
+      { _id: material.item, $expr: { $gte: [availableQuantity, material.quantity] } },
+      { $inc: { 'quantity.reserved': material.quantity } },
+      { new: true, session }
+    );
+
+    if (!item) {
+      throw await shortageError(material, material.quantity, session);
+    }
+
+    await recordTransaction(item, { current: 0, reserved: material.quantity }, task, 'reservation',
+      material.quantity, { user, session });
+    material.reservedQuantity = material.quantity;
+  }
+
+  task.materialsReservation.status = 'reserved';
+  task.materialsReservation.reservedAt = new Date();
+  return task;
+};
+
+/**
+ * Give a task's reserved materials back to available stock (on cancellation or unassignment)
+ * @param {object} task - Task document
+ * @param {object} options - { user, session, notes }
+ */
+export const releaseTaskMaterials = async (task, { user, session, notes } = {}) => {
+  for (const material of task.materials) {
+    const reserved = material.reservedQuantity || 0;
+    if (!material.item || reserved <= 0) continue;
+
+    const item = await Inventory.findByIdAndUpdate(
+      material.item,
+      { $inc: { 'quantity.reserved': -reserved } },
+      { new: true, session }
+    );
+
+    // The item may have been deleted meanwhile
+    if (item) {
+      await recordTransaction(item, { current: 0, reserved: -reserved }, task, 'release',
+        reserved, { user, session, notes });
+    }
+    material.reservedQuantity = 0;
+  }
+
+  task.materialsReservation.status = 'released';
+  task.materialsReservation.releasedAt = new Date();
+  return task;
+};
+
+/**
+ * Take the quantities actually used out of stock and drop the reservation (on completion)
+ * @param {object} task - Task document with reserved materials
+ * @param {Array} used - [{ item or material (subdocument id), quantity }]; missing entries use the reserved quantity
+ * @param {object} options - { user, session }
+ */
+export const consumeTaskMaterials = async (task, used = [], { user, session } = {}) => {
+  const usedQuantity = (material) => {
+    const entry = used.find(usage =>
+      [usage.material, usage.item].some(id => id && (id.toString() === material._id.toString()
+        || id.toString() === material.item?.toString())));
+    return entry ? Number(entry.quantity) : null;
+  };
+
+  for (const material of task.materials) {
+    if (!material.item) continue;
+
+    const reserved = material.reservedQuantity || 0;
+    const actual = usedQuantity(material) ?? reserved;
+
+    if (!(actual >= 0)) {
+      throw stockError(`Invalid used quantity for ${material.name || 'a material'}`, 400);
+    }
+    if (actual === 0 && reserved === 0) continue;
+
+    // Stock this task may draw on: what is available plus its own reservation
+    const item = await Inventory.findOneAndUpdate(
+      { _id: material.item, $expr: { $gte: [{ $add: [availableQuantity, reserved] }, actual] } },
+      { $inc: { 'quantity.current': -actual, 'quantity.reserved': -reserved } },
+      { new: true, session }
+    );
+
+    if (!item) {
+      throw await shortageError(material, actual - reserved, session);
+    }
+
+    await recordTransaction(item, { current: -actual, reserved: -reserved }, task, 'consumption', actual, {
+      user,
+      session,
+      notes: actual !== reserved ? `Reserved ${reserved} ${item.unit}` : undefined
+    });
+
+    material.usedQuantity = actual;
+    material.reservedQuantity = 0;
+    material.confirmed = true;
+    material.confirmedAt = new Date();
+    material.confirmedBy = user?._id;
+  }
+
+  task.materialsReservation.status = 'consumed';
+  task.materialsReservation.consumedAt = new Date();
+  return task;
+};
+
+/**
+ * Add delivered stock to an item and log it as a restock
+ * With a unitCost, price.cost becomes the weighted average of the stock on hand and the delivery,
+ * worked out in the same atomic update so concurrent restocks cannot lose each other's cost.
+ * @param {string} itemId - Inventory id
+ * @param {number} quantity - Quantity delivered
+ * @param {object} options - { unitCost, user, session, purchaseOrder, notes }
+ * @returns {Promise<object>} - Inventory document after the restock
+ */
+export const restockItem = async (itemId, quantity, { unitCost, user, session, purchaseOrder, notes } = {}) => {
+  if (!(quantity > 0)) {
+    throw stockError('Restock quantity must be positive', 400);
+  }
+  if (unitCost !== undefined && !(unitCost >= 0)) {
+    throw stockError('Unit cost must not be negative', 400);
+  }
+
+  const stockValue = { $multiply: [{ $max: ['$quantity.current', 0] }, { $ifNull: ['$price.cost', 0] }] };
+  const averageCost = {
+    $cond: [
+      { $gt: ['$quantity.current', 0] },
+      { $round: [{ $divide: [{ $add: [stockValue, quantity * unitCost] }, { $add: ['$quantity.current', quantity] }] }, 2] },
+      unitCost
+    ]
+  };
+
+  const item = await Inventory.findOneAndUpdate(
+    { _id: itemId },
+    [{
+      $set: {
+        ...(unitCost !== undefined && { 'price.cost': averageCost }),
+        'quantity.current': { $add: ['$quantity.current', quantity] },
+        lastRestocked: '$$NOW'
+      }
+    }],
+    { new: true, session }
+  );
+
+  if (!item) {
+    throw stockError('Inventory item not found', 404);
+  }
+
+  await InventoryTransaction.create([{
+    inventory: item._id,
+    purchaseOrder: purchaseOrder || null,
+    worker: user?._id,
+    type: 'restock',
+    quantity,
+    unit: item.unit,
+    unitCost,
+    previousQuantity: item.quantity.current - quantity,
+    newQuantity: item.quantity.current,
+    notes,
+    confirmedBy: user?._id,
+    confirmedAt: new Date()
+  }], { session });
+
+  return item;
+};
+
+/**
+ * Take stock that no task has reserved out of an item and log it as a withdrawal
+ * The availability check and the deduction are one conditional update, so concurrent withdrawals
+ * cannot both take the same stock or eat into a reservation.
+ * @param {string} itemId - Inventory id
+ * @param {number} quantity - Quantity withdrawn
+ * @param {object} options - { task, user, session, notes }
+ * @returns {Promise<object>} - Inventory document after the withdrawal
+ */
+export const withdrawItem = async (itemId, quantity, { task, user, session, notes } = {}) => {
+  if (!(quantity > 0)) {
+    throw stockError('Withdrawal quantity must be positive', 400);
+  }
+
+  const item = await Inventory.findOneAndUpdate(
+    { _id: itemId, $expr: { $gte: [availableQuantity, quantity] } },
+    { $inc: { 'quantity.current': -quantity } },
+    { new: true, session }
+  );
+
+  if (!item) {
+    const existing = await Inventory.findById(itemId).session(session);
+    if (!existing) {
+      throw stockError('Inventory item not found', 404);
+    }
+    throw stockError(`Insufficient stock (${existing.quantity.available} ${existing.unit} available, ${existing.quantity.reserved} reserved)`, 400);
+  }
+
+  await InventoryTransaction.create([{
+    inventory: item._id,
+    task: task || null,
+    worker: user?._id,
+    type: 'withdrawal',
+    quantity,
+    unit: item.unit,
+    previousQuantity: item.quantity.current + quantity,
+    newQuantity: item.quantity.current,
+    notes,
+    confirmedBy: user?._id,
+    confirmedAt: new Date()
+  }], { session });
+
+  return item;
+};
+
+export default {
+  runInTransaction,
+  reservationChanges,
+  reserveTaskMaterials,
+  releaseTaskMaterials,
+  consumeTaskMaterials,
+  restockItem,
+  withdrawItem
+};
@@ -2,15 +2,25 @@ import Notification from '../models/Notification.js';
 import {
   sendTaskAssignmentEmail,
   sendTaskCompletionEmail,
+  sendTaskRejectedEmail,
   sendLowStockAlert,
   sendInvoiceEmail,
-  sendClientCredentials
+  sendPaymentReminderEmail,
+  sendQuoteEmail,
+  sendClientCredentials,
+  sendFeedbackReceivedEmail,
+  sendContractRenewalEmail,
+  sendContractRenewalAdminEmail
 } from './emailService.js';
 import {
   sendTaskAssignmentWhatsApp,
   sendTaskCompletionWhatsApp,
+  sendTaskRejectedWhatsApp,
   sendLowStockWhatsApp,
   sendInvoiceWhatsApp,
+  sendPaymentReminderWhatsApp,
+  sendQuoteWhatsApp,
+  sendContractRenewalWhatsApp,
   sendClientCredentialsWhatsApp
 } from './whatsappService.js';
 
@@ -84,6 +94,41 @@ export const notifyTaskCompletion = async (client, task, worker) => {
   }
 };
 
+/**
+ * Send task rejection notification to the worker
+ */
+export const notifyTaskRejected = async (worker, task, comments) => {
+  try {
+    // Create in-app notification
+    const notification = await createNotification({
+      recipient: { type: 'user', id: worker._id },
+      type: 'task-rejected',
+      channel: 'both',
+      subject: 'Task Needs Rework',
+      message: `Your task "${task.title}" was sent back: ${comments}`,
+      data: { task: task._id, comments },
+      priority: 'high'
+    });
+
+    // Send email and WhatsApp
+    const [emailSent, whatsappSent] = await Promise.all([
+      sendTaskRejectedEmail(worker, task, comments),
+      worker.phone ? sendTaskRejectedWhatsApp(worker, task, comments) : false
+    ]);
+
+    if (notification) {
+      if (emailSent) notification.status.email = { sent: true, sentAt: new Date() };
+      if (whatsappSent) notification.status.whatsapp = { sent: true, sentAt: new Date() };
+      await notification.save();
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Notify task rejected error:', error);
+    return false;
+  }
+};
+
 /**
  * Send low stock alert
  */
@@ -161,24 +206,165 @@ export const notifyClientCredentials = async (client, username, temporaryPasswor
 };
 
 /**
- * Send payment reminder
+ * Send payment reminder to the client by email and WhatsApp
+ * @param {number} daysFromDue - Days past the due date (negative = days left)
+ * @returns {Promise<object|null>} - { email, whatsapp } channels that were sent, null on failure
  */
-export const notifyPaymentReminder = async (client, invoice) => {
+export const notifyPaymentReminder = async (client, invoice, daysFromDue = 0) => {
   try {
-    // Create in-app notification
-    await createNotification({
-      recipient: client._id,
-      recipientModel: 'Client',
-      type: 'payment_reminder',
-      title: 'Payment Reminder',
-      message: `Payment for invoice ${invoice.invoiceNumber} is due`,
-      relatedInvoice: invoice._id,
-      priority: 'high'
+    const notification = await createNotification({
+      recipient: { type: 'client', id: client._id },
+      type: 'payment-reminder',
+      channel: 'both',
+      subject: 'Payment Reminder',
+      message: daysFromDue > 0
+        ? `Invoice ${invoice.invoiceNumber} is ${daysFromDue} day(s) overdue`
+        : `Payment for invoice ${invoice.invoiceNumber} is due`,
+      data: { invoice: invoice._id, daysFromDue },
+      priority: daysFromDue > 0 ? 'high' : 'medium'
     });
 
-    return true;
+    const [email, whatsapp] = await Promise.all([
+      client.email ? sendPaymentReminderEmail(client, invoice, daysFromDue) : false,
+      client.whatsapp || client.phone ? sendPaymentReminderWhatsApp(client, invoice, daysFromDue) : false
+    ]);
+
+    if (notification) {
+      if (email) notification.status.email = { sent: true, sentAt: new Date() };
+      if (whatsapp) notification.status.whatsapp = { sent: true, sentAt: new Date() };
+      await notification.save();
+    }
+
+    return { email, whatsapp };
   } catch (error) {
     console.error('Notify payment reminder error:', error);
+    return null;
+  }
+};
+
+/**
+ * Send a quote to the client by email (with the PDF) and WhatsApp
+ * @param {string} url - Link where the client accepts or rejects the quote
+ * @returns {Promise<object|null>} - { email, whatsapp } channels that were sent, null on failure
+ */
+export const notifyQuote = async (client, quote, url, pdfPath) => {
+  try {
+    const notification = await createNotification({
+      recipient: { type: 'client', id: client._id },
+      type: 'quote-sent',
+      channel: 'both',
+      subject: `Quotation ${quote.quoteNumber}`,
+      message: `Quotation ${quote.quoteNumber} for ${quote.title} is valid until ${new Date(quote.validUntil).toLocaleDateString()}`,
+      data: { quote: quote._id, url },
+      priority: 'medium'
+    });
+
+    const [email, whatsapp] = await Promise.all([
+      client.email ? sendQuoteEmail(client, quote, url, pdfPath) : false,
+      client.whatsapp || client.phone ? sendQuoteWhatsApp(client, quote, url) : false
+    ]);
+
+    if (notification) {
+      if (email) notification.status.email = { sent: true, sentAt: new Date() };
+      if (whatsapp) notification.status.whatsapp = { sent: true, sentAt: new Date() };
+      await notification.save();
+    }
+
+    return { email, whatsapp };
+  } catch (error) {
+    console.error('Notify quote error:', error);
+    return null;
+  }
+};
+
+/**
+ * Remind the client (email and WhatsApp) and the branch admins (email) that a contract is ending
+ * @param {Array} admins - Users responsible for the contract's branch
+ * @param {number} daysLeft - Days until the contract's end date
+ * @returns {Promise<object|null>} - { email, whatsapp } channels that reached the client, null on failure
+ */
+export const notifyContractRenewal = async (client, admins, contract, daysLeft) => {
+  try {
+    const notification = await createNotification({
+      recipient: { type: 'client', id: client._id },
+      type: 'contract-renewal',
+      channel: 'both',
+      subject: 'Contract Renewal',
+      message: `Contract ${contract.contractNumber} ends in ${daysLeft} day(s)`,
+      data: { contract: contract._id, daysLeft },
+      priority: daysLeft <= 7 ? 'high' : 'medium'
+    });
+
+    const [email, whatsapp] = await Promise.all([
+      client.email ? sendContractRenewalEmail(client, contract, daysLeft) : false,
+      client.whatsapp || client.phone ? sendContractRenewalWhatsApp(client, contract, daysLeft) : false
+    ]);
+
+    if (notification) {
+      if (email) notification.status.email = { sent: true, sentAt: new Date() };
+      if (whatsapp) notification.status.whatsapp = { sent: true, sentAt: new Date() };
+      await notification.save();
+    }
+
+    await Promise.all(admins.map(async (admin) => {
+      const adminNotification = await createNotification({
+        recipient: { type: 'user', id: admin._id },
+        type: 'contract-renewal',
+        channel: 'email',
+        subject: `Renewal due: ${client.name}`,
+        message: `Contract ${contract.contractNumber} with ${client.name} ends in ${daysLeft} day(s)`,
+        data: { contract: contract._id, client: client._id, daysLeft },
+        priority: daysLeft <= 7 ? 'high' : 'medium'
+      });
+
+      const sent = await sendContractRenewalAdminEmail(admin, contract, client, daysLeft);
+
+      if (adminNotification && sent) {
+        adminNotification.status.email = { sent: true, sentAt: new Date() };
+        await adminNotification.save();
+      }
+    }));
+
+    return { email, whatsapp };
+  } catch (error) {
+    console.error('Notify contract renewal error:', error);
+    return null;
+  }
+};
+
+/**
+ * Notify admins that a client rated a task
+ * @param {Array} admins - Users to notify
+ * @param {object} task - Rated task (with feedback)
+ * @param {object} client - Client who left the feedback
+ * @param {boolean} isLowRating - Whether the rating needs follow-up
+ */
+export const notifyFeedbackReceived = async (admins, task, client, isLowRating = false) => {
+  try {
+    const { rating, comment } = task.feedback;
+
+    await Promise.all(admins.map(async (admin) => {
+      const notification = await createNotification({
+        recipient: { type: 'user', id: admin._id },
+        type: 'feedback-received',
+        channel: 'email',
+        subject: isLowRating ? `Low rating (${rating}/5) needs follow-up` : `New ${rating}/5 rating`,
+        message: `${client.name} rated "${task.title}" ${rating}/5${comment ? `: ${comment}` : ''}`,
+        data: { task: task._id, client: client._id, rating, isLowRating },
+        priority: isLowRating ? 'high' : 'low'
+      });
+
+      const sent = await sendFeedbackReceivedEmail(admin, task, client, isLowRating);
+
+      if (notification && sent) {
+        notification.status.email = { sent: true, sentAt: new Date() };
+        await notification.save();
+      }
+    }));
+
+    return true;
+  } catch (error) {
+    console.error('Notify feedback received error:', error);
     return false;
   }
 };
@@ -194,10 +380,10 @@ export const getUserNotifications = async (userId, options = {}) => {
       page = 1
     } = options;
 
-    const query = { recipient: userId };
+    const query = { 'recipient.id': userId };
     
     if (unreadOnly) {
-      query.isRead = false;
+      query.read = false;
     }
 
     const notifications = await Notification.find(query)
@@ -226,7 +412,7 @@ export const getUserNotifications = async (userId, options = {}) => {
 export const markAsRead = async (notificationId) => {
   try {
     await Notification.findByIdAndUpdate(notificationId, {
-      isRead: true,
+      read: true,
       readAt: new Date()
     });
     return true;
@@ -242,8 +428,8 @@ export const markAsRead = async (notificationId) => {
 export const markAllAsRead = async (userId) => {
   try {
     await Notification.updateMany(
-      { recipient: userId, isRead: false },
-      { isRead: true, readAt: new Date() }
+      { 'recipient.id': userId, read: false },
+      { read: true, readAt: new Date() }
     );
     return true;
   } catch (error) {
@@ -268,10 +454,14 @@ export const deleteNotification = async (notificationId) => {
 export default {
   notifyTaskAssignment,
   notifyTaskCompletion,
+  notifyTaskRejected,
   notifyLowStock,
   notifyInvoice,
   notifyClientCredentials,
   notifyPaymentReminder,
+  notifyQuote,
+  notifyContractRenewal,
+  notifyFeedbackReceived,
   getUserNotifications,
   markAsRead,
   markAllAsRead,
@@ -0,0 +1,238 @@
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import Client from '../models/Client.js';
+import { runInTransaction } from './materialService.js';
+import { generateReceiptPDF } from './pdfService.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Recording loads everything it changes itself, so a write conflict with a concurrent payment
+// (they share the receipt number counter) is retried
+const PAYMENT_TRANSACTION_RETRIES = 10;
+
+/**
+ * Error for a payment that cannot be recorded; controllers answer it with its statusCode
+ */
+const paymentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Issued invoices that still have something to pay (invoices from before drafts have no status)
+const openInvoiceQuery = (clientId) => ({
+  client: clientId,
+  status: { $ne: 'draft' },
+  paymentStatus: { $nin: ['paid', 'cancelled'] }
+});
+
+/**
+ * Split a payment over invoices; whatever is left becomes client credit
+ * Requested invoices are paid in the given order, each with its amount or what is still due.
+ * Without a list the client's oldest open invoices are paid first.
+ * @param {object} client - Client document
+ * @param {number} amount - Payment amount
+ * @param {Array} requested - [{ invoice, amount? }] or undefined
+ * @returns {Promise<object>} - { allocations: [{ invoice (document), amount }], credit }
+ */
+const allocatePayment = async (client, amount, requested, session) => {
+  let entries;
+
+  if (requested?.length) {
+    const ids = requested.map(entry => entry.invoice);
+    const invoices = await Invoice.find({ _id: { $in: ids }, client: client._id }).session(session);
+
+    entries = requested.map((entry) => {
+      const invoice = invoices.find(doc => doc._id.toString() === entry.invoice.toString());
+      if (!invoice) {
+        throw paymentError(`Invoice ${entry.invoice} not found for this client`, 404);
+      }
+      if (invoice.status === 'draft' || invoice.paymentStatus === 'cancelled') {
+        throw paymentError(`Invoice ${invoice.invoiceNumber} cannot take payments`);
+      }
+      return { invoice, amount: entry.amount === undefined ? undefined : round(Number(entry.amount)) };
+    });
+  } else {
+    const invoices = await Invoice.find(openInvoiceQuery(client._id))
+      .sort({ dueDate: 1, createdAt: 1 })
+      .session(session);
+    entries = invoices.map(invoice => ({ invoice }));
+  }
+
+  let remaining = amount;
+  const allocations = [];
+
+  for (const entry of entries) {
+    const due = entry.invoice.balanceDue();
+
+    if (entry.amount !== undefined) {
+      if (!(entry.amount > 0)) {
+        throw paymentError(`Invalid amount for invoice ${entry.invoice.invoiceNumber}`);
+      }
+      if (entry.amount > due) {
+        throw paymentError(`Invoice ${entry.invoice.invoiceNumber} only has ${due} left to pay`);
+      }
+      if (entry.amount > remaining) {
+        throw paymentError('Invoice amounts add up to more than the payment');
+      }
+    }
+
+    const applied = round(Math.min(entry.amount ?? due, remaining));
+    if (applied <= 0) continue;
+
+    allocations.push({ invoice: entry.invoice, amount: applied });
+    remaining = round(remaining - applied);
+  }
+
+  return { allocations, credit: remaining };
+};
+
+/**
+ * Client payment status from their issued invoices: paid when nothing is open,
+ * partial when something has been paid, pending otherwise
+ */
+export const clientPaymentStatus = async (clientId, session) => {
+  const open = await Invoice.find(openInvoiceQuery(clientId)).select('paidAmount').session(session);
+  if (open.length === 0) return 'paid';
+
+  const anyPaid = open.some(invoice => invoice.paidAmount > 0)
+    || await Invoice.exists({ client: clientId, paymentStatus: 'paid' }).session(session);
+  return anyPaid ? 'partial' : 'pending';
+};
+
+/**
+ * Record a payment, apply it to invoices and keep any overpayment as client credit
+ * @param {object} data - { client, amount, method, reference, paidAt, invoices, notes }
+ * @param {object} options - { user }
+ * @returns {Promise<object>} - { payment, invoices, client }
+ */
+export const recordPayment = (data, { user } = {}) => runInTransaction(async (session) => {
+  const amount = round(Number(data.amount));
+  if (!(amount > 0)) {
+    throw paymentError('Payment amount must be positive');
+  }
+
+  const client = await Client.findById(data.client).session(session);
+  if (!client) {
+    throw paymentError('Client not found', 404);
+  }
+
+  const paidAt = data.paidAt ? new Date(data.paidAt) : new Date();
+  const { allocations, credit } = await allocatePayment(client, amount, data.invoices, session);
+
+  // Credit can settle invoices but never turns into more credit
+  if (data.method === 'credit') {
+    if (amount > client.creditBalance) {
+      throw paymentError(`Only ${client.creditBalance} of credit is available`);
+    }
+    if (credit > 0) {
+      throw paymentError('Credit can only be used for amounts due on invoices');
+    }
+  }
+
+  const [payment] = await Payment.create([{
+    client: client._id,
+    branch: client.branch || allocations[0]?.invoice.branch || null,
+    amount,
+    method: data.method,
+    reference: data.reference,
+    paidAt,
+    allocations: allocations.map(allocation => ({ invoice: allocation.invoice._id, amount: allocation.amount })),
+    creditAmount: credit,
+    notes: data.notes,
+    recordedBy: user?._id
+  }], { session });
+
+  for (const allocation of allocations) {
+    const { invoice } = allocation;
+    invoice.setPaidAmount(invoice.paidAmount + allocation.amount, paidAt);
+    invoice.paymentMethod = data.method;
+    await invoice.save({ session });
+  }
+
+  client.creditBalance = round(data.method === 'credit'
+    ? client.creditBalance - amount
+    : client.creditBalance + credit);
+  client.lastPaymentDate = paidAt;
+  client.paymentStatus = await clientPaymentStatus(client._id, session);
+  await client.save({ session });
+
+  return { payment, invoices: allocations.map(allocation => allocation.invoice), client };
+}, { retries: PAYMENT_TRANSACTION_RETRIES });
+
+/**
+ * Void a payment: take it back off its invoices and out of the client's credit
+ * @param {string} paymentId - Payment id
+ * @param {object} options - { user, reason }
+ * @returns {Promise<object>} - { payment, invoices, client }
+ */
+export const reversePayment = (paymentId, { user, reason } = {}) => runInTransaction(async (session) => {
+  const payment = await Payment.findById(paymentId).session(session);
+  if (!payment) {
+    throw paymentError('Payment not found', 404);
+  }
+  if (payment.status === 'voided') {
+    throw paymentError('Payment is already voided');
+  }
+
+  const client = await Client.findById(payment.client).session(session);
+  if (!client) {
+    throw paymentError('Client not found', 404);
+  }
+
+  if (payment.creditAmount > client.creditBalance) {
+    throw paymentError('The credit from this payment has already been used', 409);
+  }
+
+  const invoices = await Invoice.find({ _id: { $in: payment.allocations.map(allocation => allocation.invoice) } })
+    .session(session);
+
+  // A credit note may already have turned this payment into client credit
+  const credited = invoices.find(invoice => invoice.creditedAmount > 0);
+  if (credited) {
+    throw paymentError(`Invoice ${credited.invoiceNumber} has credit notes; this payment can no longer be voided`, 409);
+  }
+
+  for (const allocation of payment.allocations) {
+    const invoice = invoices.find(doc => doc._id.toString() === allocation.invoice.toString());
+    // Invoices from before cancellation replaced deleting may be gone
+    if (!invoice) continue;
+    invoice.setPaidAmount(invoice.paidAmount - allocation.amount);
+    await invoice.save({ session });
+  }
+
+  client.creditBalance = round(payment.method === 'credit'
+    ? client.creditBalance + payment.amount
+    : client.creditBalance - payment.creditAmount);
+  client.paymentStatus = await clientPaymentStatus(client._id, session);
+  await client.save({ session });
+
+  payment.status = 'voided';
+  payment.voidReason = reason;
+  payment.voidedAt = new Date();
+  payment.voidedBy = user?._id;
+  await payment.save({ session });
+
+  return { payment, invoices, client };
+});
+
+/**
+ * Generate a payment's receipt PDF and store its path
+ * @returns {Promise<string>} - Path to the PDF
+ */
+export const refreshReceiptPDF = async (payment) => {
+  const client = await Client.findById(payment.client);
+  const invoices = await Invoice.find({ _id: { $in: payment.allocations.map(allocation => allocation.invoice) } });
+
+  const pdfPath = await generateReceiptPDF(payment, client, invoices);
+  payment.receiptUrl = pdfPath.replace(/\\/g, '/').split('uploads/')[1];
+  await payment.save();
+  return pdfPath;
+};
+
+export default {
+  clientPaymentStatus,
+  recordPayment,
+  reversePayment,
+  refreshReceiptPDF
+};
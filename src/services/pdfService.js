@@ -1,4 +1,5 @@
 import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -9,12 +10,17 @@ const __dirname = path.dirname(__filename);
 /**
  * Generate invoice PDF
  * @param {object} invoice - Invoice data
- * @param {object} task - Task data
+ * @param {object} task - Task data (null for consolidated invoices)
  * @param {object} client - Client data
  * @param {Array} selectedImages - Selected images to include
  * @returns {Promise<string>} - Path to generated PDF
  */
 export const generateInvoicePDF = async (invoice, task, client, selectedImages = []) => {
+  // E-invoice QR code (TLV payload) of an issued invoice
+  const qrImage = invoice.zatca?.qrCode
+    ? await QRCode.toBuffer(invoice.zatca.qrCode, { errorCorrectionLevel: 'M', margin: 1 })
+    : null;
+
   return new Promise((resolve, reject) => {
     try {
       // Create PDF document
@@ -35,10 +41,10 @@ export const generateInvoicePDF = async (invoice, task, client, selectedImages =
       doc.pipe(stream);
 
       // Add content to PDF
-      addInvoiceHeader(doc, invoice);
-      addClientInfo(doc, client);
-      addTaskDetails(doc, task);
-      addCostBreakdown(doc, invoice, task);
+      addInvoiceHeader(doc, invoice, qrImage);
+      addClientInfo(doc, client, invoice);
+      addTaskDetails(doc, task, invoice);
+      addCostBreakdown(doc, invoice);
       
       // Add images if provided
       if (selectedImages && selectedImages.length > 0) {
@@ -64,24 +70,49 @@ export const generateInvoicePDF = async (invoice, task, client, selectedImages =
   });
 };
 
+/**
+ * Format an amount with the invoice currency
+ */
+const formatMoney = (amount, currency = 'SAR') => `${currency} ${(amount || 0).toFixed(2)}`;
+
 /**
  * Add invoice header
  */
-const addInvoiceHeader = (doc, invoice) => {
+const addInvoiceHeader = (doc, invoice, qrImage) => {
+  const sealed = Boolean(invoice.zatca?.invoiceHash);
+  let title = sealed ? 'TAX INVOICE' : 'INVOICE';
+  if (invoice.status === 'draft') title = 'DRAFT INVOICE';
+
   doc
     .fontSize(20)
-    .text('INVOICE', 50, 50, { align: 'center' })
+    .text(title, 50, 50, { align: 'center' })
     .fontSize(10)
     .text(`Invoice #: ${invoice.invoiceNumber}`, 50, 80)
-    .text(`Date: ${new Date(invoice.issuedDate).toLocaleDateString()}`, 50, 95)
-    .text(`Due Date: ${new Date(invoice.dueDate).toLocaleDateString()}`, 50, 110)
-    .moveDown();
+    .text(`Date: ${new Date(invoice.issuedDate || invoice.createdAt).toLocaleDateString()}`, 50, 95)
+    .text(`Due Date: ${new Date(invoice.dueDate).toLocaleDateString()}`, 50, 110);
+
+  // Seller as sealed into the e-invoice
+  if (sealed) {
+    const { seller } = invoice.zatca;
+    doc
+      .text(seller.name || '', 300, 80, { width: 150 })
+      .text(`VAT No: ${seller.vatNumber}`, 300, 95, { width: 150 });
+    if (seller.commercialRegistration) {
+      doc.text(`CR No: ${seller.commercialRegistration}`, 300, 110, { width: 150 });
+    }
+  }
+
+  if (qrImage) {
+    doc.image(qrImage, 460, 75, { width: 90, height: 90 });
+  }
+
+  doc.moveDown();
 };
 
 /**
  * Add client information
  */
-const addClientInfo = (doc, client) => {
+const addClientInfo = (doc, client, invoice) => {
   doc
     .fontSize(12)
     .text('Bill To:', 50, 140)
@@ -95,15 +126,38 @@ const addClientInfo = (doc, client) => {
     doc.text(address, 50, 205);
   }
 
+  const buyerVat = invoice.zatca?.buyer?.vatNumber || client.vatNumber;
+  if (buyerVat) {
+    doc.text(`VAT No: ${buyerVat}`, 50, 220);
+  }
+
   doc.moveDown(2);
 };
 
 /**
- * Add task details
+ * Add task details, or the billing period of a consolidated invoice
  */
-const addTaskDetails = (doc, task) => {
+const addTaskDetails = (doc, task, invoice) => {
   const y = 250;
 
+  if (!task) {
+    const visits = invoice.tasks?.length || 0;
+    doc
+      .fontSize(12)
+      .text('Service Details:', 50, y)
+      .fontSize(10)
+      .text(`Consolidated invoice for ${visits} visit${visits === 1 ? '' : 's'}`, 50, y + 20);
+
+    if (invoice.period?.from && invoice.period?.to) {
+      const from = new Date(invoice.period.from).toLocaleDateString();
+      const to = new Date(invoice.period.to).toLocaleDateString();
+      doc.text(`Billing Period: ${from} - ${to}`, 50, y + 35);
+    }
+
+    doc.moveDown(2);
+    return;
+  }
+
   doc
     .fontSize(12)
     .text('Service Details:', 50, y)
@@ -122,31 +176,31 @@ const addTaskDetails = (doc, task) => {
 };
 
 /**
- * Add cost breakdown
+ * Add invoice lines and totals
  */
-const addCostBreakdown = (doc, invoice, task) => {
+const addCostBreakdown = (doc, invoice) => {
   const y = 400;
+  const currency = invoice.currency;
 
-  // Table header
   doc
     .fontSize(12)
     .text('Cost Breakdown:', 50, y)
     .moveDown(0.5);
 
-  // Draw table
   const tableTop = y + 30;
-  const itemX = 50;
-  const descX = 200;
-  const amountX = 450;
+  const descX = 50;
+  const qtyX = 300;
+  const priceX = 380;
+  const amountX = 470;
 
   // Header
   doc
     .fontSize(10)
-    .text('Item', itemX, tableTop, { bold: true })
     .text('Description', descX, tableTop)
+    .text('Qty', qtyX, tableTop)
+    .text('Unit Price', priceX, tableTop)
     .text('Amount', amountX, tableTop);
 
-  // Line
   doc
     .moveTo(50, tableTop + 15)
     .lineTo(550, tableTop + 15)
@@ -154,23 +208,21 @@ const addCostBreakdown = (doc, invoice, task) => {
 
   let currentY = tableTop + 25;
 
-  // Labor cost
-  doc
-    .text('Labor', itemX, currentY)
-    .text('Service labor cost', descX, currentY)
-    .text(`$${task.cost?.labor || 0}`, amountX, currentY);
-
-  currentY += 20;
+  invoice.items.forEach((item) => {
+    if (currentY > 700) {
+      doc.addPage();
+      currentY = 50;
+    }
 
-  // Materials cost
-  doc
-    .text('Materials', itemX, currentY)
-    .text('Materials used', descX, currentY)
-    .text(`$${task.cost?.materials || 0}`, amountX, currentY);
+    doc
+      .text(item.description, descX, currentY, { width: 240 })
+      .text(`${item.quantity}${item.unit ? ` ${item.unit}` : ''}`, qtyX, currentY)
+      .text(formatMoney(item.unitPrice, currency), priceX, currentY)
+      .text(formatMoney(item.total, currency), amountX, currentY);
 
-  currentY += 20;
+    currentY += 20;
+  });
 
-  // Line
   doc
     .moveTo(50, currentY + 5)
     .lineTo(550, currentY + 5)
@@ -178,19 +230,32 @@ const addCostBreakdown = (doc, invoice, task) => {
 
   currentY += 15;
 
-  // Total
+  // Totals
+  const totals = [
+    ['Subtotal:', invoice.subtotal],
+    ...(invoice.discount ? [['Discount:', -invoice.discount]] : []),
+    [`VAT (${invoice.tax.rate}%):`, invoice.tax.amount]
+  ];
+
+  totals.forEach(([label, amount]) => {
+    doc
+      .text(label, priceX, currentY)
+      .text(formatMoney(amount, currency), amountX, currentY);
+    currentY += 15;
+  });
+
   doc
     .fontSize(12)
-    .text('Total Amount:', descX, currentY, { bold: true })
-    .text(`$${invoice.totalAmount}`, amountX, currentY);
+    .text('Total:', priceX, currentY)
+    .text(formatMoney(invoice.total, currency), amountX, currentY);
 
   currentY += 25;
 
   // Payment status
   doc
     .fontSize(10)
-    .text(`Payment Status: ${invoice.paymentStatus}`, itemX, currentY)
-    .text(`Payment Method: ${invoice.paymentMethod || 'N/A'}`, itemX, currentY + 15);
+    .text(`Payment Status: ${invoice.paymentStatus}`, descX, currentY)
+    .text(`Payment Method: ${invoice.paymentMethod || 'N/A'}`, descX, currentY + 15);
 };
 
 /**
@@ -266,6 +331,640 @@ const addFooter = (doc, invoice) => {
     .text(`Generated on ${new Date().toLocaleString()}`, 50, bottomY + 30, { align: 'center' });
 };
 
+/**
+ * Generate payment receipt PDF
+ * @param {object} payment - Payment data
+ * @param {object} client - Client data
+ * @param {Array} invoices - Invoices the payment was applied to
+ * @returns {Promise<string>} - Path to generated PDF
+ */
+export const generateReceiptPDF = async (payment, client, invoices = []) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+      const filename = `receipt-${payment.paymentNumber}-${Date.now()}.pdf`;
+      const filepath = path.join(__dirname, '../../uploads/receipts', filename);
+
+      const dir = path.dirname(filepath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const stream = fs.createWriteStream(filepath);
+      doc.pipe(stream);
+
+      const currency = invoices[0]?.currency;
+
+      doc
+        .fontSize(20)
+        .text(payment.status === 'voided' ? 'PAYMENT RECEIPT (VOID)' : 'PAYMENT RECEIPT', 50, 50, { align: 'center' })
+        .fontSize(10)
+        .text(`Receipt #: ${payment.paymentNumber}`, 50, 80)
+        .text(`Date: ${new Date(payment.paidAt).toLocaleDateString()}`, 50, 95)
+        .text(`Method: ${payment.method}`, 50, 110);
+
+      if (payment.reference) {
+        doc.text(`Reference: ${payment.reference}`, 50, 125);
+      }
+
+      doc
+        .fontSize(12)
+        .text('Received From:', 50, 150)
+        .fontSize(10)
+        .text(client.name, 50, 170)
+        .text(client.email || '', 50, 185)
+        .text(client.phone || '', 50, 200);
+
+      doc
+        .fontSize(12)
+        .text(`Amount Received: ${formatMoney(payment.amount, currency)}`, 50, 235);
+
+      // Invoices paid
+      const tableTop = 270;
+      doc
+        .fontSize(10)
+        .text('Invoice', 50, tableTop)
+        .text('Applied', 300, tableTop)
+        .text('Balance Due', 440, tableTop);
+
+      doc
+        .moveTo(50, tableTop + 15)
+        .lineTo(550, tableTop + 15)
+        .stroke();
+
+      let currentY = tableTop + 25;
+
+      payment.allocations.forEach((allocation) => {
+        const invoice = invoices.find(entry => entry._id.toString() === allocation.invoice.toString());
+        doc
+          .text(invoice?.invoiceNumber || allocation.invoice.toString(), 50, currentY)
+          .text(formatMoney(allocation.amount, currency), 300, currentY)
+          .text(invoice ? formatMoney(invoice.balanceDue(), currency) : '-', 440, currentY);
+        currentY += 20;
+      });
+
+      currentY += 10;
+
+      if (payment.creditAmount > 0) {
+        doc.text(`Added to account credit: ${formatMoney(payment.creditAmount, currency)}`, 50, currentY);
+        currentY += 15;
+      }
+
+      if (payment.status === 'voided') {
+        doc.text(`Voided on ${new Date(payment.voidedAt).toLocaleDateString()}${payment.voidReason ? `: ${payment.voidReason}` : ''}`,
+          50, currentY);
+      }
+
+      doc
+        .fontSize(8)
+        .text('Thank you for your payment!', 50, 750, { align: 'center' })
+        .text(`Generated on ${new Date().toLocaleString()}`, 50, 765, { align: 'center' });
+
+      doc.end();
+
+      stream.on('finish', () => {
+        resolve(filepath);
+      });
+
+      stream.on('error', (error) => {
+        reject(error);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Generate credit note PDF
+ * @param {object} creditNote - Credit note
+ * @param {object} invoice - Invoice it corrects
+ * @param {object} client - Client data
+ * @returns {Promise<string>} - Path to generated PDF
+ */
+export const generateCreditNotePDF = async (creditNote, invoice, client) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+      const filename = `credit-note-${creditNote.creditNoteNumber}-${Date.now()}.pdf`;
+      const filepath = path.join(__dirname, '../../uploads/credit-notes', filename);
+
+      const dir = path.dirname(filepath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const stream = fs.createWriteStream(filepath);
+      doc.pipe(stream);
+
+      const currency = creditNote.currency;
+
+      doc
+        .fontSize(20)
+        .text('CREDIT NOTE', 50, 50, { align: 'center' })
+        .fontSize(10)
+        .text(`Credit Note #: ${creditNote.creditNoteNumber}`, 50, 80)
+        .text(`Date: ${new Date(creditNote.issuedDate).toLocaleDateString()}`, 50, 95)
+        .text(`Original Invoice #: ${invoice?.invoiceNumber || creditNote.invoice.toString()}`, 50, 110);
+
+      if (invoice?.issuedDate) {
+        doc.text(`Invoice Date: ${new Date(invoice.issuedDate).toLocaleDateString()}`, 50, 125);
+      }
+
+      doc
+        .fontSize(12)
+        .text('Credit To:', 50, 150)
+        .fontSize(10)
+        .text(client?.name || '', 50, 170)
+        .text(client?.email || '', 50, 185)
+        .text(client?.phone || '', 50, 200);
+
+      const buyerVat = invoice?.zatca?.buyer?.vatNumber || client?.vatNumber;
+      if (buyerVat) {
+        doc.text(`VAT No: ${buyerVat}`, 50, 215);
+      }
+
+      doc
+        .fontSize(10)
+        .text(`Reason: ${creditNote.reason}`, 50, 240, { width: 500 });
+
+      // Credited lines
+      const tableTop = 280;
+      doc
+        .text('Description', 50, tableTop)
+        .text('Qty', 300, tableTop)
+        .text('Unit Price', 380, tableTop)
+        .text('Amount', 470, tableTop);
+
+      doc
+        .moveTo(50, tableTop + 15)
+        .lineTo(550, tableTop + 15)
+        .stroke();
+
+      let currentY = tableTop + 25;
+
+      creditNote.items.forEach((item) => {
+        if (currentY > 700) {
+          doc.addPage();
+          currentY = 50;
+        }
+
+        doc
+          .text(item.description, 50, currentY, { width: 240 })
+          .text(`${item.quantity}${item.unit ? ` ${item.unit}` : ''}`, 300, currentY)
+          .text(formatMoney(item.unitPrice, currency), 380, currentY)
+          .text(formatMoney(item.total, currency), 470, currentY);
+        currentY += 20;
+      });
+
+      doc
+        .moveTo(50, currentY + 5)
+        .lineTo(550, currentY + 5)
+        .stroke();
+
+      currentY += 15;
+
+      const totals = [
+        ['Subtotal:', creditNote.subtotal],
+        ...(creditNote.discount ? [['Discount:', -creditNote.discount]] : []),
+        [`VAT (${creditNote.tax?.rate || 0}%):`, creditNote.tax?.amount]
+      ];
+
+      totals.forEach(([label, amount]) => {
+        doc
+          .text(label, 380, currentY)
+          .text(formatMoney(amount, currency), 470, currentY);
+        currentY += 15;
+      });
+
+      doc
+        .fontSize(12)
+        .text('Total Credited:', 380, currentY)
+        .text(formatMoney(creditNote.total, currency), 470, currentY);
+
+      currentY += 25;
+      doc.fontSize(10);
+
+      if (creditNote.appliedAmount > 0) {
+        doc.text(`Deducted from the invoice balance: ${formatMoney(creditNote.appliedAmount, currency)}`, 50, currentY);
+        currentY += 15;
+      }
+      if (creditNote.creditAmount > 0) {
+        doc.text(`Added to account credit: ${formatMoney(creditNote.creditAmount, currency)}`, 50, currentY);
+        currentY += 15;
+      }
+      if (creditNote.cancellation) {
+        doc.text('The original invoice is cancelled.', 50, currentY);
+      }
+
+      doc
+        .fontSize(8)
+        .text(`Generated on ${new Date().toLocaleString()}`, 50, 765, { align: 'center' });
+
+      doc.end();
+
+      stream.on('finish', () => {
+        resolve(filepath);
+      });
+
+      stream.on('error', (error) => {
+        reject(error);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Generate a quote PDF: lines grouped by visit, totals and how long the offer is valid
+ * @param {object} quote - Quote document
+ * @param {object} client - Client document
+ * @param {object} site - Site document (for the name and section names)
+ * @returns {Promise<string>} - Path to the PDF
+ */
+export const generateQuotePDF = async (quote, client, site) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+      const filename = `quote-${quote.quoteNumber}-${Date.now()}.pdf`;
+      const filepath = path.join(__dirname, '../../uploads/quotes', filename);
+
+      const dir = path.dirname(filepath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const stream = fs.createWriteStream(filepath);
+      doc.pipe(stream);
+
+      const currency = quote.currency;
+
+      doc
+        .fontSize(20)
+        .text('QUOTATION', 50, 50, { align: 'center' })
+        .fontSize(10)
+        .text(`Quote #: ${quote.quoteNumber}`, 50, 80)
+        .text(`Date: ${new Date(quote.validFrom || quote.createdAt).toLocaleDateString()}`, 50, 95)
+        .text(`Valid Until: ${new Date(quote.validUntil).toLocaleDateString()}`, 50, 110);
+
+      doc
+        .fontSize(12)
+        .text('Prepared For:', 50, 135)
+        .fontSize(10)
+        .text(client?.name || '', 50, 155)
+        .text(client?.email || '', 50, 170)
+        .text(client?.phone || '', 50, 185);
+
+      if (site) {
+        doc.text(`Site: ${site.name}${site.location?.address ? `, ${site.location.address}` : ''}`, 50, 200);
+      }
+
+      doc
+        .fontSize(12)
+        .text(quote.title, 50, 225, { width: 500 })
+        .fontSize(10);
+
+      let currentY = doc.y + 5;
+      if (quote.description) {
+        doc.text(quote.description, 50, currentY, { width: 500 });
+        currentY = doc.y + 10;
+      }
+
+      const tableTop = currentY + 10;
+      doc
+        .text('Description', 50, tableTop)
+        .text('Qty', 300, tableTop)
+        .text('Unit Price', 380, tableTop)
+        .text('Amount', 470, tableTop);
+
+      doc
+        .moveTo(50, tableTop + 15)
+        .lineTo(550, tableTop + 15)
+        .stroke();
+
+      currentY = tableTop + 25;
+
+      const sectionName = (sectionId) => site?.sections?.find(section =>
+        section._id.toString() === sectionId?.toString())?.name;
+      const visitCount = Math.max(quote.visits.length, 1);
+
+      for (let index = 0; index < visitCount; index += 1) {
+        const lines = quote.items.filter(item => (item.visit || 0) === index);
+        if (lines.length === 0) continue;
+
+        const visit = quote.visits[index];
+        if (visit) {
+          if (currentY > 680) {
+            doc.addPage();
+            currentY = 50;
+          }
+          const where = sectionName(visit.section);
+          doc
+            .fontSize(11)
+            .text(`Visit ${index + 1}: ${new Date(visit.scheduledDate).toLocaleDateString()}${where ? ` - ${where}` : ''}`,
+              50, currentY)
+            .fontSize(10);
+          currentY += 18;
+        }
+
+        lines.forEach((item) => {
+          if (currentY > 700) {
+            doc.addPage();
+            currentY = 50;
+          }
+
+          doc
+            .text(item.description, 50, currentY, { width: 240 })
+            .text(`${item.quantity}${item.unit ? ` ${item.unit}` : ''}`, 300, currentY)
+            .text(formatMoney(item.unitPrice, currency), 380, currentY)
+            .text(formatMoney(item.total, currency), 470, currentY);
+          currentY += 20;
+        });
+      }
+
+      doc
+        .moveTo(50, currentY + 5)
+        .lineTo(550, currentY + 5)
+        .stroke();
+
+      currentY += 15;
+
+      const totals = [
+        ['Subtotal:', quote.subtotal],
+        ...(quote.discount ? [['Discount:', -quote.discount]] : []),
+        [`VAT (${quote.tax?.rate || 0}%):`, quote.tax?.amount]
+      ];
+
+      totals.forEach(([label, amount]) => {
+        doc
+          .text(label, 380, currentY)
+          .text(formatMoney(amount, currency), 470, currentY);
+        currentY += 15;
+      });
+
+      doc
+        .fontSize(12)
+        .text('Total:', 380, currentY)
+        .text(formatMoney(quote.total, currency), 470, currentY);
+
+      currentY += 30;
+      doc
+        .fontSize(10)
+        .text(`This quotation is valid until ${new Date(quote.validUntil).toLocaleDateString()}. `
+          + 'Prices are confirmed once you accept it.', 50, currentY, { width: 500 });
+
+      if (quote.notes) {
+        doc.text(quote.notes, 50, doc.y + 10, { width: 500 });
+      }
+
+      doc
+        .fontSize(8)
+        .text(`Generated on ${new Date().toLocaleString()}`, 50, 765, { align: 'center' });
+
+      doc.end();
+
+      stream.on('finish', () => {
+        resolve(filepath);
+      });
+
+      stream.on('error', (error) => {
+        reject(error);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Generate purchase order PDF for the supplier
+ * @param {object} purchaseOrder - Purchase order document
+ * @param {object} supplier - Supplier document
+ * @param {object} branch - Branch the goods are delivered to
+ * @returns {Promise<string>} - Path to generated PDF
+ */
+export const generatePurchaseOrderPDF = async (purchaseOrder, supplier, branch) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+      const filename = `po-${purchaseOrder.poNumber}-${Date.now()}.pdf`;
+      const filepath = path.join(__dirname, '../../uploads/purchase-orders', filename);
+
+      const dir = path.dirname(filepath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const stream = fs.createWriteStream(filepath);
+      doc.pipe(stream);
+
+      const currency = purchaseOrder.currency;
+
+      doc
+        .fontSize(20)
+        .text('PURCHASE ORDER', 50, 50, { align: 'center' })
+        .fontSize(10)
+        .text(`PO #: ${purchaseOrder.poNumber}`, 50, 80)
+        .text(`Date: ${new Date(purchaseOrder.sentAt || purchaseOrder.createdAt || Date.now()).toLocaleDateString()}`, 50, 95);
+
+      if (purchaseOrder.expectedDate) {
+        doc.text(`Expected Delivery: ${new Date(purchaseOrder.expectedDate).toLocaleDateString()}`, 50, 110);
+      }
+
+      doc
+        .fontSize(12)
+        .text('Supplier:', 50, 135)
+        .fontSize(10)
+        .text(supplier?.name || '', 50, 155)
+        .text(supplier?.contactName || '', 50, 170)
+        .text([supplier?.email, supplier?.phone].filter(Boolean).join(' | '), 50, 185);
+
+      if (supplier?.vatNumber) {
+        doc.text(`VAT: ${supplier.vatNumber}`, 50, 200);
+      }
+
+      const address = branch?.address
+        ? [branch.address.street, branch.address.city, branch.address.country].filter(Boolean).join(', ')
+        : '';
+      doc
+        .fontSize(12)
+        .text('Deliver To:', 320, 135)
+        .fontSize(10)
+        .text(branch?.name || '', 320, 155)
+        .text(address, 320, 170, { width: 230 })
+        .text(branch?.phone || '', 320, doc.y);
+
+      const tableTop = 235;
+      doc
+        .text('Description', 50, tableTop)
+        .text('Qty', 300, tableTop)
+        .text('Unit Cost', 380, tableTop)
+        .text('Amount', 470, tableTop);
+
+      doc
+        .moveTo(50, tableTop + 15)
+        .lineTo(550, tableTop + 15)
+        .stroke();
+
+      let currentY = tableTop + 25;
+
+      purchaseOrder.items.forEach((item) => {
+        if (currentY > 700) {
+          doc.addPage();
+          currentY = 50;
+        }
+
+        doc
+          .text(item.description, 50, currentY, { width: 240 })
+          .text(`${item.quantity}${item.unit ? ` ${item.unit}` : ''}`, 300, currentY)
+          .text(formatMoney(item.unitCost, currency), 380, currentY)
+          .text(formatMoney(item.total, currency), 470, currentY);
+        currentY += 20;
+      });
+
+      doc
+        .moveTo(50, currentY + 5)
+        .lineTo(550, currentY + 5)
+        .stroke();
+
+      currentY += 15;
+
+      doc
+        .text('Subtotal:', 380, currentY)
+        .text(formatMoney(purchaseOrder.subtotal, currency), 470, currentY);
+      currentY += 15;
+      doc
+        .text(`VAT (${purchaseOrder.tax?.rate || 0}%):`, 380, currentY)
+        .text(formatMoney(purchaseOrder.tax?.amount, currency), 470, currentY);
+      currentY += 15;
+
+      doc
+        .fontSize(12)
+        .text('Total:', 380, currentY)
+        .text(formatMoney(purchaseOrder.total, currency), 470, currentY);
+
+      currentY += 30;
+      doc
+        .fontSize(10)
+        .text(`Please quote ${purchaseOrder.poNumber} on your delivery note and invoice.`
+          + (supplier?.paymentTermsDays !== undefined ? ` Payment terms: ${supplier.paymentTermsDays} days.` : ''),
+        50, currentY, { width: 500 });
+
+      if (purchaseOrder.notes) {
+        doc.text(purchaseOrder.notes, 50, doc.y + 10, { width: 500 });
+      }
+
+      doc
+        .fontSize(8)
+        .text(`Generated on ${new Date().toLocaleString()}`, 50, 765, { align: 'center' });
+
+      doc.end();
+
+      stream.on('finish', () => {
+        resolve(filepath);
+      });
+
+      stream.on('error', (error) => {
+        reject(error);
+      });
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Generate the accounts receivable aging report as a PDF (not stored)
+ * @param {object} report - Report from buildAgingReport
+ * @param {object} options - { currency, branchName }
+ * @returns {Promise<Buffer>} - PDF content
+ */
+export const generateAgingReportPDF = async (report, { currency = 'SAR', branchName } = {}) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc
+        .fontSize(18)
+        .text('Accounts Receivable Aging', 40, 40, { align: 'center' })
+        .fontSize(10)
+        .text(`As of ${new Date(report.asOf).toLocaleDateString()}${branchName ? ` - ${branchName}` : ''}`,
+          40, 65, { align: 'center' })
+        .text(`Amounts in ${currency}`, 40, 80, { align: 'center' });
+
+      const columns = [
+        { label: 'Client', x: 40, width: 190 },
+        ...report.buckets.map((bucket, index) => ({ key: bucket.key, label: bucket.label, x: 235 + index * 80, width: 75 })),
+        { key: 'total', label: 'Total', x: 635, width: 80 },
+        { key: 'credit', label: 'Credit', x: 720, width: 80 }
+      ];
+
+      const drawRow = (values, y) => {
+        columns.forEach((column, index) => {
+          doc.text(values[index], column.x, y, { width: column.width, align: index === 0 ? 'left' : 'right' });
+        });
+      };
+
+      let y = 110;
+      doc.fontSize(9);
+      drawRow(columns.map(column => column.label), y);
+      doc.moveTo(40, y + 14).lineTo(800, y + 14).stroke();
+      y += 22;
+
+      report.clients.forEach((row) => {
+        if (y > 540) {
+          doc.addPage();
+          y = 40;
+        }
+        drawRow([
+          row.client?.name || 'Unknown client',
+          ...columns.slice(1).map(column => (row[column.key] || 0).toFixed(2))
+        ], y);
+        y += 16;
+      });
+
+      doc.moveTo(40, y + 2).lineTo(800, y + 2).stroke();
+      y += 8;
+      drawRow(['Total', ...columns.slice(1).map(column => (report.totals[column.key] || 0).toFixed(2))], y);
+
+      doc
+        .fontSize(8)
+        .text(`Generated on ${new Date().toLocaleString()}`, 40, 560, { align: 'center' });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Resolve a stored pdfUrl (relative to uploads/) to an absolute path
+ * @returns {string|null} - Path to the file, or null if it does not exist
+ */
+export const resolvePDFPath = (pdfUrl) => {
+  if (!pdfUrl) return null;
+
+  const uploadsDir = path.join(__dirname, '../../uploads');
+  const fullPath = path.join(uploadsDir, pdfUrl);
+
+  // Never resolve outside the uploads folder
+  if (!fullPath.startsWith(uploadsDir + path.sep) || !fs.existsSync(fullPath)) {
+    return null;
+  }
+  return fullPath;
+};
+
 /**
  * Delete PDF file
  */
@@ -287,6 +986,12 @@ export const deletePDF = async (pdfPath) => {
 
 export default {
   generateInvoicePDF,
+  generateReceiptPDF,
+  generateCreditNotePDF,
+  generateQuotePDF,
+  generatePurchaseOrderPDF,
+  generateAgingReportPDF,
+  resolvePDFPath,
   deletePDF
 };
 
@@ -0,0 +1,200 @@
+import PurchaseOrder, { RECEIVABLE_PO_STATUSES } from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import Inventory from '../models/Inventory.js';
+import Branch from '../models/Branch.js';
+import Settings from '../models/Settings.js';
+import { runInTransaction, restockItem } from './materialService.js';
+import { generatePurchaseOrderPDF } from './pdfService.js';
+
+// Receipts only change documents they load themselves, so a write conflict with a concurrent
+// restock of the same item is retried
+const RECEIVE_TRANSACTION_RETRIES = 5;
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Error for a purchase order that cannot be saved or received; controllers answer it with its statusCode
+ */
+const purchaseOrderError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Defaults for a new purchase order from the invoice settings
+ * @returns {Promise<object>} - { tax, currency }
+ */
+export const purchaseOrderDefaults = async () => {
+  const settings = await Settings.getSettings();
+
+  return {
+    tax: { rate: settings.invoice.taxRate },
+    currency: settings.invoice.currency
+  };
+};
+
+/**
+ * Load a supplier that can still be ordered from
+ */
+export const findActiveSupplier = async (supplierId) => {
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier) {
+    throw purchaseOrderError('Supplier not found', 404);
+  }
+  if (!supplier.isActive) {
+    throw purchaseOrderError(`${supplier.name} is no longer an active supplier`);
+  }
+  return supplier;
+};
+
+/**
+ * Purchase order lines from a request: each names an inventory item of the branch, once, and takes
+ * its name, unit and current cost price unless the line sets them
+ * @param {Array} items - [{ inventory, quantity, unitCost?, description? }]
+ * @param {object} options - { branch }
+ * @returns {Promise<Array>} - Purchase order items
+ */
+export const buildPurchaseOrderItems = async (items, { branch } = {}) => {
+  if (!Array.isArray(items)) {
+    throw purchaseOrderError('items must be a list of lines');
+  }
+
+  const ids = items.map(item => String(item?.inventory ?? ''));
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw purchaseOrderError(`Inventory item ${duplicate} is on more than one line`);
+  }
+
+  const stock = ids.length
+    ? await Inventory.find({ _id: { $in: ids.filter(Boolean) } }).select('name unit price branch')
+    : [];
+
+  return items.map((item) => {
+    const material = stock.find(doc => doc._id.toString() === String(item?.inventory));
+    if (!material) {
+      throw purchaseOrderError(`Inventory item ${item?.inventory ?? ''} not found`.trim(), 404);
+    }
+    if (idOf(material.branch) !== idOf(branch)) {
+      throw purchaseOrderError(`${material.name} is not stocked by this branch`);
+    }
+
+    const line = {
+      inventory: material._id,
+      description: item.description || material.name,
+      quantity: Number(item.quantity),
+      unit: material.unit,
+      unitCost: item.unitCost === undefined ? material.price?.cost || 0 : Number(item.unitCost)
+    };
+
+    if (!(line.quantity > 0) || !(line.unitCost >= 0)) {
+      throw purchaseOrderError(`Invalid quantity or cost for "${line.description}"`);
+    }
+    return line;
+  });
+};
+
+/**
+ * Receive delivered goods against a sent purchase order
+ * Each delivered line restocks its item through an InventoryTransaction (type restock), and the item's
+ * cost price becomes the weighted average of the stock on hand and the delivery.
+ * @param {string} purchaseOrderId - Purchase order id
+ * @param {object} delivery - { items: [{ line, quantity, unitCost? }], notes }; without items everything outstanding
+ * @param {object} options - { user }
+ * @returns {Promise<object>} - { purchaseOrder, inventory (items after the restock) }
+ */
+export const receivePurchaseOrder = (purchaseOrderId, { items, notes } = {}, { user } = {}) =>
+  runInTransaction(async (session) => {
+    const purchaseOrder = await PurchaseOrder.findById(purchaseOrderId).session(session);
+    if (!purchaseOrder) {
+      throw purchaseOrderError('Purchase order not found', 404);
+    }
+    if (!RECEIVABLE_PO_STATUSES.includes(purchaseOrder.status)) {
+      throw purchaseOrderError(`Goods cannot be received against a purchase order that is ${purchaseOrder.status}`);
+    }
+
+    const delivered = items === undefined
+      ? purchaseOrder.items
+        .filter(line => purchaseOrder.outstandingQuantity(line) > 0)
+        .map(line => ({ line: line._id, quantity: purchaseOrder.outstandingQuantity(line) }))
+      : items;
+
+    if (!Array.isArray(delivered) || delivered.length === 0) {
+      throw purchaseOrderError('items must list at least one delivered line');
+    }
+
+    const lines = delivered.map((entry) => {
+      const line = entry?.line && purchaseOrder.items.id(entry.line);
+      if (!line) {
+        throw purchaseOrderError(`Line ${entry?.line ?? ''} is not on this purchase order`.trim());
+      }
+
+      const quantity = Number(entry.quantity);
+      const outstanding = purchaseOrder.outstandingQuantity(line);
+      if (!(quantity > 0) || quantity > outstanding) {
+        throw purchaseOrderError(`Received quantity for "${line.description}" must be more than 0 and at most the ${outstanding}${line.unit ? ` ${line.unit}` : ''} outstanding`);
+      }
+
+      const unitCost = entry.unitCost === undefined ? line.unitCost : Number(entry.unitCost);
+      if (!(unitCost >= 0)) {
+        throw purchaseOrderError(`Invalid cost for "${line.description}"`);
+      }
+      return { line, quantity, unitCost };
+    });
+
+    if (new Set(lines.map(({ line }) => line._id.toString())).size !== lines.length) {
+      throw purchaseOrderError('A line can only be received once per delivery');
+    }
+
+    const inventory = [];
+    for (const { line, quantity, unitCost } of lines) {
+      inventory.push(await restockItem(line.inventory, quantity, {
+        unitCost,
+        user,
+        session,
+        purchaseOrder: purchaseOrder._id,
+        notes: `PO ${purchaseOrder.poNumber}`
+      }));
+      line.receivedQuantity = roundQuantity((line.receivedQuantity || 0) + quantity);
+    }
+
+    const now = new Date();
+    purchaseOrder.receipts.push({
+      receivedAt: now,
+      receivedBy: user?._id,
+      items: lines.map(({ line, quantity, unitCost }) => ({ line: line._id, inventory: line.inventory, quantity, unitCost })),
+      notes
+    });
+
+    const complete = purchaseOrder.items.every(line => purchaseOrder.outstandingQuantity(line) === 0);
+    purchaseOrder.status = complete ? 'received' : 'partially-received';
+    if (complete) purchaseOrder.receivedAt = now;
+
+    await purchaseOrder.save({ session });
+
+    return { purchaseOrder, inventory };
+  }, { retries: RECEIVE_TRANSACTION_RETRIES });
+
+/**
+ * Generate a purchase order's PDF and store its path
+ * @returns {Promise<string>} - Path to the PDF
+ */
+export const refreshPurchaseOrderPDF = async (purchaseOrder) => {
+  const supplier = await Supplier.findById(purchaseOrder.supplier);
+  const branch = await Branch.findById(purchaseOrder.branch).select('name address phone');
+
+  const pdfPath = await generatePurchaseOrderPDF(purchaseOrder, supplier, branch);
+  purchaseOrder.pdfUrl = pdfPath.replace(/\\/g, '/').split('uploads/')[1];
+  await purchaseOrder.save();
+  return pdfPath;
+};
+
+export default {
+  purchaseOrderDefaults,
+  findActiveSupplier,
+  buildPurchaseOrderItems,
+  receivePurchaseOrder,
+  refreshPurchaseOrderPDF
+};
@@ -0,0 +1,325 @@
+import Quote, { OPEN_QUOTE_STATUSES } from '../models/Quote.js';
+import Invoice from '../models/Invoice.js';
+import Task from '../models/Task.js';
+import Client from '../models/Client.js';
+import Site from '../models/Site.js';
+import Plant from '../models/Plant.js';
+import Inventory from '../models/Inventory.js';
+import Settings from '../models/Settings.js';
+import { runInTransaction } from './materialService.js';
+import { invoiceDefaults, INVOICE_TRANSACTION_RETRIES } from './invoiceService.js';
+import { generateQuotePDF } from './pdfService.js';
+import { addDays } from '../utils/recurrence.js';
+
+// How long a new quote can be accepted when no validUntil is given
+export const DEFAULT_VALIDITY_DAYS = 30;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Error for a quote that cannot be saved or answered; controllers answer it with its statusCode
+ */
+const quoteError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Defaults for a new quote from the invoice settings
+ * @returns {Promise<object>} - { tax, currency, validFrom, validUntil }
+ */
+export const quoteDefaults = async () => {
+  const settings = await Settings.getSettings();
+
+  return {
+    tax: { rate: settings.invoice.taxRate },
+    currency: settings.invoice.currency,
+    validFrom: new Date(),
+    validUntil: addDays(new Date(), DEFAULT_VALIDITY_DAYS)
+  };
+};
+
+/**
+ * Quote lines from a request: plant lines take their name, unit and price from the catalog and
+ * material lines from the branch's inventory, unless the line sets them
+ * @param {Array} items - [{ type, plant?, inventory?, description?, quantity, unit?, unitPrice?, visit? }]
+ * @param {object} options - { branch, visitCount }
+ * @returns {Promise<Array>} - Quote items
+ */
+export const buildQuoteItems = async (items, { branch, visitCount = 1 } = {}) => {
+  if (!Array.isArray(items)) {
+    throw quoteError('items must be a list of lines');
+  }
+
+  const plantIds = items.filter(item => item?.plant).map(item => item.plant);
+  const inventoryIds = items.filter(item => item?.inventory).map(item => item.inventory);
+
+  const [plants, stock] = await Promise.all([
+    plantIds.length ? Plant.find({ _id: { $in: plantIds } }) : [],
+    inventoryIds.length ? Inventory.find({ _id: { $in: inventoryIds } }).select('name unit price branch') : []
+  ]);
+
+  return items.map((item) => {
+    const line = {
+      type: item.type || (item.plant ? 'plant' : item.inventory ? 'material' : 'other'),
+      plant: null,
+      inventory: null,
+      description: item.description,
+      quantity: item.quantity === undefined ? 1 : Number(item.quantity),
+      unit: item.unit,
+      unitPrice: item.unitPrice === undefined ? undefined : Number(item.unitPrice),
+      visit: item.visit === undefined ? 0 : Number(item.visit)
+    };
+
+    if (line.type === 'plant') {
+      const plant = plants.find(doc => doc._id.toString() === String(item.plant));
+      if (!plant) {
+        throw quoteError(`Plant ${item.plant ?? ''} not found`.trim(), 404);
+      }
+      line.plant = plant._id;
+      line.description = line.description || plant.getLocalizedName();
+      line.unit = line.unit || plant.unit;
+      line.unitPrice = line.unitPrice ?? plant.price;
+    }
+
+    if (line.type === 'material') {
+      const material = stock.find(doc => doc._id.toString() === String(item.inventory));
+      if (!material) {
+        throw quoteError(`Inventory item ${item.inventory ?? ''} not found`.trim(), 404);
+      }
+      if (idOf(material.branch) !== idOf(branch)) {
+        throw quoteError(`${material.name} is not stocked by this branch`);
+      }
+      line.inventory = material._id;
+      line.description = line.description || material.name;
+      line.unit = line.unit || material.unit;
+      line.unitPrice = line.unitPrice ?? material.price?.selling;
+    }
+
+    if (!line.description) {
+      throw quoteError('Every line needs a description');
+    }
+    if (!(line.quantity >= 0) || !((line.unitPrice ?? 0) >= 0)) {
+      throw quoteError(`Invalid quantity or price for "${line.description}"`);
+    }
+    if (!Number.isInteger(line.visit) || line.visit < 0 || line.visit >= Math.max(visitCount, 1)) {
+      throw quoteError(`"${line.description}" is planned for a visit the quote does not have`);
+    }
+
+    line.unitPrice = line.unitPrice || 0;
+    return line;
+  });
+};
+
+/**
+ * Check that every visit is for a section of the quote's site
+ */
+export const validateVisits = async (siteId, visits = []) => {
+  if (!Array.isArray(visits)) {
+    throw quoteError('visits must be a list of { section, scheduledDate }');
+  }
+  if (visits.length === 0) return;
+
+  const site = await Site.findById(siteId).select('sections._id');
+  if (!site) {
+    throw quoteError('Site not found', 404);
+  }
+
+  visits.forEach((visit, index) => {
+    if (!visit?.section || !site.sections.id(visit.section)) {
+      throw quoteError(`Visit ${index + 1}: section not found on this site`);
+    }
+    if (!visit.scheduledDate || Number.isNaN(new Date(visit.scheduledDate).getTime())) {
+      throw quoteError(`Visit ${index + 1}: a valid scheduledDate is required`);
+    }
+  });
+};
+
+/**
+ * Mark sent quotes whose validity has passed as expired
+ * @returns {Promise<number>} - Quotes expired
+ */
+export const expireQuotes = async (now = new Date()) => {
+  const result = await Quote.updateMany(
+    { status: { $in: OPEN_QUOTE_STATUSES }, validUntil: { $lt: now } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Record a client's answer to a sent quote (only once, and only while it is valid)
+ * @param {string} quoteId - Quote id
+ * @param {object} client - Client answering
+ * @param {object} response - { accept, note }
+ * @returns {Promise<object>} - Updated quote
+ */
+export const respondToQuote = async (quoteId, client, { accept, note } = {}) => {
+  const now = new Date();
+
+  // Conditional update so concurrent answers cannot both be recorded
+  const quote = await Quote.findOneAndUpdate(
+    { _id: quoteId, client: client._id, status: { $in: OPEN_QUOTE_STATUSES }, validUntil: { $gte: now } },
+    {
+      $set: {
+        status: accept ? 'accepted' : 'rejected',
+        respondedAt: now,
+        responseNote: typeof note === 'string' && note.trim() ? note.trim() : undefined
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (quote) return quote;
+
+  const existing = await Quote.findOne({ _id: quoteId, client: client._id, status: { $ne: 'draft' } });
+  if (!existing) {
+    throw quoteError('Quote not found', 404);
+  }
+  if (existing.isExpired(now)) {
+    if (existing.status !== 'expired') {
+      existing.status = 'expired';
+      await existing.save();
+    }
+    throw quoteError('This quote has expired; please ask us for a new one');
+  }
+  throw quoteError(`This quote has already been ${existing.status}`, 409);
+};
+
+/**
+ * Task cost for a visit: its labor lines and everything else as materials, at the quoted prices
+ */
+const visitCost = (lines) => ({
+  override: true,
+  labor: round(lines.filter(line => line.type === 'labor').reduce((sum, line) => sum + line.total, 0)),
+  materials: round(lines.filter(line => line.type !== 'labor').reduce((sum, line) => sum + line.total, 0))
+});
+
+/**
+ * Turn an accepted quote into one scheduled task per visit and a draft invoice with the quoted lines
+ * Tasks are created unassigned and already billed to the invoice, so billing runs do not invoice them again.
+ * @param {string} quoteId - Quote id
+ * @param {object} options - { user }
+ * @returns {Promise<object>} - { quote, tasks, invoice }
+ */
+export const convertQuote = async (quoteId, { user } = {}) => {
+  const defaults = await invoiceDefaults();
+
+  return runInTransaction(async (session) => {
+    const quote = await Quote.findById(quoteId).session(session);
+    if (!quote) {
+      throw quoteError('Quote not found', 404);
+    }
+    if (quote.status === 'converted') {
+      throw quoteError('This quote has already been converted', 409);
+    }
+    if (quote.status !== 'accepted') {
+      throw quoteError('Only quotes accepted by the client can be converted');
+    }
+    if (quote.visits.length === 0) {
+      throw quoteError('Plan at least one visit before converting the quote');
+    }
+
+    const tasks = [];
+    for (const [index, visit] of quote.visits.entries()) {
+      const lines = quote.items.filter(item => item.visit === index);
+
+      const [task] = await Task.create([{
+        title: visit.title || quote.title,
+        description: quote.description || quote.title,
+        site: quote.site,
+        section: visit.section,
+        client: quote.client,
+        branch: quote.branch,
+        status: 'pending',
+        category: quote.category,
+        scheduledDate: visit.scheduledDate,
+        estimatedDuration: visit.estimatedDuration,
+        materials: lines
+          .filter(line => line.type === 'plant' || line.type === 'material')
+          .map(line => ({
+            item: line.inventory || undefined,
+            name: line.description,
+            quantity: line.quantity,
+            unit: line.unit,
+            unitPrice: line.unitPrice
+          })),
+        cost: visitCost(lines),
+        quote: quote._id
+      }], { session });
+      tasks.push(task);
+    }
+
+    const taskIds = tasks.map(task => task._id);
+
+    const [invoice] = await Invoice.create([{
+      dueDate: defaults.dueDate,
+      status: 'draft',
+      client: quote.client,
+      branch: quote.branch,
+      site: quote.site,
+      task: tasks.length === 1 ? tasks[0]._id : null,
+      tasks: taskIds,
+      quote: quote._id,
+      items: quote.items.map(item => ({
+        type: item.type === 'plant' ? 'material' : item.type,
+        task: tasks[item.visit]?._id || null,
+        inventory: item.inventory,
+        description: item.description,
+        quantity: item.quantity,
+        unit: item.unit,
+        unitPrice: item.unitPrice
+      })),
+      discount: quote.discount,
+      tax: { rate: quote.tax.rate },
+      currency: quote.currency,
+      notes: `Quote ${quote.quoteNumber}`
+    }], { session });
+
+    await Task.updateMany(
+      { _id: { $in: taskIds } },
+      { $set: { invoice: invoice._id, billedAt: new Date() } },
+      { session }
+    );
+
+    await Client.findByIdAndUpdate(quote.client, { $inc: { totalTasks: tasks.length } }, { session });
+    await Site.findByIdAndUpdate(quote.site, { $inc: { totalTasks: tasks.length } }, { session });
+
+    quote.status = 'converted';
+    quote.convertedAt = new Date();
+    quote.convertedBy = user?._id;
+    quote.tasks = taskIds;
+    quote.invoice = invoice._id;
+    await quote.save({ session });
+
+    return { quote, tasks, invoice };
+  }, { retries: INVOICE_TRANSACTION_RETRIES });
+};
+
+/**
+ * Generate a quote's PDF and store its path
+ * @returns {Promise<string>} - Path to the PDF
+ */
+export const refreshQuotePDF = async (quote) => {
+  const client = await Client.findById(quote.client);
+  const site = await Site.findById(quote.site).select('name location sections._id sections.name');
+
+  const pdfPath = await generateQuotePDF(quote, client, site);
+  quote.pdfUrl = pdfPath.replace(/\\/g, '/').split('uploads/')[1];
+  await quote.save();
+  return pdfPath;
+};
+
+export default {
+  DEFAULT_VALIDITY_DAYS,
+  quoteDefaults,
+  buildQuoteItems,
+  validateVisits,
+  expireQuotes,
+  respondToQuote,
+  convertQuote,
+  refreshQuotePDF
+};
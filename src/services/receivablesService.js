@@ -0,0 +1,185 @@
+import Invoice, { ISSUED_INVOICE_QUERY } from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import CreditNote from '../models/CreditNote.js';
+import { daysFromDue } from './dunningService.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Aging buckets by days past the due date
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', max: 0 },
+  { key: '1-30', label: '1-30 days', max: 30 },
+  { key: '31-60', label: '31-60 days', max: 60 },
+  { key: '61-90', label: '61-90 days', max: 90 },
+  { key: '90+', label: '90+ days', max: Infinity }
+];
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+/**
+ * Bucket for an invoice that is a number of days past its due date
+ */
+export const agingBucket = (daysOverdue) => AGING_BUCKETS.find(bucket => daysOverdue <= bucket.max).key;
+
+/**
+ * Amounts paid per invoice from the payments ledger
+ * @returns {Promise<Map>} - invoiceId => { paid (up to asOf), recorded (any date) }
+ */
+const paymentsByInvoice = async (invoiceIds, asOf) => {
+  const rows = await Payment.aggregate([
+    { $match: { status: 'completed', 'allocations.invoice': { $in: invoiceIds } } },
+    { $unwind: '$allocations' },
+    { $match: { 'allocations.invoice': { $in: invoiceIds } } },
+    {
+      $group: {
+        _id: '$allocations.invoice',
+        recorded: { $sum: '$allocations.amount' },
+        paid: { $sum: { $cond: [{ $lte: ['$paidAt', asOf] }, '$allocations.amount', 0] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row]));
+};
+
+/**
+ * Amounts credited per invoice by credit notes issued up to asOf
+ * @returns {Promise<Map>} - invoiceId => credited
+ */
+const creditsByInvoice = async (invoiceIds, asOf) => {
+  const rows = await CreditNote.aggregate([
+    { $match: { invoice: { $in: invoiceIds }, issuedDate: { $lte: asOf } } },
+    { $group: { _id: '$invoice', credited: { $sum: '$total' } } }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row.credited]));
+};
+
+/**
+ * Accounts receivable aging: outstanding balances per client, bucketed by days overdue
+ * Balances are invoice totals less the credit notes and payments recorded up to asOf; invoices paid
+ * before the payments ledger existed fall back to their paidAmount. Invoices cancelled after asOf
+ * still count, netted by the credit note that cancelled them.
+ * @param {object} options - { filter (invoice filter), asOf, includeInvoices }
+ * @returns {Promise<object>} - { asOf, buckets, clients, totals }
+ */
+export const buildAgingReport = async ({ filter = {}, asOf = new Date(), includeInvoices = false } = {}) => {
+  const invoices = await Invoice.find({
+    ...filter,
+    $and: [
+      ISSUED_INVOICE_QUERY,
+      // Legacy cancellations have no date and no credit note
+      { $or: [{ paymentStatus: { $ne: 'cancelled' } }, { cancelledAt: { $gt: asOf } }] }
+    ],
+    createdAt: { $lte: asOf }
+  })
+    .select('invoiceNumber client branch total paidAmount dueDate issuedDate createdAt currency')
+    .populate('client', 'name email phone creditBalance')
+    .lean();
+
+  const invoiceIds = invoices.map(invoice => invoice._id);
+  const payments = await paymentsByInvoice(invoiceIds, asOf);
+  const credits = await creditsByInvoice(invoiceIds, asOf);
+  const clients = new Map();
+  const totals = { ...emptyBuckets(), total: 0, credit: 0 };
+
+  invoices.forEach((invoice) => {
+    const ledger = payments.get(invoice._id.toString());
+    const paid = ledger ? ledger.paid : (invoice.paidAmount || 0);
+    const credited = credits.get(invoice._id.toString()) || 0;
+    const balance = round((invoice.total || 0) - credited - paid);
+    if (balance <= 0) return;
+
+    const daysOverdue = invoice.dueDate ? Math.max(0, daysFromDue(invoice, asOf)) : 0;
+    const bucket = agingBucket(daysOverdue);
+    const key = invoice.client?._id?.toString() || 'unknown';
+
+    if (!clients.has(key)) {
+      clients.set(key, {
+        client: invoice.client
+          ? { _id: invoice.client._id, name: invoice.client.name, email: invoice.client.email, phone: invoice.client.phone }
+          : null,
+        ...emptyBuckets(),
+        total: 0,
+        credit: invoice.client?.creditBalance || 0,
+        invoices: []
+      });
+      totals.credit = round(totals.credit + (invoice.client?.creditBalance || 0));
+    }
+
+    const row = clients.get(key);
+    row[bucket] = round(row[bucket] + balance);
+    row.total = round(row.total + balance);
+    totals[bucket] = round(totals[bucket] + balance);
+    totals.total = round(totals.total + balance);
+
+    if (includeInvoices) {
+      row.invoices.push({
+        _id: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        issuedDate: invoice.issuedDate || invoice.createdAt,
+        dueDate: invoice.dueDate,
+        total: invoice.total,
+        credited: round(credited),
+        paid: round(paid),
+        balance,
+        daysOverdue,
+        bucket
+      });
+    }
+  });
+
+  const rows = [...clients.values()]
+    .map(({ invoices: clientInvoices, ...row }) => (includeInvoices ? { ...row, invoices: clientInvoices } : row))
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    asOf,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    clients: rows,
+    totals
+  };
+};
+
+/**
+ * Quote a value for CSV
+ * Text a spreadsheet would read as a formula (=, +, - or @ first) gets a leading ' and is quoted;
+ * plain numbers such as negative amounts are left as they are.
+ */
+const csvValue = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  const formula = /^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text);
+  if (formula) text = `'${text}`;
+  return formula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Aging report as CSV: one row per client plus a totals row
+ * @returns {string} - CSV text
+ */
+export const agingReportCSV = (report) => {
+  const header = ['Client', 'Email', 'Phone', ...AGING_BUCKETS.map(bucket => bucket.label), 'Total', 'Credit'];
+  const lines = report.clients.map(row => [
+    row.client?.name || 'Unknown client',
+    row.client?.email,
+    row.client?.phone,
+    ...AGING_BUCKETS.map(bucket => row[bucket.key].toFixed(2)),
+    row.total.toFixed(2),
+    row.credit.toFixed(2)
+  ]);
+  lines.push([
+    'Total', '', '',
+    ...AGING_BUCKETS.map(bucket => report.totals[bucket.key].toFixed(2)),
+    report.totals.total.toFixed(2),
+    report.totals.credit.toFixed(2)
+  ]);
+
+  return [header, ...lines].map(line => line.map(csvValue).join(',')).join('\n');
+};
+
+export default {
+  AGING_BUCKETS,
+  agingBucket,
+  buildAgingReport,
+  agingReportCSV
+};
@@ -0,0 +1,241 @@
+import Inventory from '../models/Inventory.js';
+import InventoryTransaction from '../models/InventoryTransaction.js';
+import Task from '../models/Task.js';
+import PurchaseOrder, { RECEIVABLE_PO_STATUSES } from '../models/PurchaseOrder.js';
+import { purchaseOrderDefaults, refreshPurchaseOrderPDF } from './purchaseOrderService.js';
+import { startOfDay, addDays } from '../utils/recurrence.js';
+
+// Days of stock movements the average consumption is taken over
+export const DEFAULT_HISTORY_DAYS = 30;
+// Days ahead of scheduled tasks whose materials count as demand
+export const DEFAULT_HORIZON_DAYS = 14;
+// Delivery time assumed for items without a supplier lead time
+export const DEFAULT_LEAD_TIME_DAYS = 7;
+
+// Tasks that will still take materials out of stock
+const UPCOMING_TASK_STATUSES = ['pending', 'assigned', 'in-progress'];
+// Orders whose outstanding quantities are already on their way (or about to be ordered)
+const ON_ORDER_STATUSES = ['draft', ...RECEIVABLE_PO_STATUSES];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const addToMap = (map, key, value) => map.set(key, (map.get(key) || 0) + value);
+
+/**
+ * Stock taken out per item over a period: withdrawals and task consumption, less returns
+ * @returns {Promise<Map>} - Inventory id -> quantity used
+ */
+const usageByItem = async (itemIds, since) => {
+  const rows = await InventoryTransaction.aggregate([
+    {
+      $match: {
+        inventory: { $in: itemIds },
+        type: { $in: ['withdrawal', 'consumption', 'return'] },
+        createdAt: { $gte: since }
+      }
+    },
+    {
+      $group: {
+        _id: '$inventory',
+        used: { $sum: { $cond: [{ $eq: ['$type', 'return'] }, { $multiply: ['$quantity', -1] }, '$quantity'] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), Math.max(0, row.used)]));
+};
+
+/**
+ * Materials upcoming tasks still need beyond what is already reserved for them
+ * (reserved stock is no longer counted as available)
+ * @returns {Promise<Map>} - Inventory id -> quantity needed
+ */
+const scheduledNeedByItem = async (itemIds, from, to) => {
+  const tasks = await Task.find({
+    'materials.item': { $in: itemIds },
+    status: { $in: UPCOMING_TASK_STATUSES },
+    scheduledDate: { $gte: from, $lt: to }
+  }).select('materials').lean();
+
+  const needs = new Map();
+  tasks.forEach((task) => {
+    task.materials.forEach((material) => {
+      if (!material.item || material.confirmed) return;
+      const need = (material.quantity || 0) - (material.reservedQuantity || 0);
+      if (need > 0) addToMap(needs, material.item.toString(), need);
+    });
+  });
+  return needs;
+};
+
+/**
+ * Quantities still to be delivered on open purchase orders (drafts included, so they are not ordered twice)
+ * @returns {Promise<Map>} - Inventory id -> quantity on order
+ */
+const onOrderByItem = async (itemIds) => {
+  const orders = await PurchaseOrder.find({
+    status: { $in: ON_ORDER_STATUSES },
+    'items.inventory': { $in: itemIds }
+  }).select('items').lean();
+
+  const onOrder = new Map();
+  orders.forEach((order) => {
+    order.items.forEach((line) => {
+      const outstanding = line.quantity - (line.receivedQuantity || 0);
+      if (outstanding > 0) addToMap(onOrder, line.inventory.toString(), outstanding);
+    });
+  });
+  return onOrder;
+};
+
+/**
+ * Reorder suggestions per inventory item
+ * Demand is the larger of the average daily consumption over the history and the materials of tasks
+ * scheduled over the horizon spread over its days. An item is reordered when its available stock plus
+ * what is on order, less the demand until a new delivery could arrive (the supplier's lead time), falls
+ * to quantity.minimum; the suggestion brings it back up to quantity.maximum.
+ * @param {object} options - { filter (e.g. branch), historyDays, horizonDays, includeAll, today }
+ * @returns {Promise<Array>} - Suggestions, soonest stockout first
+ */
+export const buildReorderSuggestions = async ({
+  filter = {},
+  historyDays = DEFAULT_HISTORY_DAYS,
+  horizonDays = DEFAULT_HORIZON_DAYS,
+  includeAll = false,
+  today = new Date()
+} = {}) => {
+  const items = await Inventory.find({ ...filter, isActive: true })
+    .select('name sku category unit branch quantity price.cost preferredSupplier')
+    .populate('preferredSupplier', 'name leadTimeDays isActive')
+    .populate('branch', 'name code')
+    .lean();
+
+  if (items.length === 0) return [];
+
+  const day = startOfDay(today);
+  const itemIds = items.map(item => item._id);
+  const [usage, scheduled, onOrder] = await Promise.all([
+    usageByItem(itemIds, addDays(day, -historyDays)),
+    scheduledNeedByItem(itemIds, day, addDays(day, horizonDays)),
+    onOrderByItem(itemIds)
+  ]);
+
+  const suggestions = items.map((item) => {
+    const id = item._id.toString();
+    const supplier = item.preferredSupplier;
+    const available = item.quantity.current - (item.quantity.reserved || 0);
+    const consumed = usage.get(id) || 0;
+    const scheduledNeed = scheduled.get(id) || 0;
+    const ordered = onOrder.get(id) || 0;
+
+    const averageDailyUsage = consumed / historyDays;
+    const dailyDemand = Math.max(averageDailyUsage, scheduledNeed / horizonDays);
+    const leadTimeDays = supplier?.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+
+    let daysUntilStockout = null;
+    if (available <= 0) daysUntilStockout = 0;
+    else if (dailyDemand > 0) daysUntilStockout = Math.floor(available / dailyDemand);
+
+    const projectedStock = available + ordered - dailyDemand * leadTimeDays;
+    const needsReorder = projectedStock <= item.quantity.minimum;
+    const suggestedQuantity = needsReorder ? Math.max(0, Math.ceil(item.quantity.maximum - projectedStock)) : 0;
+
+    return {
+      inventory: {
+        _id: item._id,
+        name: item.name,
+        sku: item.sku,
+        category: item.category,
+        unit: item.unit
+      },
+      branch: item.branch,
+      supplier: supplier ? { _id: supplier._id, name: supplier.name, isActive: supplier.isActive } : null,
+      current: item.quantity.current,
+      reserved: item.quantity.reserved || 0,
+      available,
+      onOrder: round(ordered),
+      minimum: item.quantity.minimum,
+      maximum: item.quantity.maximum,
+      consumed: round(consumed),
+      averageDailyUsage: round(averageDailyUsage),
+      scheduledNeed: round(scheduledNeed),
+      dailyDemand: round(dailyDemand),
+      daysUntilStockout,
+      stockoutDate: daysUntilStockout === null ? null : addDays(day, daysUntilStockout),
+      leadTimeDays,
+      projectedStock: round(projectedStock),
+      needsReorder,
+      suggestedQuantity,
+      unitCost: item.price?.cost || 0,
+      estimatedCost: round(suggestedQuantity * (item.price?.cost || 0))
+    };
+  });
+
+  return suggestions
+    .filter(suggestion => includeAll || suggestion.suggestedQuantity > 0)
+    .sort((a, b) => (a.daysUntilStockout ?? Infinity) - (b.daysUntilStockout ?? Infinity));
+};
+
+/**
+ * Turn reorder suggestions into draft purchase orders, one per branch and preferred supplier
+ * Items without an active preferred supplier cannot be ordered automatically and are returned as skipped.
+ * @param {Array} suggestions - From buildReorderSuggestions
+ * @param {object} options - { user }
+ * @returns {Promise<object>} - { purchaseOrders, skipped }
+ */
+export const createReorderPurchaseOrders = async (suggestions, { user } = {}) => {
+  const groups = new Map();
+  const skipped = [];
+
+  suggestions
+    .filter(suggestion => suggestion.suggestedQuantity > 0)
+    .forEach((suggestion) => {
+      if (!suggestion.supplier?.isActive) {
+        skipped.push({
+          inventory: suggestion.inventory,
+          reason: suggestion.supplier ? `${suggestion.supplier.name} is no longer an active supplier` : 'No preferred supplier'
+        });
+        return;
+      }
+
+      const branchId = (suggestion.branch?._id || suggestion.branch).toString();
+      const key = `${branchId}:${suggestion.supplier._id}`;
+      if (!groups.has(key)) {
+        groups.set(key, { branch: branchId, supplier: suggestion.supplier._id, items: [] });
+      }
+      groups.get(key).items.push({
+        inventory: suggestion.inventory._id,
+        description: suggestion.inventory.name,
+        quantity: suggestion.suggestedQuantity,
+        unit: suggestion.inventory.unit,
+        unitCost: suggestion.unitCost
+      });
+    });
+
+  const defaults = await purchaseOrderDefaults();
+  const purchaseOrders = [];
+
+  for (const group of groups.values()) {
+    const purchaseOrder = new PurchaseOrder({
+      ...defaults,
+      ...group,
+      status: 'draft',
+      notes: 'Drafted from reorder suggestions',
+      createdBy: user?._id
+    });
+
+    await purchaseOrder.save();
+    await refreshPurchaseOrderPDF(purchaseOrder);
+    purchaseOrders.push(purchaseOrder);
+  }
+
+  return { purchaseOrders, skipped };
+};
+
+export default {
+  DEFAULT_HISTORY_DAYS,
+  DEFAULT_HORIZON_DAYS,
+  DEFAULT_LEAD_TIME_DAYS,
+  buildReorderSuggestions,
+  createReorderPurchaseOrders
+};
@@ -0,0 +1,321 @@
+import MaintenanceSchedule from '../models/MaintenanceSchedule.js';
+import Task from '../models/Task.js';
+import Client from '../models/Client.js';
+import Site from '../models/Site.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import { runInTransaction, reserveTaskMaterials, releaseTaskMaterials } from './materialService.js';
+import { checkAssignment } from './availabilityService.js';
+import {
+  WEEKDAYS,
+  startOfDay,
+  addDays,
+  toDateKey,
+  applyTimeOfDay
+} from '../utils/recurrence.js';
+
+// Generated tasks that can still be replaced or removed
+export const NOT_STARTED_STATUSES = ['pending', 'assigned'];
+
+/**
+ * Set of holiday date keys (YYYY-MM-DD) from settings
+ */
+export const getHolidayKeys = async () => {
+  const settings = await Settings.getSettings();
+  return new Set((settings.scheduling?.holidays || []).map(holiday => toDateKey(holiday.date)));
+};
+
+/**
+ * Occurrences of a schedule in a range, without cancelled dates and holidays
+ */
+export const getScheduleOccurrences = (schedule, from, to, holidayKeys = new Set()) => {
+  const cancelled = new Set(schedule.exceptions.map(exception => toDateKey(exception.date)));
+
+  return schedule.getOccurrences(from, to).filter((date) => {
+    const key = toDateKey(date);
+    if (cancelled.has(key)) return false;
+    if (schedule.skipHolidays && holidayKeys.has(key)) return false;
+    return true;
+  });
+};
+
+/**
+ * Task document data for one occurrence of a schedule
+ */
+const buildTaskData = (schedule, occurrenceDate) => ({
+  title: schedule.title,
+  description: schedule.description || schedule.title,
+  site: schedule.site,
+  section: schedule.section,
+  client: schedule.client,
+  branch: schedule.branch,
+  worker: schedule.defaultWorker || null,
+  status: schedule.defaultWorker ? 'assigned' : 'pending',
+  priority: schedule.priority,
+  category: schedule.category,
+  scheduledDate: applyTimeOfDay(occurrenceDate, schedule.startTime),
+  estimatedDuration: schedule.estimatedDuration,
+  materials: schedule.materials.map(material => ({
+    item: material.item,
+    name: material.name,
+    quantity: material.quantity,
+    unit: material.unit
+  })),
+  schedule: schedule._id,
+  occurrenceDate: startOfDay(occurrenceDate)
+});
+
+/**
+ * Keep client and site task counters in line with generated/removed tasks
+ */
+const updateTaskCounters = async (schedule, delta) => {
+  if (!delta) return;
+
+  await Client.findByIdAndUpdate(schedule.client, { $inc: { totalTasks: delta } });
+  await Site.findByIdAndUpdate(schedule.site, { $inc: { totalTasks: delta } });
+};
+
+/**
+ * Why the schedule's default worker cannot take an occurrence, or null when they can
+ * Refused like any other assignment: only when Settings.availability.mode is 'block'.
+ */
+const defaultWorkerRefusal = async (schedule, task) => {
+  const worker = await User.findById(schedule.defaultWorker);
+  if (!worker || worker.role !== 'worker' || !worker.isActive) {
+    return 'default worker not found';
+  }
+
+  const availability = await checkAssignment(worker, task);
+  return availability.blocked ? availability.warnings.join('; ') : null;
+};
+
+/**
+ * Create one occurrence's task unless it already exists
+ * @returns {Promise<object|null>} - Created task or null if it already existed
+ */
+export const createOccurrenceTask = async (schedule, occurrenceDate) => {
+  const data = buildTaskData(schedule, occurrenceDate);
+  const unassigned = { ...data, worker: null, status: 'pending' };
+
+  try {
+    let task = new Task(data);
+
+    // Default worker unavailable that day: leave the occurrence unassigned for an admin to sort out
+    const refusal = task.status === 'assigned' ? await defaultWorkerRefusal(schedule, task) : null;
+    if (refusal) {
+      console.warn(`Schedule ${schedule._id}: ${refusal}; occurrence left unassigned`);
+      task = new Task(unassigned);
+    }
+
+    if (task.status === 'assigned') {
+      try {
+        await runInTransaction(async (session) => {
+          await reserveTaskMaterials(task, { session });
+          await task.save({ session });
+        });
+      } catch (error) {
+        if (error.statusCode !== 409) throw error;
+        // Not enough stock: leave the occurrence unassigned for an admin to sort out
+        console.warn(`Schedule ${schedule._id}: ${error.message}; occurrence left unassigned`);
+        task = await Task.create(unassigned);
+      }
+    } else {
+      await task.save();
+    }
+
+    await updateTaskCounters(schedule, 1);
+    return task;
+  } catch (error) {
+    // Another run already created this occurrence
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Materialize upcoming tasks for a schedule over its rolling horizon
+ * @param {object} schedule - MaintenanceSchedule document
+ * @param {object} options - { from, horizonDays, holidayKeys }
+ * @returns {Promise<Array>} - Newly created tasks
+ */
+export const generateScheduleTasks = async (schedule, options = {}) => {
+  if (!schedule.isActive) return [];
+
+  const settings = await Settings.getSettings();
+  const horizonDays = options.horizonDays || schedule.horizonDays || settings.scheduling.horizonDays;
+  const from = startOfDay(options.from || new Date());
+  const to = addDays(from, horizonDays);
+  const holidayKeys = options.holidayKeys || await getHolidayKeys();
+
+  const occurrences = getScheduleOccurrences(schedule, from, to, holidayKeys);
+
+  const existing = await Task.find({
+    schedule: schedule._id,
+    occurrenceDate: { $gte: from, $lte: to }
+  }).select('occurrenceDate');
+  const existingKeys = new Set(existing.map(task => toDateKey(task.occurrenceDate)));
+
+  const created = [];
+  for (const date of occurrences) {
+    if (existingKeys.has(toDateKey(date))) continue;
+
+    const task = await createOccurrenceTask(schedule, date);
+    if (task) created.push(task);
+  }
+
+  schedule.lastGeneratedUntil = to;
+  await schedule.save();
+
+  return created;
+};
+
+/**
+ * Run the generator for every active schedule
+ * @param {object} options - { filter, from, horizonDays }
+ * @returns {Promise<object>} - { schedules, tasksCreated }
+ */
+export const generateAllScheduleTasks = async (options = {}) => {
+  const { filter = {}, ...generateOptions } = options;
+  const schedules = await MaintenanceSchedule.find({ ...filter, isActive: true });
+  const holidayKeys = await getHolidayKeys();
+
+  let tasksCreated = 0;
+  for (const schedule of schedules) {
+    try {
+      const created = await generateScheduleTasks(schedule, { ...generateOptions, holidayKeys });
+      tasksCreated += created.length;
+    } catch (error) {
+      console.error(`Schedule ${schedule._id} generation error:`, error);
+    }
+  }
+
+  return { schedules: schedules.length, tasksCreated };
+};
+
+/**
+ * Delete generated tasks that have not been started yet
+ * @param {object} schedule - MaintenanceSchedule document
+ * @param {Date} from - Inclusive start date
+ * @param {Date} to - Optional inclusive end date
+ * @returns {Promise<number>} - Number of removed tasks
+ */
+export const removeUnstartedTasks = async (schedule, from, to = null) => {
+  const occurrenceDate = { $gte: startOfDay(from) };
+  if (to) occurrenceDate.$lte = startOfDay(to);
+
+  const query = {
+    schedule: schedule._id,
+    occurrenceDate,
+    status: { $in: NOT_STARTED_STATUSES }
+  };
+
+  // Tasks holding materials give them back as they are removed
+  const reserved = await Task.find({ ...query, 'materialsReservation.status': 'reserved' });
+  for (const task of reserved) {
+    await runInTransaction(async (session) => {
+      await releaseTaskMaterials(task, { session, notes: 'Occurrence removed' });
+      await task.deleteOne({ session });
+    });
+  }
+
+  const result = await Task.deleteMany(query);
+  const removed = reserved.length + result.deletedCount;
+
+  await updateTaskCounters(schedule, -removed);
+
+  return removed;
+};
+
+/**
+ * Split a series at a date so edits apply to that occurrence and all future ones
+ * @param {object} schedule - Original schedule (ends the day before `date`)
+ * @param {Date} date - First occurrence of the new series
+ * @param {object} changes - Template/recurrence changes for the new series
+ * @returns {Promise<object>} - The new schedule
+ */
+export const splitSchedule = async (schedule, date, changes = {}) => {
+  const splitDate = startOfDay(date);
+  const { _id, id, createdAt, updatedAt, rrule, ...template } = schedule.toObject();
+
+  const recurrence = { ...template.recurrence };
+  let startDate = splitDate;
+
+  if (!changes.recurrence) {
+    // Keep the original rhythm: pin implicit days and start on the next real occurrence
+    if (recurrence.frequency === 'weekly' && !recurrence.byWeekday?.length) {
+      recurrence.byWeekday = [WEEKDAYS[schedule.startDate.getDay()]];
+    }
+    if (recurrence.frequency === 'monthly' && !recurrence.byMonthDay?.length) {
+      recurrence.byMonthDay = [schedule.startDate.getDate()];
+    }
+
+    const [next] = schedule.getOccurrences(
+      splitDate,
+      addDays(splitDate, 366 * (recurrence.interval || 1))
+    );
+    if (next) startDate = next;
+  }
+
+  const successor = new MaintenanceSchedule({
+    ...template,
+    recurrence,
+    startDate,
+    exceptions: template.exceptions.filter(exception => exception.date >= splitDate),
+    lastGeneratedUntil: null,
+    parentSchedule: schedule._id
+  });
+
+  // COUNT covers the whole series, so only what is left moves forward
+  if (schedule.recurrence.count) {
+    const before = schedule.getOccurrences(schedule.startDate, addDays(splitDate, -1)).length;
+    successor.recurrence.count = Math.max(schedule.recurrence.count - before, 1);
+  }
+
+  successor.set(changes);
+  await successor.validate();
+
+  schedule.recurrence.until = addDays(splitDate, -1);
+  schedule.recurrence.count = undefined;
+  schedule.exceptions = schedule.exceptions.filter(exception => exception.date < splitDate);
+
+  await removeUnstartedTasks(schedule, splitDate);
+  await schedule.save();
+  await successor.save();
+
+  // Started occurrences move with the series so they are not generated twice
+  await Task.updateMany(
+    { schedule: schedule._id, occurrenceDate: { $gte: splitDate } },
+    { schedule: successor._id }
+  );
+
+  await generateScheduleTasks(successor);
+
+  return successor;
+};
+
+/**
+ * Remove not-started tasks that fall on a newly added holiday
+ * @returns {Promise<number>} - Number of removed tasks
+ */
+export const clearHolidayTasks = async (date) => {
+  const schedules = await MaintenanceSchedule.find({ isActive: true, skipHolidays: true });
+
+  let removed = 0;
+  for (const schedule of schedules) {
+    removed += await removeUnstartedTasks(schedule, date, date);
+  }
+
+  return removed;
+};
+
+export default {
+  NOT_STARTED_STATUSES,
+  getHolidayKeys,
+  getScheduleOccurrences,
+  createOccurrenceTask,
+  generateScheduleTasks,
+  generateAllScheduleTasks,
+  removeUnstartedTasks,
+  splitSchedule,
+  clearHolidayTasks
+};
@@ -105,6 +105,28 @@ Garden Management Team
   return await sendWhatsAppMessage(client.whatsapp || client.phone, message);
 };
 
+/**
+ * Send task rejection (rework) notification via WhatsApp
+ */
+export const sendTaskRejectedWhatsApp = async (worker, task, comments) => {
+  const message = `
+🔁 *Task Needs Rework*
+
+Hello ${worker.name},
+
+Your completed task was reviewed and sent back:
+
+*Task:* ${task.title}
+*Comments:* ${comments}
+
+Please log in to the system, fix the issues and complete the task again.
+
+Garden Management Team
+  `.trim();
+
+  return await sendWhatsAppMessage(worker.phone, message);
+};
+
 /**
  * Send low stock alert via WhatsApp
  */
@@ -139,8 +161,8 @@ Hello ${client.name},
 Your invoice is ready:
 
 *Invoice Number:* ${invoice.invoiceNumber}
-*Date:* ${new Date(invoice.issuedDate).toLocaleDateString()}
-*Total Amount:* $${invoice.totalAmount}
+*Date:* ${new Date(invoice.issuedDate || invoice.createdAt).toLocaleDateString()}
+*Total Amount:* ${invoice.currency} ${invoice.total.toFixed(2)}
 *Payment Status:* ${invoice.paymentStatus}
 
 Please log in to view and download your invoice.
@@ -153,6 +175,77 @@ Garden Management Team
   return await sendWhatsAppMessage(client.whatsapp || client.phone, message);
 };
 
+/**
+ * Send a quote with the link to accept or reject it via WhatsApp
+ */
+export const sendQuoteWhatsApp = async (client, quote, url) => {
+  const message = `
+📝 *Quotation*
+
+Hello ${client.name},
+
+Your quotation for ${quote.title} is ready:
+
+*Quote Number:* ${quote.quoteNumber}
+*Total Amount:* ${quote.currency} ${quote.total.toFixed(2)}
+*Valid Until:* ${new Date(quote.validUntil).toLocaleDateString()}
+
+Accept or reject it here: ${url}
+
+Garden Management Team
+  `.trim();
+
+  return await sendWhatsAppMessage(client.whatsapp || client.phone, message);
+};
+
+/**
+ * Remind a client that their maintenance contract is ending via WhatsApp
+ */
+export const sendContractRenewalWhatsApp = async (client, contract, daysLeft) => {
+  const message = `
+🔁 *Contract Renewal*
+
+Hello ${client.name},
+
+Your maintenance contract ${contract.contractNumber} ends on ${new Date(contract.endDate).toLocaleDateString()}, in ${daysLeft} day(s).
+
+Please contact us to renew it and keep your visits going.
+
+Garden Management Team
+  `.trim();
+
+  return await sendWhatsAppMessage(client.whatsapp || client.phone, message);
+};
+
+/**
+ * Send payment reminder via WhatsApp
+ * @param {number} daysFromDue - Days past the due date (negative = days left)
+ */
+export const sendPaymentReminderWhatsApp = async (client, invoice, daysFromDue) => {
+  const dueDate = new Date(invoice.dueDate).toLocaleDateString();
+  const when = daysFromDue < 0
+    ? `is due on ${dueDate}`
+    : daysFromDue === 0 ? 'is due today' : `is ${daysFromDue} day(s) overdue`;
+  const balance = invoice.balanceDue();
+
+  const message = `
+⏰ *Payment Reminder*
+
+Hello ${client.name},
+
+Invoice ${invoice.invoiceNumber} ${when}.
+
+*Balance Due:* ${invoice.currency} ${balance.toFixed(2)}
+*Due Date:* ${dueDate}
+
+If you have already paid, please ignore this message.
+
+Garden Management Team
+  `.trim();
+
+  return await sendWhatsAppMessage(client.whatsapp || client.phone, message);
+};
+
 /**
  * Send client credentials via WhatsApp
  */
@@ -204,8 +297,12 @@ export default {
   sendWhatsAppMessage,
   sendTaskAssignmentWhatsApp,
   sendTaskCompletionWhatsApp,
+  sendTaskRejectedWhatsApp,
   sendLowStockWhatsApp,
   sendInvoiceWhatsApp,
+  sendPaymentReminderWhatsApp,
+  sendQuoteWhatsApp,
+  sendContractRenewalWhatsApp,
   sendClientCredentialsWhatsApp,
   sendTaskReminderWhatsApp
 };
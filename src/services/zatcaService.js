@@ -0,0 +1,380 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import Invoice from '../models/Invoice.js';
+
+// Previous-invoice hash of the first invoice in the chain, as defined by ZATCA
+export const INITIAL_PREVIOUS_HASH = Buffer
+  .from(crypto.createHash('sha256').update('0').digest('hex'))
+  .toString('base64');
+
+// Simplified tax invoice (388 with the 02 transaction code)
+const INVOICE_TYPE_CODE = '388';
+const INVOICE_TYPE_NAME = '0200000';
+
+const UNIT_CODES = {
+  hour: 'HUR',
+  kg: 'KGM',
+  liter: 'LTR',
+  meter: 'MTR',
+  piece: 'H87',
+  bag: 'XBG',
+  box: 'XBX'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const amount = (value) => round(value || 0).toFixed(2);
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Promise of the parsed signing key, so the key file is read once rather than on every seal
+let signingKey = null;
+
+const readSigningKey = async () => {
+  const { ZATCA_PRIVATE_KEY: inlinePem, ZATCA_PRIVATE_KEY_PATH: keyPath } = process.env;
+  let pem = inlinePem;
+
+  if (!pem && keyPath) {
+    try {
+      pem = await fs.readFile(keyPath, 'utf8');
+    } catch (error) {
+      throw new Error(`ZATCA signing key cannot be read from ZATCA_PRIVATE_KEY_PATH (${keyPath}): ${error.message}`);
+    }
+  }
+  if (!pem) return null;
+
+  try {
+    return crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  } catch (error) {
+    throw new Error(`ZATCA signing key is not a valid PEM private key: ${error.message}`);
+  }
+};
+
+/**
+ * Private key used to sign invoice hashes: ZATCA_PRIVATE_KEY (PEM) or a PEM file at ZATCA_PRIVATE_KEY_PATH
+ * Loaded on first use and kept; a key that cannot be loaded is retried on the next call.
+ * @returns {Promise<crypto.KeyObject|null>} - null when no key is configured (invoices are hashed but not signed)
+ */
+const loadSigningKey = () => {
+  if (!signingKey) {
+    signingKey = readSigningKey().catch((error) => {
+      signingKey = null;
+      throw error;
+    });
+  }
+  return signingKey;
+};
+
+/**
+ * Seller details from the settings (name falls back to the company name)
+ * @returns {object} - { name, vatNumber, commercialRegistration, address }
+ */
+export const sellerFromSettings = (settings) => {
+  const einvoice = settings.einvoice || {};
+  const address = einvoice.address || {};
+  return {
+    name: einvoice.sellerName || settings.branding?.companyName,
+    vatNumber: einvoice.vatNumber,
+    commercialRegistration: einvoice.commercialRegistration,
+    address: {
+      street: address.street,
+      buildingNumber: address.buildingNumber,
+      district: address.district,
+      city: address.city,
+      postalCode: address.postalCode,
+      countryCode: address.countryCode
+    }
+  };
+};
+
+/**
+ * Encode fields as ZATCA QR TLV (tag byte, length byte, UTF-8 or raw value) in Base64
+ * @param {Array} fields - Values for tags 1, 2, 3... (strings or Buffers)
+ * @returns {string} - Base64 TLV
+ */
+export const encodeTLV = (fields) => Buffer.concat(fields.map((value, index) => {
+  const bytes = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+  if (bytes.length > 255) {
+    throw new Error(`QR field ${index + 1} is too long`);
+  }
+  return Buffer.concat([Buffer.from([index + 1, bytes.length]), bytes]);
+})).toString('base64');
+
+/**
+ * Decode a Base64 TLV QR payload
+ * @returns {object} - tag => Buffer
+ */
+export const decodeTLV = (base64) => {
+  const bytes = Buffer.from(base64, 'base64');
+  const fields = {};
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const tag = bytes[offset];
+    const length = bytes[offset + 1];
+    fields[tag] = bytes.subarray(offset + 2, offset + 2 + length);
+    offset += 2 + length;
+  }
+  return fields;
+};
+
+/**
+ * Seller party from the e-invoicing settings
+ */
+const supplierParty = (seller) => `
+  <cac:AccountingSupplierParty>
+    <cac:Party>
+      ${seller.commercialRegistration ? `<cac:PartyIdentification>
+        <cbc:ID schemeID="CRN">${escapeXml(seller.commercialRegistration)}</cbc:ID>
+      </cac:PartyIdentification>` : ''}
+      <cac:PostalAddress>
+        <cbc:StreetName>${escapeXml(seller.address?.street)}</cbc:StreetName>
+        <cbc:BuildingNumber>${escapeXml(seller.address?.buildingNumber)}</cbc:BuildingNumber>
+        <cbc:CitySubdivisionName>${escapeXml(seller.address?.district)}</cbc:CitySubdivisionName>
+        <cbc:CityName>${escapeXml(seller.address?.city)}</cbc:CityName>
+        <cbc:PostalZone>${escapeXml(seller.address?.postalCode)}</cbc:PostalZone>
+        <cac:Country>
+          <cbc:IdentificationCode>${escapeXml(seller.address?.countryCode || 'SA')}</cbc:IdentificationCode>
+        </cac:Country>
+      </cac:PostalAddress>
+      <cac:PartyTaxScheme>
+        <cbc:CompanyID>${escapeXml(seller.vatNumber)}</cbc:CompanyID>
+        <cac:TaxScheme>
+          <cbc:ID>VAT</cbc:ID>
+        </cac:TaxScheme>
+      </cac:PartyTaxScheme>
+      <cac:PartyLegalEntity>
+        <cbc:RegistrationName>${escapeXml(seller.name)}</cbc:RegistrationName>
+      </cac:PartyLegalEntity>
+    </cac:Party>
+  </cac:AccountingSupplierParty>`;
+
+/**
+ * Buyer party (the VAT number is optional on simplified invoices)
+ */
+const customerParty = (client) => `
+  <cac:AccountingCustomerParty>
+    <cac:Party>
+      <cac:PostalAddress>
+        <cbc:StreetName>${escapeXml(client?.address?.street)}</cbc:StreetName>
+        <cbc:CityName>${escapeXml(client?.address?.city)}</cbc:CityName>
+        <cbc:PostalZone>${escapeXml(client?.address?.postalCode)}</cbc:PostalZone>
+        <cac:Country>
+          <cbc:IdentificationCode>SA</cbc:IdentificationCode>
+        </cac:Country>
+      </cac:PostalAddress>
+      ${client?.vatNumber ? `<cac:PartyTaxScheme>
+        <cbc:CompanyID>${escapeXml(client.vatNumber)}</cbc:CompanyID>
+        <cac:TaxScheme>
+          <cbc:ID>VAT</cbc:ID>
+        </cac:TaxScheme>
+      </cac:PartyTaxScheme>` : ''}
+      <cac:PartyLegalEntity>
+        <cbc:RegistrationName>${escapeXml(client?.name)}</cbc:RegistrationName>
+      </cac:PartyLegalEntity>
+    </cac:Party>
+  </cac:AccountingCustomerParty>`;
+
+const taxCategory = (rate, element = 'cac:TaxCategory') => `
+      <${element}>
+        <cbc:ID>${rate > 0 ? 'S' : 'Z'}</cbc:ID>
+        <cbc:Percent>${amount(rate)}</cbc:Percent>
+        <cac:TaxScheme>
+          <cbc:ID>VAT</cbc:ID>
+        </cac:TaxScheme>
+      </${element}>`;
+
+const invoiceLine = (item, index, rate, currency) => {
+  const lineTotal = round((item.quantity || 0) * (item.unitPrice || 0));
+  const lineTax = round((lineTotal * rate) / 100);
+
+  return `
+  <cac:InvoiceLine>
+    <cbc:ID>${index + 1}</cbc:ID>
+    <cbc:InvoicedQuantity unitCode="${UNIT_CODES[item.unit] || 'C62'}">${item.quantity || 0}</cbc:InvoicedQuantity>
+    <cbc:LineExtensionAmount currencyID="${currency}">${amount(lineTotal)}</cbc:LineExtensionAmount>
+    <cac:TaxTotal>
+      <cbc:TaxAmount currencyID="${currency}">${amount(lineTax)}</cbc:TaxAmount>
+      <cbc:RoundingAmount currencyID="${currency}">${amount(lineTotal + lineTax)}</cbc:RoundingAmount>
+    </cac:TaxTotal>
+    <cac:Item>
+      <cbc:Name>${escapeXml(item.description)}</cbc:Name>${taxCategory(rate, 'cac:ClassifiedTaxCategory')}
+    </cac:Item>
+    <cac:Price>
+      <cbc:PriceAmount currencyID="${currency}">${amount(item.unitPrice)}</cbc:PriceAmount>
+    </cac:Price>
+  </cac:InvoiceLine>`;
+};
+
+/**
+ * UBL 2.1 invoice XML from the invoice and the seller/buyer details captured when it was issued
+ * The hash is taken over the XML without the QR reference, which is added once the hash is known.
+ * @param {object} invoice - Issued invoice with zatca details
+ * @param {object} options - { includeQR }
+ * @returns {string} - XML document
+ */
+export const buildInvoiceXML = (invoice, { includeQR = true } = {}) => {
+  const { zatca = {} } = invoice;
+  const currency = invoice.currency || 'SAR';
+  const rate = invoice.tax?.rate || 0;
+  const issued = new Date(zatca.issuedAt || invoice.issuedDate || invoice.createdAt);
+  const taxable = round((invoice.subtotal || 0) - (invoice.discount || 0));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+  xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+  xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+  <cbc:ProfileID>reporting:1.0</cbc:ProfileID>
+  <cbc:ID>${escapeXml(invoice.invoiceNumber)}</cbc:ID>
+  <cbc:UUID>${escapeXml(zatca.uuid)}</cbc:UUID>
+  <cbc:IssueDate>${issued.toISOString().slice(0, 10)}</cbc:IssueDate>
+  <cbc:IssueTime>${issued.toISOString().slice(11, 19)}</cbc:IssueTime>
+  <cbc:InvoiceTypeCode name="${INVOICE_TYPE_NAME}">${INVOICE_TYPE_CODE}</cbc:InvoiceTypeCode>
+  <cbc:DocumentCurrencyCode>${currency}</cbc:DocumentCurrencyCode>
+  <cbc:TaxCurrencyCode>${currency}</cbc:TaxCurrencyCode>
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>ICV</cbc:ID>
+    <cbc:UUID>${zatca.counter ?? ''}</cbc:UUID>
+  </cac:AdditionalDocumentReference>
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>PIH</cbc:ID>
+    <cac:Attachment>
+      <cbc:EmbeddedDocumentBinaryObject mimeCode="text/plain">${zatca.previousHash || ''}</cbc:EmbeddedDocumentBinaryObject>
+    </cac:Attachment>
+  </cac:AdditionalDocumentReference>${includeQR && zatca.qrCode ? `
+  <cac:AdditionalDocumentReference>
+    <cbc:ID>QR</cbc:ID>
+    <cac:Attachment>
+      <cbc:EmbeddedDocumentBinaryObject mimeCode="text/plain">${zatca.qrCode}</cbc:EmbeddedDocumentBinaryObject>
+    </cac:Attachment>
+  </cac:AdditionalDocumentReference>` : ''}${supplierParty(zatca.seller || {})}${customerParty(zatca.buyer)}${invoice.discount ? `
+  <cac:AllowanceCharge>
+    <cbc:ChargeIndicator>false</cbc:ChargeIndicator>
+    <cbc:AllowanceChargeReason>discount</cbc:AllowanceChargeReason>
+    <cbc:Amount currencyID="${currency}">${amount(invoice.discount)}</cbc:Amount>${taxCategory(rate)}
+  </cac:AllowanceCharge>` : ''}
+  <cac:TaxTotal>
+    <cbc:TaxAmount currencyID="${currency}">${amount(invoice.tax?.amount)}</cbc:TaxAmount>
+  </cac:TaxTotal>
+  <cac:TaxTotal>
+    <cbc:TaxAmount currencyID="${currency}">${amount(invoice.tax?.amount)}</cbc:TaxAmount>
+    <cac:TaxSubtotal>
+      <cbc:TaxableAmount currencyID="${currency}">${amount(taxable)}</cbc:TaxableAmount>
+      <cbc:TaxAmount currencyID="${currency}">${amount(invoice.tax?.amount)}</cbc:TaxAmount>${taxCategory(rate)}
+    </cac:TaxSubtotal>
+  </cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    <cbc:LineExtensionAmount currencyID="${currency}">${amount(invoice.subtotal)}</cbc:LineExtensionAmount>
+    <cbc:TaxExclusiveAmount currencyID="${currency}">${amount(taxable)}</cbc:TaxExclusiveAmount>
+    <cbc:TaxInclusiveAmount currencyID="${currency}">${amount(invoice.total)}</cbc:TaxInclusiveAmount>
+    <cbc:AllowanceTotalAmount currencyID="${currency}">${amount(invoice.discount)}</cbc:AllowanceTotalAmount>
+    <cbc:PayableAmount currencyID="${currency}">${amount(invoice.total)}</cbc:PayableAmount>
+  </cac:LegalMonetaryTotal>${invoice.items.map((item, index) => invoiceLine(item, index, rate, currency)).join('')}
+</Invoice>
+`;
+};
+
+/**
+ * Base64 SHA-256 of the invoice XML without its QR reference
+ */
+export const hashInvoice = (invoice) => crypto
+  .createHash('sha256')
+  .update(buildInvoiceXML(invoice, { includeQR: false }), 'utf8')
+  .digest('base64');
+
+/**
+ * Seal an invoice as it is issued: number it in the chain, hash it, link it to the previous
+ * invoice's hash, sign the hash when a key is configured and build the QR code
+ * Changes the invoice document; the caller saves it in the same session.
+ * @param {object} invoice - Invoice document being issued
+ * @param {object} seller - Settings.einvoice
+ * @param {object} client - Buyer
+ * @param {object} options - { session }
+ */
+export const sealInvoice = async (invoice, seller, client, { session } = {}) => {
+  const previous = await Invoice.findOne({ 'zatca.counter': { $exists: true } })
+    .sort({ 'zatca.counter': -1 })
+    .select('zatca.counter zatca.invoiceHash')
+    .session(session || null);
+
+  invoice.zatca = {
+    uuid: crypto.randomUUID(),
+    counter: (previous?.zatca?.counter || 0) + 1,
+    previousHash: previous?.zatca?.invoiceHash || INITIAL_PREVIOUS_HASH,
+    issuedAt: invoice.issuedDate || new Date(),
+    seller: {
+      name: seller.name,
+      vatNumber: seller.vatNumber,
+      commercialRegistration: seller.commercialRegistration,
+      address: seller.address
+    },
+    buyer: {
+      name: client.name,
+      vatNumber: client.vatNumber || null,
+      address: {
+        street: client.address?.street,
+        city: client.address?.city,
+        postalCode: client.address?.zipCode
+      }
+    }
+  };
+
+  const invoiceHash = hashInvoice(invoice);
+  invoice.zatca.invoiceHash = invoiceHash;
+
+  const fields = [
+    seller.name,
+    seller.vatNumber,
+    new Date(invoice.zatca.issuedAt).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    amount(invoice.total),
+    amount(invoice.tax?.amount),
+    invoiceHash
+  ];
+
+  const key = await loadSigningKey();
+  if (key) {
+    const signature = crypto.sign('sha256', Buffer.from(invoiceHash), key).toString('base64');
+    const publicKey = crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+    invoice.zatca.signature = signature;
+    fields.push(signature, publicKey);
+  }
+
+  invoice.zatca.qrCode = encodeTLV(fields);
+  return invoice;
+};
+
+/**
+ * Check a sealed invoice still matches its hash and, when signed, its signature
+ * @returns {object} - { hashValid, signatureValid (null when unsigned) }
+ */
+export const verifyInvoice = (invoice) => {
+  const hashValid = hashInvoice(invoice) === invoice.zatca?.invoiceHash;
+  let signatureValid = null;
+
+  if (invoice.zatca?.signature) {
+    const publicKey = decodeTLV(invoice.zatca.qrCode)[8];
+    signatureValid = Boolean(publicKey) && crypto.verify(
+      'sha256',
+      Buffer.from(invoice.zatca.invoiceHash),
+      crypto.createPublicKey({ key: publicKey, format: 'der', type: 'spki' }),
+      Buffer.from(invoice.zatca.signature, 'base64')
+    );
+  }
+
+  return { hashValid, signatureValid };
+};
+
+export default {
+  INITIAL_PREVIOUS_HASH,
+  sellerFromSettings,
+  encodeTLV,
+  decodeTLV,
+  buildInvoiceXML,
+  hashInvoice,
+  sealInvoice,
+  verifyInvoice
+};
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+const QUERY_HOOKS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+const DELETE_HOOKS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+// Branches to recount once a transaction's session ends, keyed by session
+const pendingRefreshes = new WeakMap();
+
+const recount = async (branchIds) => {
+  try {
+    await mongoose.model('Branch').refreshCounters(...branchIds);
+  } catch (error) {
+    console.error('Refresh branch counters error:', error);
+  }
+};
+
+/**
+ * Recount the given branches
+ * Inside a transaction the recount waits for the session to end, so it reads the committed data
+ * (or the unchanged data after an abort) and does not write the branch in every transaction.
+ */
+const refresh = async (branchIds, session) => {
+  if (!session?.inTransaction()) {
+    await recount(branchIds);
+    return;
+  }
+
+  let pending = pendingRefreshes.get(session);
+  if (!pending) {
+    pending = new Set();
+    pendingRefreshes.set(session, pending);
+    session.once('ended', () => {
+      pendingRefreshes.delete(session);
+      recount([...pending]);
+    });
+  }
+  branchIds.filter(Boolean).forEach(id => pending.add(id.toString()));
+};
+
+/**
+ * Whether an update document (fields or operators) may change one of the given paths
+ */
+const updateTouches = (update, fields) => {
+  if (!update) return false;
+  // Aggregation pipeline updates can set anything
+  if (Array.isArray(update)) return true;
+
+  return Object.entries(update).some(([key, value]) => {
+    if (key.startsWith('$')) {
+      return value && typeof value === 'object' && updateTouches(value, fields);
+    }
+    return fields.includes(key.split('.')[0]);
+  });
+};
+
+/**
+ * Keep Branch.totalWorkers / totalClients / activeTasks in sync
+ * whenever documents of the given schema are saved, updated or deleted.
+ * The schema must have a `branch` path; `fields` are the paths the counters depend on.
+ * @param {object} options - { fields }
+ */
+export const trackBranchCounters = (schema, { fields = ['branch'] } = {}) => {
+  // Remember the branch a document was loaded with, so a move refreshes both branches
+  schema.post('init', function() {
+    this.$locals.loadedBranch = this.branch;
+  });
+
+  schema.pre('save', function() {
+    this.$locals.countersChanged = this.isNew || fields.some(field => this.isModified(field));
+  });
+
+  schema.post('save', async function() {
+    if (this.$locals.countersChanged) {
+      await refresh([this.branch, this.$locals.loadedBranch], this.$session());
+    }
+    this.$locals.loadedBranch = this.branch;
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    await refresh([this.branch], this.$session());
+  });
+
+  schema.pre(QUERY_HOOKS, { document: false, query: true }, async function() {
+    this._branchCounterDocs = null;
+    if (!DELETE_HOOKS.includes(this.op) && !updateTouches(this.getUpdate(), fields)) return;
+
+    this._branchCounterDocs = await this.model.find(this.getFilter())
+      .select('_id branch')
+      .session(this.getOptions().session || null)
+      .lean();
+  });
+
+  schema.post(QUERY_HOOKS, { document: false, query: true }, async function() {
+    const before = this._branchCounterDocs || [];
+    if (before.length === 0) return;
+
+    const session = this.getOptions().session || null;
+    const after = await this.model
+      .find({ _id: { $in: before.map(doc => doc._id) } })
+      .select('branch')
+      .session(session)
+      .lean();
+
+    await refresh([...before.map(doc => doc.branch), ...after.map(doc => doc.branch)], session);
+  });
+};
+
+export default trackBranchCounters;
@@ -0,0 +1,41 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Check that a point has usable latitude/longitude values
+ */
+export const isValidCoordinate = (point) => {
+  if (!point) return false;
+
+  const latitude = Number(point.latitude);
+  const longitude = Number(point.longitude);
+
+  return point.latitude !== null && point.latitude !== undefined && point.latitude !== ''
+    && point.longitude !== null && point.longitude !== undefined && point.longitude !== ''
+    && Number.isFinite(latitude) && Number.isFinite(longitude)
+    && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+};
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {object} from - { latitude, longitude }
+ * @param {object} to - { latitude, longitude }
+ * @returns {number} - Distance in meters
+ */
+export const haversineDistance = (from, to) => {
+  const lat1 = toRadians(Number(from.latitude));
+  const lat2 = toRadians(Number(to.latitude));
+  const deltaLat = lat2 - lat1;
+  const deltaLon = toRadians(Number(to.longitude) - Number(from.longitude));
+
+  const a = Math.sin(deltaLat / 2) ** 2
+    + Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+export default {
+  isValidCoordinate,
+  haversineDistance
+};
@@ -22,6 +22,31 @@ export const generateClientToken = (clientId, taskId) => {
   );
 };
 
+/**
+ * Generate a client link for a single quote, valid until the quote expires
+ * @param {Date} validUntil - End of the quote's validity
+ */
+export const generateQuoteToken = (clientId, quoteId, validUntil) => {
+  const seconds = Math.floor((new Date(validUntil).getTime() - Date.now()) / 1000);
+
+  return jwt.sign(
+    { clientId, quoteId, type: 'client' },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(seconds, 60 * 60) }
+  );
+};
+
+/**
+ * Generate a client portal session token (not tied to a task)
+ */
+export const generateClientSessionToken = (clientId) => {
+  return jwt.sign(
+    { clientId, type: 'client' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_CLIENT_EXPIRE || '24h' }
+  );
+};
+
 /**
  * Verify JWT token
  */
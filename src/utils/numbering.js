@@ -0,0 +1,34 @@
+/**
+ * Document number formats, filled from a counter sequence.
+ */
+
+// Tokens: {prefix}, {branch} (branch code), {year}, {yy}, {month}, {seq} or {seq:N} (zero-padded to N digits)
+export const DEFAULT_INVOICE_NUMBER_FORMAT = '{prefix}-{branch}-{year}-{seq:5}';
+
+/**
+ * Whether a number format yields unique numbers for per-branch, per-year sequences
+ */
+export const isValidNumberFormat = (format) => typeof format === 'string'
+  && /\{seq(:\d+)?\}/.test(format)
+  && format.includes('{branch}')
+  && /\{(year|yy)\}/.test(format);
+
+/**
+ * Build a document number from a format
+ * @param {string} format - Number format (see DEFAULT_INVOICE_NUMBER_FORMAT)
+ * @param {object} values - { prefix, branch, date, seq }
+ * @returns {string} - e.g. INV-RYD-2026-00042
+ */
+export const formatDocumentNumber = (format, { prefix = '', branch = '', date = new Date(), seq }) => format
+  .replace(/\{prefix\}/g, prefix)
+  .replace(/\{branch\}/g, branch)
+  .replace(/\{year\}/g, String(date.getFullYear()))
+  .replace(/\{yy\}/g, String(date.getFullYear()).slice(-2))
+  .replace(/\{month\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+  .replace(/\{seq(?::(\d+))?\}/g, (match, width) => String(seq).padStart(Number(width) || 0, '0'));
+
+export default {
+  DEFAULT_INVOICE_NUMBER_FORMAT,
+  isValidNumberFormat,
+  formatDocumentNumber
+};
@@ -0,0 +1,18 @@
+/**
+ * Whitelisting of request input.
+ */
+
+/**
+ * Pick the given fields from a request body (or any object), leaving out those not sent
+ * @param {object} source - Request body
+ * @param {string[]} fields - Fields that may be taken
+ * @returns {object}
+ */
+export const pickFields = (source, fields) => fields.reduce((picked, field) => {
+  if (source?.[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+export default {
+  pickFields
+};
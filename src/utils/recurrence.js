@@ -0,0 +1,267 @@
+/**
+ * Recurrence helpers for maintenance schedules.
+ * Supports the RRULE subset we need: FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT.
+ */
+
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Safety net so a broken rule can never loop forever, counted from the range start
+const MAX_PERIODS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local midnight of the given date
+ */
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Add whole days to a date
+ */
+export const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+/**
+ * Format a date as YYYY-MM-DD (local time)
+ */
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parse a YYYY-MM-DD string into a local midnight date
+ * @returns {Date|null}
+ */
+export const parseDateKey = (key) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toDateKey(date) === key ? date : null;
+};
+
+/**
+ * Set the time of day ("HH:mm") on a date
+ */
+export const applyTimeOfDay = (date, time = '08:00') => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const d = new Date(date);
+  d.setHours(hours || 0, minutes || 0, 0, 0);
+  return d;
+};
+
+const parseRRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid UNTIL value: ${value}`);
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+};
+
+/**
+ * Parse an RRULE string (e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH")
+ * @param {string} rule - RRULE string, with or without the "RRULE:" prefix
+ * @returns {object} - Recurrence object as stored on the schedule
+ */
+export const parseRRule = (rule) => {
+  const recurrence = { interval: 1, byWeekday: [], byMonthDay: [] };
+
+  rule
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .forEach((part) => {
+      const [key, value = ''] = part.split('=');
+
+      switch (key.toUpperCase()) {
+        case 'FREQ':
+          recurrence.frequency = value.toLowerCase();
+          break;
+        case 'INTERVAL':
+          recurrence.interval = parseInt(value);
+          break;
+        case 'BYDAY':
+          recurrence.byWeekday = value.toUpperCase().split(',').filter(Boolean);
+          break;
+        case 'BYMONTHDAY':
+          recurrence.byMonthDay = value.split(',').filter(Boolean).map(Number);
+          break;
+        case 'UNTIL':
+          recurrence.until = parseRRuleDate(value);
+          break;
+        case 'COUNT':
+          recurrence.count = parseInt(value);
+          break;
+        default:
+          throw new Error(`Unsupported RRULE part: ${key}`);
+      }
+    });
+
+  if (!FREQUENCIES.includes(recurrence.frequency)) {
+    throw new Error('RRULE must define FREQ as DAILY, WEEKLY, MONTHLY or YEARLY');
+  }
+
+  if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1) {
+    throw new Error('RRULE INTERVAL must be a positive integer');
+  }
+
+  const invalidDay = recurrence.byWeekday.find(day => !WEEKDAYS.includes(day));
+  if (invalidDay) {
+    throw new Error(`Invalid BYDAY value: ${invalidDay}`);
+  }
+
+  return recurrence;
+};
+
+/**
+ * Build an RRULE string from a stored recurrence object
+ */
+export const formatRRule = (recurrence) => {
+  if (!recurrence?.frequency) return null;
+
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+
+  if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.byWeekday?.length) parts.push(`BYDAY=${recurrence.byWeekday.join(',')}`);
+  if (recurrence.byMonthDay?.length) parts.push(`BYMONTHDAY=${recurrence.byMonthDay.join(',')}`);
+  if (recurrence.until) parts.push(`UNTIL=${toDateKey(recurrence.until).replace(/-/g, '')}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+
+  return parts.join(';');
+};
+
+/**
+ * Candidate dates for the n-th period (already multiplied by the interval)
+ */
+const getPeriodDates = (recurrence, start, offset) => {
+  switch (recurrence.frequency) {
+    case 'daily':
+      return [addDays(start, offset)];
+
+    case 'weekly': {
+      // Weeks start on Monday, as in RFC 5545
+      const weekStart = addDays(start, offset * 7 - ((start.getDay() + 6) % 7));
+      const days = recurrence.byWeekday?.length
+        ? recurrence.byWeekday
+        : [WEEKDAYS[start.getDay()]];
+
+      return [...new Set(days)]
+        .map(day => addDays(weekStart, (WEEKDAYS.indexOf(day) + 6) % 7))
+        .sort((a, b) => a - b);
+    }
+
+    case 'monthly': {
+      const year = start.getFullYear();
+      const month = start.getMonth() + offset;
+      const lastDay = new Date(year, month + 1, 0).getDate();
+      const days = recurrence.byMonthDay?.length
+        ? recurrence.byMonthDay
+        : [start.getDate()];
+
+      return [...new Set(days.map(day => (day < 0 ? lastDay + day + 1 : day)))]
+        .filter(day => day >= 1 && day <= lastDay)
+        .sort((a, b) => a - b)
+        .map(day => new Date(year, month, day));
+    }
+
+    case 'yearly': {
+      const date = new Date(start.getFullYear() + offset, start.getMonth(), start.getDate());
+      // Skip Feb 29 in non-leap years
+      return date.getMonth() === start.getMonth() ? [date] : [];
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Whole days from one local midnight to another (DST-safe)
+ */
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS);
+
+/**
+ * Index of the period (in steps of the interval) that contains the given day
+ */
+const getPeriodIndex = (recurrence, start, date, interval) => {
+  let units;
+  switch (recurrence.frequency) {
+    case 'daily':
+      units = daysBetween(start, date);
+      break;
+    case 'weekly':
+      // Weeks start on Monday, as in getPeriodDates
+      units = Math.floor(daysBetween(addDays(start, -((start.getDay() + 6) % 7)), date) / 7);
+      break;
+    case 'monthly':
+      units = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+      break;
+    case 'yearly':
+      units = date.getFullYear() - start.getFullYear();
+      break;
+    default:
+      units = 0;
+  }
+  return Math.max(Math.floor(units / interval), 0);
+};
+
+/**
+ * Expand a recurrence into occurrence dates (local midnight) within a range
+ * @param {object} recurrence - Stored recurrence object
+ * @param {Date} startDate - First day of the series
+ * @param {Date} rangeStart - Inclusive range start
+ * @param {Date} rangeEnd - Inclusive range end
+ * @returns {Date[]}
+ */
+export const expandOccurrences = (recurrence, startDate, rangeStart, rangeEnd) => {
+  const start = startOfDay(startDate);
+  const from = startOfDay(rangeStart);
+  const to = startOfDay(rangeEnd);
+  const until = recurrence.until ? startOfDay(recurrence.until) : null;
+  const interval = Math.max(parseInt(recurrence.interval) || 1, 1);
+
+  // Start at the period of the range start, so old series are not cut off by the safety net.
+  // COUNT needs every earlier occurrence counted, so those series are walked from the start.
+  const firstPeriod = getPeriodIndex(recurrence, start, from, interval);
+  const lastPeriod = firstPeriod + MAX_PERIODS;
+
+  const occurrences = [];
+  let emitted = 0;
+
+  for (let period = recurrence.count ? 0 : firstPeriod; period < lastPeriod; period++) {
+    for (const date of getPeriodDates(recurrence, start, period * interval)) {
+      if (date < start) continue;
+      if (date > to || (until && date > until)) return occurrences;
+      if (recurrence.count && emitted >= recurrence.count) return occurrences;
+
+      emitted++;
+      if (date >= from) occurrences.push(date);
+    }
+  }
+
+  return occurrences;
+};
+
+export default {
+  WEEKDAYS,
+  FREQUENCIES,
+  startOfDay,
+  addDays,
+  toDateKey,
+  parseDateKey,
+  applyTimeOfDay,
+  parseRRule,
+  formatRRule,
+  expandOccurrences
+};
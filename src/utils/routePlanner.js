@@ -0,0 +1,117 @@
+import { haversineDistance } from './geo.js';
+
+const MAX_PASSES = 50;
+
+/**
+ * Length of an open path through the given points (meters)
+ * @param {Array} path - Points ({ latitude, longitude }) in visiting order
+ */
+export const pathLength = (path) => {
+  let total = 0;
+  for (let i = 1; i < path.length; i++) {
+    total += haversineDistance(path[i - 1], path[i]);
+  }
+  return total;
+};
+
+/**
+ * Visit the closest unvisited point next
+ * @returns {Array<number>} - Point indexes in visiting order
+ */
+const nearestNeighbour = (points, from) => {
+  const remaining = points.map((_, index) => index);
+  const order = [];
+  let current = from;
+
+  while (remaining.length) {
+    let best = 0;
+    if (current) {
+      let bestDistance = Infinity;
+      remaining.forEach((index, position) => {
+        const distance = haversineDistance(current, points[index]);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = position;
+        }
+      });
+    }
+
+    const [next] = remaining.splice(best, 1);
+    order.push(next);
+    current = points[next];
+  }
+
+  return order;
+};
+
+/**
+ * Improve an open path by reversing segments while that shortens it (2-opt)
+ * @param {Array} points - All points
+ * @param {Array<number>} order - Visiting order to improve
+ * @param {object|null} start - Fixed starting point, if any
+ */
+const twoOpt = (points, order, start) => {
+  const route = [...order];
+  const at = (position) => (position < 0 ? start : points[route[position]]);
+  const edge = (a, b) => (a && b ? haversineDistance(a, b) : 0);
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < route.length - 1; i++) {
+      for (let k = i + 1; k < route.length; k++) {
+        const before = at(i - 1);
+        const after = k + 1 < route.length ? at(k + 1) : null;
+        const delta = edge(before, at(k)) + edge(at(i), after)
+          - edge(before, at(i)) - edge(at(k), after);
+
+        if (delta < -0.01) {
+          route.splice(i, k - i + 1, ...route.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return route;
+};
+
+/**
+ * Plan a short visiting order through a set of points
+ * Nearest-neighbour from every possible first stop (or the given start), then 2-opt.
+ * @param {Array} points - { latitude, longitude } for each stop
+ * @param {object} options - { start: { latitude, longitude } } to begin from a known location
+ * @returns {Array<number>} - Point indexes in visiting order
+ */
+export const planRoute = (points, { start = null } = {}) => {
+  if (points.length <= 1) return points.map((_, index) => index);
+
+  const candidates = start
+    ? [nearestNeighbour(points, start)]
+    : points.map((_, first) => {
+      const rest = nearestNeighbour(points.filter((_, index) => index !== first), points[first]);
+      // Map indexes of the filtered list back to the original points
+      return [first, ...rest.map(index => (index >= first ? index + 1 : index))];
+    });
+
+  let best = null;
+  let bestLength = Infinity;
+
+  candidates.forEach(candidate => {
+    const route = twoOpt(points, candidate, start);
+    const length = pathLength([...(start ? [start] : []), ...route.map(index => points[index])]);
+    if (length < bestLength) {
+      bestLength = length;
+      best = route;
+    }
+  });
+
+  return best;
+};
+
+export default {
+  pathLength,
+  planRoute
+};
@@ -5,6 +5,7 @@ import Client from '../models/Client.js';
 import Branch from '../models/Branch.js';
 import Task from '../models/Task.js';
 import Inventory from '../models/Inventory.js';
+import Supplier from '../models/Supplier.js';
 import Plant from '../models/Plant.js';
 import Notification from '../models/Notification.js';
 
@@ -31,6 +32,7 @@ const seedData = async () => {
     await Branch.deleteMany({});
     await Task.deleteMany({});
     await Inventory.deleteMany({});
+    await Supplier.deleteMany({});
     await Plant.deleteMany({});
     await Notification.deleteMany({});
 
@@ -298,6 +300,13 @@ const seedData = async () => {
     ]);
 
     // Create Inventory
+    console.log('🚚 Creating suppliers...');
+    const supplier = await Supplier.create({
+      name: 'Green Supplies Co.',
+      phone: '+971501234567',
+      leadTimeDays: 5
+    });
+
     console.log('📦 Creating inventory...');
     await Inventory.create([
       {
@@ -316,10 +325,7 @@ const seedData = async () => {
           cost: 10,
           selling: 15
         },
-        supplier: {
-          name: 'Green Supplies Co.',
-          contact: '+971501234567'
-        }
+        preferredSupplier: supplier._id
       },
       {
         name: 'Lawn Mower',
@@ -0,0 +1,100 @@
+/**
+ * Task lifecycle: the only status changes a task may go through
+ *
+ *   pending -> assigned -> in-progress -> review -> completed
+ *                              ^             |
+ *                              +- rejected <-+
+ *
+ * Work that is not under review or completed can be cancelled.
+ */
+export const TASK_TRANSITIONS = {
+  pending: ['assigned', 'cancelled'],
+  assigned: ['pending', 'in-progress', 'cancelled'],
+  'in-progress': ['review', 'cancelled'],
+  review: ['completed', 'rejected'],
+  rejected: ['in-progress', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Statuses that are only reached through a dedicated endpoint
+export const WORKFLOW_STATUSES = ['in-progress', 'review', 'completed', 'rejected', 'cancelled'];
+
+/**
+ * Check whether a task may move from one status to another
+ */
+export const canTransition = (from, to) => (TASK_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Error message for a refused status change
+ */
+export const transitionError = (from, to) => {
+  const allowed = TASK_TRANSITIONS[from] || [];
+  return `Cannot move a task from '${from}' to '${to}'`
+    + (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ` ('${from}' is final)`);
+};
+
+/**
+ * Build a statusHistory entry
+ * @param {string|null} from - Previous status (null on creation)
+ * @param {string} to - New status
+ * @param {object} meta - { user, latitude, longitude, note }
+ */
+export const historyEntry = (from, to, { user, latitude, longitude, note } = {}) => {
+  const entry = {
+    from,
+    to,
+    changedBy: user?._id || user || null,
+    changedAt: new Date(),
+    note
+  };
+
+  if (latitude !== undefined && longitude !== undefined) {
+    entry.location = { latitude, longitude };
+  }
+  return entry;
+};
+
+/**
+ * Move a task document to a new status and record it in statusHistory
+ * Callers check canTransition first to answer with a 400; this throws as a safeguard.
+ */
+export const transitionTask = (task, to, meta = {}) => {
+  const from = task.status;
+
+  if (!canTransition(from, to)) {
+    throw new Error(transitionError(from, to));
+  }
+
+  task.status = to;
+  task.statusHistory.push(historyEntry(from, to, meta));
+  return task;
+};
+
+/**
+ * Hours worked on a task: every stretch in progress, from a start to the next status change
+ * Waiting for review and for rework after a rejection does not count.
+ * @param {Array} statusHistory - Task statusHistory
+ * @returns {number|null} - Hours, or null when the history has no finished work session
+ */
+export const workedHours = (statusHistory = []) => {
+  let hours = null;
+
+  statusHistory.forEach((entry, index) => {
+    const next = statusHistory[index + 1];
+    if (entry.to !== 'in-progress' || !next) return;
+    hours = (hours || 0) + (new Date(next.changedAt) - new Date(entry.changedAt)) / (1000 * 60 * 60);
+  });
+
+  return hours === null ? null : Math.round(hours * 100) / 100;
+};
+
+export default {
+  TASK_TRANSITIONS,
+  WORKFLOW_STATUSES,
+  canTransition,
+  transitionError,
+  historyEntry,
+  transitionTask,
+  workedHours
+};
@@ -0,0 +1,43 @@
+import { describe, beforeAll, afterAll } from '@jest/globals';
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import Settings from '../../src/models/Settings.js';
+
+// Starting the replica set may first download a mongod binary
+const START_TIMEOUT_MS = 120000;
+
+/**
+ * describe for suites that need MongoDB
+ * They fail when no replica set can be started; SKIP_DB_TESTS=1 skips them explicitly instead.
+ */
+export const describeDb = process.env.SKIP_DB_TESTS === '1' ? describe.skip : describe;
+
+/**
+ * Run the suite against a fresh single-node replica set (transactions need one)
+ * Call it first in a describeDb block: mongoose is connected, the models' collections and indexes
+ * exist (transactions cannot create them all at once) and the settings document is there
+ * before the suite's own hooks run.
+ * @param {Array} models - Models the suite uses
+ */
+export const useReplSet = (models = []) => {
+  let replSet = null;
+
+  beforeAll(async () => {
+    // Queries fail at once rather than wait for a connection that never comes
+    mongoose.set('bufferCommands', false);
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    await Promise.all(models.map(model => model.init()));
+    await Settings.getSettings();
+  }, START_TIMEOUT_MS);
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await replSet?.stop();
+  });
+};
+
+export default {
+  describeDb,
+  useReplSet
+};
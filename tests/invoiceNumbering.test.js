@@ -0,0 +1,74 @@
+import { test, expect, beforeAll, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Branch from '../src/models/Branch.js';
+import Counter from '../src/models/Counter.js';
+import Invoice from '../src/models/Invoice.js';
+import Task from '../src/models/Task.js';
+import { createBilledInvoice } from '../src/services/invoiceService.js';
+import { describeDb, useReplSet } from './helpers/mongo.js';
+
+const PARALLEL_INVOICES = 10;
+
+/**
+ * Sequence part of an invoice number (default format {prefix}-{branch}-{year}-{seq:5})
+ */
+const sequenceOf = (invoice) => Number(invoice.invoiceNumber.split('-').pop());
+
+/**
+ * 1..n
+ */
+const range = (n) => Array.from({ length: n }, (value, index) => index + 1);
+
+describeDb('invoice numbering', () => {
+  let branch;
+
+  const invoiceData = () => ({
+    client: new mongoose.Types.ObjectId(),
+    branch: branch._id,
+    dueDate: new Date(),
+    items: [{ description: 'Garden maintenance', quantity: 1, unitPrice: 100 }]
+  });
+
+  useReplSet([Branch, Counter, Invoice, Task]);
+
+  beforeAll(async () => {
+    branch = await Branch.create({ name: 'Riyadh', code: 'RYD' });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([Invoice.deleteMany({}), Counter.deleteMany({}), Task.collection.deleteMany({})]);
+  });
+
+  test('parallel billed invoices on one branch get distinct, gap-free numbers', async () => {
+    const invoices = await Promise.all(range(PARALLEL_INVOICES).map(() => createBilledInvoice(invoiceData(), [])));
+
+    const sequences = invoices.map(sequenceOf).sort((a, b) => a - b);
+    expect(new Set(invoices.map(invoice => invoice.invoiceNumber)).size).toBe(PARALLEL_INVOICES);
+    expect(sequences).toEqual(range(PARALLEL_INVOICES));
+    expect(invoices[0].invoiceNumber).toMatch(new RegExp(`^INV-RYD-${new Date().getFullYear()}-\\d{5}$`));
+  });
+
+  test('parallel Invoice.create calls outside a transaction get distinct, gap-free numbers', async () => {
+    const invoices = await Promise.all(range(PARALLEL_INVOICES).map(() => Invoice.create(invoiceData())));
+
+    expect(invoices.map(sequenceOf).sort((a, b) => a - b)).toEqual(range(PARALLEL_INVOICES));
+  });
+
+  test('a failed creation does not use up a number', async () => {
+    const first = await createBilledInvoice(invoiceData(), []);
+
+    // A task billed meanwhile makes the creation fail after its number was taken
+    const { insertedId: billedTaskId } = await Task.collection.insertOne({
+      title: 'Already billed',
+      invoice: first._id,
+      billedAt: new Date()
+    });
+    await expect(createBilledInvoice(invoiceData(), [billedTaskId])).rejects.toMatchObject({ statusCode: 409 });
+
+    const next = await createBilledInvoice(invoiceData(), []);
+
+    expect(sequenceOf(first)).toBe(1);
+    expect(sequenceOf(next)).toBe(2);
+    expect(await Invoice.countDocuments()).toBe(2);
+  });
+});
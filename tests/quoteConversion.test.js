@@ -0,0 +1,94 @@
+import { test, expect, beforeAll, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Branch from '../src/models/Branch.js';
+import Client from '../src/models/Client.js';
+import Counter from '../src/models/Counter.js';
+import Invoice from '../src/models/Invoice.js';
+import Quote from '../src/models/Quote.js';
+import Site from '../src/models/Site.js';
+import Task from '../src/models/Task.js';
+import User from '../src/models/User.js';
+import { convertQuote } from '../src/services/quoteService.js';
+import { removeTaskFromInvoice } from '../src/services/invoiceService.js';
+import { runInTransaction } from '../src/services/materialService.js';
+import { describeDb, useReplSet } from './helpers/mongo.js';
+
+/**
+ * Take a task off its invoice and save it, as cancelling or deleting a task does
+ */
+const cancelBilledTask = (task) => runInTransaction(async (session) => {
+  await removeTaskFromInvoice(task, { reason: 'Task cancelled: client changed plans', session });
+  await task.save({ session });
+});
+
+describeDb('cancelling tasks converted from a quote', () => {
+  let branch;
+
+  const convertTwoVisitQuote = async () => {
+    const section = new mongoose.Types.ObjectId();
+    const quote = await Quote.create({
+      client: new mongoose.Types.ObjectId(),
+      site: new mongoose.Types.ObjectId(),
+      branch: branch._id,
+      title: 'Garden renovation',
+      status: 'accepted',
+      validUntil: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      visits: [
+        { section, scheduledDate: new Date(Date.now() + 24 * 60 * 60 * 1000) },
+        { section, scheduledDate: new Date(Date.now() + 8 * 24 * 60 * 60 * 1000) }
+      ],
+      items: [
+        { type: 'labor', description: 'Clearing', quantity: 4, unitPrice: 50, visit: 0 },
+        { type: 'other', description: 'Soil', quantity: 2, unitPrice: 30, visit: 0 },
+        { type: 'labor', description: 'Planting', quantity: 3, unitPrice: 50, visit: 1 }
+      ]
+    });
+    return convertQuote(quote._id);
+  };
+
+  useReplSet([Branch, Client, Counter, Invoice, Quote, Site, Task, User]);
+
+  beforeAll(async () => {
+    branch = await Branch.create({ name: 'Riyadh', code: 'RYD' });
+  });
+
+  beforeEach(async () => {
+    await Promise.all([Invoice, Quote, Task, Counter].map(model => model.deleteMany({})));
+  });
+
+  test('a cancelled visit leaves the draft invoice with only the other visit', async () => {
+    const { tasks, invoice } = await convertTwoVisitQuote();
+    expect(invoice.items).toHaveLength(3);
+
+    await cancelBilledTask(tasks[0]);
+
+    const draft = await Invoice.findById(invoice._id);
+    expect(draft.status).toBe('draft');
+    expect(draft.items.map(item => item.description)).toEqual(['Planting']);
+    expect(draft.tasks.map(String)).toEqual([String(tasks[1]._id)]);
+    expect(draft.subtotal).toBe(150);
+    expect((await Task.findById(tasks[0]._id)).invoice).toBeNull();
+    expect(String((await Task.findById(tasks[1]._id)).invoice)).toBe(String(invoice._id));
+  });
+
+  test('cancelling every visit cancels the draft invoice', async () => {
+    const { tasks, invoice } = await convertTwoVisitQuote();
+
+    await cancelBilledTask(tasks[0]);
+    await cancelBilledTask(tasks[1]);
+
+    const draft = await Invoice.findById(invoice._id);
+    expect(draft.status).toBe('cancelled');
+    expect(draft.cancellationReason).toBe('Task cancelled: client changed plans');
+  });
+
+  test('a visit on an issued invoice cannot be cancelled', async () => {
+    const { tasks, invoice } = await convertTwoVisitQuote();
+    await Invoice.collection.updateOne({ _id: invoice._id }, { $set: { status: 'issued' } });
+
+    await expect(cancelBilledTask(tasks[0])).rejects.toMatchObject({ statusCode: 409 });
+
+    expect((await Invoice.findById(invoice._id)).items).toHaveLength(3);
+    expect(String((await Task.findById(tasks[0]._id)).invoice)).toBe(String(invoice._id));
+  });
+});
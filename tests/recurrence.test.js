@@ -0,0 +1,62 @@
+import { describe, test, expect } from '@jest/globals';
+import { expandOccurrences, parseRRule, toDateKey } from '../src/utils/recurrence.js';
+
+const keys = (dates) => dates.map(toDateKey);
+
+describe('expandOccurrences', () => {
+  test('an old daily series still has occurrences in a recent range', () => {
+    const occurrences = expandOccurrences(
+      parseRRule('FREQ=DAILY'),
+      new Date(2000, 0, 1),
+      new Date(2026, 9, 19),
+      new Date(2026, 9, 21)
+    );
+
+    expect(keys(occurrences)).toEqual(['2026-10-19', '2026-10-20', '2026-10-21']);
+  });
+
+  test('an old interval series stays on its own periods', () => {
+    const occurrences = expandOccurrences(
+      parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH'),
+      new Date(2001, 0, 1),
+      new Date(2026, 9, 1),
+      new Date(2026, 9, 31)
+    );
+
+    // 2001-01-01 is a Monday; every other week from then
+    const start = new Date(2001, 0, 1);
+    occurrences.forEach((date) => {
+      const week = Math.floor(Math.round((date - start) / 86400000) / 7);
+      expect(week % 2).toBe(0);
+    });
+    expect(occurrences.length).toBeGreaterThanOrEqual(4);
+  });
+
+  test.each([
+    'FREQ=DAILY;INTERVAL=3',
+    'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH',
+    'FREQ=MONTHLY;BYMONTHDAY=1,-1',
+    'FREQ=MONTHLY;INTERVAL=2',
+    'FREQ=YEARLY'
+  ])('%s gives the same dates as expanding from the series start', (rule) => {
+    const recurrence = parseRRule(rule);
+    const start = new Date(2020, 1, 29);
+    const from = new Date(2024, 5, 15);
+    const to = new Date(2028, 5, 15);
+
+    const fromStart = expandOccurrences(recurrence, start, start, to).filter(date => date >= from);
+
+    expect(keys(expandOccurrences(recurrence, start, from, to))).toEqual(keys(fromStart));
+  });
+
+  test('COUNT still counts the occurrences before the range', () => {
+    const occurrences = expandOccurrences(
+      parseRRule('FREQ=DAILY;COUNT=10'),
+      new Date(2026, 0, 1),
+      new Date(2026, 0, 8),
+      new Date(2026, 0, 31)
+    );
+
+    expect(keys(occurrences)).toEqual(['2026-01-08', '2026-01-09', '2026-01-10']);
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, test, expect } from '@jest/globals';
+import { workedHours } from '../src/utils/taskLifecycle.js';
+
+const at = (time) => new Date(`2026-10-19T${time}:00`);
+
+describe('workedHours', () => {
+  test('adds up the rework after a rejected review, without the waiting in between', () => {
+    const history = [
+      { from: null, to: 'assigned', changedAt: at('07:00') },
+      { from: 'assigned', to: 'in-progress', changedAt: at('08:00') },
+      { from: 'in-progress', to: 'review', changedAt: at('10:00') },
+      { from: 'review', to: 'rejected', changedAt: at('11:00') },
+      { from: 'rejected', to: 'in-progress', changedAt: at('14:00') },
+      { from: 'in-progress', to: 'review', changedAt: at('15:30') }
+    ];
+
+    expect(workedHours(history)).toBe(3.5);
+  });
+
+  test('is null without a finished work session', () => {
+    expect(workedHours([])).toBeNull();
+    expect(workedHours([{ from: 'assigned', to: 'in-progress', changedAt: at('08:00') }])).toBeNull();
+  });
+});